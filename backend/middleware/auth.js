@@ -0,0 +1,140 @@
+const { DEFAULT_TENANT } = require('../services/tenancy');
+
+// Identity used for every request when AUTH_ENABLED=false
+const ANONYMOUS = { id: 'anonymous', name: 'Anonymous', role: 'admin', tenant: 'default', type: 'anonymous', anonymous: true };
+
+function extractToken(req, { allowQueryToken = false } = {}) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.substring(7).trim();
+    }
+
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+
+    // EventSource cannot send headers, so SSE requests may pass the token in the query string
+    if (allowQueryToken && req.query && req.query.access_token) {
+        return req.query.access_token;
+    }
+
+    return null;
+}
+
+function createAuthMiddleware(authService) {
+    return async (req, res, next) => {
+        if (!authService.enabled) {
+            req.auth = ANONYMOUS;
+            return next();
+        }
+
+        try {
+            const token = extractToken(req, {
+                allowQueryToken: (req.headers.accept || '').includes('text/event-stream')
+            });
+            const identity = await authService.authenticate(token);
+
+            if (!identity) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            req.auth = identity;
+            next();
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Authentication failed'
+            });
+        }
+    };
+}
+
+// Admins pass every role check
+function hasRole(identity, roles) {
+    return Boolean(identity) && (identity.role === 'admin' || roles.includes(identity.role));
+}
+
+// Admins bound to the default tenant run the platform; admins of any other tenant only their own
+function isPlatformAdmin(identity) {
+    return Boolean(identity) && identity.role === 'admin' && (identity.tenant || DEFAULT_TENANT) === DEFAULT_TENANT;
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (!hasRole(req.auth, roles)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                requiredRoles: roles
+            });
+        }
+
+        next();
+    };
+}
+
+function requirePlatformAdmin() {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (!isPlatformAdmin(req.auth)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Platform admin required'
+            });
+        }
+
+        next();
+    };
+}
+
+// Socket.IO handshake: token from `auth.token`, the Authorization header or `?access_token=`
+function createSocketAuthMiddleware(authService) {
+    return async (socket, next) => {
+        if (!authService.enabled) {
+            socket.data.auth = ANONYMOUS;
+            return next();
+        }
+
+        try {
+            const { auth = {}, headers = {}, query = {} } = socket.handshake;
+            const token = auth.token || extractToken({ headers, query }, { allowQueryToken: true });
+            const identity = await authService.authenticate(token);
+
+            if (!identity) {
+                return next(new Error('Authentication required'));
+            }
+
+            socket.data.auth = identity;
+            next();
+        } catch (error) {
+            console.error('Socket authentication error:', error);
+            next(new Error('Authentication failed'));
+        }
+    };
+}
+
+module.exports = {
+    createAuthMiddleware,
+    createSocketAuthMiddleware,
+    requireRole,
+    requirePlatformAdmin,
+    hasRole,
+    isPlatformAdmin
+};
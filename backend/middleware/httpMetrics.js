@@ -0,0 +1,15 @@
+// Times every HTTP response and hands it to each recorder (process metrics, Prometheus)
+function createHttpMetricsMiddleware(...recorders) {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+            recorders.forEach(recorder => recorder.recordRequest(durationMs, res.statusCode, req));
+        });
+
+        next();
+    };
+}
+
+module.exports = { createHttpMetricsMiddleware };
@@ -0,0 +1,13 @@
+// JSON 404 for API paths no router handled
+function createNotFoundHandler() {
+    return (req, res) => {
+        res.status(404).json({
+            success: false,
+            error: 'API endpoint not found'
+        });
+    };
+}
+
+module.exports = {
+    createNotFoundHandler
+};
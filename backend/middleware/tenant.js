@@ -0,0 +1,46 @@
+const { DEFAULT_TENANT } = require('../services/tenancy');
+const { isPlatformAdmin } = require('./auth');
+
+// The tenant comes from the caller's identity; platform admins may act on another tenant with
+// X-Tenant-Id, admins bound to a tenant may not leave it
+function createTenantMiddleware(tenantService) {
+    return async (req, res, next) => {
+        const identity = req.auth || {};
+        const requested = req.headers['x-tenant-id'];
+        let tenantId = identity.tenant || DEFAULT_TENANT;
+
+        if (identity.role === 'admin' && requested && requested !== tenantId) {
+            if (!isPlatformAdmin(identity)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only platform admins can act on another tenant'
+                });
+            }
+            tenantId = requested;
+        }
+
+        try {
+            const tenant = await tenantService.resolveTenant(tenantId);
+
+            if (!tenant) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Unknown tenant'
+                });
+            }
+
+            req.tenant = tenant;
+            next();
+        } catch (error) {
+            console.error('Tenant resolution error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to resolve tenant'
+            });
+        }
+    };
+}
+
+module.exports = {
+    createTenantMiddleware
+};
@@ -1,12 +1,17 @@
 const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const AnalyticsService = require('../services/AnalyticsService');
 
 function createAnalyticsRoutes(analyticsService) {
     const router = express.Router();
 
+    // Dashboards and exports are for analysts and moderators
+    router.use(requireRole('analyst', 'moderator'));
+
     // Get real-time dashboard metrics
     router.get('/dashboard', async (req, res) => {
         try {
-            const dashboardData = await analyticsService.getDashboardData();
+            const dashboardData = await analyticsService.getDashboardData(req.tenant.id);
 
             res.json({
                 success: true,
@@ -25,7 +30,7 @@ function createAnalyticsRoutes(analyticsService) {
     // Get real-time metrics
     router.get('/realtime', async (req, res) => {
         try {
-            const metrics = await analyticsService.getRealtimeMetrics();
+            const metrics = await analyticsService.getRealtimeMetrics(req.tenant.id);
 
             res.json({
                 success: true,
@@ -53,9 +58,26 @@ function createAnalyticsRoutes(analyticsService) {
                 'content:approved',
                 'processing:time',
                 'accuracy:rate',
+                'content:confidence',
+                'content:sentiment:positive',
+                'content:sentiment:neutral',
+                'content:sentiment:negative',
+                'content:toxicity:low',
+                'content:toxicity:medium',
+                'content:toxicity:high',
                 'system:cpu',
                 'system:memory',
-                'system:throughput'
+                'system:rss',
+                'system:heap_used',
+                'system:event_loop_lag',
+                'system:gc_pause',
+                'system:connections',
+                'system:throughput',
+                'system:response_time',
+                'system:error_rate',
+                'system:redis_memory',
+                'system:redis_ops',
+                'system:redis_clients'
             ];
 
             if (!validMetrics.includes(metric)) {
@@ -66,7 +88,7 @@ function createAnalyticsRoutes(analyticsService) {
                 });
             }
 
-            const data = await analyticsService.getTimeSeriesData(metric, timeRange, aggregation);
+            const data = await analyticsService.getTimeSeriesData(metric, timeRange, aggregation, req.tenant.id);
 
             res.json({
                 success: true,
@@ -82,10 +104,20 @@ function createAnalyticsRoutes(analyticsService) {
         }
     });
 
-    // Get content analytics
+    // Get content analytics (sentiment, category and toxicity distributions) over a time range
     router.get('/content', async (req, res) => {
         try {
-            const analytics = await analyticsService.getContentAnalytics();
+            const { timeRange = '24h' } = req.query;
+
+            if (!AnalyticsService.TIME_RANGES[timeRange]) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid time range',
+                    validTimeRanges: Object.keys(AnalyticsService.TIME_RANGES)
+                });
+            }
+
+            const analytics = await analyticsService.getContentAnalytics(req.tenant.id, timeRange);
 
             res.json({
                 success: true,
@@ -143,7 +175,7 @@ function createAnalyticsRoutes(analyticsService) {
 
             const data = {};
             for (const metric of metrics) {
-                data[metric] = await analyticsService.getTimeSeriesData(metric, period, 'sum');
+                data[metric] = await analyticsService.getTimeSeriesData(metric, period, 'sum', req.tenant.id);
             }
 
             res.json({
@@ -167,8 +199,8 @@ function createAnalyticsRoutes(analyticsService) {
             const { timeRange = '1h' } = req.query;
 
             const performanceData = await Promise.all([
-                analyticsService.getTimeSeriesData('processing:time', timeRange, 'avg'),
-                analyticsService.getTimeSeriesData('accuracy:rate', timeRange, 'avg'),
+                analyticsService.getTimeSeriesData('processing:time', timeRange, 'avg', req.tenant.id),
+                analyticsService.getTimeSeriesData('accuracy:rate', timeRange, 'avg', req.tenant.id),
                 analyticsService.getTimeSeriesData('system:cpu', timeRange, 'avg'),
                 analyticsService.getTimeSeriesData('system:memory', timeRange, 'avg')
             ]);
@@ -208,7 +240,7 @@ function createAnalyticsRoutes(analyticsService) {
                 });
             }
 
-            const dashboardData = await analyticsService.getDashboardData();
+            const dashboardData = await analyticsService.getDashboardData(req.tenant.id);
 
             if (format === 'csv') {
                 // Convert to CSV format
@@ -0,0 +1,240 @@
+const express = require('express');
+const Joi = require('joi');
+const AppealService = require('../services/AppealService');
+const { requireRole } = require('../middleware/auth');
+
+// userId is the content's author as known to the submitting platform
+const appealSchema = Joi.object({
+    contentId: Joi.string().max(128).required(),
+    userId: Joi.string().max(200).required(),
+    statement: Joi.string().min(1).max(2000).required()
+});
+
+// moderatorId is only read when authentication is disabled; otherwise the caller is the moderator
+const moderatorSchema = Joi.object({
+    moderatorId: Joi.string().max(128).optional()
+});
+
+const decisionSchema = Joi.object({
+    moderatorId: Joi.string().max(128).optional(),
+    decision: Joi.string().valid(...AppealService.DECISIONS).required(),
+    reason: Joi.string().min(1).max(1000).required()
+});
+
+function resolveModeratorId(req, value) {
+    return req.auth && !req.auth.anonymous ? req.auth.id : value.moderatorId;
+}
+
+// Map appeal service error codes to HTTP responses
+function sendAppealError(res, error, fallbackMessage) {
+    const statusCodes = {
+        NOT_FOUND: 404,
+        NOT_APPEALED: 404,
+        NOT_IN_QUEUE: 404,
+        NOT_AUTHOR: 403,
+        SAME_MODERATOR: 403,
+        ALREADY_APPEALED: 409,
+        NOT_APPEALABLE: 409,
+        ALREADY_CLAIMED: 409,
+        NOT_CLAIMED: 409
+    };
+
+    if (statusCodes[error.code]) {
+        return res.status(statusCodes[error.code]).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            claim: error.claim || undefined
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage
+    });
+}
+
+function createAppealRoutes(appealService) {
+    const router = express.Router();
+
+    // Validates the moderator body shared by claim and release
+    function moderatorFrom(req, res, schema = moderatorSchema) {
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: error.details
+            });
+            return null;
+        }
+
+        const moderatorId = resolveModeratorId(req, value);
+        if (!moderatorId) {
+            res.status(400).json({
+                success: false,
+                error: 'moderatorId is required'
+            });
+            return null;
+        }
+
+        return { moderatorId, value };
+    }
+
+    // Open an appeal on moderated content
+    router.post('/', requireRole('submitter', 'moderator'), async (req, res) => {
+        try {
+            const { error, value } = appealSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const appeal = await appealService.open(value.contentId, value.userId, value.statement, req.tenant.id, req.auth?.id || null);
+
+            res.status(201).json({
+                success: true,
+                data: appeal,
+                message: 'Appeal opened'
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to open appeal');
+        }
+    });
+
+    // Open appeals, oldest first
+    router.get('/queue', requireRole('moderator'), async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const queue = await appealService.getQueue(limit, offset, req.tenant.id);
+
+            res.json({
+                success: true,
+                data: queue
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to get appeal queue');
+        }
+    });
+
+    // Claim the oldest appeal this moderator is allowed to review
+    router.post('/claim', requireRole('moderator'), async (req, res) => {
+        try {
+            const moderator = moderatorFrom(req, res);
+            if (!moderator) return;
+
+            const result = await appealService.claimNext(moderator.moderatorId, req.tenant.id);
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No appeals available to this moderator'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to claim appeal');
+        }
+    });
+
+    // Appeal status and history, for moderators and the identity that filed the appeal
+    router.get('/:contentId', requireRole('submitter', 'moderator'), async (req, res) => {
+        try {
+            const appeal = await appealService.getAppeal(req.params.contentId, req.tenant.id);
+
+            if (!appealService.canView(appeal, req.auth)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only moderators and the appeal\'s author can view it',
+                    code: 'NOT_AUTHOR'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: appeal
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to get appeal');
+        }
+    });
+
+    // Claim a specific appeal, or renew the lease on one already held
+    router.post('/:contentId/claim', requireRole('moderator'), async (req, res) => {
+        try {
+            const moderator = moderatorFrom(req, res);
+            if (!moderator) return;
+
+            const claim = await appealService.claim(req.params.contentId, moderator.moderatorId, req.tenant.id);
+
+            res.json({
+                success: true,
+                data: claim
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to claim appeal');
+        }
+    });
+
+    // Release a claimed appeal back to the queue
+    router.post('/:contentId/release', requireRole('moderator'), async (req, res) => {
+        try {
+            const moderator = moderatorFrom(req, res);
+            if (!moderator) return;
+
+            await appealService.release(req.params.contentId, moderator.moderatorId, req.tenant.id);
+
+            res.json({
+                success: true,
+                message: 'Appeal released'
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to release appeal');
+        }
+    });
+
+    // Uphold or overturn a claimed appeal
+    router.post('/:contentId/decision', requireRole('moderator'), async (req, res) => {
+        try {
+            const moderator = moderatorFrom(req, res, decisionSchema);
+            if (!moderator) return;
+
+            const result = await appealService.decide(
+                req.params.contentId,
+                moderator.moderatorId,
+                moderator.value.decision,
+                moderator.value.reason,
+                req.tenant.id
+            );
+
+            res.json({
+                success: true,
+                data: result,
+                message: 'Appeal decision recorded'
+            });
+
+        } catch (error) {
+            sendAppealError(res, error, 'Failed to record appeal decision');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAppealRoutes;
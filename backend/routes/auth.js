@@ -0,0 +1,158 @@
+const express = require('express');
+const Joi = require('joi');
+const AuthService = require('../services/AuthService');
+const { DEFAULT_TENANT, TENANT_ID_PATTERN } = require('../services/tenancy');
+const { requireRole, isPlatformAdmin } = require('../middleware/auth');
+
+const apiKeySchema = Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    role: Joi.string().valid(...AuthService.ROLES).required(),
+    tenant: Joi.string().pattern(TENANT_ID_PATTERN).optional(),
+    expiresInDays: Joi.number().integer().min(1).max(3650).optional()
+});
+
+function createAuthRoutes(authService, tenantService) {
+    const router = express.Router();
+
+    // Platform admins manage every tenant's keys; admins bound to a tenant only that tenant's
+    const keyScope = (identity) => isPlatformAdmin(identity) ? null : (identity.tenant || DEFAULT_TENANT);
+
+    // Get the caller's identity
+    router.get('/me', (req, res) => {
+        res.json({
+            success: true,
+            data: { ...req.auth, tenant: req.tenant ? req.tenant.id : req.auth.tenant }
+        });
+    });
+
+    // Exchange a stored API key for a short-lived JWT. The bootstrap admin key and JWTs cannot be
+    // exchanged, so a browser session never holds the bootstrap key or renews itself indefinitely.
+    router.post('/token', async (req, res) => {
+        try {
+            if (req.auth.type !== 'api_key') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Tokens are only issued for stored API keys'
+                });
+            }
+
+            const token = authService.issueToken(req.auth);
+
+            res.status(201).json({
+                success: true,
+                data: token
+            });
+
+        } catch (error) {
+            if (error.code === 'JWT_DISABLED') {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Token issuing requires JWT_SECRET'
+                });
+            }
+
+            console.error('Issue token error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to issue token'
+            });
+        }
+    });
+
+    // List API keys (hashes and plaintext keys are never returned)
+    router.get('/keys', requireRole('admin'), async (req, res) => {
+        try {
+            const keys = await authService.listApiKeys(keyScope(req.auth));
+
+            res.json({
+                success: true,
+                data: keys
+            });
+
+        } catch (error) {
+            console.error('List API keys error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list API keys'
+            });
+        }
+    });
+
+    // Issue a new API key
+    router.post('/keys', requireRole('admin'), async (req, res) => {
+        try {
+            const { error, value } = apiKeySchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const scope = keyScope(req.auth);
+            if (scope) {
+                if (value.tenant && value.tenant !== scope) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Only platform admins can issue keys for another tenant'
+                    });
+                }
+                value.tenant = scope;
+            }
+
+            if (value.tenant && !(await tenantService.getTenant(value.tenant))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unknown tenant'
+                });
+            }
+
+            const key = await authService.issueApiKey(value, req.auth.id);
+
+            res.status(201).json({
+                success: true,
+                data: key,
+                message: 'API key issued. Store it now, it cannot be retrieved again.'
+            });
+
+        } catch (error) {
+            console.error('Issue API key error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to issue API key'
+            });
+        }
+    });
+
+    // Revoke an API key
+    router.delete('/keys/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const key = await authService.revokeApiKey(req.params.id, req.auth.id, keyScope(req.auth));
+
+            if (!key) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'API key not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: key,
+                message: 'API key revoked'
+            });
+
+        } catch (error) {
+            console.error('Revoke API key error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke API key'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuthRoutes;
@@ -0,0 +1,164 @@
+const express = require('express');
+const Joi = require('joi');
+const { requireRole } = require('../middleware/auth');
+
+// targetFpr defaults to CALIBRATION_TARGET_FPR; days limits the sweep to recently labeled examples
+const calibrateSchema = Joi.object({
+    targetFpr: Joi.number().min(0).max(1).optional(),
+    step: Joi.number().min(0.01).max(0.5).default(0.05),
+    days: Joi.number().integer().min(1).max(365).optional()
+});
+
+const previewSchema = Joi.object({
+    days: Joi.number().integer().min(1).max(90).default(7)
+});
+
+// name defaults to `<active policy>-calibrated`; force promotes even if the active policy has changed since the run
+const promoteSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(64).optional(),
+    activate: Joi.boolean().default(true),
+    force: Joi.boolean().default(false)
+});
+
+// Map calibration service error codes to HTTP responses
+function sendCalibrationError(res, error, fallbackMessage) {
+    const statusCodes = {
+        NOT_FOUND: 404,
+        NO_PROPOSAL: 409,
+        ALREADY_PROMOTED: 409,
+        STALE_CALIBRATION: 409
+    };
+
+    if (statusCodes[error.code]) {
+        return res.status(statusCodes[error.code]).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage
+    });
+}
+
+function validate(schema, body, res) {
+    const { error, value } = schema.validate(body || {});
+    if (error) {
+        res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: error.details
+        });
+        return null;
+    }
+    return value;
+}
+
+function createCalibrationRoutes(calibrationService) {
+    const router = express.Router();
+
+    // Recent calibration runs, newest first
+    router.get('/', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const runs = await calibrationService.listRuns(req.tenant.id, limit);
+
+            res.json({
+                success: true,
+                data: runs,
+                count: runs.length
+            });
+
+        } catch (error) {
+            sendCalibrationError(res, error, 'Failed to list calibration runs');
+        }
+    });
+
+    // Sweep toxicity thresholds over the labeled examples and propose new ones
+    router.post('/', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const value = validate(calibrateSchema, req.body, res);
+            if (!value) return;
+
+            const run = await calibrationService.calibrate(req.tenant.id, {
+                ...value,
+                createdBy: req.auth?.id || null
+            });
+
+            res.status(201).json({
+                success: true,
+                data: run,
+                message: run.proposedPolicy ? 'Calibration completed' : 'Calibration completed without enough labeled examples to propose thresholds'
+            });
+
+        } catch (error) {
+            sendCalibrationError(res, error, 'Failed to run calibration');
+        }
+    });
+
+    // A run with its precision/recall/F1 curves and proposed policy
+    router.get('/:id', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const run = await calibrationService.getRun(req.params.id, req.tenant.id);
+
+            if (!run) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Calibration run not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: run
+            });
+
+        } catch (error) {
+            sendCalibrationError(res, error, 'Failed to get calibration run');
+        }
+    });
+
+    // How the proposed policy would have decided the last N days of content
+    router.post('/:id/preview', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const value = validate(previewSchema, req.body, res);
+            if (!value) return;
+
+            const preview = await calibrationService.preview(req.params.id, req.tenant.id, value);
+
+            res.json({
+                success: true,
+                data: preview
+            });
+
+        } catch (error) {
+            sendCalibrationError(res, error, 'Failed to preview calibration');
+        }
+    });
+
+    // Save the proposed policy and make it the active one
+    router.post('/:id/promote', requireRole('admin'), async (req, res) => {
+        try {
+            const value = validate(promoteSchema, req.body, res);
+            if (!value) return;
+
+            const result = await calibrationService.promote(req.params.id, req.tenant.id, value, req.auth?.id || null);
+
+            res.json({
+                success: true,
+                data: result,
+                message: `Promoted as ${result.promoted.name} v${result.promoted.version}`
+            });
+
+        } catch (error) {
+            sendCalibrationError(res, error, 'Failed to promote calibration');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createCalibrationRoutes;
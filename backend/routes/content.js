@@ -1,13 +1,45 @@
 const express = require('express');
 const Joi = require('joi');
 const rateLimit = require('rate-limiter-flexible');
+const TenantService = require('../services/TenantService');
+const { requireRole } = require('../middleware/auth');
 
-// Rate limiting for content submission
-const contentSubmissionLimiter = new rateLimit.RateLimiterMemory({
-    keyGenerator: (req, res) => req.ip,
-    points: 10, // Number of requests
-    duration: 60, // Per 60 seconds
-});
+// Rate limiting for content submission, one limiter per tenant and configured limit
+const contentSubmissionLimiters = new Map();
+
+function getSubmissionLimiter(tenant) {
+    const { points, duration } = tenant.rateLimit || TenantService.DEFAULT_RATE_LIMIT;
+    const limiterKey = `${tenant.id}:${points}:${duration}`;
+
+    if (!contentSubmissionLimiters.has(limiterKey)) {
+        contentSubmissionLimiters.set(limiterKey, new rateLimit.RateLimiterMemory({
+            keyPrefix: `submit:${tenant.id}`,
+            points, // Number of requests
+            duration // Per window, in seconds
+        }));
+    }
+
+    return contentSubmissionLimiters.get(limiterKey);
+}
+
+// Draft checks run on every keystroke pause, so they get their own, larger budget per tenant
+const contentCheckLimiters = new Map();
+
+function getCheckLimiter(tenant) {
+    const points = parseInt(process.env.CHECK_RATE_LIMIT_MAX_REQUESTS) || 120;
+    const duration = Math.round((parseInt(process.env.CHECK_RATE_LIMIT_WINDOW_MS) || 60000) / 1000);
+    const limiterKey = `${tenant.id}:${points}:${duration}`;
+
+    if (!contentCheckLimiters.has(limiterKey)) {
+        contentCheckLimiters.set(limiterKey, new rateLimit.RateLimiterMemory({
+            keyPrefix: `check:${tenant.id}`,
+            points,
+            duration
+        }));
+    }
+
+    return contentCheckLimiters.get(limiterKey);
+}
 
 // Content submission validation schema
 const contentSchema = Joi.object({
@@ -17,20 +49,60 @@ const contentSchema = Joi.object({
     source: Joi.string().optional()
 });
 
+// Draft check validation schema: the submit fields plus the similarity lookup
+const checkSchema = contentSchema.keys({
+    similarLimit: Joi.number().integer().min(0).max(20).default(5),
+    similarThreshold: Joi.number().min(0).max(1).default(0.8)
+});
+
+// Semantic search validation schema; tag filters take one value or a list
+const tagFilter = Joi.alternatives().try(
+    Joi.string().max(64),
+    Joi.array().items(Joi.string().max(64)).max(20)
+);
+
+const searchSchema = Joi.object({
+    query: Joi.string().min(1).max(1000).required(),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    filters: Joi.object({
+        status: tagFilter.optional(),
+        category: tagFilter.optional(),
+        sentiment: tagFilter.optional(),
+        text: Joi.string().max(500).optional(),
+        from: Joi.number().integer().min(0).optional(),
+        to: Joi.number().integer().min(0).optional(),
+        minToxicity: Joi.number().min(0).max(1).optional(),
+        maxToxicity: Joi.number().min(0).max(1).optional(),
+        offset: Joi.number().integer().min(0).max(900).default(0)
+    }).default({})
+});
+
 // Feedback submission validation schema
 const feedbackSchema = Joi.object({
     feedback: Joi.string().valid('correct', 'incorrect', 'spam', 'not_spam').required(),
     comment: Joi.string().max(500).optional()
 });
 
-function createContentRoutes(contentProcessor, vectorService) {
+// Structured 403 for a submission blocked by a ban, mute or cooldown
+function sendSanctioned(res, block) {
+    return res.status(403).json({
+        success: false,
+        error: 'User is sanctioned',
+        code: block.code,
+        message: block.message,
+        sanction: block.sanction,
+        retryAfter: block.retryAfter
+    });
+}
+
+function createContentRoutes(contentProcessor, vectorService, clusteringService) {
     const router = express.Router();
 
     // Submit new content for moderation
-    router.post('/submit', async (req, res) => {
+    router.post('/submit', requireRole('submitter', 'moderator'), async (req, res) => {
         try {
             // Rate limiting
-            await contentSubmissionLimiter.consume(req.ip);
+            await getSubmissionLimiter(req.tenant).consume(req.ip);
 
             // Validate request
             const { error, value } = contentSchema.validate(req.body);
@@ -42,8 +114,14 @@ function createContentRoutes(contentProcessor, vectorService) {
                 });
             }
 
+            // Bans, mutes and cooldowns are enforced before anything is enqueued
+            const block = await contentProcessor.sanctions.enforce(value.userId, req.tenant.id);
+            if (block) {
+                return sendSanctioned(res, block);
+            }
+
             // Submit content for processing
-            const result = await contentProcessor.submitContent(value);
+            const result = await contentProcessor.submitContent(value, req.tenant.id);
 
             res.status(201).json({
                 success: true,
@@ -68,8 +146,109 @@ function createContentRoutes(contentProcessor, vectorService) {
         }
     });
 
+    // Submit content and wait up to ?wait=ms for the decision; falls back to 202 with a status URL
+    router.post('/moderate', requireRole('submitter', 'moderator'), async (req, res) => {
+        try {
+            await getSubmissionLimiter(req.tenant).consume(req.ip);
+
+            const { error, value } = contentSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const block = await contentProcessor.sanctions.enforce(value.userId, req.tenant.id);
+            if (block) {
+                return sendSanctioned(res, block);
+            }
+
+            const wait = contentProcessor.decisions.resolveWait(req.query.wait);
+            const { contentId, streamId } = await contentProcessor.submitContent(value, req.tenant.id);
+            const decision = await contentProcessor.decisions.wait(contentId, req.tenant.id, wait);
+
+            if (!decision) {
+                const statusUrl = `${req.baseUrl}/${contentId}`;
+                return res.status(202).location(statusUrl).json({
+                    success: true,
+                    data: {
+                        contentId,
+                        streamId,
+                        status: 'pending',
+                        statusUrl
+                    },
+                    message: `No decision within ${wait}ms; poll the status URL`
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    ...decision,
+                    streamId
+                }
+            });
+
+        } catch (error) {
+            if (error.remainingPoints !== undefined) {
+                return res.status(429).json({
+                    success: false,
+                    error: 'Rate limit exceeded',
+                    retryAfter: error.msBeforeNext
+                });
+            }
+
+            console.error('Content moderation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to moderate content'
+            });
+        }
+    });
+
+    // Analyse a draft without storing anything: scores, matched terms, the policy outcome and similar content
+    router.post('/check', requireRole('submitter', 'moderator'), async (req, res) => {
+        try {
+            await getCheckLimiter(req.tenant).consume(req.ip);
+
+            const { error, value } = checkSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const { similarLimit, similarThreshold, ...draft } = value;
+            const result = await contentProcessor.checkContent(draft, req.tenant.id, { similarLimit, similarThreshold });
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.remainingPoints !== undefined) {
+                return res.status(429).json({
+                    success: false,
+                    error: 'Rate limit exceeded',
+                    retryAfter: error.msBeforeNext
+                });
+            }
+
+            console.error('Content check error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to check content'
+            });
+        }
+    });
+
     // Get content by ID
-    router.get('/:contentId', async (req, res) => {
+    router.get('/:contentId', requireRole('submitter', 'moderator', 'analyst'), async (req, res) => {
         try {
             const { contentId } = req.params;
 
@@ -80,7 +259,7 @@ function createContentRoutes(contentProcessor, vectorService) {
                 });
             }
 
-            const content = await contentProcessor.getContentById(contentId);
+            const content = await contentProcessor.getContentById(contentId, req.tenant.id);
 
             if (!content) {
                 return res.status(404).json({
@@ -104,18 +283,19 @@ function createContentRoutes(contentProcessor, vectorService) {
     });
 
     // Search content using semantic search
-    router.post('/search', async (req, res) => {
+    router.post('/search', requireRole('moderator', 'analyst'), async (req, res) => {
         try {
-            const { query, filters = {}, limit = 10 } = req.body;
-
-            if (!query) {
+            const { error, value } = searchSchema.validate(req.body);
+            if (error) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Search query is required'
+                    error: 'Validation failed',
+                    details: error.details
                 });
             }
 
-            const results = await vectorService.semanticSearch(query, filters, limit);
+            const { query, filters, limit } = value;
+            const results = await vectorService.semanticSearch(query, filters, limit, req.tenant.id);
 
             res.json({
                 success: true,
@@ -132,7 +312,7 @@ function createContentRoutes(contentProcessor, vectorService) {
     });
 
     // Find similar content
-    router.post('/similar', async (req, res) => {
+    router.post('/similar', requireRole('moderator', 'analyst'), async (req, res) => {
         try {
             const { text, limit = 5, threshold = 0.7 } = req.body;
 
@@ -143,7 +323,7 @@ function createContentRoutes(contentProcessor, vectorService) {
                 });
             }
 
-            const similarContent = await vectorService.findSimilarContent(text, limit, threshold);
+            const similarContent = await vectorService.findSimilarContent(text, limit, threshold, req.tenant.id);
 
             res.json({
                 success: true,
@@ -160,7 +340,7 @@ function createContentRoutes(contentProcessor, vectorService) {
     });
 
     // Submit feedback for content
-    router.post('/:contentId/feedback', async (req, res) => {
+    router.post('/:contentId/feedback', requireRole('moderator'), async (req, res) => {
         try {
             const { contentId } = req.params;
             const { error, value } = feedbackSchema.validate(req.body);
@@ -173,7 +353,10 @@ function createContentRoutes(contentProcessor, vectorService) {
                 });
             }
 
-            const feedback = await contentProcessor.submitFeedback(contentId, value.feedback);
+            const feedback = await contentProcessor.submitFeedback(contentId, value.feedback, req.tenant.id, {
+                comment: value.comment,
+                by: req.auth?.id
+            });
 
             res.status(201).json({
                 success: true,
@@ -191,9 +374,9 @@ function createContentRoutes(contentProcessor, vectorService) {
     });
 
     // Get processing statistics
-    router.get('/stats/processing', async (req, res) => {
+    router.get('/stats/processing', requireRole('moderator', 'analyst'), async (req, res) => {
         try {
-            const stats = await contentProcessor.getProcessingStats();
+            const stats = await contentProcessor.getProcessingStats(req.tenant.id);
 
             res.json({
                 success: true,
@@ -210,7 +393,7 @@ function createContentRoutes(contentProcessor, vectorService) {
     });
 
     // Get vector statistics
-    router.get('/stats/vectors', async (req, res) => {
+    router.get('/stats/vectors', requireRole('moderator', 'analyst'), async (req, res) => {
         try {
             const stats = await vectorService.getVectorStats();
 
@@ -228,10 +411,19 @@ function createContentRoutes(contentProcessor, vectorService) {
         }
     });
 
-    // Get content clusters
-    router.get('/analysis/clusters', async (req, res) => {
+    // Get content clusters (cached; ?refresh=true recomputes now)
+    router.get('/analysis/clusters', requireRole('moderator', 'analyst'), async (req, res) => {
         try {
-            const clusters = await vectorService.getContentClusters();
+            if (!clusteringService) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Clustering not available'
+                });
+            }
+
+            const clusters = await clusteringService.getClusters(req.tenant.id, {
+                refresh: req.query.refresh === 'true'
+            });
 
             res.json({
                 success: true,
@@ -248,7 +440,7 @@ function createContentRoutes(contentProcessor, vectorService) {
     });
 
     // Bulk content operations
-    router.post('/bulk/submit', async (req, res) => {
+    router.post('/bulk/submit', requireRole('submitter', 'moderator'), async (req, res) => {
         try {
             const { contents } = req.body;
 
@@ -266,6 +458,36 @@ function createContentRoutes(contentProcessor, vectorService) {
                 });
             }
 
+            // Every submitter in the batch is checked before anything is enqueued
+            const perUser = new Map();
+            contents.forEach((content, index) => {
+                if (contentSchema.validate(content).error) return;
+                const userId = content.userId;
+                if (!perUser.has(userId)) perUser.set(userId, []);
+                perUser.get(userId).push(index);
+            });
+
+            const blocked = [];
+            for (const [userId, indexes] of perUser) {
+                const block = await contentProcessor.sanctions.check(userId, req.tenant.id, indexes.length);
+                if (block) {
+                    blocked.push({ userId: userId || null, indexes, ...block });
+                }
+            }
+
+            if (blocked.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'User is sanctioned',
+                    code: blocked[0].code,
+                    blocked
+                });
+            }
+
+            for (const userId of perUser.keys()) {
+                await contentProcessor.sanctions.consume(userId, req.tenant.id);
+            }
+
             const results = [];
             for (const content of contents) {
                 try {
@@ -275,7 +497,7 @@ function createContentRoutes(contentProcessor, vectorService) {
                         continue;
                     }
 
-                    const result = await contentProcessor.submitContent(content);
+                    const result = await contentProcessor.submitContent(content, req.tenant.id);
                     results.push({ success: true, ...result });
                 } catch (err) {
                     results.push({ error: err.message, content });
@@ -0,0 +1,155 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+
+function createDeadLetterRoutes(deadLetterService) {
+    const router = express.Router();
+
+    // Replaying and purging dead letters is an operator task
+    router.use(requireRole('admin'));
+
+    // List dead-lettered messages
+    router.get('/', async (req, res) => {
+        try {
+            const count = Math.min(parseInt(req.query.count) || 50, 500);
+            const { startId = '-' } = req.query;
+
+            const deadLetters = await deadLetterService.getDeadLetters(count, startId);
+
+            res.json({
+                success: true,
+                data: deadLetters
+            });
+
+        } catch (error) {
+            console.error('Dead letter list error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get dead letters'
+            });
+        }
+    });
+
+    // Get a single dead-lettered message
+    router.get('/:entryId', async (req, res) => {
+        try {
+            const entry = await deadLetterService.getDeadLetter(req.params.entryId);
+
+            if (!entry) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dead letter not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: entry
+            });
+
+        } catch (error) {
+            console.error('Dead letter get error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get dead letter'
+            });
+        }
+    });
+
+    // Replay up to `count` dead letters, oldest first
+    router.post('/replay', async (req, res) => {
+        try {
+            const count = Math.min(parseInt(req.body.count) || 100, 1000);
+            const results = await deadLetterService.replayAll(count);
+
+            res.json({
+                success: true,
+                data: results,
+                message: `Replayed ${results.length} messages`
+            });
+
+        } catch (error) {
+            console.error('Dead letter replay error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to replay dead letters'
+            });
+        }
+    });
+
+    // Replay a single dead letter onto the source stream
+    router.post('/:entryId/replay', async (req, res) => {
+        try {
+            const result = await deadLetterService.replay(req.params.entryId);
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dead letter not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result,
+                message: 'Message replayed'
+            });
+
+        } catch (error) {
+            console.error('Dead letter replay error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to replay dead letter'
+            });
+        }
+    });
+
+    // Purge every dead letter
+    router.delete('/', async (req, res) => {
+        try {
+            const purged = await deadLetterService.purgeAll();
+
+            res.json({
+                success: true,
+                data: { purged },
+                message: `Purged ${purged} messages`
+            });
+
+        } catch (error) {
+            console.error('Dead letter purge error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to purge dead letters'
+            });
+        }
+    });
+
+    // Purge a single dead letter
+    router.delete('/:entryId', async (req, res) => {
+        try {
+            const deleted = await deadLetterService.purge(req.params.entryId);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dead letter not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Dead letter purged'
+            });
+
+        } catch (error) {
+            console.error('Dead letter purge error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to purge dead letter'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createDeadLetterRoutes;
@@ -0,0 +1,78 @@
+const express = require('express');
+const Joi = require('joi');
+const FeedbackService = require('../services/FeedbackService');
+const { requireRole } = require('../middleware/auth');
+
+const exportSchema = Joi.object({
+    format: Joi.string().valid('json', 'jsonl').default('json'),
+    from: Joi.number().integer().min(0).default(0),
+    to: Joi.number().integer().min(0).optional(),
+    category: Joi.string().max(64).optional(),
+    label: Joi.string().valid(...FeedbackService.LABELS).optional(),
+    limit: Joi.number().integer().min(1).max(10000).default(1000)
+});
+
+function createFeedbackRoutes(feedbackService) {
+    const router = express.Router();
+
+    router.use(requireRole('moderator', 'analyst'));
+
+    // Confusion matrix of automated decisions against moderator feedback, overall and per category
+    router.get('/metrics', async (req, res) => {
+        try {
+            const matrix = await feedbackService.getConfusionMatrix(req.tenant.id);
+
+            res.json({
+                success: true,
+                data: matrix
+            });
+
+        } catch (error) {
+            console.error('Feedback metrics error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get feedback metrics'
+            });
+        }
+    });
+
+    // Labeled examples for retraining or threshold tuning; ?format=jsonl streams one example per line
+    router.get('/examples', async (req, res) => {
+        try {
+            const { error, value } = exportSchema.validate(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const { format, ...filters } = value;
+            const examples = await feedbackService.exportExamples(req.tenant.id, filters);
+
+            if (format === 'jsonl') {
+                res.attachment(`feedback-examples-${req.tenant.id}.jsonl`);
+                res.type('application/x-ndjson');
+                return res.send(examples.map(example => JSON.stringify(example)).join('\n') + (examples.length > 0 ? '\n' : ''));
+            }
+
+            res.json({
+                success: true,
+                data: examples,
+                count: examples.length
+            });
+
+        } catch (error) {
+            console.error('Feedback export error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export labeled examples'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createFeedbackRoutes;
@@ -0,0 +1,50 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// Compare digests so the check takes the same time whatever the token length
+function tokenMatches(candidate, token) {
+    const a = crypto.createHash('sha256').update(String(candidate)).digest();
+    const b = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers send it as a bearer token
+// (Prometheus `authorization` / `bearer_token` config) or as ?token=
+function createMetricsRoutes(metrics, { token = process.env.METRICS_TOKEN || null } = {}) {
+    const router = express.Router();
+
+    if (!token) {
+        console.warn('⚠️  METRICS_TOKEN is not set; /metrics is served without authentication');
+    }
+
+    router.get('/', async (req, res) => {
+        if (token) {
+            const header = req.headers.authorization || '';
+            const candidate = header.startsWith('Bearer ') ? header.substring(7) : req.query.token;
+
+            if (!candidate || !tokenMatches(candidate, token)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid metrics token'
+                });
+            }
+        }
+
+        try {
+            const body = await metrics.render();
+            res.setHeader('Content-Type', metrics.contentType);
+            res.send(body);
+
+        } catch (error) {
+            console.error('Metrics export error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to export metrics'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createMetricsRoutes;
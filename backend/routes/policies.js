@@ -0,0 +1,289 @@
+const express = require('express');
+const Joi = require('joi');
+const PolicyService = require('../services/PolicyService');
+const ReputationService = require('../services/ReputationService');
+const { requireRole } = require('../middleware/auth');
+
+// score field -> action -> threshold, e.g. { toxicityScore: { flag: 0.5, reject: 0.9 } }
+const scoreRulesSchema = Joi.object().pattern(
+    Joi.string(),
+    Joi.object().pattern(
+        Joi.string().valid(...PolicyService.ACTIONS),
+        Joi.number().min(0).max(1)
+    )
+);
+
+const policyRulesSchema = Joi.object({
+    default: scoreRulesSchema.optional(),
+    categories: Joi.object().pattern(Joi.string(), scoreRulesSchema).optional(),
+    sources: Joi.object().pattern(Joi.string(), scoreRulesSchema).optional(),
+    trust: Joi.object().pattern(Joi.string().valid(...ReputationService.TRUST_TIERS), scoreRulesSchema).optional()
+});
+
+const policySchema = Joi.object({
+    name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(64).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    defaultAction: Joi.string().valid(...PolicyService.ACTIONS).optional(),
+    rules: policyRulesSchema.required()
+});
+
+const policyUpdateSchema = policySchema.fork(['name'], (schema) => schema.forbidden());
+
+function createPolicyRoutes(policyService) {
+    const router = express.Router();
+
+    // List all policies
+    router.get('/', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const policies = await policyService.listPolicies(req.tenant.id);
+
+            res.json({
+                success: true,
+                data: policies
+            });
+
+        } catch (error) {
+            console.error('List policies error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list policies'
+            });
+        }
+    });
+
+    // Get the policy currently used for moderation decisions
+    router.get('/active', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const policy = await policyService.getActivePolicy(req.tenant.id);
+
+            res.json({
+                success: true,
+                data: policy
+            });
+
+        } catch (error) {
+            console.error('Get active policy error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get active policy'
+            });
+        }
+    });
+
+    // Get policy by name
+    router.get('/:name', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const policy = await policyService.getPolicy(req.params.name, null, req.tenant.id);
+
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Policy not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: policy
+            });
+
+        } catch (error) {
+            console.error('Get policy error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get policy'
+            });
+        }
+    });
+
+    // List versions of a policy
+    router.get('/:name/versions', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const versions = await policyService.getPolicyVersions(req.params.name, req.tenant.id);
+
+            if (!versions) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Policy not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: versions
+            });
+
+        } catch (error) {
+            console.error('Policy versions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get policy versions'
+            });
+        }
+    });
+
+    // Get a specific policy version
+    router.get('/:name/versions/:version', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const version = parseInt(req.params.version);
+            const policy = Number.isInteger(version) && version > 0
+                ? await policyService.getPolicy(req.params.name, version, req.tenant.id)
+                : null;
+
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Policy version not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: policy
+            });
+
+        } catch (error) {
+            console.error('Get policy version error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get policy version'
+            });
+        }
+    });
+
+    // Create a new policy
+    router.post('/', requireRole('admin'), async (req, res) => {
+        try {
+            const { error, value } = policySchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const policy = await policyService.createPolicy(value, req.auth.id, req.tenant.id);
+
+            res.status(201).json({
+                success: true,
+                data: policy,
+                message: 'Policy created successfully'
+            });
+
+        } catch (error) {
+            if (error.code === 'POLICY_EXISTS') {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            console.error('Create policy error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create policy'
+            });
+        }
+    });
+
+    // Update a policy, creating a new version
+    router.put('/:name', requireRole('admin'), async (req, res) => {
+        try {
+            const { error, value } = policyUpdateSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const policy = await policyService.updatePolicy(req.params.name, value, req.auth.id, req.tenant.id);
+
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Policy not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: policy,
+                message: `Policy updated to version ${policy.version}`
+            });
+
+        } catch (error) {
+            console.error('Update policy error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update policy'
+            });
+        }
+    });
+
+    // Make a policy the active one
+    router.post('/:name/activate', requireRole('admin'), async (req, res) => {
+        try {
+            const policy = await policyService.activatePolicy(req.params.name, req.tenant.id);
+
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Policy not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: policy,
+                message: 'Policy activated'
+            });
+
+        } catch (error) {
+            console.error('Activate policy error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to activate policy'
+            });
+        }
+    });
+
+    // Delete a policy and all of its versions
+    router.delete('/:name', requireRole('admin'), async (req, res) => {
+        try {
+            const deleted = await policyService.deletePolicy(req.params.name, req.tenant.id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Policy not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Policy deleted'
+            });
+
+        } catch (error) {
+            if (error.code === 'POLICY_ACTIVE') {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            console.error('Delete policy error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete policy'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPolicyRoutes;
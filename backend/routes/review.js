@@ -0,0 +1,213 @@
+const express = require('express');
+const Joi = require('joi');
+const ReviewService = require('../services/ReviewService');
+const { requireRole } = require('../middleware/auth');
+
+// moderatorId is only read when authentication is disabled; otherwise the caller is the moderator
+const moderatorSchema = Joi.object({
+    moderatorId: Joi.string().max(128).optional()
+});
+
+const decisionSchema = Joi.object({
+    moderatorId: Joi.string().max(128).optional(),
+    decision: Joi.string().valid(...ReviewService.DECISIONS).required(),
+    reason: Joi.string().min(1).max(1000).required()
+});
+
+function resolveModeratorId(req, value) {
+    return req.auth && !req.auth.anonymous ? req.auth.id : value.moderatorId;
+}
+
+// Map review service error codes to HTTP responses
+function sendReviewError(res, error, fallbackMessage) {
+    const statusCodes = {
+        NOT_IN_QUEUE: 404,
+        NOT_FOUND: 404,
+        ALREADY_CLAIMED: 409,
+        NOT_CLAIMED: 409
+    };
+
+    if (statusCodes[error.code]) {
+        return res.status(statusCodes[error.code]).json({
+            success: false,
+            error: error.message,
+            claim: error.claim || undefined
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage
+    });
+}
+
+function createReviewRoutes(reviewService) {
+    const router = express.Router();
+
+    router.use(requireRole('moderator'));
+
+    // Get the review queue, most severe and oldest first
+    router.get('/queue', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const queue = await reviewService.getQueue(limit, offset, req.tenant.id);
+
+            res.json({
+                success: true,
+                data: queue
+            });
+
+        } catch (error) {
+            sendReviewError(res, error, 'Failed to get review queue');
+        }
+    });
+
+    // Claim the next unclaimed item in the queue
+    router.post('/claim', async (req, res) => {
+        try {
+            const { error, value } = moderatorSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const moderatorId = resolveModeratorId(req, value);
+            if (!moderatorId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'moderatorId is required'
+                });
+            }
+
+            const result = await reviewService.claimNext(moderatorId, req.tenant.id);
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No unclaimed items in the review queue'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            sendReviewError(res, error, 'Failed to claim review item');
+        }
+    });
+
+    // Claim a specific item, or renew the lease on an item already held
+    router.post('/:contentId/claim', async (req, res) => {
+        try {
+            const { error, value } = moderatorSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const moderatorId = resolveModeratorId(req, value);
+            if (!moderatorId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'moderatorId is required'
+                });
+            }
+
+            const claim = await reviewService.claim(req.params.contentId, moderatorId, req.tenant.id);
+
+            res.json({
+                success: true,
+                data: claim
+            });
+
+        } catch (error) {
+            sendReviewError(res, error, 'Failed to claim review item');
+        }
+    });
+
+    // Release a claimed item back to the queue
+    router.post('/:contentId/release', async (req, res) => {
+        try {
+            const { error, value } = moderatorSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const moderatorId = resolveModeratorId(req, value);
+            if (!moderatorId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'moderatorId is required'
+                });
+            }
+
+            await reviewService.release(req.params.contentId, moderatorId, req.tenant.id);
+
+            res.json({
+                success: true,
+                message: 'Review item released'
+            });
+
+        } catch (error) {
+            sendReviewError(res, error, 'Failed to release review item');
+        }
+    });
+
+    // Approve, reject or escalate a claimed item
+    router.post('/:contentId/decision', async (req, res) => {
+        try {
+            const { error, value } = decisionSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const moderatorId = resolveModeratorId(req, value);
+            if (!moderatorId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'moderatorId is required'
+                });
+            }
+
+            const result = await reviewService.decide(
+                req.params.contentId,
+                moderatorId,
+                value.decision,
+                value.reason,
+                req.tenant.id
+            );
+
+            res.json({
+                success: true,
+                data: result,
+                message: 'Review decision recorded'
+            });
+
+        } catch (error) {
+            sendReviewError(res, error, 'Failed to record review decision');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createReviewRoutes;
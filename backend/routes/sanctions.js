@@ -0,0 +1,201 @@
+const express = require('express');
+const Joi = require('joi');
+const SanctionService = require('../services/SanctionService');
+const { requireRole } = require('../middleware/auth');
+
+// Bans are permanent; mutes and cooldowns need a duration, cooldowns also an interval between submissions
+const sanctionSchema = Joi.object({
+    userId: Joi.string().min(1).max(200).required(),
+    type: Joi.string().valid(...SanctionService.SANCTION_TYPES).required(),
+    reason: Joi.string().min(1).max(1000).required(),
+    durationSeconds: Joi.when('type', {
+        is: 'ban',
+        then: Joi.forbidden(),
+        otherwise: Joi.number().integer().min(1).max(365 * 24 * 60 * 60).required()
+    }),
+    intervalSeconds: Joi.when('type', {
+        is: 'cooldown',
+        then: Joi.number().integer().min(1).max(24 * 60 * 60).default(300),
+        otherwise: Joi.forbidden()
+    })
+});
+
+const appealSchema = Joi.object({
+    appealStatus: Joi.string().valid(...SanctionService.APPEAL_STATUSES).required()
+});
+
+function createSanctionRoutes(sanctionService) {
+    const router = express.Router();
+
+    // Active sanctions in the tenant, most severe first
+    router.get('/', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const sanctions = await sanctionService.listActive(req.tenant.id);
+
+            res.json({
+                success: true,
+                data: sanctions,
+                count: sanctions.length
+            });
+
+        } catch (error) {
+            console.error('List sanctions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list sanctions'
+            });
+        }
+    });
+
+    // A user's active sanctions
+    router.get('/users/:userId', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const sanctions = await sanctionService.getActiveSanctions(req.params.userId, req.tenant.id);
+
+            res.json({
+                success: true,
+                data: sanctions,
+                count: sanctions.length
+            });
+
+        } catch (error) {
+            console.error('Get user sanctions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get user sanctions'
+            });
+        }
+    });
+
+    // Issue a mute, ban or cooldown
+    router.post('/', requireRole('moderator'), async (req, res) => {
+        try {
+            const { error, value } = sanctionSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            if (!sanctionService.canSanction(value.userId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This user cannot be sanctioned'
+                });
+            }
+
+            const sanction = await sanctionService.issue({
+                ...value,
+                issuedBy: req.auth?.id || null
+            }, req.tenant.id);
+
+            res.status(201).json({
+                success: true,
+                data: sanction,
+                message: 'Sanction issued'
+            });
+
+        } catch (error) {
+            console.error('Issue sanction error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to issue sanction'
+            });
+        }
+    });
+
+    // Get one sanction, active, expired-but-retained or revoked
+    router.get('/:id', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const sanction = await sanctionService.getSanction(req.params.id, req.tenant.id);
+
+            if (!sanction) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Sanction not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: sanction
+            });
+
+        } catch (error) {
+            console.error('Get sanction error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get sanction'
+            });
+        }
+    });
+
+    // Lift a sanction early
+    router.delete('/:id', requireRole('moderator'), async (req, res) => {
+        try {
+            const sanction = await sanctionService.revoke(req.params.id, req.auth?.id || null, req.tenant.id);
+
+            if (!sanction) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Active sanction not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: sanction,
+                message: 'Sanction revoked'
+            });
+
+        } catch (error) {
+            console.error('Revoke sanction error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke sanction'
+            });
+        }
+    });
+
+    // Record the appeal outcome; overturning revokes the sanction
+    router.put('/:id/appeal', requireRole('moderator'), async (req, res) => {
+        try {
+            const { error, value } = appealSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const sanction = await sanctionService.setAppealStatus(req.params.id, value.appealStatus, req.auth?.id || null, req.tenant.id);
+
+            if (!sanction) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Sanction not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: sanction,
+                message: 'Appeal status updated'
+            });
+
+        } catch (error) {
+            console.error('Update sanction appeal error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update appeal status'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSanctionRoutes;
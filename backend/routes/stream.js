@@ -1,10 +1,29 @@
 const express = require('express');
+const { requireRole, requirePlatformAdmin } = require('../middleware/auth');
+const { DEFAULT_TENANT } = require('../services/tenancy');
 
-function createStreamRoutes(redisService) {
+const VALID_STREAMS = ['content:stream', 'feedback:stream', 'content:stream:dlq'];
+
+function formatEntry(entry) {
+    if (!entry) return null;
+
+    return {
+        id: entry.id,
+        timestamp: parseInt(entry.id.split('-')[0]),
+        data: entry.message
+    };
+}
+
+// Streams are shared by all tenants; entries carry the tenant they belong to
+function belongsToTenant(data, tenant) {
+    return ((data && data.tenant) || DEFAULT_TENANT) === tenant;
+}
+
+function createStreamRoutes(redisService, consumerRegistry) {
     const router = express.Router();
 
     // Server-Sent Events endpoint for real-time updates
-    router.get('/events', (req, res) => {
+    router.get('/events', requireRole('moderator', 'analyst'), (req, res) => {
         // Set headers for SSE
         res.writeHead(200, {
             'Content-Type': 'text/event-stream',
@@ -23,7 +42,10 @@ function createStreamRoutes(redisService) {
         const subscribeToChannels = async () => {
             try {
                 await subscriber.subscribe('content:processed', (message) => {
-                    res.write(`data: ${JSON.stringify({ type: 'content_processed', data: JSON.parse(message) })}\n\n`);
+                    const data = JSON.parse(message);
+                    if (!belongsToTenant(data, req.tenant.id)) return;
+
+                    res.write(`data: ${JSON.stringify({ type: 'content_processed', data })}\n\n`);
                 });
 
                 await subscriber.subscribe('analytics:update', (message) => {
@@ -56,18 +78,47 @@ function createStreamRoutes(redisService) {
         });
     });
 
+    // Get content processor consumers with heartbeat, pending count and idle time
+    router.get('/consumers', requireRole('analyst'), async (req, res) => {
+        try {
+            if (!consumerRegistry) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Consumer registry not available'
+                });
+            }
+
+            const consumers = await consumerRegistry.getConsumers();
+
+            res.json({
+                success: true,
+                data: {
+                    stream: consumerRegistry.streamKey,
+                    group: consumerRegistry.groupName,
+                    consumers
+                }
+            });
+
+        } catch (error) {
+            console.error('Stream consumers error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get stream consumers'
+            });
+        }
+    });
+
     // Get stream messages
-    router.get('/:streamKey/messages', async (req, res) => {
+    router.get('/:streamKey/messages', requireRole('analyst'), async (req, res) => {
         try {
             const { streamKey } = req.params;
             const { count = 10, startId = '0' } = req.query;
 
-            const validStreams = ['content:stream', 'feedback:stream'];
-            if (!validStreams.includes(streamKey)) {
+            if (!VALID_STREAMS.includes(streamKey)) {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid stream key',
-                    validStreams
+                    validStreams: VALID_STREAMS
                 });
             }
 
@@ -77,7 +128,7 @@ function createStreamRoutes(redisService) {
                 success: true,
                 data: {
                     stream: streamKey,
-                    messages: messages.map(msg => ({
+                    messages: messages.filter(msg => belongsToTenant(msg.message, req.tenant.id)).map(msg => ({
                         id: msg.id,
                         timestamp: msg.id.split('-')[0],
                         data: msg.message
@@ -94,19 +145,55 @@ function createStreamRoutes(redisService) {
         }
     });
 
-    // Get stream info
-    router.get('/:streamKey/info', async (req, res) => {
+    // Get stream info from XINFO STREAM / GROUPS / CONSUMERS
+    router.get('/:streamKey/info', requireRole('analyst'), async (req, res) => {
         try {
             const { streamKey } = req.params;
 
-            // Get stream length and other info
-            // Note: In a real implementation, you'd use XINFO STREAM command
+            if (!VALID_STREAMS.includes(streamKey)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid stream key',
+                    validStreams: VALID_STREAMS
+                });
+            }
+
+            const streamInfo = await redisService.getStreamInfo(streamKey);
+
+            if (!streamInfo) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Stream not found'
+                });
+            }
+
+            const groups = await redisService.getConsumerGroups(streamKey);
+            const consumerGroups = await Promise.all(groups.map(async (group) => {
+                const consumers = await redisService.getConsumers(streamKey, group.name);
+
+                return {
+                    name: group.name,
+                    consumers: consumers.map(consumer => ({
+                        name: consumer.name,
+                        pending: consumer.pending,
+                        idle: consumer.idle,
+                        inactive: consumer.inactive
+                    })),
+                    pending: group.pending,
+                    lastDeliveredId: group.lastDeliveredId,
+                    entriesRead: group.entriesRead ?? null,
+                    // Redis reports lag as null when it cannot be computed from entries-read
+                    lag: group.lag ?? null
+                };
+            }));
+
             const info = {
                 name: streamKey,
-                length: 1247, // Simulated
-                firstEntry: '1723389600000-0',
-                lastEntry: '1723389900000-0',
-                consumerGroups: streamKey === 'content:stream' ? 1 : 0
+                length: streamInfo.length,
+                lastGeneratedId: streamInfo.lastGeneratedId,
+                firstEntry: formatEntry(streamInfo.firstEntry),
+                lastEntry: formatEntry(streamInfo.lastEntry),
+                consumerGroups
             };
 
             res.json({
@@ -123,8 +210,67 @@ function createStreamRoutes(redisService) {
         }
     });
 
-    // Add message to stream (for testing)
-    router.post('/:streamKey/add', async (req, res) => {
+    // Get pending entries (XPENDING) for a consumer group, optionally filtered by consumer and idle time
+    router.get('/:streamKey/pending', requireRole('analyst'), async (req, res) => {
+        try {
+            const { streamKey } = req.params;
+            const { consumer, start = '-', end = '+' } = req.query;
+            const count = Math.min(parseInt(req.query.count) || 50, 1000);
+            const minIdleTime = parseInt(req.query.idle) || undefined;
+
+            if (!VALID_STREAMS.includes(streamKey)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid stream key',
+                    validStreams: VALID_STREAMS
+                });
+            }
+
+            const groups = await redisService.getConsumerGroups(streamKey);
+            const groupName = req.query.group || (groups[0] && groups[0].name);
+
+            if (!groupName || !groups.some(group => group.name === groupName)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Consumer group not found',
+                    groups: groups.map(group => group.name)
+                });
+            }
+
+            const [summary, entries] = await Promise.all([
+                redisService.getPendingSummary(streamKey, groupName),
+                redisService.getPendingEntries(streamKey, groupName, { start, end, count, consumer, minIdleTime })
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    stream: streamKey,
+                    group: groupName,
+                    pending: summary.pending,
+                    firstId: summary.firstId,
+                    lastId: summary.lastId,
+                    consumers: summary.consumers || [],
+                    entries: entries.map(entry => ({
+                        id: entry.id,
+                        consumer: entry.owner,
+                        idle: entry.millisecondsSinceLastDelivery,
+                        deliveries: entry.deliveriesCounter
+                    }))
+                }
+            });
+
+        } catch (error) {
+            console.error('Stream pending error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get pending entries'
+            });
+        }
+    });
+
+    // Add message to stream (for testing); entries can name any tenant, so platform admins only
+    router.post('/:streamKey/add', requirePlatformAdmin(), async (req, res) => {
         try {
             const { streamKey } = req.params;
             const { data } = req.body;
@@ -157,12 +303,25 @@ function createStreamRoutes(redisService) {
     });
 
     // Get recent activity feed
-    router.get('/activity/recent', async (req, res) => {
+    router.get('/activity/recent', requireRole('moderator', 'analyst'), async (req, res) => {
         try {
-            const { limit = 20 } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const recentContent = [];
 
-            // Get recent messages from content stream
-            const recentContent = await redisService.readFromStream('content:stream', parseInt(limit));
+            // Walk the content stream backwards, newest first, keeping the caller's tenant only
+            let endId = '+';
+            for (let scanned = 0; recentContent.length < limit && scanned < 1000; scanned += 100) {
+                const page = await redisService.readFromStreamReverse('content:stream', 100, endId);
+
+                for (const msg of page) {
+                    if (belongsToTenant(msg.message, req.tenant.id) && recentContent.length < limit) {
+                        recentContent.push(msg);
+                    }
+                }
+
+                if (page.length < 100) break;
+                endId = `(${page[page.length - 1].id}`;
+            }
 
             const activities = recentContent.map(msg => ({
                 id: msg.id,
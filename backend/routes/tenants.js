@@ -0,0 +1,148 @@
+const express = require('express');
+const Joi = require('joi');
+const { TENANT_ID_PATTERN } = require('../services/tenancy');
+const { requirePlatformAdmin } = require('../middleware/auth');
+
+const rateLimitSchema = Joi.object({
+    points: Joi.number().integer().min(1).max(100000).optional(),
+    duration: Joi.number().integer().min(1).max(86400).optional()
+});
+
+const tenantSchema = Joi.object({
+    id: Joi.string().pattern(TENANT_ID_PATTERN).required(),
+    name: Joi.string().min(1).max(100).required(),
+    rateLimit: rateLimitSchema.optional()
+});
+
+const tenantUpdateSchema = Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    rateLimit: rateLimitSchema.optional()
+});
+
+function createTenantRoutes(tenantService) {
+    const router = express.Router();
+
+    // Tenant management is an operator task, not one for a tenant's own admins
+    router.use(requirePlatformAdmin());
+
+    // List tenants
+    router.get('/', async (req, res) => {
+        try {
+            const tenants = await tenantService.listTenants();
+
+            res.json({
+                success: true,
+                data: tenants
+            });
+
+        } catch (error) {
+            console.error('List tenants error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list tenants'
+            });
+        }
+    });
+
+    // Get tenant by id
+    router.get('/:id', async (req, res) => {
+        try {
+            const tenant = await tenantService.getTenant(req.params.id);
+
+            if (!tenant) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Tenant not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: tenant
+            });
+
+        } catch (error) {
+            console.error('Get tenant error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get tenant'
+            });
+        }
+    });
+
+    // Create a tenant
+    router.post('/', async (req, res) => {
+        try {
+            const { error, value } = tenantSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const tenant = await tenantService.createTenant(value);
+
+            res.status(201).json({
+                success: true,
+                data: tenant,
+                message: 'Tenant created successfully'
+            });
+
+        } catch (error) {
+            if (error.code === 'TENANT_EXISTS') {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            console.error('Create tenant error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create tenant'
+            });
+        }
+    });
+
+    // Update a tenant's name or rate limit
+    router.put('/:id', async (req, res) => {
+        try {
+            const { error, value } = tenantUpdateSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const tenant = await tenantService.updateTenant(req.params.id, value);
+
+            if (!tenant) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Tenant not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: tenant,
+                message: 'Tenant updated'
+            });
+
+        } catch (error) {
+            console.error('Update tenant error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update tenant'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTenantRoutes;
@@ -0,0 +1,132 @@
+const express = require('express');
+const Joi = require('joi');
+const { requireRole } = require('../middleware/auth');
+
+const adjustmentSchema = Joi.object({
+    delta: Joi.number().min(-1).max(1).invalid(0).required(),
+    reason: Joi.string().min(1).max(1000).required()
+});
+
+function createUserRoutes(reputationService) {
+    const router = express.Router();
+
+    // Counters and current trust score
+    router.get('/:userId/reputation', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const reputation = await reputationService.getReputation(req.params.userId, req.tenant.id);
+
+            res.json({
+                success: true,
+                data: reputation
+            });
+
+        } catch (error) {
+            console.error('Get reputation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get user reputation'
+            });
+        }
+    });
+
+    // Scored moderation events, newest first
+    router.get('/:userId/history', requireRole('moderator', 'analyst'), async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const history = await reputationService.getHistory(req.params.userId, req.tenant.id, { limit, offset });
+
+            res.json({
+                success: true,
+                data: {
+                    userId: req.params.userId,
+                    ...history,
+                    limit,
+                    offset
+                }
+            });
+
+        } catch (error) {
+            console.error('Get user history error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get user history'
+            });
+        }
+    });
+
+    // Manual trust adjustment; decays like every other event
+    router.post('/:userId/reputation/adjust', requireRole('moderator'), async (req, res) => {
+        try {
+            const { error, value } = adjustmentSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            if (!reputationService.isTracked(req.params.userId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Reputation is not tracked for this user'
+                });
+            }
+
+            const event = await reputationService.adjust(req.params.userId, value.delta, value.reason, req.auth?.id || null, req.tenant.id);
+            if (!event) {
+                throw new Error('Adjustment was not recorded');
+            }
+
+            const reputation = await reputationService.getReputation(req.params.userId, req.tenant.id);
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    event,
+                    reputation
+                },
+                message: 'Reputation adjusted'
+            });
+
+        } catch (error) {
+            console.error('Adjust reputation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to adjust reputation'
+            });
+        }
+    });
+
+    // Forget a user's counters and history
+    router.delete('/:userId/reputation', requireRole('admin'), async (req, res) => {
+        try {
+            const deleted = await reputationService.reset(req.params.userId, req.tenant.id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No reputation recorded for this user'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Reputation reset'
+            });
+
+        } catch (error) {
+            console.error('Reset reputation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reset reputation'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createUserRoutes;
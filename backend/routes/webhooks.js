@@ -0,0 +1,264 @@
+const express = require('express');
+const Joi = require('joi');
+const WebhookService = require('../services/WebhookService');
+const { requireRole } = require('../middleware/auth');
+
+const webhookSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    events: Joi.array().items(Joi.string().valid(...WebhookService.EVENTS)).min(1).unique().required(),
+    categories: Joi.array().items(Joi.string().max(50)).unique().default([]),
+    secret: Joi.string().min(16).max(256).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    active: Joi.boolean().default(true)
+});
+
+const webhookUpdateSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    events: Joi.array().items(Joi.string().valid(...WebhookService.EVENTS)).min(1).unique().optional(),
+    categories: Joi.array().items(Joi.string().max(50)).unique().optional(),
+    secret: Joi.string().min(16).max(256).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    active: Joi.boolean().optional()
+}).min(1);
+
+function createWebhookRoutes(webhookService) {
+    const router = express.Router();
+
+    // Subscriptions carry signing secrets, so they are managed by admins only
+    router.use(requireRole('admin'));
+
+    function notFound(res) {
+        return res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+    }
+
+    // List subscriptions
+    router.get('/', async (req, res) => {
+        try {
+            const subscriptions = await webhookService.listSubscriptions(req.tenant.id);
+
+            res.json({
+                success: true,
+                data: subscriptions.map(subscription => webhookService.publicView(subscription)),
+                events: WebhookService.EVENTS
+            });
+
+        } catch (error) {
+            console.error('List webhooks error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list webhooks'
+            });
+        }
+    });
+
+    // Create a subscription; the secret is only returned here
+    router.post('/', async (req, res) => {
+        try {
+            const { error, value } = webhookSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const subscription = await webhookService.createSubscription(value, req.tenant.id);
+
+            res.status(201).json({
+                success: true,
+                data: subscription,
+                message: 'Webhook created successfully'
+            });
+
+        } catch (error) {
+            console.error('Create webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create webhook'
+            });
+        }
+    });
+
+    // Get a subscription
+    router.get('/:id', async (req, res) => {
+        try {
+            const subscription = await webhookService.getSubscription(req.params.id, req.tenant.id);
+            if (!subscription) return notFound(res);
+
+            res.json({
+                success: true,
+                data: webhookService.publicView(subscription)
+            });
+
+        } catch (error) {
+            console.error('Get webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook'
+            });
+        }
+    });
+
+    // Update a subscription's target, filters, secret or active flag
+    router.patch('/:id', async (req, res) => {
+        try {
+            const { error, value } = webhookUpdateSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details
+                });
+            }
+
+            const subscription = await webhookService.updateSubscription(req.params.id, value, req.tenant.id);
+            if (!subscription) return notFound(res);
+
+            res.json({
+                success: true,
+                data: webhookService.publicView(subscription),
+                message: 'Webhook updated'
+            });
+
+        } catch (error) {
+            console.error('Update webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update webhook'
+            });
+        }
+    });
+
+    // Delete a subscription and its delivery log
+    router.delete('/:id', async (req, res) => {
+        try {
+            const deleted = await webhookService.deleteSubscription(req.params.id, req.tenant.id);
+            if (!deleted) return notFound(res);
+
+            res.json({
+                success: true,
+                message: 'Webhook deleted'
+            });
+
+        } catch (error) {
+            console.error('Delete webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete webhook'
+            });
+        }
+    });
+
+    // Send a signed test event now and return the recorded attempt
+    router.post('/:id/test', async (req, res) => {
+        try {
+            const delivery = await webhookService.testFire(req.params.id, req.tenant.id);
+            if (!delivery) return notFound(res);
+
+            res.json({
+                success: delivery.status === 'succeeded',
+                data: delivery
+            });
+
+        } catch (error) {
+            console.error('Test webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send test webhook'
+            });
+        }
+    });
+
+    // Delivery log, newest first
+    router.get('/:id/deliveries', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const subscription = await webhookService.getSubscription(req.params.id, req.tenant.id);
+            if (!subscription) return notFound(res);
+
+            const result = await webhookService.getDeliveries(req.params.id, req.tenant.id, { limit, offset });
+
+            res.json({
+                success: true,
+                data: {
+                    ...result,
+                    limit,
+                    offset
+                }
+            });
+
+        } catch (error) {
+            console.error('Webhook deliveries error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook deliveries'
+            });
+        }
+    });
+
+    // A single delivery with every attempt
+    router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+        try {
+            const delivery = await webhookService.getDelivery(req.params.deliveryId, req.tenant.id);
+
+            if (!delivery || delivery.webhookId !== req.params.id) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: delivery
+            });
+
+        } catch (error) {
+            console.error('Webhook delivery error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook delivery'
+            });
+        }
+    });
+
+    // Queue a delivery again as a new delivery with the same payload
+    router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+        try {
+            const original = await webhookService.getDelivery(req.params.deliveryId, req.tenant.id);
+
+            if (!original || original.webhookId !== req.params.id) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            const delivery = await webhookService.replay(req.params.deliveryId, req.tenant.id);
+            if (!delivery) return notFound(res);
+
+            res.status(202).json({
+                success: true,
+                data: delivery,
+                message: 'Delivery queued for replay'
+            });
+
+        } catch (error) {
+            console.error('Replay webhook delivery error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to replay webhook delivery'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createWebhookRoutes;
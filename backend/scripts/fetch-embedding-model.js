@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Downloads the files the local embedding provider needs into EMBEDDING_MODEL_PATH, in the layout
+// transformers.js reads local models from (<path>/<model>/...). The Docker image runs this at build
+// time so the server never reaches the Hugging Face hub at runtime.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MODEL, DEFAULT_MODEL_PATH, MODEL_FILES } = require('../services/embeddings/local');
+
+const model = process.env.EMBEDDING_MODEL || DEFAULT_MODEL;
+const modelPath = process.env.EMBEDDING_MODEL_PATH || DEFAULT_MODEL_PATH;
+const hubUrl = process.env.EMBEDDING_HUB_URL || 'https://huggingface.co';
+
+async function download(file) {
+    const target = path.join(modelPath, model, file);
+    if (fs.existsSync(target)) {
+        console.log(`✓ ${file} (already present)`);
+        return;
+    }
+
+    const response = await fetch(`${hubUrl}/${model}/resolve/main/${file}`);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${file}: HTTP ${response.status}`);
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(`${target}.partial`, Buffer.from(await response.arrayBuffer()));
+    fs.renameSync(`${target}.partial`, target);
+    console.log(`✓ ${file}`);
+}
+
+async function main() {
+    console.log(`Fetching ${model} into ${modelPath}`);
+    for (const file of MODEL_FILES) {
+        await download(file);
+    }
+    console.log('✅ Embedding model ready');
+}
+
+main().catch(error => {
+    console.error('❌ Embedding model download failed:', error.message);
+    process.exit(1);
+});
@@ -8,13 +8,31 @@ const path = require('path');
 require('dotenv').config();
 
 // Import services (with fallbacks for missing Redis)
-let RedisService, ContentProcessor, AnalyticsService, VectorService;
+let RedisService, MemoryRedisService, ContentProcessor, AnalyticsService, VectorService, PolicyService, ReviewService, ClusteringService, WebhookService, ReputationService, AppealService, FeedbackService, CalibrationService;
+const AuthService = require('./services/AuthService');
+const TenantService = require('./services/TenantService');
+const ProcessMetrics = require('./services/ProcessMetrics');
+const PrometheusMetrics = require('./services/PrometheusMetrics');
+const { DEFAULT_TENANT } = require('./services/tenancy');
+const { createAuthMiddleware, createSocketAuthMiddleware, hasRole } = require('./middleware/auth');
+const { createTenantMiddleware } = require('./middleware/tenant');
+const { createHttpMetricsMiddleware } = require('./middleware/httpMetrics');
+const { createNotFoundHandler } = require('./middleware/notFound');
 
 try {
     RedisService = require('./services/RedisService');
+    MemoryRedisService = require('./services/MemoryRedisService');
     ContentProcessor = require('./services/ContentProcessor');
     AnalyticsService = require('./services/AnalyticsService');
     VectorService = require('./services/VectorService');
+    PolicyService = require('./services/PolicyService');
+    ReviewService = require('./services/ReviewService');
+    ClusteringService = require('./services/ClusteringService');
+    WebhookService = require('./services/WebhookService');
+    ReputationService = require('./services/ReputationService');
+    AppealService = require('./services/AppealService');
+    FeedbackService = require('./services/FeedbackService');
+    CalibrationService = require('./services/CalibrationService');
 } catch (error) {
     console.log('Redis services not available, running in demo mode');
 }
@@ -23,6 +41,18 @@ try {
 const contentRoutes = require('./routes/content');
 const analyticsRoutes = require('./routes/analytics');
 const streamRoutes = require('./routes/stream');
+const policyRoutes = require('./routes/policies');
+const reviewRoutes = require('./routes/review');
+const deadLetterRoutes = require('./routes/deadletters');
+const authRoutes = require('./routes/auth');
+const tenantRoutes = require('./routes/tenants');
+const metricsRoutes = require('./routes/metrics');
+const webhookRoutes = require('./routes/webhooks');
+const userRoutes = require('./routes/users');
+const sanctionRoutes = require('./routes/sanctions');
+const appealRoutes = require('./routes/appeals');
+const feedbackRoutes = require('./routes/feedback');
+const calibrationRoutes = require('./routes/calibration');
 
 class StreamlinAIServer {
     constructor() {
@@ -44,109 +74,91 @@ class StreamlinAIServer {
         this.contentProcessor = null;
         this.analyticsService = null;
         this.vectorService = null;
+        this.policyService = null;
+        this.reviewService = null;
+        this.authService = null;
+        this.tenantService = null;
+        this.clusteringService = null;
+        this.processMetrics = new ProcessMetrics();
+        this.metrics = new PrometheusMetrics({ io: this.io });
         this.demoMode = !process.env.REDIS_URL;
     }
 
     async init() {
         try {
-            if (!this.demoMode && RedisService) {
-                // Initialize Redis connection
-                this.redisService = new RedisService();
-                await this.redisService.connect();
-
-                // Initialize services
-                this.contentProcessor = new ContentProcessor(this.redisService, this.io);
-                this.analyticsService = new AnalyticsService(this.redisService);
-                this.vectorService = new VectorService(this.redisService);
-
-                // Start background services
-                await this.startBackgroundServices();
-            } else {
-                console.log('🚀 Running in demo mode without Redis');
-                this.initDemoMode();
-            }
+            await this.initServices();
+        } catch (error) {
+            console.error('❌ Failed to initialize services:', error);
+            console.log('🚀 Falling back to demo mode');
+            this.demoMode = true;
+            await this.initServices();
+        }
 
-            // Setup middleware
-            this.setupMiddleware();
+        // API keys are stored through the same Redis interface in both modes
+        this.authService = new AuthService(this.redisService);
 
-            // Setup routes
-            this.setupRoutes();
+        // Setup middleware
+        this.setupMiddleware();
 
-            // Setup WebSocket handlers
-            this.setupWebSocket();
+        // Setup routes
+        this.setupRoutes();
 
-            console.log('✅ StreamlinAI Server initialized successfully');
-        } catch (error) {
-            console.error('❌ Failed to initialize server:', error);
-            console.log('🚀 Falling back to demo mode');
-            this.demoMode = true;
-            this.initDemoMode();
+        // Setup WebSocket handlers
+        this.setupWebSocket();
 
-            this.setupMiddleware();
-            this.setupRoutes();
-            this.setupWebSocket();
-        }
+        console.log('✅ StreamlinAI Server initialized successfully');
     }
 
-    initDemoMode() {
-        // Initialize demo services with mock data
-        this.contentProcessor = {
-            submitContent: async (data) => ({ 
-                contentId: 'demo-' + Date.now(), 
-                streamId: 'demo-stream-id' 
-            }),
-            getContentById: async (id) => ({
-                id,
-                text: 'This is demo content',
-                status: 'approved',
-                analysis: { sentiment: 'positive', toxicity: 0.1 }
-            }),
-            getProcessingStats: async () => ({
-                totalProcessed: 1247,
-                totalFlagged: 89,
-                uniqueVisitors: 2341
-            }),
-            submitFeedback: async (id, feedback) => ({ id: Date.now(), feedback })
-        };
-
-        this.analyticsService = {
-            getDashboardData: async () => ({
-                realtime: {
-                    totalProcessed: 1247,
-                    totalFlagged: 89,
-                    totalApproved: 1058,
-                    avgProcessingTime: 45,
-                    currentAccuracy: 94.2,
-                    uniqueVisitors: 2341
-                },
-                content: {
-                    sentimentDistribution: { positive: 65.2, neutral: 22.8, negative: 12.0 }
-                },
-                system: {
-                    cpu: { current: 23.5, average: 28.7 },
-                    memory: { current: 67.8, average: 72.1 }
-                },
-                trends: { processed: [], flagged: [] }
-            }),
-            getRealtimeMetrics: async () => ({
-                totalProcessed: 1247,
-                totalFlagged: 89,
-                avgProcessingTime: 45
-            })
-        };
-
-        this.vectorService = {
-            semanticSearch: async (query) => ({
-                query,
-                total: 5,
-                results: [
-                    { id: 'demo1', text: 'Demo result 1', score: 0.9 },
-                    { id: 'demo2', text: 'Demo result 2', score: 0.8 }
-                ]
-            }),
-            findSimilarContent: async () => [],
-            getVectorStats: async () => ({ totalVectors: 1247 })
-        };
+    async initServices() {
+        // Demo mode runs the same services against an in-memory stand-in; nothing survives a restart
+        if (this.demoMode) {
+            console.log('🚀 Running in demo mode with in-memory storage');
+            this.redisService = new MemoryRedisService();
+        } else {
+            this.redisService = new RedisService();
+        }
+        await this.redisService.connect();
+        this.metrics.setRedisService(this.redisService);
+
+        // Initialize services
+        this.tenantService = new TenantService(this.redisService);
+        this.policyService = new PolicyService(this.redisService);
+        this.webhookService = new WebhookService(this.redisService);
+        this.reputationService = new ReputationService(this.redisService);
+        this.reviewService = new ReviewService(this.redisService, this.io, {
+            webhookService: this.webhookService,
+            reputationService: this.reputationService
+        });
+        this.appealService = new AppealService(this.redisService, this.io, {
+            reviewService: this.reviewService,
+            reputationService: this.reputationService
+        });
+        // One VectorService so the embedding model is loaded once
+        this.vectorService = new VectorService(this.redisService);
+        this.analyticsService = new AnalyticsService(this.redisService, {
+            processMetrics: this.processMetrics,
+            io: this.io
+        });
+        this.contentProcessor = new ContentProcessor(this.redisService, this.io, {
+            policyService: this.policyService,
+            reviewService: this.reviewService,
+            vectorService: this.vectorService,
+            analyticsService: this.analyticsService,
+            webhookService: this.webhookService,
+            reputationService: this.reputationService,
+            metrics: this.metrics
+        });
+        this.feedbackService = new FeedbackService(this.redisService);
+        this.calibrationService = new CalibrationService(this.redisService, {
+            feedbackService: this.feedbackService,
+            policyService: this.policyService
+        });
+        this.clusteringService = new ClusteringService(this.redisService, {
+            tenantService: this.tenantService
+        });
+
+        // Start background services
+        await this.startBackgroundServices();
     }
 
     setupMiddleware() {
@@ -156,6 +168,9 @@ class StreamlinAIServer {
         }));
         this.app.use(compression());
 
+        // Request rate and latency for the system metrics
+        this.app.use(createHttpMetricsMiddleware(this.processMetrics, this.metrics));
+
         // CORS configuration
         this.app.use(cors());
 
@@ -184,14 +199,32 @@ class StreamlinAIServer {
                 status: 'OK', 
                 timestamp: new Date().toISOString(),
                 mode: this.demoMode ? 'demo' : 'production',
-                redis: this.redisService ? this.redisService.isConnected() : false
+                redis: !this.demoMode && this.redisService.isConnected()
             });
         });
 
+        // Prometheus scrape endpoint, protected by METRICS_TOKEN rather than API identities
+        this.app.use('/metrics', metricsRoutes(this.metrics));
+
+        // Every API route requires an identity; routers enforce roles per endpoint
+        this.app.use('/api', createAuthMiddleware(this.authService));
+        this.app.use('/api', createTenantMiddleware(this.tenantService));
+        this.app.use('/api/auth', authRoutes(this.authService, this.tenantService));
+
         // API routes
-        this.app.use('/api/content', contentRoutes(this.contentProcessor, this.vectorService));
+        this.app.use('/api/content', contentRoutes(this.contentProcessor, this.vectorService, this.clusteringService));
         this.app.use('/api/analytics', analyticsRoutes(this.analyticsService));
-        this.app.use('/api/stream', streamRoutes(this.redisService));
+        this.app.use('/api/stream', streamRoutes(this.redisService, this.contentProcessor.consumers));
+        this.app.use('/api/policies', policyRoutes(this.policyService));
+        this.app.use('/api/review', reviewRoutes(this.reviewService));
+        this.app.use('/api/dlq', deadLetterRoutes(this.contentProcessor.deadLetters));
+        this.app.use('/api/tenants', tenantRoutes(this.tenantService));
+        this.app.use('/api/webhooks', webhookRoutes(this.webhookService));
+        this.app.use('/api/users', userRoutes(this.reputationService));
+        this.app.use('/api/sanctions', sanctionRoutes(this.contentProcessor.sanctions));
+        this.app.use('/api/appeals', appealRoutes(this.appealService));
+        this.app.use('/api/feedback', feedbackRoutes(this.feedbackService));
+        this.app.use('/api/calibration', calibrationRoutes(this.calibrationService));
 
         // Serve frontend in production
         if (process.env.NODE_ENV === 'production') {
@@ -201,42 +234,96 @@ class StreamlinAIServer {
         }
 
         // 404 handler for API routes
-        this.app.use('/api/*', (req, res) => {
-            res.status(404).json({
-                success: false,
-                error: 'API endpoint not found'
-            });
-        });
+        this.app.use('/api/*', createNotFoundHandler());
     }
 
     setupWebSocket() {
+        // Same identity checks as the HTTP API, applied on the handshake
+        this.io.use(createSocketAuthMiddleware(this.authService));
+
         this.io.on('connection', (socket) => {
-            console.log(`Client connected: ${socket.id}`);
+            const identity = socket.data.auth;
+            const tenant = identity.tenant || DEFAULT_TENANT;
+
+            // Processing events are only delivered within the caller's tenant
+            socket.join(`tenant:${tenant}`);
 
-            // Send demo data in demo mode
+            console.log(`Client connected: ${socket.id} (${identity.name}, ${identity.role}, ${tenant})`);
+
+            // Clients can warn that data is not persisted
             if (this.demoMode) {
-                socket.emit('demo_mode', { message: 'Running in demo mode' });
-
-                // Send periodic demo updates
-                const demoInterval = setInterval(() => {
-                    socket.emit('content_processed', {
-                        contentId: 'demo-' + Date.now(),
-                        status: Math.random() > 0.1 ? 'approved' : 'flagged',
-                        processingTime: 30 + Math.random() * 30
-                    });
-                }, 5000);
-
-                socket.on('disconnect', () => {
-                    clearInterval(demoInterval);
-                });
+                socket.emit('demo_mode', { message: 'Running in demo mode with in-memory storage' });
             }
 
             socket.on('subscribe_analytics', () => {
+                if (!hasRole(identity, ['analyst', 'moderator'])) return;
                 socket.join('analytics');
             });
 
             socket.on('subscribe_content_stream', () => {
-                socket.join('content_stream');
+                socket.join(`content_stream:${tenant}`);
+            });
+
+            // Review queue: claim/release events are broadcast to the tenant's review room
+            // so moderators never pick up an item someone else holds
+            socket.on('subscribe_review', () => {
+                if (!hasRole(identity, ['moderator'])) return;
+                socket.join(`review:${tenant}`);
+            });
+
+            // Appeal queue events for moderators; authors follow the appeal on one piece of content
+            socket.on('subscribe_appeals', () => {
+                if (!hasRole(identity, ['moderator'])) return;
+                socket.join(`appeals:${tenant}`);
+            });
+
+            // Same check as GET /api/appeals/:contentId: moderators, or the identity tied to the appeal
+            socket.on('subscribe_appeal', async ({ contentId } = {}, ack = () => {}) => {
+                if (!this.appealService) return ack({ success: false, error: 'Appeals unavailable' });
+                if (!contentId) return ack({ success: false, error: 'contentId is required' });
+
+                try {
+                    const appeal = await this.appealService.getAppeal(contentId, tenant);
+                    if (!this.appealService.canView(appeal, identity)) {
+                        return ack({ success: false, error: 'Insufficient permissions' });
+                    }
+
+                    socket.join(`appeal:${tenant}:${contentId}`);
+                    ack({ success: true });
+                } catch (error) {
+                    ack({ success: false, error: error.message });
+                }
+            });
+
+            // The authenticated identity is the moderator unless authentication is disabled
+            const moderatorFor = (moderatorId) => identity.anonymous ? moderatorId : identity.id;
+
+            socket.on('review_claim', async ({ contentId, moderatorId } = {}, ack = () => {}) => {
+                if (!this.reviewService) return ack({ success: false, error: 'Review queue unavailable' });
+                if (!hasRole(identity, ['moderator'])) return ack({ success: false, error: 'Insufficient permissions' });
+                moderatorId = moderatorFor(moderatorId);
+
+                try {
+                    const claim = contentId
+                        ? await this.reviewService.claim(contentId, moderatorId, tenant)
+                        : await this.reviewService.claimNext(moderatorId, tenant);
+                    ack({ success: Boolean(claim), data: claim });
+                } catch (error) {
+                    ack({ success: false, error: error.message, claim: error.claim });
+                }
+            });
+
+            socket.on('review_release', async ({ contentId, moderatorId } = {}, ack = () => {}) => {
+                if (!this.reviewService) return ack({ success: false, error: 'Review queue unavailable' });
+                if (!hasRole(identity, ['moderator'])) return ack({ success: false, error: 'Insufficient permissions' });
+                moderatorId = moderatorFor(moderatorId);
+
+                try {
+                    await this.reviewService.release(contentId, moderatorId, tenant);
+                    ack({ success: true });
+                } catch (error) {
+                    ack({ success: false, error: error.message });
+                }
             });
 
             socket.on('disconnect', () => {
@@ -246,11 +333,15 @@ class StreamlinAIServer {
     }
 
     async startBackgroundServices() {
-        if (this.demoMode) return;
-
         try {
-            await this.contentProcessor.startStreamConsumer();
+            // Set STREAM_CONSUMER_ENABLED=false when dedicated workers (worker.js) do the processing
+            if (process.env.STREAM_CONSUMER_ENABLED !== 'false') {
+                await this.contentProcessor.startStreamConsumer();
+            }
             await this.analyticsService.startMetricsCollection();
+            this.clusteringService.start();
+            this.webhookService.start();
+            await this.feedbackService.start();
             await this.setupPubSubListeners();
             console.log('✅ Background services started');
         } catch (error) {
@@ -259,13 +350,11 @@ class StreamlinAIServer {
     }
 
     async setupPubSubListeners() {
-        if (this.demoMode || !this.redisService) return;
-
         const subscriber = this.redisService.createSubscriber();
 
         await subscriber.subscribe('content:processed', (message) => {
             const data = JSON.parse(message);
-            this.io.to('content_stream').emit('content_processed', data);
+            this.io.to(`content_stream:${data.tenant || DEFAULT_TENANT}`).emit('content_processed', data);
         });
 
         await subscriber.subscribe('analytics:update', (message) => {
@@ -280,7 +369,7 @@ class StreamlinAIServer {
         this.server.listen(this.port, () => {
             console.log(`🚀 StreamlinAI Server running on port ${this.port}`);
             console.log(`📊 Mode: ${this.demoMode ? 'Demo' : 'Production'}`);
-            if (this.redisService) {
+            if (!this.demoMode) {
                 console.log(`🔗 Redis: ${this.redisService.isConnected() ? 'Connected' : 'Disconnected'}`);
             }
         });
@@ -288,6 +377,21 @@ class StreamlinAIServer {
 
     async shutdown() {
         console.log('Shutting down server...');
+        if (this.contentProcessor) {
+            await this.contentProcessor.shutdown();
+        }
+        if (this.clusteringService) {
+            this.clusteringService.stop();
+        }
+        if (this.webhookService) {
+            this.webhookService.stop();
+        }
+        if (this.feedbackService) {
+            await this.feedbackService.stop();
+        }
+        if (this.analyticsService && this.analyticsService.stopMetricsCollection) {
+            this.analyticsService.stopMetricsCollection();
+        }
         if (this.redisService) {
             await this.redisService.disconnect();
         }
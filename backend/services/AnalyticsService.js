@@ -1,6 +1,54 @@
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+// Upper bounds (exclusive) of the toxicity buckets
+const TOXICITY_BUCKETS = [
+    { name: 'low', max: 0.3 },
+    { name: 'medium', max: 0.7 },
+    { name: 'high', max: Infinity }
+];
+
+// Distribution series outlive the 24h content metrics so the 7d range is complete
+const DISTRIBUTION_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+const TIME_RANGES = {
+    '5m': { duration: 5 * 60 * 1000, timeBucket: 30 * 1000 }, // 30 second buckets
+    '1h': { duration: 60 * 60 * 1000, timeBucket: 5 * 60 * 1000 }, // 5 minute buckets
+    '24h': { duration: 24 * 60 * 60 * 1000, timeBucket: 60 * 60 * 1000 }, // 1 hour buckets
+    '7d': { duration: 7 * 24 * 60 * 60 * 1000, timeBucket: 6 * 60 * 60 * 1000 } // 6 hour buckets
+};
+
+// Label values end up in TS.MRANGE filters, so keep them to a safe alphabet
+function labelValue(value) {
+    return String(value || 'unknown').toLowerCase().replace(/[^a-z0-9_-]/g, '_').substring(0, 50);
+}
+
+function percentage(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+// System series written on every collection, keyed by metrics:system:<name>
+const SYSTEM_SERIES = {
+    cpu: 'cpuUsage',
+    memory: 'memoryUsage',
+    rss: 'rssMb',
+    heap_used: 'heapUsedMb',
+    event_loop_lag: 'eventLoopLag',
+    gc_pause: 'gcPause',
+    connections: 'activeConnections',
+    throughput: 'throughput',
+    response_time: 'responseTime',
+    error_rate: 'errorRate',
+    redis_memory: 'redisMemoryMb',
+    redis_ops: 'redisOpsPerSec',
+    redis_clients: 'redisClients'
+};
+
 class AnalyticsService {
-    constructor(redisService) {
+    constructor(redisService, options = {}) {
         this.redis = redisService;
+        this.processMetrics = options.processMetrics || null;
+        this.io = options.io || null;
+        this.collectionInterval = options.collectionInterval || parseInt(process.env.SYSTEM_METRICS_INTERVAL_MS) || 30000;
         this.metricsInterval = null;
         this.isCollecting = false;
     }
@@ -9,38 +57,51 @@ class AnalyticsService {
         if (this.isCollecting) return;
 
         this.isCollecting = true;
+        if (this.processMetrics) this.processMetrics.start();
         console.log('✅ Analytics metrics collection started');
 
-        // Collect metrics every 30 seconds
         this.metricsInterval = setInterval(async () => {
             await this.collectSystemMetrics();
-        }, 30000);
+        }, this.collectionInterval);
 
         // Initial collection
         await this.collectSystemMetrics();
     }
 
+    // Process metrics cover the window since the previous collection
+    async sampleSystemMetrics() {
+        const processSample = this.processMetrics ? this.processMetrics.snapshot() : {};
+        const redisInfo = this.redis.getServerInfo ? await this.redis.getServerInfo() : null;
+
+        const metrics = {
+            ...processSample,
+            activeConnections: this.io ? this.io.engine.clientsCount : 0,
+            throughput: processSample.requestRate || 0
+        };
+
+        if (redisInfo) {
+            metrics.redisMemoryMb = (redisInfo.used_memory || 0) / (1024 * 1024);
+            metrics.redisOpsPerSec = redisInfo.instantaneous_ops_per_sec || 0;
+            metrics.redisClients = redisInfo.connected_clients || 0;
+        }
+
+        return metrics;
+    }
+
     async collectSystemMetrics() {
         try {
             const timestamp = Date.now();
-
-            // Simulate system metrics collection
-            const metrics = {
-                cpuUsage: Math.random() * 100,
-                memoryUsage: 60 + Math.random() * 30,
-                activeConnections: Math.floor(50 + Math.random() * 200),
-                responseTime: 20 + Math.random() * 80,
-                throughput: Math.floor(100 + Math.random() * 400)
-            };
+            const metrics = await this.sampleSystemMetrics();
 
             // Store in time series
-            await Promise.all([
-                this.redis.addTimeSeriesPoint('metrics:system:cpu', timestamp, metrics.cpuUsage),
-                this.redis.addTimeSeriesPoint('metrics:system:memory', timestamp, metrics.memoryUsage),
-                this.redis.addTimeSeriesPoint('metrics:system:connections', timestamp, metrics.activeConnections),
-                this.redis.addTimeSeriesPoint('metrics:system:response_time', timestamp, metrics.responseTime),
-                this.redis.addTimeSeriesPoint('metrics:system:throughput', timestamp, metrics.throughput)
-            ]);
+            await Promise.all(
+                Object.entries(SYSTEM_SERIES)
+                    .filter(([, field]) => typeof metrics[field] === 'number' && Number.isFinite(metrics[field]))
+                    .map(([name, field]) => this.redis.addTimeSeriesPoint(`metrics:system:${name}`, timestamp, metrics[field], {
+                        RETENTION: 86400000,
+                        LABELS: { type: 'system', metric: name }
+                    }))
+            );
 
             // Publish metrics update
             await this.redis.publish('analytics:update', {
@@ -54,7 +115,13 @@ class AnalyticsService {
         }
     }
 
-    async getRealtimeMetrics() {
+    // Content metrics are kept per tenant; system metrics are shared
+    metricKey(metric, tenant = DEFAULT_TENANT) {
+        const key = `metrics:${metric}`;
+        return metric.startsWith('system:') ? key : tenantKey(tenant, key);
+    }
+
+    async getRealtimeMetrics(tenant = DEFAULT_TENANT) {
         try {
             const now = Date.now();
             const oneHourAgo = now - (60 * 60 * 1000);
@@ -67,22 +134,24 @@ class AnalyticsService {
                 processingTimeData,
                 accuracyData
             ] = await Promise.all([
-                this.redis.getTimeSeriesRange('metrics:content:processed', oneHourAgo, now),
-                this.redis.getTimeSeriesRange('metrics:content:flagged', oneHourAgo, now),
-                this.redis.getTimeSeriesRange('metrics:content:approved', oneHourAgo, now),
-                this.redis.getTimeSeriesRange('metrics:processing:time', oneHourAgo, now),
-                this.redis.getTimeSeriesRange('metrics:accuracy:rate', oneHourAgo, now)
+                this.redis.getTimeSeriesRange(this.metricKey('content:processed', tenant), oneHourAgo, now),
+                this.redis.getTimeSeriesRange(this.metricKey('content:flagged', tenant), oneHourAgo, now),
+                this.redis.getTimeSeriesRange(this.metricKey('content:approved', tenant), oneHourAgo, now),
+                this.redis.getTimeSeriesRange(this.metricKey('processing:time', tenant), oneHourAgo, now),
+                this.redis.getTimeSeriesRange(this.metricKey('accuracy:rate', tenant), oneHourAgo, now)
             ]);
 
             // Calculate aggregated metrics
             const totalProcessed = this.sumTimeSeries(processedData);
             const totalFlagged = this.sumTimeSeries(flaggedData);
             const totalApproved = this.sumTimeSeries(approvedData);
-            const avgProcessingTime = this.averageTimeSeries(processingTimeData);
-            const currentAccuracy = this.latestTimeSeries(accuracyData);
+            // Null rather than 0 when nothing was processed in the window
+            const avgProcessingTime = processingTimeData.length > 0 ? this.averageTimeSeries(processingTimeData) : null;
+            // Only written once moderators have labeled content; null until then
+            const currentAccuracy = accuracyData.length > 0 ? this.latestTimeSeries(accuracyData) : null;
 
             // Get unique visitors count
-            const uniqueVisitors = await this.redis.countHyperLogLog('visitors:unique');
+            const uniqueVisitors = await this.redis.countHyperLogLog(tenantKey(tenant, 'visitors:unique'));
 
             return {
                 totalProcessed,
@@ -90,59 +159,30 @@ class AnalyticsService {
                 totalApproved,
                 flaggedPercentage: totalProcessed > 0 ? ((totalFlagged / totalProcessed) * 100).toFixed(1) : 0,
                 approvedPercentage: totalProcessed > 0 ? ((totalApproved / totalProcessed) * 100).toFixed(1) : 0,
-                avgProcessingTime: avgProcessingTime || 45,
-                currentAccuracy: currentAccuracy || 94.2,
+                avgProcessingTime,
+                currentAccuracy,
                 uniqueVisitors,
                 timestamp: now
             };
 
         } catch (error) {
             console.error('Realtime metrics error:', error);
-            return {
-                totalProcessed: 1247,
-                totalFlagged: 89,
-                totalApproved: 1058,
-                flaggedPercentage: '7.1',
-                approvedPercentage: '84.9',
-                avgProcessingTime: 45,
-                currentAccuracy: 94.2,
-                uniqueVisitors: 2341,
-                timestamp: Date.now()
-            };
+            return this.getEmptyRealtimeMetrics();
         }
     }
 
-    async getTimeSeriesData(metric, timeRange = '1h', aggregation = 'avg') {
+    // Unknown ranges fall back to the last hour
+    resolveTimeRange(timeRange, now = Date.now()) {
+        const { duration, timeBucket } = TIME_RANGES[timeRange] || TIME_RANGES['1h'];
+        return { fromTime: now - duration, toTime: now, timeBucket };
+    }
+
+    async getTimeSeriesData(metric, timeRange = '1h', aggregation = 'avg', tenant = DEFAULT_TENANT) {
         try {
-            const now = Date.now();
-            let fromTime;
-            let timeBucket;
-
-            // Determine time range
-            switch (timeRange) {
-                case '5m':
-                    fromTime = now - (5 * 60 * 1000);
-                    timeBucket = 30 * 1000; // 30 seconds
-                    break;
-                case '1h':
-                    fromTime = now - (60 * 60 * 1000);
-                    timeBucket = 5 * 60 * 1000; // 5 minutes
-                    break;
-                case '24h':
-                    fromTime = now - (24 * 60 * 60 * 1000);
-                    timeBucket = 60 * 60 * 1000; // 1 hour
-                    break;
-                case '7d':
-                    fromTime = now - (7 * 24 * 60 * 60 * 1000);
-                    timeBucket = 6 * 60 * 60 * 1000; // 6 hours
-                    break;
-                default:
-                    fromTime = now - (60 * 60 * 1000);
-                    timeBucket = 5 * 60 * 1000;
-            }
+            const { fromTime, toTime: now, timeBucket } = this.resolveTimeRange(timeRange);
 
             const data = await this.redis.getTimeSeriesRange(
-                `metrics:${metric}`,
+                this.metricKey(metric, tenant),
                 fromTime,
                 now,
                 { type: aggregation, timeBucket }
@@ -164,7 +204,7 @@ class AnalyticsService {
         }
     }
 
-    async getDashboardData() {
+    async getDashboardData(tenant = DEFAULT_TENANT) {
         try {
             const now = Date.now();
             const oneHourAgo = now - (60 * 60 * 1000);
@@ -177,11 +217,11 @@ class AnalyticsService {
                 processedTrend,
                 flaggedTrend
             ] = await Promise.all([
-                this.getRealtimeMetrics(),
-                this.getContentAnalytics(),
+                this.getRealtimeMetrics(tenant),
+                this.getContentAnalytics(tenant, '24h'),
                 this.getSystemAnalytics(),
-                this.getTimeSeriesData('content:processed', '1h', 'sum'),
-                this.getTimeSeriesData('content:flagged', '1h', 'sum')
+                this.getTimeSeriesData('content:processed', '1h', 'sum', tenant),
+                this.getTimeSeriesData('content:flagged', '1h', 'sum', tenant)
             ]);
 
             return {
@@ -197,39 +237,127 @@ class AnalyticsService {
 
         } catch (error) {
             console.error('Dashboard data error:', error);
-            return this.getFallbackDashboardData();
+            return this.getUnavailableDashboardData();
         }
     }
 
-    async getContentAnalytics() {
+    distributionKey(dimension, value, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `metrics:content:${dimension}:${value}`);
+    }
+
+    toxicityBucket(toxicityScore) {
+        return TOXICITY_BUCKETS.find(bucket => (toxicityScore || 0) < bucket.max).name;
+    }
+
+    // Called once per processed item: one labelled counter per dimension value, plus confidence
+    async recordContentAnalysis(analysis, tenant = DEFAULT_TENANT, timestamp = Date.now()) {
+        const dimensions = {
+            sentiment: labelValue(analysis.sentiment || 'neutral'),
+            category: labelValue(analysis.category || 'general'),
+            toxicity: this.toxicityBucket(analysis.toxicityScore)
+        };
+
+        const writes = Object.entries(dimensions).map(([dimension, value]) =>
+            this.redis.addTimeSeriesPoint(this.distributionKey(dimension, value, tenant), timestamp, 1, {
+                RETENTION: DISTRIBUTION_RETENTION,
+                ON_DUPLICATE: 'SUM',
+                LABELS: { type: 'content_analysis', tenant, dimension, value }
+            })
+        );
+
+        // Summed like the counters so same-millisecond items are all kept; averaged against their count
+        writes.push(this.redis.addTimeSeriesPoint(this.metricKey('content:confidence', tenant), timestamp, (analysis.confidence || 0) * 100, {
+            RETENTION: DISTRIBUTION_RETENTION,
+            ON_DUPLICATE: 'SUM',
+            LABELS: { type: 'content_analysis', tenant, dimension: 'confidence' }
+        }));
+
+        await Promise.all(writes);
+    }
+
+    // Counts per value of one dimension over the range, from the labelled series
+    async getDistribution(dimension, timeRange = '24h', tenant = DEFAULT_TENANT) {
+        const { fromTime, toTime, timeBucket } = this.resolveTimeRange(timeRange);
+        const series = await this.redis.getTimeSeriesMultiRange(
+            ['type=content_analysis', `tenant=${tenant}`, `dimension=${dimension}`],
+            fromTime,
+            toTime,
+            { type: 'sum', timeBucket }
+        );
+
+        const counts = {};
+        series.forEach(({ labels, samples }) => {
+            counts[labels.value] = (counts[labels.value] || 0) + this.sumTimeSeries(samples);
+        });
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const distribution = {};
+        Object.entries(counts).forEach(([value, count]) => {
+            distribution[value] = percentage(count, total);
+        });
+
+        return { counts, distribution, total };
+    }
+
+    // Average of the raw samples over the range (sum / count rather than an average of averages)
+    async getRangeAverage(metric, timeRange = '24h', tenant = DEFAULT_TENANT) {
+        const { fromTime, toTime, timeBucket } = this.resolveTimeRange(timeRange);
+        const key = this.metricKey(metric, tenant);
+
+        const [sums, counts] = await Promise.all([
+            this.redis.getTimeSeriesRange(key, fromTime, toTime, { type: 'sum', timeBucket }),
+            this.redis.getTimeSeriesRange(key, fromTime, toTime, { type: 'count', timeBucket })
+        ]);
+
+        const count = this.sumTimeSeries(counts);
+        return count > 0 ? this.sumTimeSeries(sums) / count : 0;
+    }
+
+    async getRangeSum(metric, timeRange = '24h', tenant = DEFAULT_TENANT) {
+        const { fromTime, toTime, timeBucket } = this.resolveTimeRange(timeRange);
+        const sums = await this.redis.getTimeSeriesRange(this.metricKey(metric, tenant), fromTime, toTime, { type: 'sum', timeBucket });
+        return this.sumTimeSeries(sums);
+    }
+
+    async getContentAnalytics(tenant = DEFAULT_TENANT, timeRange = '24h') {
         try {
-            // Analyze content patterns and distributions
-            const analytics = {
-                sentimentDistribution: {
-                    positive: 65.2,
-                    neutral: 22.8,
-                    negative: 12.0
-                },
-                categoryDistribution: {
-                    review: 45.5,
-                    comment: 27.7,
-                    feedback: 17.9,
-                    support: 8.9
-                },
-                toxicityLevels: {
-                    low: 78.3,
-                    medium: 15.6,
-                    high: 6.1
+            const [sentiment, category, toxicity, confidenceSum, processingTime, accuracyRate] = await Promise.all([
+                this.getDistribution('sentiment', timeRange, tenant),
+                this.getDistribution('category', timeRange, tenant),
+                this.getDistribution('toxicity', timeRange, tenant),
+                this.getRangeSum('content:confidence', timeRange, tenant),
+                this.getRangeAverage('processing:time', timeRange, tenant),
+                this.getRangeAverage('accuracy:rate', timeRange, tenant)
+            ]);
+
+            // Confidence samples can be sums of several items, so divide by the items analyzed
+            const averageConfidence = sentiment.total > 0 ? confidenceSum / sentiment.total : 0;
+
+            // Fixed keys are always present so charts have a stable shape
+            const sentimentDistribution = { positive: 0, neutral: 0, negative: 0, ...sentiment.distribution };
+            const toxicityLevels = {};
+            TOXICITY_BUCKETS.forEach(bucket => {
+                toxicityLevels[bucket.name] = toxicity.distribution[bucket.name] || 0;
+            });
+
+            return {
+                timeRange,
+                totalAnalyzed: sentiment.total,
+                sentimentDistribution,
+                categoryDistribution: category.distribution,
+                toxicityLevels,
+                counts: {
+                    sentiment: sentiment.counts,
+                    category: category.counts,
+                    toxicity: toxicity.counts
                 },
                 processingMetrics: {
-                    averageConfidence: 87.4,
-                    processingSpeed: '45ms',
-                    accuracyRate: 94.2
+                    averageConfidence: Math.round(averageConfidence * 10) / 10,
+                    processingSpeed: `${Math.round(processingTime)}ms`,
+                    accuracyRate: Math.round(accuracyRate * 10) / 10
                 }
             };
 
-            return analytics;
-
         } catch (error) {
             console.error('Content analytics error:', error);
             return null;
@@ -241,30 +369,21 @@ class AnalyticsService {
             const now = Date.now();
             const oneHourAgo = now - (60 * 60 * 1000);
 
-            // Get system performance metrics
-            const [cpuData, memoryData, throughputData] = await Promise.all([
-                this.redis.getTimeSeriesRange('metrics:system:cpu', oneHourAgo, now),
-                this.redis.getTimeSeriesRange('metrics:system:memory', oneHourAgo, now),
-                this.redis.getTimeSeriesRange('metrics:system:throughput', oneHourAgo, now)
-            ]);
+            const names = ['cpu', 'memory', 'throughput', 'event_loop_lag', 'response_time', 'connections', 'redis_memory', 'redis_ops'];
+            const series = await Promise.all(
+                names.map(name => this.redis.getTimeSeriesRange(`metrics:system:${name}`, oneHourAgo, now))
+            );
 
-            const systemMetrics = {
-                cpu: {
-                    current: this.latestTimeSeries(cpuData) || 23.5,
-                    average: this.averageTimeSeries(cpuData) || 28.7,
-                    peak: this.maxTimeSeries(cpuData) || 45.2
-                },
-                memory: {
-                    current: this.latestTimeSeries(memoryData) || 67.8,
-                    average: this.averageTimeSeries(memoryData) || 72.1,
-                    peak: this.maxTimeSeries(memoryData) || 89.3
-                },
-                throughput: {
-                    current: this.latestTimeSeries(throughputData) || 234,
-                    average: this.averageTimeSeries(throughputData) || 267,
-                    peak: this.maxTimeSeries(throughputData) || 445
-                }
-            };
+            // current / average / peak over the last hour for each system series
+            const systemMetrics = {};
+            names.forEach((name, index) => {
+                const key = name.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+                systemMetrics[key] = {
+                    current: this.latestTimeSeries(series[index]),
+                    average: this.averageTimeSeries(series[index]),
+                    peak: this.maxTimeSeries(series[index])
+                };
+            });
 
             return systemMetrics;
 
@@ -301,41 +420,40 @@ class AnalyticsService {
         return Math.min(...data.map(point => point.value));
     }
 
-    getFallbackDashboardData() {
-        const now = Date.now();
+    // No data rather than made-up numbers when Redis is unavailable
+    getEmptyRealtimeMetrics() {
         return {
-            realtime: {
-                totalProcessed: 1247,
-                totalFlagged: 89,
-                totalApproved: 1058,
-                flaggedPercentage: '7.1',
-                approvedPercentage: '84.9',
-                avgProcessingTime: 45,
-                currentAccuracy: 94.2,
-                uniqueVisitors: 2341,
-                timestamp: now
-            },
-            content: {
-                sentimentDistribution: { positive: 65.2, neutral: 22.8, negative: 12.0 },
-                categoryDistribution: { review: 45.5, comment: 27.7, feedback: 17.9, support: 8.9 },
-                toxicityLevels: { low: 78.3, medium: 15.6, high: 6.1 },
-                processingMetrics: { averageConfidence: 87.4, processingSpeed: '45ms', accuracyRate: 94.2 }
-            },
-            system: {
-                cpu: { current: 23.5, average: 28.7, peak: 45.2 },
-                memory: { current: 67.8, average: 72.1, peak: 89.3 },
-                throughput: { current: 234, average: 267, peak: 445 }
-            },
+            totalProcessed: 0,
+            totalFlagged: 0,
+            totalApproved: 0,
+            flaggedPercentage: 0,
+            approvedPercentage: 0,
+            avgProcessingTime: null,
+            currentAccuracy: null,
+            uniqueVisitors: 0,
+            timestamp: Date.now()
+        };
+    }
+
+    // Same shape as getDashboardData, flagged unavailable so the UI can say so
+    getUnavailableDashboardData() {
+        return {
+            available: false,
+            error: 'Analytics data is unavailable',
+            realtime: this.getEmptyRealtimeMetrics(),
+            content: null,
+            system: null,
             trends: {
                 processed: [],
                 flagged: []
             },
-            timestamp: now
+            timestamp: Date.now()
         };
     }
 
     stopMetricsCollection() {
         this.isCollecting = false;
+        if (this.processMetrics) this.processMetrics.stop();
         if (this.metricsInterval) {
             clearInterval(this.metricsInterval);
             this.metricsInterval = null;
@@ -344,4 +462,8 @@ class AnalyticsService {
     }
 }
 
+AnalyticsService.TOXICITY_BUCKETS = TOXICITY_BUCKETS;
+AnalyticsService.TIME_RANGES = TIME_RANGES;
+AnalyticsService.SYSTEM_SERIES = SYSTEM_SERIES;
+
 module.exports = AnalyticsService;
@@ -0,0 +1,305 @@
+const ReviewService = require('./ReviewService');
+const ReputationService = require('./ReputationService');
+const { DEFAULT_TENANT, tenantKey, contentKey } = require('./tenancy');
+
+// Statuses an author can contest
+const APPEALABLE_STATUSES = ['flagged', 'hidden', 'quarantined', 'rejected', 'escalated'];
+
+const DECISION_STATUS = {
+    uphold: 'upheld',
+    overturn: 'overturned'
+};
+
+// Authors open appeals on moderated content; a separate queue is worked by moderators other
+// than the one who made the contested decision. The appeal and its history live on the content document.
+class AppealService {
+    constructor(redisService, io, options = {}) {
+        this.redis = redisService;
+        this.io = io;
+        this.reviewService = options.reviewService || new ReviewService(redisService, io);
+        this.reputationService = options.reputationService || new ReputationService(redisService);
+        this.leaseSeconds = parseInt(process.env.APPEAL_LEASE_SECONDS) || 300;
+    }
+
+    queueKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'appeals:queue');
+    }
+
+    claimKey(contentId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `appeals:claim:${contentId}`);
+    }
+
+    async getContent(contentId, tenant = DEFAULT_TENANT) {
+        const content = await this.redis.getJSON(contentKey(tenant, contentId), '.');
+        if (!content) {
+            throw this.appealError('NOT_FOUND', 'Content not found');
+        }
+        return content;
+    }
+
+    // One appeal per content; only its author can open it, and only against a moderation decision
+    // openedBy is the identity (API key or token subject) that filed the appeal on the author's behalf
+    async open(contentId, userId, statement, tenant = DEFAULT_TENANT, openedBy = null) {
+        const content = await this.getContent(contentId, tenant);
+
+        if (!userId || content.userId === 'anonymous' || content.userId !== userId) {
+            throw this.appealError('NOT_AUTHOR', 'Only the author can appeal this content');
+        }
+        if (content.appeal) {
+            throw this.appealError('ALREADY_APPEALED', 'This content has already been appealed');
+        }
+        if (!APPEALABLE_STATUSES.includes(content.status)) {
+            throw this.appealError('NOT_APPEALABLE', `Content with status "${content.status}" cannot be appealed`);
+        }
+
+        const now = Date.now();
+        // Automated decisions have no moderator; human ones exclude that moderator from the appeal
+        const appeal = {
+            contentId,
+            userId,
+            openedBy,
+            statement,
+            status: 'pending',
+            openedAt: now,
+            originalDecision: {
+                status: content.status,
+                moderatorId: content.review?.moderatorId || null,
+                reason: content.review?.reason || content.moderation?.rule || null,
+                decidedAt: content.review?.decidedAt || content.processedAt || null
+            }
+        };
+
+        await this.redis.mergeJSON(contentKey(tenant, contentId), '$', {
+            appeal,
+            appealHistory: [{ event: 'opened', by: userId, at: now }]
+        });
+        await this.redis.addToSortedSet(this.queueKey(tenant), [{ score: now, value: contentId }]);
+
+        this.emit('appeal_opened', appeal, tenant);
+        console.log(`Appeal opened: ${contentId} by ${userId}`);
+        return appeal;
+    }
+
+    async getAppeal(contentId, tenant = DEFAULT_TENANT) {
+        const content = await this.getContent(contentId, tenant);
+        if (!content.appeal) {
+            throw this.appealError('NOT_APPEALED', 'This content has not been appealed');
+        }
+
+        return {
+            ...content.appeal,
+            contentStatus: content.status,
+            history: content.appealHistory || []
+        };
+    }
+
+    // The statement and decision are for moderators and for whoever filed or authored the appeal
+    canView(appeal, identity) {
+        if (!identity) return false;
+        if (identity.role === 'admin' || identity.role === 'moderator') return true;
+        return Boolean(identity.id) && (identity.id === appeal.openedBy || identity.id === appeal.userId);
+    }
+
+    // Oldest first
+    async getQueue(limit = 20, offset = 0, tenant = DEFAULT_TENANT) {
+        const [entries, total] = await Promise.all([
+            this.redis.getSortedSetRange(this.queueKey(tenant), offset, offset + limit - 1),
+            this.redis.countSortedSet(this.queueKey(tenant))
+        ]);
+
+        const items = await Promise.all(entries.map(async ({ value: contentId }) => {
+            const [content, claim] = await Promise.all([
+                this.redis.getJSON(contentKey(tenant, contentId), '.'),
+                this.getClaim(contentId, tenant)
+            ]);
+
+            return {
+                contentId,
+                status: content?.status,
+                category: content?.category,
+                text: content?.text ? content.text.substring(0, 200) : null,
+                appeal: content?.appeal || null,
+                claim
+            };
+        }));
+
+        return { total, items };
+    }
+
+    async getClaim(contentId, tenant = DEFAULT_TENANT) {
+        const raw = await this.redis.getValue(this.claimKey(contentId, tenant));
+        if (!raw) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async claim(contentId, moderatorId, tenant = DEFAULT_TENANT) {
+        const score = await this.redis.getSortedSetScore(this.queueKey(tenant), contentId);
+        if (score === null || score === undefined) {
+            throw this.appealError('NOT_IN_QUEUE', 'No open appeal for this content');
+        }
+
+        const content = await this.getContent(contentId, tenant);
+        this.assertNotOriginalDecider(content, moderatorId);
+
+        const now = Date.now();
+        const claim = {
+            contentId,
+            moderatorId,
+            claimedAt: now,
+            expiresAt: now + this.leaseSeconds * 1000
+        };
+
+        const acquired = await this.redis.setValueIfAbsent(
+            this.claimKey(contentId, tenant),
+            JSON.stringify(claim),
+            this.leaseSeconds
+        );
+
+        if (!acquired) {
+            const existing = await this.getClaim(contentId, tenant);
+            if (!existing || existing.moderatorId !== moderatorId) {
+                throw this.appealError('ALREADY_CLAIMED', 'Appeal is claimed by another moderator', existing);
+            }
+
+            // Claiming again renews the lease
+            claim.claimedAt = existing.claimedAt;
+            await this.redis.setValue(this.claimKey(contentId, tenant), JSON.stringify(claim), this.leaseSeconds);
+            return claim;
+        }
+
+        await this.updateAppeal(content, { status: 'in_review', claimedBy: moderatorId }, { event: 'claimed', by: moderatorId, at: now }, tenant);
+        this.emit('appeal_claimed', { ...claim, status: 'in_review' }, tenant);
+        return claim;
+    }
+
+    // Skips appeals this moderator may not review and appeals someone else holds
+    async claimNext(moderatorId, tenant = DEFAULT_TENANT, scanSize = 50) {
+        const entries = await this.redis.getSortedSetRange(this.queueKey(tenant), 0, scanSize - 1);
+
+        for (const { value: contentId } of entries) {
+            const existing = await this.getClaim(contentId, tenant);
+            if (existing) continue;
+
+            try {
+                const claim = await this.claim(contentId, moderatorId, tenant);
+                const content = await this.redis.getJSON(contentKey(tenant, contentId), '.');
+                return { claim, content };
+            } catch (error) {
+                if (error.code !== 'ALREADY_CLAIMED' && error.code !== 'SAME_MODERATOR') throw error;
+            }
+        }
+
+        return null;
+    }
+
+    async release(contentId, moderatorId, tenant = DEFAULT_TENANT) {
+        await this.assertClaimed(contentId, moderatorId, tenant);
+        await this.redis.deleteKey(this.claimKey(contentId, tenant));
+
+        const content = await this.getContent(contentId, tenant);
+        await this.updateAppeal(content, { status: 'pending', claimedBy: null }, { event: 'released', by: moderatorId, at: Date.now() }, tenant);
+
+        this.emit('appeal_released', { contentId, moderatorId, status: 'pending' }, tenant);
+        return true;
+    }
+
+    // Overturning approves the content; upholding keeps the contested status
+    async decide(contentId, moderatorId, decision, reason, tenant = DEFAULT_TENANT) {
+        await this.assertClaimed(contentId, moderatorId, tenant);
+
+        const content = await this.getContent(contentId, tenant);
+        this.assertNotOriginalDecider(content, moderatorId);
+
+        const now = Date.now();
+        const status = DECISION_STATUS[decision];
+        const changes = {
+            status,
+            claimedBy: null,
+            decision,
+            reason,
+            decidedBy: moderatorId,
+            decidedAt: now
+        };
+        const entry = { event: 'decided', by: moderatorId, at: now, decision, reason };
+
+        await this.updateAppeal(content, changes, entry, tenant, decision === 'overturn' ? { status: 'approved' } : {});
+        await this.redis.removeFromSortedSet(this.queueKey(tenant), [contentId]);
+        await this.redis.deleteKey(this.claimKey(contentId, tenant));
+
+        if (decision === 'overturn') {
+            // The appeal settles the content; it no longer needs a first review
+            await this.reviewService.dequeue(contentId, tenant);
+            await this.reputationService.recordEvent(content.userId, 'overturned', { contentId, reason, by: moderatorId }, tenant);
+        }
+
+        const event = {
+            contentId,
+            tenant,
+            status,
+            contentStatus: decision === 'overturn' ? 'approved' : content.status,
+            decision,
+            reason,
+            moderatorId,
+            decidedAt: now
+        };
+        await this.redis.publish('appeal:decided', event);
+        this.emit('appeal_decided', event, tenant);
+
+        console.log(`Appeal decided: ${contentId} - ${decision} by ${moderatorId}`);
+        return event;
+    }
+
+    // Merges appeal changes and appends a history entry, along with any content-level fields
+    async updateAppeal(content, changes, entry, tenant = DEFAULT_TENANT, contentChanges = {}) {
+        await this.redis.mergeJSON(contentKey(tenant, content.id), '$', {
+            ...contentChanges,
+            appeal: { ...content.appeal, ...changes },
+            appealHistory: [...(content.appealHistory || []), entry]
+        });
+    }
+
+    // The decision can also come from a human review completed after the appeal was filed
+    assertNotOriginalDecider(content, moderatorId) {
+        const deciders = [content.appeal?.originalDecision?.moderatorId, content.review?.moderatorId];
+        if (deciders.includes(moderatorId)) {
+            throw this.appealError('SAME_MODERATOR', 'Appeals must be reviewed by a different moderator than the original decision');
+        }
+    }
+
+    async assertClaimed(contentId, moderatorId, tenant = DEFAULT_TENANT) {
+        const claim = await this.getClaim(contentId, tenant);
+        if (!claim || claim.moderatorId !== moderatorId) {
+            throw this.appealError('NOT_CLAIMED', 'Appeal must be claimed by this moderator first', claim);
+        }
+        return claim;
+    }
+
+    appealError(code, message, claim = null) {
+        const error = new Error(message);
+        error.code = code;
+        error.claim = claim;
+        return error;
+    }
+
+    // Moderators follow the tenant's appeal queue; authors follow their own content's appeal
+    emit(event, data, tenant = DEFAULT_TENANT) {
+        if (!this.io) return;
+
+        this.io.to(`appeals:${tenant}`).emit(event, data);
+        this.io.to(`appeal:${tenant}:${data.contentId}`).emit('appeal_updated', {
+            contentId: data.contentId,
+            status: data.status,
+            event
+        });
+    }
+}
+
+AppealService.DECISIONS = Object.keys(DECISION_STATUS);
+AppealService.APPEALABLE_STATUSES = APPEALABLE_STATUSES;
+
+module.exports = AppealService;
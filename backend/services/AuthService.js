@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TENANT } = require('./tenancy');
+
+const ROLES = ['submitter', 'moderator', 'analyst', 'admin'];
+
+class AuthService {
+    constructor(redisService) {
+        this.redis = redisService;
+        this.enabled = process.env.AUTH_ENABLED !== 'false';
+        this.jwtSecret = process.env.JWT_SECRET || null;
+        this.jwtIssuer = process.env.JWT_ISSUER || undefined;
+        this.jwtAudience = process.env.JWT_AUDIENCE || undefined;
+        this.tokenTtl = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || 3600;
+        this.adminKey = process.env.ADMIN_API_KEY || null;
+        this.keyIndex = 'apikeys';
+    }
+
+    keyRecordKey(hash) {
+        return `apikey:${hash}`;
+    }
+
+    hashKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    // Resolve a bearer token (JWT or API key) to an identity { id, name, role, tenant, type }
+    async authenticate(token) {
+        if (!token) return null;
+
+        if (token.split('.').length === 3) {
+            return this.verifyJwt(token);
+        }
+
+        return this.verifyApiKey(token);
+    }
+
+    verifyJwt(token) {
+        if (!this.jwtSecret) return null;
+
+        try {
+            const claims = jwt.verify(token, this.jwtSecret, {
+                algorithms: ['HS256'],
+                issuer: this.jwtIssuer,
+                audience: this.jwtAudience
+            });
+
+            if (!claims.sub || !ROLES.includes(claims.role)) return null;
+
+            return {
+                id: claims.sub,
+                name: claims.name || claims.sub,
+                role: claims.role,
+                tenant: claims.tenant || DEFAULT_TENANT,
+                type: 'jwt'
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Short-lived JWT for an identity, so browsers hold a session token instead of the API key itself
+    issueToken(identity) {
+        if (!this.jwtSecret) {
+            const error = new Error('JWT_SECRET is not configured');
+            error.code = 'JWT_DISABLED';
+            throw error;
+        }
+
+        const options = { algorithm: 'HS256', expiresIn: this.tokenTtl };
+        if (this.jwtIssuer) options.issuer = this.jwtIssuer;
+        if (this.jwtAudience) options.audience = this.jwtAudience;
+
+        const token = jwt.sign({
+            sub: identity.id,
+            name: identity.name,
+            role: identity.role,
+            tenant: identity.tenant || DEFAULT_TENANT
+        }, this.jwtSecret, options);
+
+        return {
+            token,
+            role: identity.role,
+            tenant: identity.tenant || DEFAULT_TENANT,
+            expiresAt: Date.now() + this.tokenTtl * 1000
+        };
+    }
+
+    async verifyApiKey(apiKey) {
+        // Bootstrap key from the environment, used to issue the first stored keys
+        if (this.adminKey && this.safeEqual(apiKey, this.adminKey)) {
+            return { id: 'admin', name: 'Bootstrap admin', role: 'admin', tenant: DEFAULT_TENANT, type: 'bootstrap' };
+        }
+
+        if (!this.redis) return null;
+
+        const record = await this.redis.getJSON(this.keyRecordKey(this.hashKey(apiKey)), '.');
+        if (!record || record.revokedAt) return null;
+        if (record.expiresAt && record.expiresAt < Date.now()) return null;
+
+        return {
+            id: record.id,
+            name: record.name,
+            role: record.role,
+            tenant: record.tenant || DEFAULT_TENANT,
+            type: 'api_key'
+        };
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(a);
+        const bufferB = Buffer.from(b);
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    // The plaintext key is returned once; only its SHA-256 hash is stored
+    async issueApiKey({ name, role, tenant = DEFAULT_TENANT, expiresInDays = null }, createdBy = null) {
+        const apiKey = `sk_${crypto.randomBytes(24).toString('hex')}`;
+        const hash = this.hashKey(apiKey);
+        const now = Date.now();
+
+        const record = {
+            id: uuidv4(),
+            name,
+            role,
+            tenant,
+            prefix: apiKey.substring(0, 10),
+            createdAt: now,
+            createdBy,
+            expiresAt: expiresInDays ? now + expiresInDays * 24 * 60 * 60 * 1000 : null,
+            revokedAt: null
+        };
+
+        await this.redis.setJSON(this.keyRecordKey(hash), '$', record);
+        await this.redis.setHashField(this.keyIndex, record.id, hash);
+
+        console.log(`API key issued: ${record.id} (${role})`);
+        return { apiKey, ...record };
+    }
+
+    // All keys, or only one tenant's when `tenant` is given
+    async listApiKeys(tenant = null) {
+        const index = await this.redis.getHash(this.keyIndex);
+        const records = await Promise.all(
+            Object.values(index || {}).map(hash => this.redis.getJSON(this.keyRecordKey(hash), '.'))
+        );
+
+        return records
+            .filter(Boolean)
+            .filter(record => !tenant || (record.tenant || DEFAULT_TENANT) === tenant)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // A key outside `tenant`, when given, is treated as not found
+    async revokeApiKey(id, revokedBy = null, tenant = null) {
+        const hash = await this.redis.getHashField(this.keyIndex, id);
+        if (!hash) return null;
+
+        const key = this.keyRecordKey(hash);
+        const record = await this.redis.getJSON(key, '.');
+        if (!record) return null;
+        if (tenant && (record.tenant || DEFAULT_TENANT) !== tenant) return null;
+
+        if (!record.revokedAt) {
+            await this.redis.mergeJSON(key, '$', { revokedAt: Date.now(), revokedBy });
+            console.log(`API key revoked: ${id}`);
+        }
+
+        return this.redis.getJSON(key, '.');
+    }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -0,0 +1,331 @@
+const { v4: uuidv4 } = require('uuid');
+const PolicyService = require('./PolicyService');
+const FeedbackService = require('./FeedbackService');
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SAMPLE_SIZE = 20;
+
+function calibrationError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Sweeps the toxicity flag threshold over moderator-labeled examples, per category and pooled, and
+// proposes the lowest threshold (the best recall) whose false-positive rate stays within the target.
+// A run can be previewed against recent content and promoted as a new policy version.
+class CalibrationService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.feedbackService = options.feedbackService || new FeedbackService(redisService);
+        this.policyService = options.policyService || new PolicyService(redisService);
+        this.targetFpr = options.targetFpr || parseFloat(process.env.CALIBRATION_TARGET_FPR) || 0.05;
+        this.minExamples = options.minExamples || parseInt(process.env.CALIBRATION_MIN_EXAMPLES) || 20;
+        this.maxExamples = options.maxExamples || parseInt(process.env.CALIBRATION_MAX_EXAMPLES) || 10000;
+        this.previewLimit = options.previewLimit || parseInt(process.env.CALIBRATION_PREVIEW_LIMIT) || 5000;
+        this.runTtl = (options.runTtlDays || parseInt(process.env.CALIBRATION_RUN_TTL_DAYS) || 30) * DAY_MS;
+    }
+
+    runKey(id, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `calibration:${id}`);
+    }
+
+    indexKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'calibrations');
+    }
+
+    // Confusion counts if content scoring above threshold were flagged; `>` as in PolicyService.evaluate
+    metricsAt(examples, threshold) {
+        const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+        for (const example of examples) {
+            const predicted = example.analysis.toxicityScore > threshold ? 'violation' : 'ok';
+            counts[this.feedbackService.cellFor(predicted, example.label)]++;
+        }
+
+        const scores = this.feedbackService.scores(counts);
+        const negatives = counts.fp + counts.tn;
+        return { threshold, ...scores, fpr: negatives > 0 ? round(counts.fp / negatives) : null };
+    }
+
+    sweep(examples, step) {
+        const curve = [];
+        for (let i = 0; i * step < 1; i++) {
+            curve.push(this.metricsAt(examples, round(i * step)));
+        }
+        return curve;
+    }
+
+    // The false-positive rate only falls as the threshold rises, so the first point within the
+    // target has the best recall; when none is, the strictest threshold is proposed
+    propose(curve, targetFpr) {
+        const point = curve.find(candidate => candidate.fpr !== null && candidate.fpr <= targetFpr);
+        if (point) return { threshold: point.threshold, targetMet: true, metrics: point };
+
+        const strictest = curve[curve.length - 1];
+        return { threshold: strictest.threshold, targetMet: false, metrics: strictest };
+    }
+
+    calibrateGroup(examples, currentThreshold, { targetFpr, step }) {
+        const violations = examples.filter(example => example.label === 'violation').length;
+        const result = {
+            examples: examples.length,
+            violations,
+            ok: examples.length - violations,
+            current: currentThreshold === null ? null : {
+                threshold: currentThreshold,
+                metrics: this.metricsAt(examples, currentThreshold)
+            },
+            proposed: null,
+            curve: examples.length > 0 ? this.sweep(examples, step) : []
+        };
+
+        // Precision and false-positive rate need both labels, and enough of them to mean anything
+        if (examples.length < this.minExamples) {
+            result.reason = `Needs at least ${this.minExamples} labeled examples`;
+        } else if (violations === 0 || result.ok === 0) {
+            result.reason = 'Needs examples labeled both violation and ok';
+        } else {
+            result.proposed = this.propose(result.curve, targetFpr);
+        }
+
+        return result;
+    }
+
+    currentThreshold(policy, category = null) {
+        const flag = this.policyService.resolveThresholds(policy, { category }).toxicityScore?.flag;
+        return typeof flag === 'number' ? flag : null;
+    }
+
+    async calibrate(tenant = DEFAULT_TENANT, { targetFpr = this.targetFpr, step = 0.05, days = null, createdBy = null } = {}) {
+        const from = days ? Date.now() - days * DAY_MS : 0;
+        const exported = await this.feedbackService.exportExamples(tenant, { from, limit: this.maxExamples });
+
+        // Content flagged by another score (e.g. a campaign) says nothing about the toxicity threshold
+        const examples = exported.filter(example =>
+            typeof example.analysis?.toxicityScore === 'number' &&
+            (!example.moderation?.rule || example.moderation.rule.score === 'toxicityScore')
+        );
+
+        const basePolicy = await this.policyService.getActivePolicy(tenant);
+        const options = { targetFpr, step };
+
+        const byCategory = {};
+        examples.forEach(example => {
+            (byCategory[example.category] = byCategory[example.category] || []).push(example);
+        });
+
+        const categories = {};
+        Object.keys(byCategory).sort().forEach(category => {
+            categories[category] = this.calibrateGroup(byCategory[category], this.currentThreshold(basePolicy, category), options);
+        });
+
+        const run = {
+            id: uuidv4(),
+            tenant,
+            targetFpr,
+            step,
+            days,
+            basePolicy: { name: basePolicy.name, version: basePolicy.version },
+            examples: { total: exported.length, used: examples.length, excluded: exported.length - examples.length },
+            default: this.calibrateGroup(examples, this.currentThreshold(basePolicy), options),
+            categories,
+            createdBy,
+            createdAt: Date.now()
+        };
+        run.proposedPolicy = this.buildProposedPolicy(basePolicy, run);
+
+        await this.redis.setJSON(this.runKey(run.id, tenant), '$', run);
+        await this.redis.expireKey(this.runKey(run.id, tenant), Math.ceil(this.runTtl / 1000));
+        await this.redis.addToSortedSet(this.indexKey(tenant), [{ score: run.createdAt, value: run.id }]);
+        await this.redis.removeFromSortedSetByScore(this.indexKey(tenant), '-inf', Date.now() - this.runTtl);
+
+        console.log(`Calibration ${run.id} (${tenant}): ${examples.length} examples, proposed default ${run.default.proposed ? run.default.proposed.threshold : 'none'}`);
+        return run;
+    }
+
+    // The active policy with the proposed flag thresholds; other scores, actions and layers are kept
+    buildProposedPolicy(basePolicy, run) {
+        const rules = JSON.parse(JSON.stringify(basePolicy.rules || {}));
+        rules.default = rules.default || {};
+        rules.categories = rules.categories || {};
+        let proposals = 0;
+
+        if (run.default.proposed) {
+            rules.default.toxicityScore = { ...rules.default.toxicityScore, flag: run.default.proposed.threshold };
+            proposals++;
+        }
+
+        Object.entries(run.categories).forEach(([category, result]) => {
+            if (!result.proposed) return;
+            const layer = rules.categories[category] || {};
+            rules.categories[category] = { ...layer, toxicityScore: { ...layer.toxicityScore, flag: result.proposed.threshold } };
+            proposals++;
+        });
+
+        if (proposals === 0) return null;
+
+        const name = basePolicy.name.endsWith('-calibrated') ? basePolicy.name : `${basePolicy.name.substring(0, 53)}-calibrated`;
+        return {
+            name,
+            description: `Toxicity flag thresholds calibrated from ${run.examples.used} labeled examples for a false-positive rate of at most ${round(run.targetFpr * 100, 1)}% (from ${basePolicy.name} v${basePolicy.version})`,
+            defaultAction: basePolicy.defaultAction || 'approve',
+            rules
+        };
+    }
+
+    async getRun(id, tenant = DEFAULT_TENANT) {
+        return this.redis.getJSON(this.runKey(id, tenant), '.');
+    }
+
+    // Most recent runs first, without their curves
+    async listRuns(tenant = DEFAULT_TENANT, limit = 20) {
+        const entries = await this.redis.getSortedSetRange(this.indexKey(tenant), 0, -1);
+        const ids = entries.map(entry => entry.value).reverse().slice(0, limit);
+
+        const runs = [];
+        for (const id of ids) {
+            const run = await this.getRun(id, tenant);
+            if (!run) continue;
+
+            runs.push({
+                id: run.id,
+                targetFpr: run.targetFpr,
+                basePolicy: run.basePolicy,
+                examples: run.examples,
+                proposedThreshold: run.default.proposed ? run.default.proposed.threshold : null,
+                proposedPolicy: run.proposedPolicy ? run.proposedPolicy.name : null,
+                promoted: run.promoted || null,
+                createdBy: run.createdBy,
+                createdAt: run.createdAt
+            });
+        }
+        return runs;
+    }
+
+    // Re-decides the last `days` of content under the active and the proposed policy. Content
+    // moderators have labeled also shows how each policy would have scored against those labels.
+    async preview(id, tenant = DEFAULT_TENANT, { days = 7, limit = this.previewLimit } = {}) {
+        const run = await this.getRun(id, tenant);
+        if (!run) throw calibrationError('NOT_FOUND', 'Calibration run not found');
+        if (!run.proposedPolicy) throw calibrationError('NO_PROPOSAL', 'Calibration run has no proposed thresholds');
+
+        const activePolicy = await this.policyService.getActivePolicy(tenant);
+        const proposedPolicy = { ...run.proposedPolicy, version: null };
+        const recent = await this.redis.getRecentContentIds({ tenant, since: Date.now() - days * DAY_MS, count: limit });
+
+        const summary = {
+            evaluated: 0,
+            changed: 0,
+            actions: { current: {}, proposed: {} },
+            transitions: {},
+            categories: {}
+        };
+        const labeled = { current: { tp: 0, fp: 0, tn: 0, fn: 0 }, proposed: { tp: 0, fp: 0, tn: 0, fn: 0 } };
+        const samples = [];
+
+        for (const key of recent) {
+            const content = await this.redis.getJSON(key, '.');
+            if (!content || !content.analysis) continue;
+
+            const context = {
+                category: content.category,
+                source: content.source,
+                tenant,
+                trustTier: content.moderation?.trust?.tier
+            };
+            const current = this.policyService.evaluate(activePolicy, content.analysis, context).action;
+            const proposed = this.policyService.evaluate(proposedPolicy, content.analysis, context).action;
+            const category = content.category || 'general';
+            const stats = summary.categories[category] = summary.categories[category] || { evaluated: 0, changed: 0, currentFlagged: 0, proposedFlagged: 0 };
+
+            summary.evaluated++;
+            stats.evaluated++;
+            summary.actions.current[current] = (summary.actions.current[current] || 0) + 1;
+            summary.actions.proposed[proposed] = (summary.actions.proposed[proposed] || 0) + 1;
+            if (current !== 'approve') stats.currentFlagged++;
+            if (proposed !== 'approve') stats.proposedFlagged++;
+
+            if (current !== proposed) {
+                const transition = `${current}->${proposed}`;
+                summary.changed++;
+                stats.changed++;
+                summary.transitions[transition] = (summary.transitions[transition] || 0) + 1;
+
+                if (samples.length < SAMPLE_SIZE) {
+                    samples.push({
+                        contentId: content.id,
+                        text: (content.text || '').substring(0, 100),
+                        category,
+                        toxicityScore: content.analysis.toxicityScore,
+                        current,
+                        proposed
+                    });
+                }
+            }
+
+            const example = await this.redis.getJSON(this.feedbackService.exampleKey(content.id, tenant), '.');
+            if (example) {
+                labeled.current[this.feedbackService.cellFor(current === 'approve' ? 'ok' : 'violation', example.label)]++;
+                labeled.proposed[this.feedbackService.cellFor(proposed === 'approve' ? 'ok' : 'violation', example.label)]++;
+            }
+        }
+
+        const flagRate = (action) => summary.evaluated > 0
+            ? round(Object.entries(summary.actions[action]).filter(([name]) => name !== 'approve').reduce((sum, [, count]) => sum + count, 0) / summary.evaluated)
+            : null;
+
+        return {
+            runId: run.id,
+            days,
+            policies: {
+                current: { name: activePolicy.name, version: activePolicy.version },
+                proposed: { name: run.proposedPolicy.name }
+            },
+            ...summary,
+            flagRate: { current: flagRate('current'), proposed: flagRate('proposed') },
+            labeled: {
+                current: this.feedbackService.scores(labeled.current),
+                proposed: this.feedbackService.scores(labeled.proposed)
+            },
+            samples
+        };
+    }
+
+    // Saves the proposal as a new policy (or a new version of an existing one) and activates it.
+    // Refuses when the active policy changed since the run, unless forced.
+    async promote(id, tenant = DEFAULT_TENANT, { name = null, activate = true, force = false } = {}, updatedBy = null) {
+        const run = await this.getRun(id, tenant);
+        if (!run) throw calibrationError('NOT_FOUND', 'Calibration run not found');
+        if (!run.proposedPolicy) throw calibrationError('NO_PROPOSAL', 'Calibration run has no proposed thresholds');
+        if (run.promoted) throw calibrationError('ALREADY_PROMOTED', `Calibration run was already promoted as ${run.promoted.name} v${run.promoted.version}`);
+
+        const active = await this.policyService.getActivePolicy(tenant);
+        if (!force && (active.name !== run.basePolicy.name || active.version !== run.basePolicy.version)) {
+            throw calibrationError('STALE_CALIBRATION', `Active policy is now ${active.name} v${active.version}; the run was calibrated against ${run.basePolicy.name} v${run.basePolicy.version}`);
+        }
+
+        const definition = { ...run.proposedPolicy, name: name || run.proposedPolicy.name };
+        const existing = await this.policyService.getPolicy(definition.name, null, tenant);
+        const policy = existing
+            ? await this.policyService.updatePolicy(definition.name, definition, updatedBy, tenant)
+            : await this.policyService.createPolicy(definition, updatedBy, tenant);
+
+        if (activate) {
+            await this.policyService.activatePolicy(policy.name, tenant);
+        }
+
+        // The first policy a tenant creates becomes active even when not asked to
+        const activated = (await this.policyService.getActivePolicy(tenant)).name === policy.name;
+        const promoted = { name: policy.name, version: policy.version, activated, by: updatedBy, at: Date.now() };
+        await this.redis.mergeJSON(this.runKey(id, tenant), '$', { promoted });
+
+        console.log(`Calibration ${id} promoted as ${policy.name} v${policy.version} (${tenant})`);
+        return { ...run, promoted, policy };
+    }
+}
+
+module.exports = CalibrationService;
@@ -0,0 +1,152 @@
+const path = require('path');
+const defaultClassifiers = require('./classifiers');
+
+class ClassifierPipeline {
+    constructor(options = {}) {
+        this.stages = new Map();
+        this.stageConfig = options.config || {};
+        this.defaultTimeout = options.defaultTimeout || 1000;
+    }
+
+    // Build a pipeline with the bundled stages plus any modules listed in CLASSIFIER_MODULES
+    static createDefault(options = {}) {
+        const pipeline = new ClassifierPipeline({
+            config: options.config || ClassifierPipeline.loadConfigFromEnv(),
+            defaultTimeout: options.defaultTimeout
+        });
+
+        defaultClassifiers.forEach(classifier => pipeline.register(classifier));
+
+        const modules = (options.modules || process.env.CLASSIFIER_MODULES || '')
+            .split(',')
+            .map(modulePath => modulePath.trim())
+            .filter(Boolean);
+
+        for (const modulePath of modules) {
+            try {
+                const classifier = require(path.resolve(process.cwd(), modulePath));
+                pipeline.register(classifier);
+                console.log(`✅ Classifier module loaded: ${classifier.name}`);
+            } catch (error) {
+                console.error(`Classifier module load error for ${modulePath}:`, error);
+            }
+        }
+
+        return pipeline;
+    }
+
+    // CLASSIFIER_CONFIG holds per-stage overrides as JSON, e.g. {"toxicity":{"threshold":0.6}}
+    static loadConfigFromEnv() {
+        if (!process.env.CLASSIFIER_CONFIG) return {};
+
+        try {
+            return JSON.parse(process.env.CLASSIFIER_CONFIG);
+        } catch (error) {
+            console.error('Invalid CLASSIFIER_CONFIG:', error.message);
+            return {};
+        }
+    }
+
+    register(classifier, config = {}) {
+        if (!classifier || !classifier.name || typeof classifier.classify !== 'function') {
+            throw new Error('Classifier must have a name and a classify(text, context, config) function');
+        }
+
+        // Registering under an existing name replaces that stage
+        this.stages.set(classifier.name, {
+            classifier,
+            config: {
+                ...(classifier.defaults || {}),
+                ...(this.stageConfig[classifier.name] || {}),
+                ...config
+            }
+        });
+
+        return this;
+    }
+
+    unregister(name) {
+        return this.stages.delete(name);
+    }
+
+    configure(name, config) {
+        const stage = this.stages.get(name);
+        if (!stage) return false;
+
+        stage.config = { ...stage.config, ...config };
+        return true;
+    }
+
+    getStages() {
+        return Array.from(this.stages.values())
+            .filter(({ config }) => config.enabled !== false)
+            .sort((a, b) => this.stageOrder(a) - this.stageOrder(b));
+    }
+
+    stageOrder({ classifier, config }) {
+        if (config.order !== undefined) return config.order;
+        if (classifier.order !== undefined) return classifier.order;
+        return 100;
+    }
+
+    async run(text, context = {}) {
+        const analysis = {};
+        const stageErrors = {};
+
+        for (const stage of this.getStages()) {
+            const { classifier, config } = stage;
+
+            try {
+                const output = await this.runStage(stage, text, {
+                    ...context,
+                    analysis: { ...analysis }
+                });
+                Object.assign(analysis, output);
+            } catch (error) {
+                console.error(`Classifier stage ${classifier.name} error:`, error.message);
+                stageErrors[classifier.name] = error.message;
+                Object.assign(analysis, classifier.fallback ? classifier.fallback(text, context, config) : {});
+            }
+        }
+
+        if (Object.keys(stageErrors).length > 0) {
+            analysis.stageErrors = stageErrors;
+        }
+
+        return analysis;
+    }
+
+    // Terms each stage matched, with offsets; only stages that implement matches(text, context, config)
+    async matchTerms(text, context = {}) {
+        const matches = [];
+
+        for (const { classifier, config } of this.getStages()) {
+            if (typeof classifier.matches !== 'function') continue;
+
+            try {
+                const stageMatches = await classifier.matches(text, context, config);
+                matches.push(...stageMatches.map(match => ({ stage: classifier.name, ...match })));
+            } catch (error) {
+                console.error(`Classifier stage ${classifier.name} match error:`, error.message);
+            }
+        }
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    runStage({ classifier, config }, text, context) {
+        const timeout = config.timeout || classifier.timeout || this.defaultTimeout;
+        let timer;
+
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+        });
+
+        return Promise.race([
+            Promise.resolve().then(() => classifier.classify(text, context, config)),
+            timeoutPromise
+        ]).finally(() => clearTimeout(timer));
+    }
+}
+
+module.exports = ClassifierPipeline;
@@ -0,0 +1,310 @@
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+const STOPWORDS = new Set([
+    'the', 'and', 'is', 'are', 'was', 'were', 'this', 'that', 'with', 'for', 'not', 'you', 'your',
+    'have', 'has', 'had', 'but', 'all', 'just', 'they', 'them', 'their', 'from', 'what', 'when',
+    'will', 'would', 'there', 'been', 'about', 'into', 'than', 'then', 'very', 'can', 'our', 'out',
+    'its', 'it', 'of', 'to', 'in', 'on', 'at', 'a', 'an', 'or', 'be', 'so', 'as', 'if', 'by', 'me',
+    'my', 'we', 'he', 'she', 'his', 'her', 'do', 'does', 'did', 'get', 'got', 'really', 'also'
+]);
+
+const SENTIMENT_VALUE = { positive: 1, neutral: 0, negative: -1 };
+
+function tokenize(text) {
+    return String(text || '').toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function normalize(vector) {
+    const magnitude = Math.sqrt(dot(vector, vector));
+    return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
+
+// Small seeded PRNG (mulberry32) so the same sample always yields the same clusters
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Spherical k-means (cosine similarity on unit vectors) with k-means++ seeding
+function kmeans(vectors, k, { maxIterations = 50, seed = 42 } = {}) {
+    const random = createRandom(seed);
+    const centroids = [vectors[Math.floor(random() * vectors.length)]];
+
+    while (centroids.length < k) {
+        const distances = vectors.map(vector =>
+            Math.min(...centroids.map(centroid => 1 - dot(vector, centroid))) ** 2
+        );
+        const total = distances.reduce((sum, distance) => sum + distance, 0);
+        if (total === 0) break;
+
+        let target = random() * total;
+        let index = 0;
+        while (target > distances[index] && index < distances.length - 1) {
+            target -= distances[index];
+            index++;
+        }
+        centroids.push(vectors[index]);
+    }
+
+    let assignments = new Array(vectors.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+
+        const next = vectors.map(vector => {
+            let best = 0;
+            let bestSimilarity = -Infinity;
+            centroids.forEach((centroid, index) => {
+                const similarity = dot(vector, centroid);
+                if (similarity > bestSimilarity) {
+                    bestSimilarity = similarity;
+                    best = index;
+                }
+            });
+            return best;
+        });
+
+        next.forEach((cluster, index) => {
+            if (cluster !== assignments[index]) changed = true;
+        });
+        assignments = next;
+        if (!changed) break;
+
+        centroids.forEach((centroid, cluster) => {
+            const members = vectors.filter((vector, index) => assignments[index] === cluster);
+            if (members.length === 0) return;
+
+            const sum = new Array(centroid.length).fill(0);
+            members.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+            centroids[cluster] = normalize(sum);
+        });
+    }
+
+    return { centroids, assignments };
+}
+
+class ClusteringService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.tenantService = options.tenantService || null;
+        this.sampleSize = options.sampleSize || parseInt(process.env.CLUSTER_SAMPLE_SIZE) || 500;
+        this.maxClusters = options.maxClusters || parseInt(process.env.CLUSTER_MAX_K) || 8;
+        this.windowMs = options.windowMs || parseInt(process.env.CLUSTER_WINDOW_MS) || 24 * 60 * 60 * 1000;
+        this.recomputeInterval = options.recomputeInterval || parseInt(process.env.CLUSTER_RECOMPUTE_INTERVAL_MS) || 15 * 60 * 1000;
+        this.examplesPerCluster = 3;
+        this.keywordsPerCluster = 8;
+        this.scheduleTimer = null;
+        this.running = new Map();
+    }
+
+    cacheKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'analysis:clusters');
+    }
+
+    // Serve the cached result; compute on first use, when it is older than the schedule or on request
+    async getClusters(tenant = DEFAULT_TENANT, { refresh = false } = {}) {
+        if (!refresh) {
+            const cached = await this.redis.getJSON(this.cacheKey(tenant), '.');
+            if (cached && cached.computedAt > Date.now() - this.recomputeInterval) {
+                return cached;
+            }
+        }
+
+        return this.recompute(tenant);
+    }
+
+    // Concurrent requests for the same tenant share one computation
+    recompute(tenant = DEFAULT_TENANT) {
+        if (!this.running.has(tenant)) {
+            const run = this.computeClusters(tenant)
+                .then(async (result) => {
+                    await this.redis.setJSON(this.cacheKey(tenant), '$', result);
+                    return result;
+                })
+                .finally(() => this.running.delete(tenant));
+
+            this.running.set(tenant, run);
+        }
+
+        return this.running.get(tenant);
+    }
+
+    async computeClusters(tenant = DEFAULT_TENANT) {
+        const startTime = Date.now();
+        const documents = await this.redis.getRecentVectors({
+            tenant,
+            since: startTime - this.windowMs,
+            count: this.sampleSize
+        });
+
+        const result = {
+            tenant,
+            computedAt: startTime,
+            nextComputeAt: startTime + this.recomputeInterval,
+            window: { from: startTime - this.windowMs, to: startTime },
+            sampleSize: documents.length,
+            k: 0,
+            clusters: []
+        };
+
+        if (documents.length < 2) {
+            result.durationMs = Date.now() - startTime;
+            return result;
+        }
+
+        // Rule of thumb k ~ sqrt(n / 2), capped so small samples do not fragment
+        const k = Math.max(1, Math.min(this.maxClusters, Math.round(Math.sqrt(documents.length / 2))));
+        const vectors = documents.map(doc => normalize(doc.vector));
+        const { centroids, assignments } = kmeans(vectors, k);
+
+        const documentFrequency = this.termFrequencies(documents);
+
+        result.k = centroids.length;
+        result.clusters = centroids
+            .map((centroid, cluster) => {
+                const members = documents
+                    .map((doc, index) => ({ doc, similarity: dot(vectors[index], centroid) }))
+                    .filter((member, index) => assignments[index] === cluster);
+
+                return members.length > 0
+                    ? this.describeCluster(cluster, members, documentFrequency, documents.length)
+                    : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.size - a.size);
+
+        result.durationMs = Date.now() - startTime;
+        console.log(`Clusters computed for ${tenant}: ${result.clusters.length} clusters over ${documents.length} documents in ${result.durationMs}ms`);
+        return result;
+    }
+
+    // Number of documents containing each term
+    termFrequencies(documents) {
+        const frequency = new Map();
+        documents.forEach(doc => {
+            new Set(tokenize(doc.text)).forEach(term => {
+                frequency.set(term, (frequency.get(term) || 0) + 1);
+            });
+        });
+        return frequency;
+    }
+
+    describeCluster(cluster, members, documentFrequency, totalDocuments) {
+        const size = members.length;
+
+        // Class-based TF-IDF: terms common in this cluster but rare elsewhere
+        const termCounts = new Map();
+        members.forEach(({ doc }) => {
+            new Set(tokenize(doc.text)).forEach(term => {
+                termCounts.set(term, (termCounts.get(term) || 0) + 1);
+            });
+        });
+
+        const keywords = [...termCounts.entries()]
+            .filter(([, count]) => count > 1 || size === 1)
+            .map(([term, count]) => ({
+                term,
+                count,
+                weight: (count / size) * Math.log(1 + totalDocuments / documentFrequency.get(term))
+            }))
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, this.keywordsPerCluster);
+
+        const sentimentDistribution = { positive: 0, neutral: 0, negative: 0 };
+        let toxicityTotal = 0;
+        let sentimentTotal = 0;
+        let flagged = 0;
+        const timestamps = [];
+
+        members.forEach(({ doc }) => {
+            const sentiment = SENTIMENT_VALUE[doc.sentiment] !== undefined ? doc.sentiment : 'neutral';
+            sentimentDistribution[sentiment]++;
+            sentimentTotal += SENTIMENT_VALUE[sentiment];
+            toxicityTotal += doc.toxicityScore || 0;
+            if (doc.status && doc.status !== 'approved') flagged++;
+            if (doc.timestamp) timestamps.push(doc.timestamp);
+        });
+
+        Object.keys(sentimentDistribution).forEach(sentiment => {
+            sentimentDistribution[sentiment] = Math.round((sentimentDistribution[sentiment] / size) * 1000) / 10;
+        });
+
+        // Examples closest to the centroid represent the cluster best
+        const examples = [...members]
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, this.examplesPerCluster)
+            .map(({ doc, similarity }) => ({
+                id: doc.id,
+                text: doc.text && doc.text.length > 200 ? `${doc.text.substring(0, 200)}...` : doc.text,
+                status: doc.status,
+                toxicityScore: doc.toxicityScore,
+                similarity: Math.round(similarity * 1000) / 1000
+            }));
+
+        return {
+            id: cluster,
+            label: keywords.slice(0, 3).map(keyword => keyword.term).join('_') || `cluster_${cluster}`,
+            size,
+            share: Math.round((size / totalDocuments) * 1000) / 10,
+            keywords: keywords.map(keyword => keyword.term),
+            avgToxicity: Math.round((toxicityTotal / size) * 1000) / 1000,
+            avgSentiment: Math.round((sentimentTotal / size) * 100) / 100,
+            sentimentDistribution,
+            flaggedRatio: Math.round((flagged / size) * 1000) / 1000,
+            firstSeen: timestamps.length ? Math.min(...timestamps) : null,
+            lastSeen: timestamps.length ? Math.max(...timestamps) : null,
+            examples
+        };
+    }
+
+    // Recompute every tenant's clusters on a fixed schedule so requests are served from cache
+    start() {
+        if (this.scheduleTimer) return;
+
+        this.scheduleTimer = setInterval(() => {
+            this.recomputeAll().catch(error => console.error('Scheduled clustering error:', error));
+        }, this.recomputeInterval);
+
+        console.log(`✅ Content clustering scheduled every ${Math.round(this.recomputeInterval / 1000)}s`);
+    }
+
+    async recomputeAll() {
+        const tenants = this.tenantService
+            ? (await this.tenantService.listTenants()).map(tenant => tenant.id)
+            : [DEFAULT_TENANT];
+
+        for (const tenant of tenants) {
+            try {
+                await this.recompute(tenant);
+            } catch (error) {
+                console.error(`Clustering error for tenant ${tenant}:`, error);
+            }
+        }
+    }
+
+    stop() {
+        if (this.scheduleTimer) {
+            clearInterval(this.scheduleTimer);
+            this.scheduleTimer = null;
+        }
+    }
+}
+
+ClusteringService.kmeans = kmeans;
+
+module.exports = ClusteringService;
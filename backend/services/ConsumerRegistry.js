@@ -0,0 +1,121 @@
+const os = require('os');
+
+class ConsumerRegistry {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.streamKey = options.streamKey || 'content:stream';
+        this.groupName = options.groupName || 'content-processors';
+        this.heartbeatKey = `${this.streamKey}:consumers`;
+        this.heartbeatInterval = parseInt(process.env.CONSUMER_HEARTBEAT_MS) || 5000;
+        this.staleAfter = parseInt(process.env.CONSUMER_STALE_MS) || 60000;
+        this.timer = null;
+    }
+
+    // Hostname-based names survive restarts, so a restarted consumer picks up its own pending entries
+    static defaultConsumerName(role = 'processor') {
+        const index = process.env.WORKER_INDEX || '0';
+        return process.env.CONSUMER_NAME || `${role}-${os.hostname()}-${index}`;
+    }
+
+    start(consumerName, getDetails = () => ({})) {
+        const beat = () => {
+            this.heartbeat(consumerName, getDetails())
+                .then(() => this.reapStaleConsumers(consumerName))
+                .catch(error => console.error('Consumer heartbeat error:', error));
+        };
+
+        this.startedAt = Date.now();
+        beat();
+        this.timer = setInterval(beat, this.heartbeatInterval);
+    }
+
+    async stop(consumerName) {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        try {
+            await this.redis.deleteHashField(this.heartbeatKey, consumerName);
+        } catch (error) {
+            console.error('Consumer deregister error:', error);
+        }
+    }
+
+    async heartbeat(consumerName, details = {}) {
+        await this.redis.setHashField(this.heartbeatKey, consumerName, JSON.stringify({
+            name: consumerName,
+            host: os.hostname(),
+            pid: process.pid,
+            startedAt: this.startedAt || Date.now(),
+            lastHeartbeat: Date.now(),
+            ...details
+        }));
+    }
+
+    async getHeartbeats() {
+        const raw = await this.redis.getHash(this.heartbeatKey);
+        const now = Date.now();
+
+        return Object.values(raw || {})
+            .map(value => {
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .map(heartbeat => ({
+                ...heartbeat,
+                age: now - heartbeat.lastHeartbeat,
+                stale: now - heartbeat.lastHeartbeat > this.staleAfter
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getConsumers() {
+        const [heartbeats, groupConsumers] = await Promise.all([
+            this.getHeartbeats(),
+            this.redis.getConsumers(this.streamKey, this.groupName)
+        ]);
+
+        const byName = new Map(heartbeats.map(heartbeat => [heartbeat.name, { ...heartbeat }]));
+        for (const consumer of groupConsumers) {
+            byName.set(consumer.name, {
+                ...(byName.get(consumer.name) || { name: consumer.name, stale: consumer.idle > this.staleAfter }),
+                pending: consumer.pending,
+                idle: consumer.idle
+            });
+        }
+
+        return Array.from(byName.values());
+    }
+
+    // Remove consumers that stopped heartbeating. A consumer that still owns pending entries is
+    // kept until the recovery loop has XAUTOCLAIMed them, because DELCONSUMER drops its PEL.
+    async reapStaleConsumers(selfName) {
+        const consumers = await this.getConsumers();
+        const removed = [];
+
+        for (const consumer of consumers) {
+            if (consumer.name === selfName || !consumer.stale) continue;
+
+            if (consumer.pending > 0) continue;
+
+            if (consumer.pending !== undefined) {
+                await this.redis.deleteConsumer(this.streamKey, this.groupName, consumer.name);
+            }
+            await this.redis.deleteHashField(this.heartbeatKey, consumer.name);
+            removed.push(consumer.name);
+        }
+
+        if (removed.length > 0) {
+            console.log(`Removed stale consumers: ${removed.join(', ')}`);
+        }
+
+        return removed;
+    }
+}
+
+module.exports = ConsumerRegistry;
@@ -1,16 +1,62 @@
 const VectorService = require('./VectorService');
+const ClassifierPipeline = require('./ClassifierPipeline');
+const PolicyService = require('./PolicyService');
+const ReviewService = require('./ReviewService');
+const DeadLetterService = require('./DeadLetterService');
+const ConsumerRegistry = require('./ConsumerRegistry');
+const DuplicateDetector = require('./DuplicateDetector');
+const AnalyticsService = require('./AnalyticsService');
+const WebhookService = require('./WebhookService');
+const DecisionWaiter = require('./DecisionWaiter');
+const ReputationService = require('./ReputationService');
+const SanctionService = require('./SanctionService');
+const { DEFAULT_TENANT, tenantKey, contentKey } = require('./tenancy');
 const { v4: uuidv4 } = require('uuid');
 
 class ContentProcessor {
-    constructor(redisService, io) {
+    constructor(redisService, io, options = {}) {
         this.redis = redisService;
         this.io = io;
-        this.vectorService = new VectorService(redisService);
+        this.vectorService = options.vectorService || new VectorService(redisService);
+        this.pipeline = options.pipeline || ClassifierPipeline.createDefault();
+        this.policyService = options.policyService || new PolicyService(redisService);
+        this.reviewService = options.reviewService || new ReviewService(redisService, io);
+        this.duplicateDetector = options.duplicateDetector || new DuplicateDetector(redisService);
+        this.analyticsService = options.analyticsService || new AnalyticsService(redisService);
+        this.webhookService = options.webhookService || new WebhookService(redisService);
+        this.reputationService = options.reputationService || new ReputationService(redisService);
+        this.sanctions = options.sanctionService || new SanctionService(redisService);
+        this.metrics = options.metrics || null;
         this.streamKey = 'content:stream';
         this.groupName = 'content-processors';
-        this.consumerName = `processor-${Date.now()}`;
+        this.consumerName = options.consumerName || ConsumerRegistry.defaultConsumerName();
+        this.batchSize = options.batchSize || parseInt(process.env.STREAM_BATCH_SIZE) || 10;
+        this.concurrency = options.concurrency || parseInt(process.env.STREAM_CONCURRENCY) || 4;
+        this.consumers = options.consumerRegistry || new ConsumerRegistry(redisService, {
+            streamKey: this.streamKey,
+            groupName: this.groupName
+        });
+        this.consumeLoopPromise = null;
+        this.deadLetters = options.deadLetterService || new DeadLetterService(redisService, {
+            streamKey: this.streamKey
+        });
+        this.decisions = options.decisionWaiter || new DecisionWaiter(redisService);
+        this.retryKey = `${this.streamKey}:retries`;
+        this.retryPolicy = {
+            maxAttempts: parseInt(process.env.STREAM_MAX_ATTEMPTS) || 5,
+            baseDelay: parseInt(process.env.STREAM_RETRY_BASE_MS) || 2000,
+            maxDelay: parseInt(process.env.STREAM_RETRY_MAX_MS) || 60000,
+            claimIdleTime: parseInt(process.env.STREAM_CLAIM_IDLE_MS) || 15000,
+            recoveryInterval: parseInt(process.env.STREAM_RECOVERY_INTERVAL_MS) || 10000
+        };
+        this.recoveryInterval = null;
         this.isProcessing = false;
-        this.processingStats = {
+        this.processingStats = this.emptyStats();
+        this.tenantStats = new Map();
+    }
+
+    emptyStats() {
+        return {
             totalProcessed: 0,
             totalFlagged: 0,
             totalApproved: 0,
@@ -18,13 +64,22 @@ class ContentProcessor {
         };
     }
 
-    async submitContent(contentData) {
+    statsFor(tenant) {
+        if (!this.tenantStats.has(tenant)) {
+            this.tenantStats.set(tenant, this.emptyStats());
+        }
+        return this.tenantStats.get(tenant);
+    }
+
+    // All tenants share one stream and consumer group; each message carries its tenant
+    async submitContent(contentData, tenant = DEFAULT_TENANT) {
         try {
             const contentId = uuidv4();
             const timestamp = Date.now();
 
             const streamData = {
                 contentId,
+                tenant,
                 text: contentData.text,
                 category: contentData.category || 'general',
                 userId: contentData.userId || 'anonymous',
@@ -36,8 +91,9 @@ class ContentProcessor {
             const streamId = await this.redis.addToStream(this.streamKey, streamData);
 
             // Store initial content data in JSON
-            await this.redis.setJSON(`content:${contentId}`, '$', {
+            await this.redis.setJSON(contentKey(tenant, contentId), '$', {
                 id: contentId,
+                tenant,
                 text: contentData.text,
                 category: streamData.category,
                 userId: streamData.userId,
@@ -48,9 +104,10 @@ class ContentProcessor {
             });
 
             // Add to unique visitors tracking
-            await this.redis.addToHyperLogLog('visitors:unique', [streamData.userId]);
+            await this.redis.addToHyperLogLog(tenantKey(tenant, 'visitors:unique'), [streamData.userId]);
+            await this.reputationService.recordSubmission(streamData.userId, tenant);
 
-            console.log(`Content submitted: ${contentId}`);
+            console.log(`Content submitted: ${contentId} (${tenant})`);
             return { contentId, streamId };
 
         } catch (error) {
@@ -68,7 +125,19 @@ class ContentProcessor {
             this.isProcessing = true;
 
             // Start consuming in background
-            this.consumeLoop();
+            this.consumeLoopPromise = this.consumeLoop();
+
+            // Heartbeats make this consumer visible and let peers remove consumers that died
+            this.consumers.start(this.consumerName, () => ({
+                batchSize: this.batchSize,
+                concurrency: this.concurrency,
+                processed: this.processingStats.totalProcessed
+            }));
+
+            // Periodically reclaim messages left pending by failed attempts or crashed consumers
+            this.recoveryInterval = setInterval(() => {
+                this.recoverPending().catch(error => console.error('Pending recovery error:', error));
+            }, this.retryPolicy.recoveryInterval);
 
         } catch (error) {
             console.error('Failed to start stream consumer:', error);
@@ -83,14 +152,12 @@ class ContentProcessor {
                     this.streamKey, 
                     this.groupName, 
                     this.consumerName, 
-                    1
+                    this.batchSize
                 );
 
                 if (messages && messages.length > 0) {
                     for (const stream of messages) {
-                        for (const message of stream.messages) {
-                            await this.processContent(message);
-                        }
+                        await this.processBatch(stream.messages);
                     }
                 } else {
                     // No new messages, wait before next poll
@@ -104,9 +171,134 @@ class ContentProcessor {
         }
     }
 
+    // Work through a batch with at most `concurrency` messages in flight
+    async processBatch(messages) {
+        const queue = [...messages];
+        const workers = Array.from({ length: Math.min(this.concurrency, queue.length) }, async () => {
+            while (queue.length > 0) {
+                await this.handleMessage(queue.shift());
+            }
+        });
+
+        await Promise.all(workers);
+    }
+
+    async handleMessage(message) {
+        try {
+            await this.processContent(message);
+            await this.redis.ackMessages(this.streamKey, this.groupName, [message.id]);
+            await this.redis.deleteHashField(this.retryKey, message.id);
+        } catch (error) {
+            await this.handleFailure(message, error);
+        }
+    }
+
+    // Failed messages stay pending; they are retried with exponential backoff and
+    // moved to the dead-letter stream once maxAttempts is reached
+    async handleFailure(message, error) {
+        const { contentId, tenant = DEFAULT_TENANT } = message.message;
+
+        try {
+            const state = await this.getRetryState(message.id);
+            const attempts = state.attempts + 1;
+
+            if (attempts >= this.retryPolicy.maxAttempts) {
+                await this.deadLetters.moveToDeadLetter(message, error, attempts);
+                await this.redis.ackMessages(this.streamKey, this.groupName, [message.id]);
+                await this.redis.deleteHashField(this.retryKey, message.id);
+
+                await this.redis.mergeJSON(contentKey(tenant, contentId), '$', {
+                    status: 'error',
+                    error: error.message,
+                    attempts,
+                    deadLetteredAt: Date.now()
+                });
+
+                await this.webhookService.dispatch('content.error', {
+                    contentId,
+                    status: 'error',
+                    category: message.message.category,
+                    userId: message.message.userId,
+                    error: error.message,
+                    attempts
+                }, tenant);
+                return;
+            }
+
+            const delay = this.retryDelay(attempts);
+            await this.redis.setHashField(this.retryKey, message.id, JSON.stringify({
+                attempts,
+                lastError: error.message,
+                nextAttemptAt: Date.now() + delay
+            }));
+
+            await this.redis.mergeJSON(contentKey(tenant, contentId), '$', {
+                status: 'retrying',
+                error: error.message,
+                attempts
+            });
+
+            console.log(`Retry ${attempts}/${this.retryPolicy.maxAttempts} for ${message.id} in ${delay}ms`);
+        } catch (failureError) {
+            console.error(`Failure handling error for ${message.id}:`, failureError);
+        }
+    }
+
+    retryDelay(attempts) {
+        return Math.min(this.retryPolicy.baseDelay * Math.pow(2, attempts - 1), this.retryPolicy.maxDelay);
+    }
+
+    async getRetryState(messageId) {
+        const raw = await this.redis.getHashField(this.retryKey, messageId);
+        if (!raw) return { attempts: 0, nextAttemptAt: 0 };
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return { attempts: 0, nextAttemptAt: 0 };
+        }
+    }
+
+    // XAUTOCLAIM idle pending entries (ours or a crashed consumer's) and retry the ones whose backoff elapsed
+    async recoverPending(maxBatches = 10) {
+        let cursor = '0-0';
+        let recovered = 0;
+
+        for (let batch = 0; batch < maxBatches && this.isProcessing; batch++) {
+            const { nextId, messages } = await this.redis.autoClaimMessages(
+                this.streamKey,
+                this.groupName,
+                this.consumerName,
+                this.retryPolicy.claimIdleTime,
+                cursor
+            );
+
+            for (const message of messages) {
+                // Entries deleted from the stream while pending come back empty
+                if (!message) continue;
+
+                const state = await this.getRetryState(message.id);
+                if (state.nextAttemptAt > Date.now()) continue;
+
+                await this.handleMessage(message);
+                recovered++;
+            }
+
+            cursor = nextId;
+            if (cursor === '0-0') break;
+        }
+
+        if (recovered > 0) {
+            console.log(`Recovered ${recovered} pending messages`);
+        }
+
+        return recovered;
+    }
+
     async processContent(message) {
         const startTime = Date.now();
-        const { contentId, text, category, userId, timestamp } = message.message;
+        const { contentId, text, category, userId, timestamp, source, tenant = DEFAULT_TENANT } = message.message;
+        const stats = this.statsFor(tenant);
 
         try {
             console.log(`Processing content: ${contentId}`);
@@ -114,152 +306,193 @@ class ContentProcessor {
             // AI-powered content analysis
             const analysis = await this.analyzeContent(text, category);
 
-            // Store vector embedding for semantic search
-            await this.vectorService.storeContentVector(contentId, text, analysis);
+            // Exact and near-duplicate matches, and bursts of them from many users
+            const duplicate = await this.duplicateDetector.check({ contentId, text, userId, tenant, timestamp });
+            analysis.duplicate = duplicate;
+            analysis.duplicateScore = duplicate.nearDuplicate ? duplicate.similarity : 0;
+            analysis.campaignScore = duplicate.campaign.detected ? 1 : 0;
+            analysis.isCampaign = duplicate.campaign.detected;
 
-            // Update content with analysis results
+            // Apply the tenant's active moderation policy, with the submitter's trust tier
+            const trust = await this.reputationService.getTrust(userId, tenant);
+            const decision = await this.policyService.decide(analysis, { category, source, tenant, trustTier: trust.tier });
+
+            // Store vector embedding for semantic search; without one the content is not searchable
+            const vectorized = await this.vectorService.storeContentVector(contentId, text, analysis, decision.status, tenant);
+
+            // Update content with analysis results and the policy version that decided it
             const contentUpdate = {
                 analysis,
-                status: analysis.isToxic ? 'flagged' : 'approved',
+                status: decision.status,
+                moderation: { ...decision, trust, decidedAt: Date.now() },
+                vectorized,
                 processedAt: Date.now(),
                 processingTime: Date.now() - startTime
             };
 
-            await this.redis.setJSON(`content:${contentId}`, '$', contentUpdate);
+            await this.redis.mergeJSON(contentKey(tenant, contentId), '$', contentUpdate);
+
+            // Flagged and quarantined content waits for a moderator
+            if (this.reviewService.needsReview(decision)) {
+                await this.reviewService.enqueue(contentId, analysis, timestamp, tenant);
+            }
+
+            await this.recordUserEffects(contentId, userId, decision, tenant);
 
-            // Update time series metrics
+            // Update the tenant's time series metrics
             const currentTime = Date.now();
-            await this.redis.addTimeSeriesPoint('metrics:content:processed', currentTime, 1);
+            const metric = (name) => tenantKey(tenant, `metrics:${name}`);
+            // Items processed concurrently share timestamps: counters add up, and the slowest
+            // processing time wins instead of the default BLOCK policy dropping the sample
+            const seriesOptions = {
+                RETENTION: 86400000,
+                LABELS: { type: 'content_moderation', tenant },
+                ON_DUPLICATE: 'SUM'
+            };
 
-            if (analysis.isToxic) {
-                await this.redis.addTimeSeriesPoint('metrics:content:flagged', currentTime, 1);
+            await this.redis.addTimeSeriesPoint(metric('content:processed'), currentTime, 1, seriesOptions);
+
+            if (decision.action !== 'approve') {
+                await this.redis.addTimeSeriesPoint(metric('content:flagged'), currentTime, 1, seriesOptions);
                 this.processingStats.totalFlagged++;
+                stats.totalFlagged++;
             } else {
-                await this.redis.addTimeSeriesPoint('metrics:content:approved', currentTime, 1);
+                await this.redis.addTimeSeriesPoint(metric('content:approved'), currentTime, 1, seriesOptions);
                 this.processingStats.totalApproved++;
+                stats.totalApproved++;
             }
 
-            await this.redis.addTimeSeriesPoint('metrics:processing:time', currentTime, contentUpdate.processingTime);
-            await this.redis.addTimeSeriesPoint('metrics:accuracy:rate', currentTime, analysis.confidence * 100);
+            await this.redis.addTimeSeriesPoint(metric('processing:time'), currentTime, contentUpdate.processingTime, {
+                ...seriesOptions,
+                ON_DUPLICATE: 'MAX'
+            });
 
-            // Check for duplicate content using Bloom filter
-            const textHash = this.hashContent(text);
-            const isDuplicate = await this.redis.checkBloomFilter('content_hashes', textHash);
-            if (!isDuplicate) {
-                await this.redis.addToBloomFilter('content_hashes', textHash);
+            // Sentiment, category and toxicity distributions plus confidence
+            await this.analyticsService.recordContentAnalysis(analysis, tenant, currentTime);
+
+            if (this.metrics) {
+                this.metrics.recordProcessed({
+                    tenant,
+                    category: analysis.category,
+                    source,
+                    action: decision.action,
+                    processingTime: contentUpdate.processingTime
+                });
             }
 
-            // Update processing stats
-            this.processingStats.totalProcessed++;
-            this.processingStats.averageProcessingTime = 
-                (this.processingStats.averageProcessingTime * (this.processingStats.totalProcessed - 1) + 
-                 contentUpdate.processingTime) / this.processingStats.totalProcessed;
+            // Update processing stats, overall and for the tenant
+            for (const target of [this.processingStats, stats]) {
+                target.totalProcessed++;
+                target.averageProcessingTime = 
+                    (target.averageProcessingTime * (target.totalProcessed - 1) + 
+                     contentUpdate.processingTime) / target.totalProcessed;
+            }
 
             // Publish results via Pub/Sub
             await this.redis.publish('content:processed', {
                 contentId,
+                tenant,
                 status: contentUpdate.status,
                 analysis,
+                moderation: contentUpdate.moderation,
                 processingTime: contentUpdate.processingTime,
                 timestamp: currentTime,
-                isDuplicate
+                isDuplicate: duplicate.exact || duplicate.nearDuplicate,
+                isCampaign: duplicate.campaign.detected
             });
 
-            // Emit to WebSocket clients
-            this.io.emit('content_processed', {
+            // Notify the tenant's webhook subscribers of the decision
+            await this.webhookService.dispatch(decision.action === 'approve' ? 'content.approved' : 'content.flagged', {
                 contentId,
-                text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
                 status: contentUpdate.status,
+                action: decision.action,
+                category: analysis.category,
+                userId,
+                source,
                 analysis,
-                processingTime: contentUpdate.processingTime,
-                category,
-                timestamp: currentTime
-            });
+                moderation: contentUpdate.moderation
+            }, tenant);
+
+            // Emit to the tenant's WebSocket clients (standalone workers have no Socket.IO server)
+            if (this.io) {
+                this.io.to(`tenant:${tenant}`).emit('content_processed', {
+                    contentId,
+                    text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+                    status: contentUpdate.status,
+                    analysis,
+                    processingTime: contentUpdate.processingTime,
+                    category,
+                    timestamp: currentTime
+                });
+            }
 
             console.log(`✅ Content processed: ${contentId} - ${contentUpdate.status}`);
 
         } catch (error) {
             console.error(`❌ Content processing failed for ${contentId}:`, error);
-
-            // Update content with error status
-            await this.redis.setJSON(`content:${contentId}`, '$', {
-                status: 'error',
-                error: error.message,
-                processedAt: Date.now(),
-                processingTime: Date.now() - startTime
-            });
+            throw error;
         }
     }
 
-    async analyzeContent(text, category) {
-        try {
-            // Simulate AI-powered content analysis
-            // In production, this would call actual AI services
-
-            const textLower = text.toLowerCase();
-            const toxicWords = ['hate', 'stupid', 'terrible', 'awful', 'horrible', 'disgusting'];
-            const positiveWords = ['great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'love'];
-
-            // Toxicity detection
-            let toxicityScore = 0;
-            let positiveScore = 0;
-
-            toxicWords.forEach(word => {
-                if (textLower.includes(word)) {
-                    toxicityScore += 0.3;
-                }
-            });
-
-            positiveWords.forEach(word => {
-                if (textLower.includes(word)) {
-                    positiveScore += 0.2;
-                }
-            });
+    // Reputation and automatic-sanction counters are not idempotent, and a retried or reclaimed
+    // entry runs processContent again: an NX marker per content lets them be recorded only once
+    async recordUserEffects(contentId, userId, decision, tenant = DEFAULT_TENANT) {
+        const markerKey = tenantKey(tenant, `content:effects:${contentId}`);
+        const first = await this.redis.setValueIfAbsent(markerKey, Date.now(), 7 * 24 * 60 * 60);
+        if (!first) {
+            console.log(`User effects for ${contentId} already recorded, skipping`);
+            return false;
+        }
 
-            toxicityScore = Math.min(toxicityScore, 1.0);
-            positiveScore = Math.min(positiveScore, 1.0);
+        // recordEvent reports a failed write with false instead of throwing: release the marker
+        // so the retry records the event rather than skipping it
+        let event;
+        try {
+            event = await this.reputationService.recordEvent(userId, decision.action === 'approve' ? 'approved' : 'flagged', { contentId }, tenant);
+        } catch (error) {
+            await this.redis.deleteKey(markerKey);
+            throw error;
+        }
+        if (event === false) {
+            await this.redis.deleteKey(markerKey);
+            throw new Error(`Reputation event for ${contentId} could not be recorded`);
+        }
 
-            // Sentiment analysis
-            let sentiment = 'neutral';
-            if (positiveScore > toxicityScore && positiveScore > 0.3) {
-                sentiment = 'positive';
-            } else if (toxicityScore > positiveScore && toxicityScore > 0.3) {
-                sentiment = 'negative';
-            }
+        // Repeated flags within a window can earn an automatic cooldown or mute. The event is
+        // already recorded, so a failed flag is logged by recordFlag rather than retried.
+        if (decision.action !== 'approve') {
+            await this.sanctions.recordFlag(userId, contentId, tenant);
+        }
 
-            // Content categorization based on keywords
-            const categories = {
-                review: ['product', 'service', 'quality', 'recommend', 'buy'],
-                support: ['help', 'problem', 'issue', 'bug', 'error'],
-                feedback: ['suggest', 'improve', 'feature', 'idea'],
-                general: []
-            };
+        await this.redis.mergeJSON(contentKey(tenant, contentId), '$', {
+            moderation: { sideEffectsRecordedAt: Date.now() }
+        });
+        return true;
+    }
 
-            let detectedCategory = category || 'general';
-            for (const [cat, keywords] of Object.entries(categories)) {
-                if (keywords.some(keyword => textLower.includes(keyword))) {
-                    detectedCategory = cat;
-                    break;
-                }
-            }
+    async analyzeContent(text, category) {
+        try {
+            // Run the registered classifier stages (toxicity, sentiment, category, language, spam)
+            const stages = await this.pipeline.run(text, { category });
+            const toxicityScore = stages.toxicityScore || 0;
+            const positiveScore = stages.positiveScore || 0;
 
             // Calculate confidence based on text length and keyword matches
             const confidence = Math.min(0.5 + (text.length / 200) * 0.3 + 
                                (toxicityScore > 0 ? 0.2 : 0) + 
                                (positiveScore > 0 ? 0.1 : 0), 0.95);
 
-            const isToxic = toxicityScore > 0.5;
-
             return {
-                toxicityScore: Math.round(toxicityScore * 100) / 100,
-                positiveScore: Math.round(positiveScore * 100) / 100,
-                sentiment,
-                category: detectedCategory,
-                isToxic,
+                toxicityScore: 0,
+                positiveScore: 0,
+                sentiment: 'neutral',
+                category: category || 'general',
+                isToxic: false,
+                language: 'en',
+                ...stages,
                 confidence: Math.round(confidence * 100) / 100,
                 keywords: this.extractKeywords(text),
-                wordCount: text.split(' ').length,
-                language: 'en' // Simulate language detection
+                wordCount: text.split(' ').length
             };
 
         } catch (error) {
@@ -297,20 +530,37 @@ class ContentProcessor {
             .map(([word]) => word);
     }
 
-    hashContent(text) {
-        // Simple hash function for duplicate detection
-        let hash = 0;
-        for (let i = 0; i < text.length; i++) {
-            const char = text.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString();
+    // Dry run for drafts: analysis, matched terms, the policy outcome and similar stored content.
+    // Writes nothing: no content record, stream entry, visitor count, duplicate signature or embedding cache entry.
+    async checkContent(contentData, tenant = DEFAULT_TENANT, { similarLimit = 5, similarThreshold = 0.8 } = {}) {
+        const { text, category = 'general', source = 'web', userId } = contentData;
+
+        const [analysis, matchedTerms, similar] = await Promise.all([
+            this.analyzeContent(text, category),
+            this.pipeline.matchTerms(text, { category }),
+            similarLimit > 0
+                ? this.vectorService.findSimilarContent(text, similarLimit, similarThreshold, tenant, { cache: false })
+                : []
+        ]);
+
+        const trust = await this.reputationService.getTrust(userId, tenant);
+        const decision = await this.policyService.decide(analysis, { category, source, tenant, trustTier: trust.tier });
+
+        return {
+            analysis,
+            matchedTerms,
+            decision: {
+                ...decision,
+                trust,
+                needsReview: this.reviewService.needsReview(decision)
+            },
+            similar
+        };
     }
 
-    async getContentById(contentId) {
+    async getContentById(contentId, tenant = DEFAULT_TENANT) {
         try {
-            const content = await this.redis.getJSON(`content:${contentId}`);
+            const content = await this.redis.getJSON(contentKey(tenant, contentId));
             return content;
         } catch (error) {
             console.error('Get content error:', error);
@@ -318,11 +568,11 @@ class ContentProcessor {
         }
     }
 
-    async searchContent(query, limit = 10) {
+    async searchContent(query, limit = 10, tenant = DEFAULT_TENANT) {
         try {
             // Use vector similarity search
             const vector = await this.vectorService.generateEmbedding(query);
-            const results = await this.redis.searchVectors(vector, limit);
+            const results = await this.redis.searchVectors(vector, limit, { tenant });
 
             return results;
         } catch (error) {
@@ -331,38 +581,51 @@ class ContentProcessor {
         }
     }
 
-    async getProcessingStats() {
+    async getProcessingStats(tenant = DEFAULT_TENANT) {
         try {
-            const uniqueVisitors = await this.redis.countHyperLogLog('visitors:unique');
+            const uniqueVisitors = await this.redis.countHyperLogLog(tenantKey(tenant, 'visitors:unique'));
 
             return {
-                ...this.processingStats,
+                ...this.statsFor(tenant),
                 uniqueVisitors,
                 isProcessing: this.isProcessing
             };
         } catch (error) {
             console.error('Get processing stats error:', error);
-            return this.processingStats;
+            return this.statsFor(tenant);
         }
     }
 
-    async submitFeedback(contentId, feedback) {
+    async submitFeedback(contentId, feedback, tenant = DEFAULT_TENANT, { comment = null, by = null } = {}) {
         try {
             const feedbackData = {
                 contentId,
+                tenant,
                 feedback,
+                comment,
+                by,
                 timestamp: Date.now(),
                 id: uuidv4()
             };
 
             // Store feedback
-            await this.redis.setJSON(`feedback:${feedbackData.id}`, '$', feedbackData);
+            await this.redis.setJSON(tenantKey(tenant, `feedback:${feedbackData.id}`), '$', feedbackData);
 
-            // Add to feedback stream for processing
+            // Confirmed or cleared violations count towards the submitter's reputation
+            const content = await this.redis.getJSON(contentKey(tenant, contentId), '.');
+            const outcome = content && this.reputationService.feedbackOutcome(feedback, content.status);
+            if (outcome) {
+                await this.reputationService.recordEvent(content.userId, outcome, { contentId, reason: `feedback:${feedback}` }, tenant);
+            }
+
+            // FeedbackService turns the stream into labeled examples and the confusion matrix
             await this.redis.addToStream('feedback:stream', {
                 feedbackId: feedbackData.id,
                 contentId,
+                tenant,
                 feedback: feedback.toString(),
+                comment: comment || '',
+                by: by || '',
                 timestamp: feedbackData.timestamp.toString()
             });
 
@@ -377,8 +640,22 @@ class ContentProcessor {
 
     stopProcessing() {
         this.isProcessing = false;
+        if (this.recoveryInterval) {
+            clearInterval(this.recoveryInterval);
+            this.recoveryInterval = null;
+        }
         console.log('Content processor stopped');
     }
+
+    // Stop reading, let the in-flight batch finish and deregister the heartbeat
+    async shutdown() {
+        this.stopProcessing();
+        if (this.consumeLoopPromise) {
+            await this.consumeLoopPromise;
+        }
+        await this.consumers.stop(this.consumerName);
+        await this.decisions.stop();
+    }
 }
 
 module.exports = ContentProcessor;
@@ -0,0 +1,111 @@
+const { contentKey } = require('./tenancy');
+
+// Fields added to a dead-lettered entry on top of the original stream message
+const DLQ_FIELDS = ['originalId', 'error', 'attempts', 'failedAt'];
+
+class DeadLetterService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.streamKey = options.streamKey || 'content:stream';
+        this.dlqKey = options.dlqKey || `${this.streamKey}:dlq`;
+    }
+
+    async moveToDeadLetter(message, error, attempts) {
+        const entry = {
+            ...message.message,
+            originalId: message.id,
+            error: error.message || String(error),
+            attempts: attempts.toString(),
+            failedAt: Date.now().toString()
+        };
+
+        const dlqId = await this.redis.addToStream(this.dlqKey, entry);
+        console.log(`☠️ Message ${message.id} moved to ${this.dlqKey} after ${attempts} attempts`);
+
+        return dlqId;
+    }
+
+    async getDeadLetters(count = 50, startId = '-') {
+        const [length, entries] = await Promise.all([
+            this.redis.getStreamLength(this.dlqKey),
+            this.redis.readFromStream(this.dlqKey, count, startId)
+        ]);
+
+        return {
+            stream: this.dlqKey,
+            length,
+            entries: entries.map(entry => this.formatEntry(entry))
+        };
+    }
+
+    async getDeadLetter(entryId) {
+        const [entry] = await this.redis.readFromStream(this.dlqKey, 1, entryId);
+        if (!entry || entry.id !== entryId) return null;
+
+        return this.formatEntry(entry);
+    }
+
+    formatEntry(entry) {
+        const message = { ...entry.message };
+        DLQ_FIELDS.forEach(field => delete message[field]);
+
+        return {
+            id: entry.id,
+            originalId: entry.message.originalId,
+            error: entry.message.error,
+            attempts: parseInt(entry.message.attempts) || 0,
+            failedAt: parseInt(entry.message.failedAt) || null,
+            message
+        };
+    }
+
+    // Put the original message back on the source stream and drop it from the DLQ
+    async replay(entryId) {
+        const entry = await this.getDeadLetter(entryId);
+        if (!entry) return null;
+
+        const streamId = await this.redis.addToStream(this.streamKey, entry.message);
+        await this.redis.deleteFromStream(this.dlqKey, [entryId]);
+
+        if (entry.message.contentId) {
+            // null removes the failure fields under JSON.MERGE semantics
+            await this.redis.mergeJSON(contentKey(entry.message.tenant, entry.message.contentId), '$', {
+                status: 'pending',
+                streamId,
+                error: null,
+                attempts: null,
+                deadLetteredAt: null,
+                replayedAt: Date.now()
+            });
+        }
+
+        console.log(`Dead letter ${entryId} replayed as ${streamId}`);
+        return { entryId, streamId, contentId: entry.message.contentId };
+    }
+
+    async replayAll(count = 100) {
+        const { entries } = await this.getDeadLetters(count);
+        const results = [];
+
+        for (const entry of entries) {
+            results.push(await this.replay(entry.id));
+        }
+
+        return results.filter(Boolean);
+    }
+
+    async purge(entryId) {
+        const deleted = await this.redis.deleteFromStream(this.dlqKey, [entryId]);
+        return deleted > 0;
+    }
+
+    async purgeAll() {
+        const length = await this.redis.getStreamLength(this.dlqKey);
+        await this.redis.deleteKey(this.dlqKey);
+
+        console.log(`Dead letter stream ${this.dlqKey} purged (${length} entries)`);
+        return length;
+    }
+}
+
+module.exports = DeadLetterService;
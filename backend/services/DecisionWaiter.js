@@ -0,0 +1,114 @@
+const { DEFAULT_TENANT, contentKey } = require('./tenancy');
+
+// Statuses that mean processing has not reached a decision yet
+const UNDECIDED_STATUSES = ['pending', 'retrying'];
+
+// Lets a request wait for the moderation decision on content it just submitted. One
+// content:processed subscription per process serves every waiter, keyed by tenant and contentId.
+class DecisionWaiter {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.channel = 'content:processed';
+        this.defaultWait = options.defaultWait || parseInt(process.env.MODERATE_DEFAULT_WAIT_MS) || 5000;
+        this.maxWait = options.maxWait || parseInt(process.env.MODERATE_MAX_WAIT_MS) || 30000;
+        this.waiters = new Map();
+        this.subscriber = null;
+        this.subscribing = null;
+        this.listener = (message) => this.handleMessage(message);
+    }
+
+    waiterKey(contentId, tenant = DEFAULT_TENANT) {
+        return `${tenant}:${contentId}`;
+    }
+
+    // Requested wait in ms, falling back to the default and capped at maxWait
+    resolveWait(requested) {
+        const wait = parseInt(requested);
+        if (isNaN(wait) || wait < 0) return this.defaultWait;
+        return Math.min(wait, this.maxWait);
+    }
+
+    async start() {
+        if (!this.subscribing) {
+            this.subscriber = this.redis.createSubscriber();
+            this.subscribing = this.subscriber.subscribe(this.channel, this.listener).catch(error => {
+                this.subscribing = null;
+                throw error;
+            });
+        }
+        return this.subscribing;
+    }
+
+    handleMessage(message) {
+        try {
+            const event = JSON.parse(message);
+            const finishers = this.waiters.get(this.waiterKey(event.contentId, event.tenant || DEFAULT_TENANT));
+            if (!finishers) return;
+
+            const decision = this.decisionFrom(event);
+            [...finishers].forEach(finish => finish(decision));
+        } catch (error) {
+            console.error('Decision waiter message error:', error);
+        }
+    }
+
+    // Same shape whether the decision came from pub/sub or from the stored content
+    decisionFrom(source) {
+        return {
+            contentId: source.contentId || source.id,
+            tenant: source.tenant || DEFAULT_TENANT,
+            status: source.status,
+            analysis: source.analysis,
+            moderation: source.moderation,
+            processingTime: source.processingTime
+        };
+    }
+
+    // Resolves with the decision, or null once timeoutMs has passed without one
+    async wait(contentId, tenant = DEFAULT_TENANT, timeoutMs = this.defaultWait) {
+        await this.start();
+
+        const key = this.waiterKey(contentId, tenant);
+
+        return new Promise(resolve => {
+            let timer = null;
+
+            const finish = (decision) => {
+                clearTimeout(timer);
+                const finishers = this.waiters.get(key);
+                if (!finishers || !finishers.delete(finish)) return;
+                if (finishers.size === 0) this.waiters.delete(key);
+                resolve(decision);
+            };
+
+            if (!this.waiters.has(key)) this.waiters.set(key, new Set());
+            this.waiters.get(key).add(finish);
+            timer = setTimeout(() => finish(null), timeoutMs);
+
+            // A fast consumer may have decided before we subscribed
+            this.redis.getJSON(contentKey(tenant, contentId), '.')
+                .then(content => {
+                    if (content && !UNDECIDED_STATUSES.includes(content.status)) {
+                        finish(this.decisionFrom(content));
+                    }
+                })
+                .catch(error => console.error('Decision waiter lookup error:', error));
+        });
+    }
+
+    // Releases pending waiters as timed out and drops the subscription listener
+    async stop() {
+        for (const finishers of [...this.waiters.values()]) {
+            [...finishers].forEach(finish => finish(null));
+        }
+
+        if (this.subscriber && this.subscribing) {
+            await this.subscriber.unsubscribe(this.channel, this.listener).catch(error => {
+                console.error('Decision waiter unsubscribe error:', error);
+            });
+        }
+        this.subscribing = null;
+    }
+}
+
+module.exports = DecisionWaiter;
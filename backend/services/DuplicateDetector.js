@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+const NUM_HASHES = 64;
+const BANDS = 16; // 16 bands x 4 rows: pairs above ~0.5 Jaccard very likely share a bucket
+const ROWS = NUM_HASHES / BANDS;
+const SHINGLE_SIZE = 5;
+
+// Per-hash seeds derived once so signatures are stable across processes
+const SEEDS = Array.from({ length: NUM_HASHES }, (value, index) =>
+    crypto.createHash('md5').update(`minhash-seed-${index}`).digest().readUInt32LE(0)
+);
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, ' url ')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Character shingles survive small edits (typos, swapped words) that defeat exact hashing
+function shingles(normalized) {
+    if (normalized.length <= SHINGLE_SIZE) return new Set([normalized]);
+
+    const result = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= normalized.length; i++) {
+        result.add(normalized.substring(i, i + SHINGLE_SIZE));
+    }
+    return result;
+}
+
+// FNV-1a followed by the murmur3 finalizer
+function hash32(value, seed = 0) {
+    let hash = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return fmix32(hash);
+}
+
+function fmix32(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+function minhashSignature(shingleSet) {
+    const signature = new Array(NUM_HASHES).fill(0xffffffff);
+
+    for (const shingle of shingleSet) {
+        const base = hash32(shingle);
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const value = fmix32((base ^ SEEDS[i]) >>> 0);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+
+    return signature;
+}
+
+// Fraction of matching minhash values estimates the Jaccard similarity of the shingle sets
+function estimateSimilarity(a, b) {
+    let matches = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (a[i] === b[i]) matches++;
+    }
+    return matches / NUM_HASHES;
+}
+
+// Exact duplicates via a RedisBloom filter, near duplicates via MinHash LSH buckets, and
+// coordinated campaigns as bursts of near-identical posts from distinct userIds
+class DuplicateDetector {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.similarityThreshold = options.similarityThreshold || parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.8;
+        this.retentionSeconds = options.retentionSeconds || parseInt(process.env.NEAR_DUPLICATE_RETENTION_SECONDS) || 7 * 24 * 60 * 60;
+        this.maxCandidates = options.maxCandidates || 200;
+        this.campaignWindowMs = options.campaignWindowMs || parseInt(process.env.CAMPAIGN_WINDOW_MS) || 10 * 60 * 1000;
+        this.campaignMinUsers = options.campaignMinUsers || parseInt(process.env.CAMPAIGN_MIN_USERS) || 5;
+        this.bloomErrorRate = options.bloomErrorRate || 0.001;
+        this.bloomCapacity = options.bloomCapacity || 1000000;
+        this.reservedFilters = new Set();
+    }
+
+    bloomKey(tenant) {
+        return tenantKey(tenant, 'bf:content:exact');
+    }
+
+    signatureKey(tenant, contentId) {
+        return tenantKey(tenant, `minhash:${contentId}`);
+    }
+
+    bucketKey(tenant, band, bandHash) {
+        return tenantKey(tenant, `lsh:${band}:${bandHash}`);
+    }
+
+    campaignKey(tenant, clusterId) {
+        return tenantKey(tenant, `campaign:${clusterId}`);
+    }
+
+    bandHashes(signature) {
+        const hashes = [];
+        for (let band = 0; band < BANDS; band++) {
+            const rows = signature.slice(band * ROWS, (band + 1) * ROWS).join(',');
+            hashes.push(crypto.createHash('sha1').update(rows).digest('hex').substring(0, 16));
+        }
+        return hashes;
+    }
+
+    async ensureBloomFilter(tenant) {
+        const key = this.bloomKey(tenant);
+        if (this.reservedFilters.has(key)) return key;
+
+        await this.redis.reserveBloomFilter(key, this.bloomErrorRate, this.bloomCapacity);
+        this.reservedFilters.add(key);
+        return key;
+    }
+
+    async getRecord(tenant, contentId) {
+        const raw = await this.redis.getValue(this.signatureKey(tenant, contentId));
+        if (!raw) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async check({ contentId, text, userId = 'anonymous', tenant = DEFAULT_TENANT, timestamp = Date.now() }) {
+        const normalized = normalizeText(text);
+        const textHash = crypto.createHash('sha256').update(normalized).digest('hex');
+        const signature = minhashSignature(shingles(normalized));
+        const bandHashes = this.bandHashes(signature);
+
+        // A redelivered message already stored its record; it must not match itself
+        const isRetry = Boolean(await this.getRecord(tenant, contentId));
+
+        const bloomKey = await this.ensureBloomFilter(tenant);
+        const bloomHit = !(await this.redis.addToBloomFilter(bloomKey, textHash));
+
+        // Candidates share at least one LSH band with this signature
+        const candidateIds = new Set();
+        for (let band = 0; band < BANDS; band++) {
+            const members = await this.redis.getSetMembers(this.bucketKey(tenant, band, bandHashes[band]));
+            members.forEach(member => {
+                if (member !== contentId && candidateIds.size < this.maxCandidates) candidateIds.add(member);
+            });
+        }
+
+        let bestMatch = null;
+        for (const candidateId of candidateIds) {
+            const record = await this.getRecord(tenant, candidateId);
+            if (!record) continue;
+
+            const similarity = record.textHash === textHash ? 1 : estimateSimilarity(signature, record.signature);
+            if (!bestMatch || similarity > bestMatch.similarity) {
+                bestMatch = { contentId: candidateId, similarity, clusterId: record.clusterId, userId: record.userId };
+            }
+        }
+
+        const nearMatch = bestMatch && bestMatch.similarity >= this.similarityThreshold ? bestMatch : null;
+        const exact = Boolean(nearMatch && nearMatch.similarity === 1) || (bloomHit && !isRetry);
+
+        // Near-duplicates join the group of the content they match
+        const clusterId = nearMatch ? (nearMatch.clusterId || nearMatch.contentId) : contentId;
+
+        await this.redis.setValue(
+            this.signatureKey(tenant, contentId),
+            JSON.stringify({ signature, textHash, clusterId, userId }),
+            this.retentionSeconds
+        );
+
+        for (let band = 0; band < BANDS; band++) {
+            const key = this.bucketKey(tenant, band, bandHashes[band]);
+            await this.redis.addToSet(key, [contentId]);
+            await this.redis.expireKey(key, this.retentionSeconds);
+        }
+
+        const campaign = await this.trackCampaign(tenant, clusterId, userId, parseInt(timestamp) || Date.now());
+
+        return {
+            exact,
+            nearDuplicate: Boolean(nearMatch),
+            duplicateOf: nearMatch ? nearMatch.contentId : null,
+            similarity: bestMatch ? Math.round(bestMatch.similarity * 1000) / 1000 : 0,
+            clusterId,
+            campaign
+        };
+    }
+
+    // Distinct userIds posting into the same near-duplicate group inside the campaign window
+    async trackCampaign(tenant, clusterId, userId, timestamp) {
+        const key = this.campaignKey(tenant, clusterId);
+
+        await this.redis.addToSortedSet(key, [{ score: timestamp, value: userId }]);
+        await this.redis.removeFromSortedSetByScore(key, '-inf', timestamp - this.campaignWindowMs);
+        await this.redis.expireKey(key, Math.ceil(this.campaignWindowMs / 1000));
+
+        const users = await this.redis.countSortedSet(key);
+
+        return {
+            detected: users >= this.campaignMinUsers,
+            users,
+            windowMs: this.campaignWindowMs
+        };
+    }
+}
+
+DuplicateDetector.normalizeText = normalizeText;
+DuplicateDetector.minhashSignature = (text) => minhashSignature(shingles(normalizeText(text)));
+DuplicateDetector.estimateSimilarity = estimateSimilarity;
+
+module.exports = DuplicateDetector;
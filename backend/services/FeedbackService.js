@@ -0,0 +1,293 @@
+const ConsumerRegistry = require('./ConsumerRegistry');
+const { DEFAULT_TENANT, tenantKey, contentKey } = require('./tenancy');
+
+// "violation" is the positive class: content the automated decision should not have approved
+const LABELS = ['violation', 'ok'];
+
+const CELLS = ['tp', 'fp', 'tn', 'fn'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Consumes feedback:stream in its own consumer group. Each piece of feedback is joined with the
+// automated decision it judges, giving one labeled example per content and a confusion matrix per category.
+class FeedbackService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.streamKey = 'feedback:stream';
+        this.groupName = 'feedback-processors';
+        this.consumerName = options.consumerName || ConsumerRegistry.defaultConsumerName('feedback');
+        this.batchSize = options.batchSize || parseInt(process.env.FEEDBACK_BATCH_SIZE) || 50;
+        this.claimIdleTime = options.claimIdleTime || parseInt(process.env.FEEDBACK_CLAIM_IDLE_MS) || 60000;
+        this.retention = (options.retentionDays || parseInt(process.env.FEEDBACK_EXAMPLE_RETENTION_DAYS) || 90) * DAY_MS;
+        this.isRunning = false;
+        this.loopPromise = null;
+    }
+
+    matrixKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'feedback:confusion');
+    }
+
+    exampleKey(contentId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `feedback:example:${contentId}`);
+    }
+
+    examplesIndexKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'feedback:examples');
+    }
+
+    // contentId -> the matrix field ("category:cell") its current label is counted in
+    cellsKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'feedback:cells');
+    }
+
+    // What the content really was, according to the feedback on the automated prediction
+    labelFor(feedback, predicted) {
+        switch (feedback) {
+            case 'spam': return 'violation';
+            case 'not_spam': return 'ok';
+            case 'correct': return predicted;
+            case 'incorrect': return predicted === 'violation' ? 'ok' : 'violation';
+            default: return null;
+        }
+    }
+
+    cellFor(predicted, label) {
+        if (predicted === 'violation') return label === 'violation' ? 'tp' : 'fp';
+        return label === 'violation' ? 'fn' : 'tn';
+    }
+
+    // Starts from the beginning of the stream so feedback given before the first start is counted
+    async start() {
+        if (this.isRunning) return;
+
+        await this.redis.createConsumerGroup(this.streamKey, this.groupName, '0');
+        this.isRunning = true;
+        this.loopPromise = this.consumeLoop();
+
+        console.log(`✅ Feedback consumer started: ${this.consumerName}`);
+    }
+
+    async stop() {
+        this.isRunning = false;
+        if (this.loopPromise) {
+            await this.loopPromise;
+            this.loopPromise = null;
+        }
+    }
+
+    async consumeLoop() {
+        let lastRecovery = 0;
+
+        while (this.isRunning) {
+            try {
+                // Pick up entries a crashed consumer (or a failed attempt) left pending
+                if (Date.now() - lastRecovery >= this.claimIdleTime) {
+                    lastRecovery = Date.now();
+                    await this.recoverPending();
+                }
+
+                const messages = await this.redis.consumeFromGroup(this.streamKey, this.groupName, this.consumerName, this.batchSize);
+
+                if (messages && messages.length > 0) {
+                    for (const stream of messages) {
+                        for (const message of stream.messages) {
+                            await this.handleMessage(message);
+                        }
+                    }
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                }
+
+            } catch (error) {
+                console.error('Feedback consumer error:', error);
+                await new Promise(resolve => setTimeout(resolve, 5000));
+            }
+        }
+    }
+
+    // Failures stay pending and are retried once they have been idle for claimIdleTime
+    async handleMessage(message) {
+        try {
+            await this.processFeedback(message.message);
+            await this.redis.ackMessages(this.streamKey, this.groupName, [message.id]);
+            return true;
+        } catch (error) {
+            console.error(`Feedback processing error for ${message.id}:`, error);
+            return false;
+        }
+    }
+
+    async recoverPending() {
+        const { messages } = await this.redis.autoClaimMessages(
+            this.streamKey,
+            this.groupName,
+            this.consumerName,
+            this.claimIdleTime
+        );
+
+        for (const message of messages) {
+            if (message) await this.handleMessage(message);
+        }
+        return messages.length;
+    }
+
+    // Labels the content and moves it into the right confusion matrix cell; feedback on content
+    // that was never decided automatically is skipped
+    async processFeedback(entry) {
+        const { feedbackId, contentId, feedback, comment, by, tenant = DEFAULT_TENANT } = entry;
+
+        const content = await this.redis.getJSON(contentKey(tenant, contentId), '.');
+        if (!content || !content.moderation) {
+            console.log(`Feedback ${feedbackId} skipped: ${contentId} has no automated decision`);
+            return null;
+        }
+
+        const predicted = content.moderation.action === 'approve' ? 'ok' : 'violation';
+        const label = this.labelFor(feedback, predicted);
+        if (!label) return null;
+
+        const example = {
+            contentId,
+            feedbackId,
+            text: content.text,
+            // The submitted category: the one policy layers and calibrated thresholds are keyed by
+            category: content.category || 'general',
+            source: content.source || null,
+            label,
+            predicted,
+            feedback,
+            comment: comment || null,
+            by: by || null,
+            analysis: content.analysis || {},
+            moderation: {
+                action: content.moderation.action,
+                policy: content.moderation.policy,
+                policyVersion: content.moderation.policyVersion,
+                rule: content.moderation.rule
+            },
+            contentTimestamp: content.timestamp,
+            labeledAt: parseInt(entry.timestamp) || Date.now()
+        };
+
+        await this.pruneExpired(tenant);
+
+        // Later feedback on the same content replaces the earlier label
+        const previousField = await this.redis.getHashField(this.cellsKey(tenant), contentId);
+        if (previousField) {
+            await this.redis.incrementHashField(this.matrixKey(tenant), previousField, -1);
+        }
+        const field = `${example.category}:${this.cellFor(predicted, label)}`;
+        await this.redis.incrementHashField(this.matrixKey(tenant), field, 1);
+        await this.redis.setHashField(this.cellsKey(tenant), contentId, field);
+
+        await this.redis.setJSON(this.exampleKey(contentId, tenant), '$', example);
+        await this.redis.expireKey(this.exampleKey(contentId, tenant), Math.ceil(this.retention / 1000));
+        await this.redis.addToSortedSet(this.examplesIndexKey(tenant), [{ score: example.labeledAt, value: contentId }]);
+
+        if (feedbackId) {
+            await this.redis.mergeJSON(tenantKey(tenant, `feedback:${feedbackId}`), '$', { label, predicted, processedAt: Date.now() });
+        }
+
+        // Accuracy over all labeled content, replacing the old per-item confidence stand-in
+        const { overall } = await this.getConfusionMatrix(tenant);
+        if (overall.accuracy !== null) {
+            await this.redis.addTimeSeriesPoint(tenantKey(tenant, 'metrics:accuracy:rate'), Date.now(), overall.accuracy * 100, {
+                RETENTION: 86400000,
+                ON_DUPLICATE: 'LAST',
+                LABELS: { type: 'content_moderation', tenant }
+            });
+        }
+
+        return example;
+    }
+
+    // Precision, recall, F1 and accuracy from the raw counts; null when undefined
+    scores(counts) {
+        const { tp, fp, tn, fn } = counts;
+        const total = tp + fp + tn + fn;
+        const ratio = (numerator, denominator) => denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null;
+
+        const precision = ratio(tp, tp + fp);
+        const recall = ratio(tp, tp + fn);
+        const f1 = precision !== null && recall !== null && precision + recall > 0
+            ? Math.round(2 * precision * recall / (precision + recall) * 1000) / 1000
+            : null;
+
+        return { ...counts, total, precision, recall, f1, accuracy: ratio(tp + tn, total) };
+    }
+
+    // Examples leave the index after the retention period (their keys expire soon after); their
+    // labels leave the confusion matrix with them, so the matrix counts exactly the examples kept
+    async pruneExpired(tenant = DEFAULT_TENANT) {
+        const cutoff = Date.now() - this.retention;
+        const expired = await this.redis.getSortedSetRangeByScore(this.examplesIndexKey(tenant), '-inf', cutoff);
+
+        for (const { value: contentId } of expired) {
+            const field = await this.redis.getHashField(this.cellsKey(tenant), contentId);
+            // Only the caller that removes the entry decrements, so concurrent prunes count it once
+            if (field && await this.redis.deleteHashField(this.cellsKey(tenant), contentId)) {
+                await this.redis.incrementHashField(this.matrixKey(tenant), field, -1);
+            }
+        }
+
+        if (expired.length > 0) {
+            await this.redis.removeFromSortedSetByScore(this.examplesIndexKey(tenant), '-inf', cutoff);
+        }
+        return expired.length;
+    }
+
+    async getConfusionMatrix(tenant = DEFAULT_TENANT) {
+        await this.pruneExpired(tenant);
+
+        const fields = await this.redis.getHash(this.matrixKey(tenant));
+
+        const counts = {};
+        Object.entries(fields || {}).forEach(([field, value]) => {
+            const separator = field.lastIndexOf(':');
+            const category = field.substring(0, separator);
+            const cell = field.substring(separator + 1);
+            if (!CELLS.includes(cell)) return;
+
+            counts[category] = counts[category] || { tp: 0, fp: 0, tn: 0, fn: 0 };
+            counts[category][cell] = Math.max(parseInt(value) || 0, 0);
+        });
+
+        const overall = { tp: 0, fp: 0, tn: 0, fn: 0 };
+        const categories = {};
+        Object.entries(counts).forEach(([category, cells]) => {
+            CELLS.forEach(cell => { overall[cell] += cells[cell]; });
+            categories[category] = this.scores(cells);
+        });
+
+        return {
+            positiveLabel: 'violation',
+            overall: this.scores(overall),
+            categories
+        };
+    }
+
+    // Labeled examples, oldest first, for retraining or threshold tuning
+    async exportExamples(tenant = DEFAULT_TENANT, { from = 0, to = Date.now(), category = null, label = null, limit = 1000 } = {}) {
+        const entries = await this.redis.getSortedSetRange(this.examplesIndexKey(tenant), 0, -1);
+        const contentIds = entries
+            .filter(entry => entry.score >= from && entry.score <= to)
+            .map(entry => entry.value);
+
+        const examples = [];
+        for (const contentId of contentIds) {
+            const example = await this.redis.getJSON(this.exampleKey(contentId, tenant), '.');
+            if (!example) continue;
+            if (category && example.category !== category) continue;
+            if (label && example.label !== label) continue;
+
+            examples.push(example);
+            if (examples.length >= limit) break;
+        }
+
+        return examples;
+    }
+}
+
+FeedbackService.LABELS = LABELS;
+
+module.exports = FeedbackService;
@@ -0,0 +1,1058 @@
+const { EventEmitter } = require('events');
+const { VECTOR_DIM } = require('./RedisService');
+const { DEFAULT_TENANT } = require('./tenancy');
+
+const CONTENT_PREFIX = 'content:';
+
+// Matches the BLOCK 1000 used by RedisService.consumeFromGroup
+const CONSUME_BLOCK_MS = 1000;
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function wrongType() {
+    return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+// Stream ids are "<ms>-<seq>"; "-", "+", "0" and "(" (exclusive) are accepted like XRANGE does
+function parseId(id, fallbackSeq = 0) {
+    if (id === '-') return [0, 0];
+    if (id === '+') return [Infinity, Infinity];
+    const [ms, seq] = String(id).split('-');
+    return [Number(ms), seq === undefined ? fallbackSeq : Number(seq)];
+}
+
+function compareIds(a, b) {
+    const [aMs, aSeq] = Array.isArray(a) ? a : parseId(a);
+    const [bMs, bSeq] = Array.isArray(b) ? b : parseId(b);
+    return aMs !== bMs ? (aMs < bMs ? -1 : 1) : (aSeq === bSeq ? 0 : (aSeq < bSeq ? -1 : 1));
+}
+
+function idRangeMatcher(start, end) {
+    const startExclusive = String(start).startsWith('(');
+    const endExclusive = String(end).startsWith('(');
+    // An incomplete end id covers every sequence number of that millisecond
+    const from = parseId(startExclusive ? start.substring(1) : start, 0);
+    const to = parseId(endExclusive ? end.substring(1) : end, Infinity);
+
+    return (id) => {
+        const afterStart = compareIds(id, from);
+        const beforeEnd = compareIds(id, to);
+        return (startExclusive ? afterStart > 0 : afterStart >= 0) && (endExclusive ? beforeEnd < 0 : beforeEnd <= 0);
+    };
+}
+
+// "-inf", "+inf", "(5" and plain numbers, as ZRANGEBYSCORE and TS filters take them
+function scoreBound(value) {
+    const text = String(value);
+    const exclusive = text.startsWith('(');
+    const number = exclusive ? text.substring(1) : text;
+    const parsed = number === '-inf' ? -Infinity : number === '+inf' || number === 'inf' ? Infinity : Number(number);
+    return { value: parsed, exclusive };
+}
+
+// RedisJSON paths used in this codebase: "$", ".", "$.a.b" and ".a.b"
+function parsePath(path = '$') {
+    const legacy = !String(path).startsWith('$');
+    const segments = String(path).replace(/^\$/, '').split('.').filter(Boolean);
+    return { legacy, segments };
+}
+
+// JSON.MERGE semantics (RFC 7386): null deletes, objects merge recursively, anything else replaces
+function mergePatch(target, patch) {
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) return clone(patch);
+
+    const result = target && typeof target === 'object' && !Array.isArray(target) ? target : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = mergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+function unescapeQuery(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+// Parses the prefilter VectorQueryBuilder emits: @field:{a | b}, @text:(terms), @field:[min max]
+function parsePrefilter(prefilter) {
+    const clauses = [];
+    const pattern = /@(\w+):(?:\{((?:\\.|[^}])*)\}|\(((?:\\.|[^)])*)\)|\[(\S+) (\S+)\])/g;
+    let match;
+
+    while ((match = pattern.exec(prefilter)) !== null) {
+        const [, field, tags, text, min, max] = match;
+        if (tags !== undefined) {
+            clauses.push({ type: 'tag', field, values: tags.split(/ \| /).map(value => unescapeQuery(value).trim().toLowerCase()) });
+        } else if (text !== undefined) {
+            clauses.push({ type: 'text', field, terms: text.split(/(?<!\\) +/).filter(Boolean).map(term => unescapeQuery(term).toLowerCase()) });
+        } else {
+            clauses.push({ type: 'range', field, min: scoreBound(min), max: scoreBound(max) });
+        }
+    }
+
+    return clauses;
+}
+
+function inRange(value, min, max) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return false;
+    const aboveMin = min.exclusive ? value > min.value : value >= min.value;
+    const belowMax = max.exclusive ? value < max.value : value <= max.value;
+    return aboveMin && belowMax;
+}
+
+// Words of the document; a query term matches a word it prefixes, standing in for stemming
+function matchesText(text, terms) {
+    const words = String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+function cosineDistance(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 1;
+    return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+const AGGREGATORS = {
+    avg: values => values.reduce((sum, value) => sum + value, 0) / values.length,
+    sum: values => values.reduce((sum, value) => sum + value, 0),
+    min: values => Math.min(...values),
+    max: values => Math.max(...values),
+    count: values => values.length,
+    first: values => values[0],
+    last: values => values[values.length - 1],
+    range: values => Math.max(...values) - Math.min(...values)
+};
+
+// Parses TS.MRANGE filters: label=value, label!=value, label=(a,b) and label= (label absent)
+function labelMatcher(filter) {
+    const match = /^([^!=]+)(!?=)(.*)$/.exec(filter);
+    if (!match) throw new Error(`TSDB: failed parsing labels: ${filter}`);
+
+    const [, label, operator, raw] = match;
+    const values = raw.startsWith('(') ? raw.slice(1, -1).split(',') : [raw];
+
+    return (labels) => {
+        const value = labels[label] === undefined ? '' : String(labels[label]);
+        const matches = values.includes(value);
+        return operator === '=' ? matches : !matches;
+    };
+}
+
+class MemorySubscriber {
+    constructor(bus) {
+        this.bus = bus;
+        this.listeners = new Map();
+    }
+
+    async subscribe(channel, listener) {
+        const handler = (message) => listener(message, channel);
+        this.listeners.set(channel, [...(this.listeners.get(channel) || []), handler]);
+        this.bus.on(channel, handler);
+    }
+
+    async unsubscribe(channel = null) {
+        const channels = channel ? [channel] : [...this.listeners.keys()];
+        channels.forEach(name => {
+            (this.listeners.get(name) || []).forEach(handler => this.bus.off(name, handler));
+            this.listeners.delete(name);
+        });
+    }
+
+    async disconnect() {
+        await this.unsubscribe();
+    }
+}
+
+// In-process stand-in for RedisService used by demo mode. It implements the same methods with
+// the same reply shapes, so the real ContentProcessor, AnalyticsService, VectorService and
+// routes run unchanged. Nothing is persisted; data is gone when the process exits.
+class MemoryRedisService {
+    constructor() {
+        this.data = new Map();
+        this.bus = new EventEmitter();
+        this.bus.setMaxListeners(0);
+        this.subscribers = new Set();
+        this.streamWaiters = new Map();
+        this.sweepInterval = null;
+        this.isConnectedFlag = false;
+    }
+
+    async connect() {
+        this.isConnectedFlag = true;
+
+        // Expired keys are also dropped lazily on access; the sweep bounds memory for keys never read again
+        this.sweepInterval = setInterval(() => this.sweepExpired(), 60000);
+        this.sweepInterval.unref();
+
+        this.initializeDataStructures();
+        console.log('✅ In-memory Redis stand-in ready (demo mode, nothing is persisted)');
+    }
+
+    sweepExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.data) {
+            if (entry.expiresAt && entry.expiresAt <= now) this.data.delete(key);
+        }
+    }
+
+    // Same metric series RedisService creates on connect, so label queries see them from the start
+    initializeDataStructures() {
+        [
+            'metrics:content:processed',
+            'metrics:content:flagged',
+            'metrics:content:approved',
+            'metrics:processing:time',
+            'metrics:accuracy:rate'
+        ].forEach(metric => this.write(metric, 'timeseries', () => ({
+            samples: [],
+            retention: 86400000,
+            labels: { type: 'content_moderation' },
+            duplicatePolicy: 'BLOCK'
+        })));
+    }
+
+    // Typed access: undefined when missing or expired, WRONGTYPE when the key holds another type
+    read(key, type) {
+        const entry = this.data.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return undefined;
+        }
+
+        if (entry.type !== type) throw wrongType();
+        return entry.value;
+    }
+
+    // Returns the value, creating it with `create()` when the key is missing
+    write(key, type, create) {
+        const existing = this.read(key, type);
+        if (existing !== undefined) return existing;
+
+        const value = create();
+        this.data.set(key, { type, value, expiresAt: null });
+        return value;
+    }
+
+    // Streams operations
+    async addToStream(streamKey, data) {
+        const stream = this.write(streamKey, 'stream', () => this.emptyStream());
+        const now = Date.now();
+        const [lastMs, lastSeq] = parseId(stream.lastId);
+        const id = now > lastMs ? `${now}-0` : `${lastMs}-${lastSeq + 1}`;
+
+        const message = {};
+        Object.entries(data).forEach(([field, value]) => {
+            message[field] = String(value);
+        });
+
+        stream.entries.push({ id, message });
+        stream.lastId = id;
+        stream.entriesAdded++;
+
+        this.notifyStream(streamKey);
+        return id;
+    }
+
+    emptyStream() {
+        return { entries: [], lastId: '0-0', entriesAdded: 0, groups: new Map() };
+    }
+
+    async readFromStream(streamKey, count = 10, startId = '0') {
+        const stream = this.read(streamKey, 'stream');
+        if (!stream) return [];
+
+        const matches = idRangeMatcher(startId, '+');
+        return clone(stream.entries.filter(entry => matches(entry.id)).slice(0, count));
+    }
+
+    // Newest entries first, for activity feeds
+    async readFromStreamReverse(streamKey, count = 10, endId = '+') {
+        const stream = this.read(streamKey, 'stream');
+        if (!stream) return [];
+
+        const matches = idRangeMatcher('-', endId);
+        return clone(stream.entries.filter(entry => matches(entry.id)).reverse().slice(0, count));
+    }
+
+    async createConsumerGroup(streamKey, groupName, startId = '$') {
+        const stream = this.write(streamKey, 'stream', () => this.emptyStream());
+        if (stream.groups.has(groupName)) return true;
+
+        const fromEnd = startId === '$';
+        stream.groups.set(groupName, {
+            name: groupName,
+            lastDeliveredId: fromEnd ? stream.lastId : (startId === '0' ? '0-0' : startId),
+            entriesRead: fromEnd ? stream.entriesAdded : 0,
+            pending: new Map(),
+            consumers: new Map()
+        });
+        return true;
+    }
+
+    getGroup(streamKey, groupName, command) {
+        const stream = this.read(streamKey, 'stream');
+        const group = stream && stream.groups.get(groupName);
+        if (!group) {
+            throw new Error(`NOGROUP No such key '${streamKey}' or consumer group '${groupName}' in ${command}`);
+        }
+        return { stream, group };
+    }
+
+    touchConsumer(group, consumerName, active) {
+        const now = Date.now();
+        const consumer = group.consumers.get(consumerName) || { seenAt: now, activeAt: null };
+        consumer.seenAt = now;
+        if (active) consumer.activeAt = now;
+        group.consumers.set(consumerName, consumer);
+        return consumer;
+    }
+
+    notifyStream(streamKey) {
+        const waiters = this.streamWaiters.get(streamKey);
+        if (!waiters) return;
+
+        this.streamWaiters.delete(streamKey);
+        waiters.forEach(resolve => resolve());
+    }
+
+    waitForStream(streamKey, timeoutMs) {
+        return new Promise(resolve => {
+            const waiters = this.streamWaiters.get(streamKey) || new Set();
+            const timer = setTimeout(() => {
+                waiters.delete(done);
+                resolve();
+            }, timeoutMs);
+            const done = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            waiters.add(done);
+            this.streamWaiters.set(streamKey, waiters);
+        });
+    }
+
+    // XREADGROUP ... STREAMS key > with BLOCK: waits for new entries like the real call
+    async consumeFromGroup(streamKey, groupName, consumerName, count = 1) {
+        let messages = this.deliverNew(streamKey, groupName, consumerName, count);
+
+        if (messages.length === 0) {
+            await this.waitForStream(streamKey, CONSUME_BLOCK_MS);
+            messages = this.deliverNew(streamKey, groupName, consumerName, count);
+        }
+
+        return messages.length > 0 ? [{ name: streamKey, messages }] : null;
+    }
+
+    deliverNew(streamKey, groupName, consumerName, count) {
+        const { stream, group } = this.getGroup(streamKey, groupName, 'XREADGROUP with GROUP option');
+        const now = Date.now();
+        const entries = stream.entries
+            .filter(entry => compareIds(entry.id, group.lastDeliveredId) > 0)
+            .slice(0, count);
+
+        this.touchConsumer(group, consumerName, entries.length > 0);
+
+        entries.forEach(entry => {
+            group.pending.set(entry.id, { consumer: consumerName, deliveredAt: now, deliveries: 1 });
+            group.lastDeliveredId = entry.id;
+            group.entriesRead++;
+        });
+
+        return clone(entries);
+    }
+
+    async ackMessages(streamKey, groupName, ids) {
+        const stream = this.read(streamKey, 'stream');
+        const group = stream && stream.groups.get(groupName);
+        if (!group) return 0;
+
+        return ids.filter(id => group.pending.delete(id)).length;
+    }
+
+    // XAUTOCLAIM: entries deleted from the stream are dropped from the PEL and not returned
+    async autoClaimMessages(streamKey, groupName, consumerName, minIdleTime, startId = '0-0', count = 50) {
+        const { stream, group } = this.getGroup(streamKey, groupName, 'XAUTOCLAIM');
+        const now = Date.now();
+        const candidates = [...group.pending.keys()]
+            .filter(id => compareIds(id, startId) >= 0)
+            .sort(compareIds);
+
+        const messages = [];
+        let scanned = 0;
+
+        for (const id of candidates) {
+            if (messages.length >= count) break;
+            scanned++;
+
+            const pending = group.pending.get(id);
+            if (now - pending.deliveredAt < minIdleTime) continue;
+
+            const entry = stream.entries.find(candidate => candidate.id === id);
+            if (!entry) {
+                group.pending.delete(id);
+                continue;
+            }
+
+            pending.consumer = consumerName;
+            pending.deliveredAt = now;
+            pending.deliveries++;
+            messages.push(clone(entry));
+        }
+
+        this.touchConsumer(group, consumerName, messages.length > 0);
+
+        return {
+            nextId: scanned < candidates.length ? candidates[scanned] : '0-0',
+            messages
+        };
+    }
+
+    async deleteFromStream(streamKey, ids) {
+        const stream = this.read(streamKey, 'stream');
+        if (!stream) return 0;
+
+        const before = stream.entries.length;
+        stream.entries = stream.entries.filter(entry => !ids.includes(entry.id));
+        return before - stream.entries.length;
+    }
+
+    async getStreamInfo(streamKey) {
+        const stream = this.read(streamKey, 'stream');
+        if (!stream) return null;
+
+        return {
+            length: stream.entries.length,
+            groups: stream.groups.size,
+            lastGeneratedId: stream.lastId,
+            firstEntry: clone(stream.entries[0]) || null,
+            lastEntry: clone(stream.entries[stream.entries.length - 1]) || null
+        };
+    }
+
+    async getConsumerGroups(streamKey) {
+        const stream = this.read(streamKey, 'stream');
+        if (!stream) return [];
+
+        return [...stream.groups.values()].map(group => ({
+            name: group.name,
+            consumers: group.consumers.size,
+            pending: group.pending.size,
+            lastDeliveredId: group.lastDeliveredId,
+            entriesRead: group.entriesRead,
+            lag: stream.entries.filter(entry => compareIds(entry.id, group.lastDeliveredId) > 0).length
+        }));
+    }
+
+    async getPendingSummary(streamKey, groupName) {
+        const { group } = this.getGroup(streamKey, groupName, 'XPENDING');
+        const ids = [...group.pending.keys()].sort(compareIds);
+
+        if (ids.length === 0) {
+            return { pending: 0, firstId: null, lastId: null, consumers: null };
+        }
+
+        const perConsumer = new Map();
+        group.pending.forEach(({ consumer }) => perConsumer.set(consumer, (perConsumer.get(consumer) || 0) + 1));
+
+        return {
+            pending: ids.length,
+            firstId: ids[0],
+            lastId: ids[ids.length - 1],
+            consumers: [...perConsumer.entries()].map(([name, deliveriesCounter]) => ({ name, deliveriesCounter }))
+        };
+    }
+
+    async getPendingEntries(streamKey, groupName, options = {}) {
+        const { start = '-', end = '+', count = 50, consumer, minIdleTime } = options;
+        const { group } = this.getGroup(streamKey, groupName, 'XPENDING');
+        const matches = idRangeMatcher(start, end);
+        const now = Date.now();
+
+        return [...group.pending.entries()]
+            .filter(([id, pending]) => matches(id)
+                && (!consumer || pending.consumer === consumer)
+                && (!minIdleTime || now - pending.deliveredAt >= minIdleTime))
+            .sort(([a], [b]) => compareIds(a, b))
+            .slice(0, count)
+            .map(([id, pending]) => ({
+                id,
+                owner: pending.consumer,
+                millisecondsSinceLastDelivery: now - pending.deliveredAt,
+                deliveriesCounter: pending.deliveries
+            }));
+    }
+
+    async getConsumers(streamKey, groupName) {
+        const stream = this.read(streamKey, 'stream');
+        const group = stream && stream.groups.get(groupName);
+        if (!group) return [];
+
+        const now = Date.now();
+        return [...group.consumers.entries()].map(([name, consumer]) => ({
+            name,
+            pending: [...group.pending.values()].filter(pending => pending.consumer === name).length,
+            idle: now - consumer.seenAt,
+            inactive: consumer.activeAt ? now - consumer.activeAt : -1
+        }));
+    }
+
+    async deleteConsumer(streamKey, groupName, consumerName) {
+        const { group } = this.getGroup(streamKey, groupName, 'XGROUP DELCONSUMER');
+        let removed = 0;
+
+        for (const [id, pending] of group.pending) {
+            if (pending.consumer === consumerName) {
+                group.pending.delete(id);
+                removed++;
+            }
+        }
+
+        group.consumers.delete(consumerName);
+        return removed;
+    }
+
+    async getStreamLength(streamKey) {
+        const stream = this.read(streamKey, 'stream');
+        return stream ? stream.entries.length : 0;
+    }
+
+    // Hash operations
+    async setHashField(key, field, value) {
+        this.write(key, 'hash', () => new Map()).set(field, String(value));
+        return true;
+    }
+
+    async getHashField(key, field) {
+        const hash = this.read(key, 'hash');
+        return hash && hash.has(field) ? hash.get(field) : null;
+    }
+
+    async getHash(key) {
+        return Object.fromEntries(this.read(key, 'hash') || []);
+    }
+
+    async incrementHashField(key, field, increment = 1) {
+        const hash = this.write(key, 'hash', () => new Map());
+        const value = parseInt(hash.get(field) || '0') + increment;
+        hash.set(field, String(value));
+        return value;
+    }
+
+    async deleteHashField(key, field) {
+        const hash = this.read(key, 'hash');
+        if (!hash || !hash.delete(field)) return 0;
+        if (hash.size === 0) this.data.delete(key);
+        return 1;
+    }
+
+    // JSON operations
+    async setJSON(key, path, value) {
+        const { segments } = parsePath(path);
+
+        if (segments.length === 0) {
+            const entry = this.data.get(key);
+            this.read(key, 'json');
+            this.data.set(key, { type: 'json', value: clone(value), expiresAt: entry ? entry.expiresAt : null });
+            return true;
+        }
+
+        const document = this.read(key, 'json');
+        if (document === undefined) throw new Error('ERR new objects must be created at the root');
+
+        const parent = segments.slice(0, -1).reduce((node, segment) => (node ? node[segment] : undefined), document);
+        if (!parent || typeof parent !== 'object') return false;
+
+        parent[segments[segments.length - 1]] = clone(value);
+        return true;
+    }
+
+    async mergeJSON(key, path, value) {
+        const { segments } = parsePath(path);
+        const document = this.read(key, 'json');
+
+        if (segments.length === 0) {
+            const merged = mergePatch(clone(document), value);
+            const entry = this.data.get(key);
+            this.data.set(key, { type: 'json', value: merged, expiresAt: entry ? entry.expiresAt : null });
+            return true;
+        }
+
+        if (document === undefined) throw new Error('ERR new objects must be created at the root');
+
+        const parent = segments.slice(0, -1).reduce((node, segment) => (node ? node[segment] : undefined), document);
+        if (!parent || typeof parent !== 'object') return false;
+
+        const last = segments[segments.length - 1];
+        const merged = mergePatch(parent[last], value);
+        if (merged === null) {
+            delete parent[last];
+        } else {
+            parent[last] = merged;
+        }
+        return true;
+    }
+
+    // "$" paths reply with an array of matches, legacy "." paths with the value itself
+    async getJSON(key, path = '$') {
+        const document = this.read(key, 'json');
+        if (document === undefined) return null;
+
+        const { legacy, segments } = parsePath(path);
+        let value = document;
+        for (const segment of segments) {
+            value = value !== null && typeof value === 'object' ? value[segment] : undefined;
+        }
+
+        if (legacy) return value === undefined ? null : clone(value);
+        return value === undefined ? [] : [clone(value)];
+    }
+
+    // Key/value and set operations
+    async getValue(key) {
+        const value = this.read(key, 'string');
+        return value === undefined ? null : value;
+    }
+
+    async setValueIfAbsent(key, value, ttlSeconds = null) {
+        if (this.exists(key)) return false;
+        return this.setValue(key, value, ttlSeconds);
+    }
+
+    async setValue(key, value, ttlSeconds = null) {
+        this.data.set(key, {
+            type: 'string',
+            value: String(value),
+            expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+        });
+        return true;
+    }
+
+    exists(key) {
+        const entry = this.data.get(key);
+        if (!entry) return false;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return false;
+        }
+        return true;
+    }
+
+    async deleteKey(key) {
+        const existed = this.exists(key);
+        this.data.delete(key);
+        return existed ? 1 : 0;
+    }
+
+    async expireKey(key, ttlSeconds) {
+        if (!this.exists(key)) return false;
+        this.data.get(key).expiresAt = Date.now() + ttlSeconds * 1000;
+        return true;
+    }
+
+    async addToSet(key, members) {
+        const set = this.write(key, 'set', () => new Set());
+        const list = Array.isArray(members) ? members : [members];
+        let added = 0;
+        list.forEach(member => {
+            if (!set.has(String(member))) {
+                set.add(String(member));
+                added++;
+            }
+        });
+        return added;
+    }
+
+    async removeFromSet(key, members) {
+        const set = this.read(key, 'set');
+        if (!set) return 0;
+
+        const list = Array.isArray(members) ? members : [members];
+        const removed = list.filter(member => set.delete(String(member))).length;
+        if (set.size === 0) this.data.delete(key);
+        return removed;
+    }
+
+    async getSetMembers(key) {
+        return [...(this.read(key, 'set') || [])];
+    }
+
+    // Sorted set operations
+    async addToSortedSet(key, members) {
+        const zset = this.write(key, 'zset', () => new Map());
+        const list = Array.isArray(members) ? members : [members];
+        let added = 0;
+        list.forEach(({ score, value }) => {
+            if (!zset.has(String(value))) added++;
+            zset.set(String(value), Number(score));
+        });
+        return added;
+    }
+
+    async removeFromSortedSet(key, members) {
+        const zset = this.read(key, 'zset');
+        if (!zset) return 0;
+
+        const list = Array.isArray(members) ? members : [members];
+        const removed = list.filter(member => zset.delete(String(member))).length;
+        if (zset.size === 0) this.data.delete(key);
+        return removed;
+    }
+
+    sortedEntries(zset) {
+        return [...zset.entries()]
+            .map(([value, score]) => ({ value, score }))
+            .sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    }
+
+    async getSortedSetRange(key, start = 0, stop = -1) {
+        const zset = this.read(key, 'zset');
+        if (!zset) return [];
+
+        const entries = this.sortedEntries(zset);
+        const from = start < 0 ? Math.max(entries.length + start, 0) : start;
+        const to = stop < 0 ? entries.length + stop : stop;
+        return entries.slice(from, to + 1);
+    }
+
+    async getSortedSetRangeByScore(key, min, max) {
+        const zset = this.read(key, 'zset');
+        if (!zset) return [];
+
+        const lower = scoreBound(min);
+        const upper = scoreBound(max);
+        return this.sortedEntries(zset).filter(entry => inRange(entry.score, lower, upper));
+    }
+
+    async getSortedSetScore(key, member) {
+        const zset = this.read(key, 'zset');
+        return zset && zset.has(String(member)) ? zset.get(String(member)) : null;
+    }
+
+    async removeFromSortedSetByScore(key, min, max) {
+        const zset = this.read(key, 'zset');
+        if (!zset) return 0;
+
+        const lower = scoreBound(min);
+        const upper = scoreBound(max);
+        let removed = 0;
+        for (const [value, score] of zset) {
+            if (inRange(score, lower, upper)) {
+                zset.delete(value);
+                removed++;
+            }
+        }
+        if (zset.size === 0) this.data.delete(key);
+        return removed;
+    }
+
+    async countSortedSet(key) {
+        const zset = this.read(key, 'zset');
+        return zset ? zset.size : 0;
+    }
+
+    // Vector operations
+    async storeVector(key, vector, metadata) {
+        await this.mergeJSON(key, '$', { vector: Array.from(vector), ...metadata });
+        return true;
+    }
+
+    // Documents the vector index would cover: JSON keys under content:
+    indexedDocuments() {
+        const documents = [];
+        for (const [key, entry] of this.data) {
+            if (!key.startsWith(CONTENT_PREFIX) || entry.type !== 'json') continue;
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) continue;
+            if (!entry.value || typeof entry.value !== 'object') continue;
+            documents.push({ id: key, doc: entry.value });
+        }
+        return documents;
+    }
+
+    matchesClauses(doc, clauses) {
+        return clauses.every(clause => {
+            const value = doc[clause.field];
+            if (clause.type === 'tag') {
+                return value !== undefined && value !== null && clause.values.includes(String(value).toLowerCase());
+            }
+            if (clause.type === 'text') {
+                return matchesText(value, clause.terms);
+            }
+            return inRange(typeof value === 'number' ? value : parseFloat(value), clause.min, clause.max);
+        });
+    }
+
+    async searchVectors(vector, limit = 10, options = {}) {
+        const VectorQueryBuilder = require('./VectorQueryBuilder');
+        const query = new VectorQueryBuilder(vector)
+            .tag('tenant', options.tenant)
+            .paginate(0, limit)
+            .build();
+
+        return this.searchVectorQuery(query);
+    }
+
+    // Brute-force KNN over every indexed document that passes the prefilter
+    async searchVectorQuery({ query, vector, options }) {
+        try {
+            const [prefilter, knnClause] = query.split('=>');
+            const knn = /KNN (\d+)/.exec(knnClause || '');
+            const k = knn ? parseInt(knn[1]) : 10;
+            const clauses = prefilter.trim() === '*' ? [] : parsePrefilter(prefilter);
+
+            const hits = this.indexedDocuments()
+                .filter(({ doc }) => Array.isArray(doc.vector) && doc.vector.length === VECTOR_DIM)
+                .filter(({ doc }) => this.matchesClauses(doc, clauses))
+                .map(({ id, doc }) => ({ id, doc, score: cosineDistance(vector, doc.vector) }))
+                .sort((a, b) => a.score - b.score)
+                .slice(0, k);
+
+            const { from = 0, size = 10 } = (options && options.LIMIT) || {};
+            const fields = (options && options.RETURN) || [];
+
+            // RediSearch returns field values as strings
+            const documents = hits.slice(from, from + size).map(({ id, doc, score }) => {
+                const value = {};
+                fields.forEach(field => {
+                    const raw = field === 'score' ? score : doc[field];
+                    if (raw !== undefined && raw !== null) value[field] = String(raw);
+                });
+                return { id, value };
+            });
+
+            return { total: hits.length, documents };
+        } catch (error) {
+            console.error('Vector search error:', error);
+            return { total: 0, documents: [] };
+        }
+    }
+
+    // Most recent vectorized documents, newest first, for clustering and other batch analysis
+    async getRecentVectors({ tenant = null, since = null, count = 500 } = {}) {
+        return this.indexedDocuments()
+            .filter(({ doc }) => Array.isArray(doc.vector))
+            .filter(({ doc }) => !tenant || (doc.tenant || DEFAULT_TENANT) === tenant)
+            .filter(({ doc }) => !since || (doc.timestamp || 0) >= since)
+            .sort((a, b) => (b.doc.timestamp || 0) - (a.doc.timestamp || 0))
+            .slice(0, count)
+            .map(({ id, doc }) => ({
+                id,
+                vector: clone(doc.vector),
+                text: doc.text,
+                status: doc.status,
+                category: doc.category,
+                sentiment: doc.sentiment,
+                toxicityScore: parseFloat(doc.toxicityScore) || 0,
+                timestamp: parseInt(doc.timestamp) || null
+            }));
+    }
+
+    async getRecentContentIds({ tenant = null, since = null, count = 500 } = {}) {
+        return this.indexedDocuments()
+            .filter(({ doc }) => !tenant || (doc.tenant || DEFAULT_TENANT) === tenant)
+            .filter(({ doc }) => !since || (doc.timestamp || 0) >= since)
+            .sort((a, b) => (b.doc.timestamp || 0) - (a.doc.timestamp || 0))
+            .slice(0, count)
+            .map(({ id }) => id);
+    }
+
+    // Time Series operations
+    // options (RETENTION, LABELS, ON_DUPLICATE) apply when the series is created by this add
+    async addTimeSeriesPoint(key, timestamp, value, options = {}) {
+        try {
+            const series = this.write(key, 'timeseries', () => ({
+                samples: [],
+                retention: options.RETENTION || 0,
+                labels: { ...(options.LABELS || {}) },
+                duplicatePolicy: 'BLOCK'
+            }));
+
+            const time = timestamp === '*' ? Date.now() : Number(timestamp);
+            const policy = options.ON_DUPLICATE || series.duplicatePolicy;
+            const existing = series.samples.find(sample => sample.timestamp === time);
+
+            if (existing) {
+                if (policy === 'BLOCK') {
+                    throw new Error('TSDB: Error at upsert, update is not supported when DUPLICATE_POLICY is set to BLOCK mode');
+                }
+                existing.value = policy === 'SUM' ? existing.value + value
+                    : policy === 'MIN' ? Math.min(existing.value, value)
+                    : policy === 'MAX' ? Math.max(existing.value, value)
+                    : policy === 'FIRST' ? existing.value
+                    : value;
+            } else {
+                const index = series.samples.findIndex(sample => sample.timestamp > time);
+                series.samples.splice(index === -1 ? series.samples.length : index, 0, { timestamp: time, value: Number(value) });
+            }
+
+            if (series.retention > 0) {
+                const newest = series.samples[series.samples.length - 1].timestamp;
+                series.samples = series.samples.filter(sample => sample.timestamp >= newest - series.retention);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Time series add error:', error);
+            return false;
+        }
+    }
+
+    // Buckets are aligned to epoch 0, as TS.RANGE does by default
+    rangeSamples(series, fromTimestamp, toTimestamp, aggregation) {
+        const from = fromTimestamp === '-' ? -Infinity : Number(fromTimestamp);
+        const to = toTimestamp === '+' ? Infinity : Number(toTimestamp);
+        const samples = series.samples.filter(sample => sample.timestamp >= from && sample.timestamp <= to);
+
+        if (!aggregation) return clone(samples);
+
+        const aggregate = AGGREGATORS[String(aggregation.type).toLowerCase()];
+        if (!aggregate) throw new Error(`TSDB: Unknown aggregation type ${aggregation.type}`);
+
+        const buckets = new Map();
+        samples.forEach(sample => {
+            const bucket = Math.floor(sample.timestamp / aggregation.timeBucket) * aggregation.timeBucket;
+            if (!buckets.has(bucket)) buckets.set(bucket, []);
+            buckets.get(bucket).push(sample.value);
+        });
+
+        return [...buckets.entries()].map(([timestamp, values]) => ({ timestamp, value: aggregate(values) }));
+    }
+
+    async getTimeSeriesRange(key, fromTimestamp, toTimestamp, aggregation = null) {
+        try {
+            const series = this.read(key, 'timeseries');
+            if (!series) throw new Error('ERR TSDB: the key does not exist');
+            return this.rangeSamples(series, fromTimestamp, toTimestamp, aggregation);
+        } catch (error) {
+            console.error('Time series range error:', error);
+            return [];
+        }
+    }
+
+    // Every series whose labels match the filters, e.g. ['tenant=acme', 'dimension=sentiment']
+    async getTimeSeriesMultiRange(filters, fromTimestamp, toTimestamp, aggregation = null) {
+        try {
+            const matchers = (Array.isArray(filters) ? filters : [filters]).map(labelMatcher);
+            const results = [];
+
+            for (const [key, entry] of this.data) {
+                if (entry.type !== 'timeseries') continue;
+                if (!matchers.every(matches => matches(entry.value.labels))) continue;
+
+                results.push({
+                    key,
+                    labels: { ...entry.value.labels },
+                    samples: this.rangeSamples(entry.value, fromTimestamp, toTimestamp, aggregation)
+                });
+            }
+
+            return results;
+        } catch (error) {
+            console.error('Time series multi-range error:', error);
+            return [];
+        }
+    }
+
+    // Probabilistic data structures, kept exact here
+    async addToHyperLogLog(key, elements) {
+        const set = this.write(key, 'hll', () => new Set());
+        elements.forEach(element => set.add(String(element)));
+        return true;
+    }
+
+    async countHyperLogLog(key) {
+        const set = this.read(key, 'hll');
+        return set ? set.size : 0;
+    }
+
+    async reserveBloomFilter(key) {
+        if (this.exists(key)) return false;
+        this.write(key, 'bloom', () => new Set());
+        return true;
+    }
+
+    async addToBloomFilter(key, item) {
+        const filter = this.write(key, 'bloom', () => new Set());
+        if (filter.has(String(item))) return false;
+        filter.add(String(item));
+        return true;
+    }
+
+    async checkBloomFilter(key, item) {
+        const filter = this.read(key, 'bloom');
+        return Boolean(filter && filter.has(String(item)));
+    }
+
+    // Pub/Sub operations; delivery is asynchronous like a real subscription
+    async publish(channel, message) {
+        const payload = JSON.stringify(message);
+        setImmediate(() => this.bus.emit(channel, payload));
+        return true;
+    }
+
+    async ping() {
+        return 'PONG';
+    }
+
+    // The store shares the process heap, so memory is the heap in use
+    async getServerInfo() {
+        return {
+            redis_mode: 'memory',
+            used_memory: process.memoryUsage().heapUsed,
+            connected_clients: 1 + this.subscribers.size,
+            db0_keys: this.data.size
+        };
+    }
+
+    createSubscriber() {
+        const subscriber = new MemorySubscriber(this.bus);
+        this.subscribers.add(subscriber);
+
+        const disconnect = subscriber.disconnect.bind(subscriber);
+        subscriber.disconnect = async () => {
+            this.subscribers.delete(subscriber);
+            await disconnect();
+        };
+
+        return subscriber;
+    }
+
+    // Utility functions
+    floatArrayToBuffer(array) {
+        const float32Array = new Float32Array(array);
+        return Buffer.from(float32Array.buffer);
+    }
+
+    isConnected() {
+        return this.isConnectedFlag;
+    }
+
+    async disconnect() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+        this.streamWaiters.forEach(waiters => waiters.forEach(resolve => resolve()));
+        this.streamWaiters.clear();
+        this.bus.removeAllListeners();
+        this.isConnectedFlag = false;
+        console.log('✅ In-memory Redis stand-in closed');
+    }
+}
+
+MemoryRedisService.VECTOR_DIM = VECTOR_DIM;
+
+module.exports = MemoryRedisService;
@@ -0,0 +1,255 @@
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+const ACTIONS = ['approve', 'flag', 'shadow_hide', 'quarantine', 'reject'];
+
+// Content status written for each action
+const ACTION_STATUS = {
+    approve: 'approved',
+    flag: 'flagged',
+    shadow_hide: 'hidden',
+    quarantine: 'quarantined',
+    reject: 'rejected'
+};
+
+// Used until a policy has been created and activated; matches the classic `toxicityScore > 0.5` rule,
+// flags coordinated campaigns and is stricter with low-trust users
+const DEFAULT_POLICY = {
+    name: 'builtin',
+    description: 'Built-in policy: flag content with a toxicity score above 0.5 (0.3 for low-trust users) or posted as part of a coordinated campaign',
+    version: 0,
+    defaultAction: 'approve',
+    rules: {
+        default: {
+            toxicityScore: { flag: 0.5 },
+            campaignScore: { flag: 0.5 }
+        },
+        categories: {},
+        sources: {},
+        trust: {
+            low: { toxicityScore: { flag: 0.3 } }
+        }
+    }
+};
+
+// Each tenant keeps its own set of policies and its own active policy
+class PolicyService {
+    constructor(redisService) {
+        this.redis = redisService;
+    }
+
+    indexKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'policies:index');
+    }
+
+    activeKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'policies:active');
+    }
+
+    policyKey(name, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `policy:${name}`);
+    }
+
+    versionKey(name, version, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `policy:${name}:v${version}`);
+    }
+
+    async listPolicies(tenant = DEFAULT_TENANT) {
+        try {
+            const names = await this.redis.getSetMembers(this.indexKey(tenant));
+            const activeName = await this.redis.getValue(this.activeKey(tenant));
+            const policies = await Promise.all(names.map(name => this.getPolicy(name, null, tenant)));
+
+            return policies
+                .filter(Boolean)
+                .map(policy => ({
+                    name: policy.name,
+                    description: policy.description,
+                    version: policy.version,
+                    updatedAt: policy.updatedAt,
+                    active: policy.name === activeName
+                }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('List policies error:', error);
+            throw error;
+        }
+    }
+
+    async getPolicy(name, version = null, tenant = DEFAULT_TENANT) {
+        const key = version ? this.versionKey(name, version, tenant) : this.policyKey(name, tenant);
+        return this.redis.getJSON(key, '.');
+    }
+
+    async getPolicyVersions(name, tenant = DEFAULT_TENANT) {
+        const current = await this.getPolicy(name, null, tenant);
+        if (!current) return null;
+
+        const versions = [];
+        for (let version = 1; version <= current.version; version++) {
+            const snapshot = await this.getPolicy(name, version, tenant);
+            if (snapshot) {
+                versions.push({
+                    version: snapshot.version,
+                    updatedAt: snapshot.updatedAt,
+                    updatedBy: snapshot.updatedBy
+                });
+            }
+        }
+
+        return versions;
+    }
+
+    async createPolicy(definition, updatedBy = null, tenant = DEFAULT_TENANT) {
+        const existing = await this.getPolicy(definition.name, null, tenant);
+        if (existing) {
+            const error = new Error(`Policy ${definition.name} already exists`);
+            error.code = 'POLICY_EXISTS';
+            throw error;
+        }
+
+        const policy = await this.savePolicy(definition, 1, updatedBy, Date.now(), tenant);
+
+        // The first policy created becomes the active one
+        const activeName = await this.redis.getValue(this.activeKey(tenant));
+        if (!activeName) {
+            await this.redis.setValue(this.activeKey(tenant), policy.name);
+        }
+
+        return policy;
+    }
+
+    async updatePolicy(name, definition, updatedBy = null, tenant = DEFAULT_TENANT) {
+        const existing = await this.getPolicy(name, null, tenant);
+        if (!existing) return null;
+
+        return this.savePolicy({ ...definition, name }, existing.version + 1, updatedBy, existing.createdAt, tenant);
+    }
+
+    async savePolicy(definition, version, updatedBy, createdAt = Date.now(), tenant = DEFAULT_TENANT) {
+        const policy = {
+            name: definition.name,
+            description: definition.description || '',
+            defaultAction: definition.defaultAction || 'approve',
+            rules: {
+                default: definition.rules?.default || {},
+                categories: definition.rules?.categories || {},
+                sources: definition.rules?.sources || {},
+                trust: definition.rules?.trust || {}
+            },
+            version,
+            createdAt,
+            updatedAt: Date.now(),
+            updatedBy
+        };
+
+        // Every version is kept as an immutable snapshot next to the current document
+        await this.redis.setJSON(this.versionKey(policy.name, version, tenant), '$', policy);
+        await this.redis.setJSON(this.policyKey(policy.name, tenant), '$', policy);
+        await this.redis.addToSet(this.indexKey(tenant), [policy.name]);
+
+        console.log(`Policy saved: ${policy.name} v${version} (${tenant})`);
+        return policy;
+    }
+
+    async deletePolicy(name, tenant = DEFAULT_TENANT) {
+        const existing = await this.getPolicy(name, null, tenant);
+        if (!existing) return false;
+
+        const activeName = await this.redis.getValue(this.activeKey(tenant));
+        if (activeName === name) {
+            const error = new Error('Cannot delete the active policy');
+            error.code = 'POLICY_ACTIVE';
+            throw error;
+        }
+
+        for (let version = 1; version <= existing.version; version++) {
+            await this.redis.deleteKey(this.versionKey(name, version, tenant));
+        }
+        await this.redis.deleteKey(this.policyKey(name, tenant));
+        await this.redis.removeFromSet(this.indexKey(tenant), [name]);
+
+        console.log(`Policy deleted: ${name} (${tenant})`);
+        return true;
+    }
+
+    async activatePolicy(name, tenant = DEFAULT_TENANT) {
+        const existing = await this.getPolicy(name, null, tenant);
+        if (!existing) return null;
+
+        await this.redis.setValue(this.activeKey(tenant), name);
+        console.log(`Policy activated: ${name} v${existing.version} (${tenant})`);
+        return existing;
+    }
+
+    async getActivePolicy(tenant = DEFAULT_TENANT) {
+        try {
+            const activeName = await this.redis.getValue(this.activeKey(tenant));
+            if (!activeName) return DEFAULT_POLICY;
+
+            const policy = await this.getPolicy(activeName, null, tenant);
+            return policy || DEFAULT_POLICY;
+        } catch (error) {
+            console.error('Get active policy error:', error);
+            return DEFAULT_POLICY;
+        }
+    }
+
+    async decide(analysis, context = {}) {
+        const policy = await this.getActivePolicy(context.tenant);
+        return this.evaluate(policy, analysis, context);
+    }
+
+    // Rules are merged default < category < source < trust tier, per score field. The most severe
+    // action whose threshold the score exceeds wins.
+    evaluate(policy, analysis, context = {}) {
+        const thresholds = this.resolveThresholds(policy, context);
+        let action = policy.defaultAction || 'approve';
+        let rule = null;
+
+        for (const [score, actionThresholds] of Object.entries(thresholds)) {
+            const value = analysis[score];
+            if (typeof value !== 'number') continue;
+
+            for (const [candidate, threshold] of Object.entries(actionThresholds)) {
+                if (value > threshold && ACTIONS.indexOf(candidate) > ACTIONS.indexOf(action)) {
+                    action = candidate;
+                    rule = { score, value, threshold };
+                }
+            }
+        }
+
+        return {
+            action,
+            status: ACTION_STATUS[action],
+            policy: policy.name,
+            policyVersion: policy.version,
+            rule
+        };
+    }
+
+    resolveThresholds(policy, context = {}) {
+        const rules = policy.rules || {};
+        const layers = [
+            rules.default,
+            context.category && rules.categories ? rules.categories[context.category] : null,
+            context.source && rules.sources ? rules.sources[context.source] : null,
+            context.trustTier && rules.trust ? rules.trust[context.trustTier] : null
+        ];
+
+        const thresholds = {};
+        for (const layer of layers) {
+            if (!layer) continue;
+            for (const [score, actionThresholds] of Object.entries(layer)) {
+                thresholds[score] = { ...(thresholds[score] || {}), ...actionThresholds };
+            }
+        }
+
+        return thresholds;
+    }
+}
+
+PolicyService.ACTIONS = ACTIONS;
+PolicyService.ACTION_STATUS = ACTION_STATUS;
+PolicyService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = PolicyService;
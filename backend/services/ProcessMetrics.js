@@ -0,0 +1,103 @@
+const os = require('os');
+const { monitorEventLoopDelay, PerformanceObserver } = require('perf_hooks');
+
+const MB = 1024 * 1024;
+
+// The delay histogram samples on a timer of this resolution; every sample includes it
+const LAG_RESOLUTION_MS = 20;
+
+// Samples the Node process itself: CPU, memory, event-loop lag, GC pauses and HTTP traffic.
+// Values that accumulate (CPU time, GC, requests) are reported per interval and reset on snapshot().
+class ProcessMetrics {
+    constructor() {
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+        this.gcObserver = null;
+        this.started = false;
+        this.resetWindow();
+    }
+
+    start() {
+        if (this.started) return;
+
+        this.eventLoopDelay.enable();
+        this.gcObserver = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => {
+                this.window.gcCount++;
+                this.window.gcPause += entry.duration;
+            });
+        });
+        this.gcObserver.observe({ entryTypes: ['gc'] });
+        this.started = true;
+    }
+
+    stop() {
+        if (!this.started) return;
+
+        this.eventLoopDelay.disable();
+        this.gcObserver.disconnect();
+        this.gcObserver = null;
+        this.started = false;
+    }
+
+    resetWindow() {
+        this.window = {
+            startedAt: Date.now(),
+            cpu: process.cpuUsage(),
+            gcCount: 0,
+            gcPause: 0,
+            requests: 0,
+            errors: 0,
+            latencyTotal: 0
+        };
+        this.eventLoopDelay.reset();
+    }
+
+    // Called by the HTTP middleware when a response finishes
+    recordRequest(durationMs, statusCode) {
+        this.window.requests++;
+        this.window.latencyTotal += durationMs;
+        if (statusCode >= 500) this.window.errors++;
+    }
+
+    lagMs(nanoseconds) {
+        if (this.eventLoopDelay.count === 0) return 0;
+        return Math.max(nanoseconds / 1e6 - LAG_RESOLUTION_MS, 0);
+    }
+
+    // Memory limit of the container when one is set, otherwise the host's
+    memoryLimit() {
+        const constrained = typeof process.constrainedMemory === 'function' ? process.constrainedMemory() : 0;
+        return constrained > 0 && constrained < os.totalmem() ? constrained : os.totalmem();
+    }
+
+    // Metrics for the window since the previous snapshot; starts a new window
+    snapshot() {
+        const now = Date.now();
+        const elapsedMs = Math.max(now - this.window.startedAt, 1);
+        const cpu = process.cpuUsage(this.window.cpu);
+        const memory = process.memoryUsage();
+        const { requests, errors, latencyTotal, gcCount, gcPause } = this.window;
+
+        const metrics = {
+            // Percent of one core; above 100 when worker threads keep several cores busy
+            cpuUsage: ((cpu.user + cpu.system) / 1000 / elapsedMs) * 100,
+            memoryUsage: (memory.rss / this.memoryLimit()) * 100,
+            rssMb: memory.rss / MB,
+            heapUsedMb: memory.heapUsed / MB,
+            heapTotalMb: memory.heapTotal / MB,
+            // The histogram reports nanoseconds; it is empty until the loop has been sampled
+            eventLoopLag: this.lagMs(this.eventLoopDelay.mean),
+            eventLoopLagP99: this.lagMs(this.eventLoopDelay.percentile(99)),
+            gcCount,
+            gcPause,
+            requestRate: requests / (elapsedMs / 1000),
+            responseTime: requests > 0 ? latencyTotal / requests : 0,
+            errorRate: requests > 0 ? (errors / requests) * 100 : 0
+        };
+
+        this.resetWindow();
+        return metrics;
+    }
+}
+
+module.exports = ProcessMetrics;
@@ -0,0 +1,182 @@
+const client = require('prom-client');
+
+const PREFIX = 'streamlinai_';
+
+// Prometheus registry for this process. Moderation counters and HTTP/socket metrics are recorded
+// as they happen; stream and Redis gauges are read from Redis when the endpoint is scraped.
+class PrometheusMetrics {
+    constructor(options = {}) {
+        this.registry = new client.Registry();
+        this.redis = options.redisService || null;
+        this.io = options.io || null;
+        this.streamKey = options.streamKey || 'content:stream';
+        this.pingTimeout = options.pingTimeout || 1000;
+
+        // Node process metrics: CPU, memory, heap, event-loop lag, GC
+        client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+        const moderationLabels = ['tenant', 'category', 'source'];
+
+        this.processed = this.counter('content_processed_total', 'Content items moderated', moderationLabels);
+        this.flagged = this.counter('content_flagged_total', 'Content items not approved by the policy', moderationLabels);
+        this.approved = this.counter('content_approved_total', 'Content items approved by the policy', moderationLabels);
+
+        this.processingTime = new client.Histogram({
+            name: `${PREFIX}content_processing_seconds`,
+            help: 'Time from picking up a content item to storing its decision',
+            labelNames: ['tenant', 'category'],
+            buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers: [this.registry]
+        });
+
+        this.httpDuration = new client.Histogram({
+            name: `${PREFIX}http_request_duration_seconds`,
+            help: 'HTTP request latency by route and status code',
+            labelNames: ['method', 'route', 'status_code'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+            registers: [this.registry]
+        });
+
+        this.socketConnections = this.counter('socket_connections_total', 'Socket.IO connections accepted');
+
+        // Gauges below are computed at scrape time
+        const metrics = this;
+
+        new client.Gauge({
+            name: `${PREFIX}socket_connected_clients`,
+            help: 'Socket.IO clients currently connected',
+            registers: [this.registry],
+            collect() {
+                this.set(metrics.io ? metrics.io.engine.clientsCount : 0);
+            }
+        });
+
+        this.redisUp = new client.Gauge({
+            name: `${PREFIX}redis_up`,
+            help: '1 when the Redis client is connected and answers PING',
+            registers: [this.registry]
+        });
+
+        this.redisPing = new client.Gauge({
+            name: `${PREFIX}redis_ping_seconds`,
+            help: 'Round trip of a PING to Redis',
+            registers: [this.registry]
+        });
+
+        this.streamLength = new client.Gauge({
+            name: `${PREFIX}stream_length`,
+            help: 'Entries in the Redis stream',
+            labelNames: ['stream'],
+            registers: [this.registry]
+        });
+
+        this.groupLag = new client.Gauge({
+            name: `${PREFIX}stream_group_lag`,
+            help: 'Entries not yet delivered to the consumer group',
+            labelNames: ['stream', 'group'],
+            registers: [this.registry]
+        });
+
+        this.groupPending = new client.Gauge({
+            name: `${PREFIX}stream_group_pending`,
+            help: 'Entries delivered to the consumer group but not acknowledged',
+            labelNames: ['stream', 'group'],
+            registers: [this.registry]
+        });
+
+        if (this.io) {
+            this.io.on('connection', () => this.socketConnections.inc());
+        }
+    }
+
+    counter(name, help, labelNames = []) {
+        return new client.Counter({
+            name: `${PREFIX}${name}`,
+            help,
+            labelNames,
+            registers: [this.registry]
+        });
+    }
+
+    setRedisService(redisService) {
+        this.redis = redisService;
+    }
+
+    // Called by ContentProcessor once a decision has been stored
+    recordProcessed({ tenant, category, source, action, processingTime }) {
+        const labels = {
+            tenant: tenant || 'default',
+            category: category || 'general',
+            source: source || 'unknown'
+        };
+
+        this.processed.inc(labels);
+        if (action === 'approve') {
+            this.approved.inc(labels);
+        } else {
+            this.flagged.inc(labels);
+        }
+
+        this.processingTime.observe({ tenant: labels.tenant, category: labels.category }, processingTime / 1000);
+    }
+
+    // Called by the HTTP middleware. The route pattern keeps label cardinality bounded.
+    recordRequest(durationMs, statusCode, req) {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        this.httpDuration.observe({ method: req.method, route, status_code: statusCode }, durationMs / 1000);
+    }
+
+    async collectRedisMetrics() {
+        this.redisUp.set(0);
+        this.redisPing.reset();
+        this.streamLength.reset();
+        this.groupLag.reset();
+        this.groupPending.reset();
+
+        if (!this.redis || !this.redis.isConnected()) return;
+
+        const start = process.hrtime.bigint();
+        const timeout = new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('Redis PING timed out')), this.pingTimeout).unref();
+        });
+
+        try {
+            await Promise.race([this.redis.ping(), timeout]);
+            this.redisPing.set(Number(process.hrtime.bigint() - start) / 1e9);
+            this.redisUp.set(1);
+        } catch (error) {
+            console.error('Metrics Redis ping error:', error.message);
+            return;
+        }
+
+        for (const stream of [this.streamKey, `${this.streamKey}:dlq`]) {
+            this.streamLength.set({ stream }, await this.redis.getStreamLength(stream));
+        }
+
+        const groups = await this.redis.getConsumerGroups(this.streamKey);
+        groups.forEach(group => {
+            const labels = { stream: this.streamKey, group: String(group.name) };
+            this.groupPending.set(labels, Number(group.pending) || 0);
+            // lag is null when Redis cannot compute it (e.g. after XDEL); skip rather than report 0
+            if (group.lag !== null && group.lag !== undefined) {
+                this.groupLag.set(labels, Number(group.lag));
+            }
+        });
+    }
+
+    async render() {
+        try {
+            await this.collectRedisMetrics();
+        } catch (error) {
+            console.error('Metrics Redis collection error:', error);
+        }
+
+        return this.registry.metrics();
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
+
+module.exports = PrometheusMetrics;
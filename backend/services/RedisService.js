@@ -1,4 +1,30 @@
-const { createClient } = require('redis');
+const { createClient, commandOptions } = require('redis');
+const VectorQueryBuilder = require('./VectorQueryBuilder');
+const { escapeTag } = require('./tenancy');
+
+const VECTOR_INDEX = 'idx:content_vectors';
+
+// Embedding size the index is created with; embedding providers must match it
+const VECTOR_DIM = 384;
+
+// Every field is aliased so queries can use @status, @timestamp, ... instead of JSONPaths
+const VECTOR_INDEX_SCHEMA = {
+    '$.vector': {
+        type: 'VECTOR',
+        ALGORITHM: 'FLAT',
+        TYPE: 'FLOAT32',
+        DIM: VECTOR_DIM,
+        DISTANCE_METRIC: 'COSINE',
+        AS: 'vector'
+    },
+    '$.text': { type: 'TEXT', AS: 'text' },
+    '$.status': { type: 'TAG', AS: 'status' },
+    '$.category': { type: 'TAG', AS: 'category' },
+    '$.sentiment': { type: 'TAG', AS: 'sentiment' },
+    '$.tenant': { type: 'TAG', AS: 'tenant' },
+    '$.timestamp': { type: 'NUMERIC', AS: 'timestamp', SORTABLE: true },
+    '$.toxicityScore': { type: 'NUMERIC', AS: 'toxicityScore' }
+};
 
 class RedisService {
     constructor() {
@@ -13,7 +39,9 @@ class RedisService {
             // Main Redis client
             this.client = createClient({
                 url: process.env.REDIS_URL || 'redis://localhost:6379',
-                retry_strategy: (times) => Math.min(times * 50, 2000)
+                retry_strategy: (times) => Math.min(times * 50, 2000),
+                // Connections for blocking stream reads, one per consumer loop in this process
+                isolationPoolOptions: { min: 0, max: parseInt(process.env.REDIS_BLOCKING_CONNECTIONS) || 4 }
             });
 
             // Subscriber client for Pub/Sub
@@ -48,28 +76,7 @@ class RedisService {
     async initializeDataStructures() {
         try {
             // Create vector index for semantic search
-            try {
-                await this.client.ft.create('idx:content_vectors', {
-                    '$.vector': {
-                        type: 'VECTOR',
-                        ALGORITHM: 'FLAT',
-                        TYPE: 'FLOAT32',
-                        DIM: 384,
-                        DISTANCE_METRIC: 'COSINE'
-                    },
-                    '$.text': 'TEXT',
-                    '$.status': 'TAG',
-                    '$.category': 'TAG'
-                }, {
-                    ON: 'JSON',
-                    PREFIX: 'content:'
-                });
-                console.log('✅ Vector index created');
-            } catch (error) {
-                if (!error.message.includes('Index already exists')) {
-                    console.error('Vector index creation error:', error);
-                }
-            }
+            await this.ensureVectorIndex();
 
             // Initialize time series for metrics
             const metrics = [
@@ -99,6 +106,42 @@ class RedisService {
         }
     }
 
+    async createVectorIndex() {
+        await this.client.ft.create(VECTOR_INDEX, VECTOR_INDEX_SCHEMA, {
+            ON: 'JSON',
+            PREFIX: 'content:'
+        });
+    }
+
+    // Older indexes lack field aliases (so @status etc. never matched) or newer fields.
+    // Dropping the index keeps the documents; Redis re-indexes them in the background.
+    async ensureVectorIndex() {
+        try {
+            await this.createVectorIndex();
+            console.log('✅ Vector index created');
+            return;
+        } catch (error) {
+            if (!error.message.includes('Index already exists')) {
+                console.error('Vector index creation error:', error);
+                return;
+            }
+        }
+
+        try {
+            const info = await this.client.ft.info(VECTOR_INDEX);
+            const attributes = (info.attributes || []).map(attribute => attribute.attribute);
+            const missing = Object.values(VECTOR_INDEX_SCHEMA).filter(field => !attributes.includes(field.AS));
+
+            if (missing.length > 0) {
+                await this.client.ft.dropIndex(VECTOR_INDEX);
+                await this.createVectorIndex();
+                console.log(`✅ Vector index rebuilt (added ${missing.map(field => field.AS).join(', ')})`);
+            }
+        } catch (error) {
+            console.error('Vector index upgrade error:', error);
+        }
+    }
+
     // Streams operations
     async addToStream(streamKey, data) {
         try {
@@ -122,6 +165,19 @@ class RedisService {
         }
     }
 
+    // Newest entries first, for activity feeds
+    async readFromStreamReverse(streamKey, count = 10, endId = '+') {
+        try {
+            const messages = await this.client.xRevRange(streamKey, endId, '-', {
+                COUNT: count
+            });
+            return messages;
+        } catch (error) {
+            console.error('Stream reverse read error:', error);
+            throw error;
+        }
+    }
+
     async createConsumerGroup(streamKey, groupName, startId = '$') {
         try {
             await this.client.xGroupCreate(streamKey, groupName, startId, {
@@ -137,9 +193,12 @@ class RedisService {
         }
     }
 
+    // BLOCK holds the connection for up to a second, so the read runs on an isolated connection
+    // rather than the shared client that HTTP handlers and the processors use
     async consumeFromGroup(streamKey, groupName, consumerName, count = 1) {
         try {
             const messages = await this.client.xReadGroup(
+                commandOptions({ isolated: true }),
                 groupName,
                 consumerName,
                 [{ key: streamKey, id: '>' }],
@@ -152,6 +211,160 @@ class RedisService {
         }
     }
 
+    async ackMessages(streamKey, groupName, ids) {
+        try {
+            return await this.client.xAck(streamKey, groupName, ids);
+        } catch (error) {
+            console.error('Stream ack error:', error);
+            throw error;
+        }
+    }
+
+    async autoClaimMessages(streamKey, groupName, consumerName, minIdleTime, startId = '0-0', count = 50) {
+        try {
+            return await this.client.xAutoClaim(streamKey, groupName, consumerName, minIdleTime, startId, {
+                COUNT: count
+            });
+        } catch (error) {
+            console.error('Stream autoclaim error:', error);
+            throw error;
+        }
+    }
+
+    async deleteFromStream(streamKey, ids) {
+        try {
+            return await this.client.xDel(streamKey, ids);
+        } catch (error) {
+            console.error('Stream delete error:', error);
+            throw error;
+        }
+    }
+
+    async getStreamInfo(streamKey) {
+        try {
+            return await this.client.xInfoStream(streamKey);
+        } catch (error) {
+            if (error.message.includes('no such key')) return null;
+            console.error('Stream info error:', error);
+            throw error;
+        }
+    }
+
+    // Raw XINFO GROUPS: node-redis drops the Redis 7 `entries-read` and `lag` fields
+    async getConsumerGroups(streamKey) {
+        try {
+            const reply = await this.client.sendCommand(['XINFO', 'GROUPS', streamKey]);
+            return reply.map(fields => {
+                const group = {};
+                for (let i = 0; i < fields.length; i += 2) {
+                    const name = fields[i].toString().replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+                    group[name] = fields[i + 1];
+                }
+                return group;
+            });
+        } catch (error) {
+            if (error.message.includes('no such key')) return [];
+            console.error('Stream groups info error:', error);
+            throw error;
+        }
+    }
+
+    async getPendingSummary(streamKey, groupName) {
+        try {
+            return await this.client.xPending(streamKey, groupName);
+        } catch (error) {
+            console.error('Stream pending summary error:', error);
+            throw error;
+        }
+    }
+
+    async getPendingEntries(streamKey, groupName, options = {}) {
+        try {
+            const { start = '-', end = '+', count = 50, consumer, minIdleTime } = options;
+            return await this.client.xPendingRange(streamKey, groupName, start, end, count, {
+                consumer,
+                IDLE: minIdleTime
+            });
+        } catch (error) {
+            console.error('Stream pending entries error:', error);
+            throw error;
+        }
+    }
+
+    async getConsumers(streamKey, groupName) {
+        try {
+            return await this.client.xInfoConsumers(streamKey, groupName);
+        } catch (error) {
+            console.error('Stream consumers info error:', error);
+            return [];
+        }
+    }
+
+    async deleteConsumer(streamKey, groupName, consumerName) {
+        try {
+            return await this.client.xGroupDelConsumer(streamKey, groupName, consumerName);
+        } catch (error) {
+            console.error('Consumer delete error:', error);
+            throw error;
+        }
+    }
+
+    async getStreamLength(streamKey) {
+        try {
+            return await this.client.xLen(streamKey);
+        } catch (error) {
+            console.error('Stream length error:', error);
+            return 0;
+        }
+    }
+
+    // Hash operations
+    async setHashField(key, field, value) {
+        try {
+            await this.client.hSet(key, field, value);
+            return true;
+        } catch (error) {
+            console.error('Hash set error:', error);
+            throw error;
+        }
+    }
+
+    async getHashField(key, field) {
+        try {
+            return await this.client.hGet(key, field);
+        } catch (error) {
+            console.error('Hash get error:', error);
+            return null;
+        }
+    }
+
+    async getHash(key) {
+        try {
+            return await this.client.hGetAll(key);
+        } catch (error) {
+            console.error('Hash get all error:', error);
+            return {};
+        }
+    }
+
+    async incrementHashField(key, field, increment = 1) {
+        try {
+            return await this.client.hIncrBy(key, field, increment);
+        } catch (error) {
+            console.error('Hash increment error:', error);
+            throw error;
+        }
+    }
+
+    async deleteHashField(key, field) {
+        try {
+            return await this.client.hDel(key, field);
+        } catch (error) {
+            console.error('Hash delete error:', error);
+            return 0;
+        }
+    }
+
     // JSON operations
     async setJSON(key, path, value) {
         try {
@@ -163,6 +376,16 @@ class RedisService {
         }
     }
 
+    async mergeJSON(key, path, value) {
+        try {
+            await this.client.json.merge(key, path, value);
+            return true;
+        } catch (error) {
+            console.error('JSON merge error:', error);
+            throw error;
+        }
+    }
+
     async getJSON(key, path = '$') {
         try {
             const result = await this.client.json.get(key, { path });
@@ -173,14 +396,158 @@ class RedisService {
         }
     }
 
+    // Key/value and set operations
+    async getValue(key) {
+        try {
+            return await this.client.get(key);
+        } catch (error) {
+            console.error('Get value error:', error);
+            return null;
+        }
+    }
+
+    async setValueIfAbsent(key, value, ttlSeconds = null) {
+        try {
+            const options = { NX: true };
+            if (ttlSeconds) options.EX = ttlSeconds;
+            const result = await this.client.set(key, value, options);
+            return result === 'OK';
+        } catch (error) {
+            console.error('Set value NX error:', error);
+            throw error;
+        }
+    }
+
+    async setValue(key, value, ttlSeconds = null) {
+        try {
+            const options = ttlSeconds ? { EX: ttlSeconds } : undefined;
+            await this.client.set(key, value, options);
+            return true;
+        } catch (error) {
+            console.error('Set value error:', error);
+            throw error;
+        }
+    }
+
+    async deleteKey(key) {
+        try {
+            return await this.client.del(key);
+        } catch (error) {
+            console.error('Delete key error:', error);
+            throw error;
+        }
+    }
+
+    async expireKey(key, ttlSeconds) {
+        try {
+            return await this.client.expire(key, ttlSeconds);
+        } catch (error) {
+            console.error('Expire key error:', error);
+            throw error;
+        }
+    }
+
+    async addToSet(key, members) {
+        try {
+            return await this.client.sAdd(key, members);
+        } catch (error) {
+            console.error('Set add error:', error);
+            throw error;
+        }
+    }
+
+    async removeFromSet(key, members) {
+        try {
+            return await this.client.sRem(key, members);
+        } catch (error) {
+            console.error('Set remove error:', error);
+            throw error;
+        }
+    }
+
+    async getSetMembers(key) {
+        try {
+            return await this.client.sMembers(key);
+        } catch (error) {
+            console.error('Set members error:', error);
+            return [];
+        }
+    }
+
+    // Sorted set operations
+    async addToSortedSet(key, members) {
+        try {
+            return await this.client.zAdd(key, members);
+        } catch (error) {
+            console.error('Sorted set add error:', error);
+            throw error;
+        }
+    }
+
+    async removeFromSortedSet(key, members) {
+        try {
+            return await this.client.zRem(key, members);
+        } catch (error) {
+            console.error('Sorted set remove error:', error);
+            throw error;
+        }
+    }
+
+    async getSortedSetRange(key, start = 0, stop = -1) {
+        try {
+            return await this.client.zRangeWithScores(key, start, stop);
+        } catch (error) {
+            console.error('Sorted set range error:', error);
+            return [];
+        }
+    }
+
+    async getSortedSetRangeByScore(key, min, max) {
+        try {
+            return await this.client.zRangeByScoreWithScores(key, min, max);
+        } catch (error) {
+            console.error('Sorted set range by score error:', error);
+            return [];
+        }
+    }
+
+    async getSortedSetScore(key, member) {
+        try {
+            return await this.client.zScore(key, member);
+        } catch (error) {
+            console.error('Sorted set score error:', error);
+            return null;
+        }
+    }
+
+    async removeFromSortedSetByScore(key, min, max) {
+        try {
+            return await this.client.zRemRangeByScore(key, min, max);
+        } catch (error) {
+            console.error('Sorted set remove by score error:', error);
+            throw error;
+        }
+    }
+
+    async countSortedSet(key) {
+        try {
+            return await this.client.zCard(key);
+        } catch (error) {
+            console.error('Sorted set count error:', error);
+            return 0;
+        }
+    }
+
     // Vector operations
     async storeVector(key, vector, metadata) {
         try {
+            // RedisJSON stores a Buffer as {type,data}; the JSON vector index needs a plain array
             const document = {
-                vector: this.floatArrayToBuffer(vector),
+                vector: Array.from(vector),
                 ...metadata
             };
-            await this.client.json.set(key, '$', document);
+            // Merge so the submitted content fields stay on the document
+            await this.client.json.merge(key, '$', document);
             return true;
         } catch (error) {
             console.error('Vector store error:', error);
@@ -188,20 +555,23 @@ class RedisService {
         }
     }
 
-    async searchVectors(vector, limit = 10) {
-        try {
-            const vectorBuffer = this.floatArrayToBuffer(vector);
+    async searchVectors(vector, limit = 10, options = {}) {
+        const query = new VectorQueryBuilder(vector)
+            .tag('tenant', options.tenant)
+            .paginate(0, limit)
+            .build();
+
+        return this.searchVectorQuery(query);
+    }
 
-            const results = await this.client.ft.search('idx:content_vectors', 
-                `*=>[KNN ${limit} @vector $BLOB AS score]`, {
+    // Run a query produced by VectorQueryBuilder.build()
+    async searchVectorQuery({ query, vector, options }) {
+        try {
+            const results = await this.client.ft.search(VECTOR_INDEX, query, {
+                ...options,
                 PARAMS: {
-                    BLOB: vectorBuffer
-                },
-                RETURN: ['score', 'text', 'status', 'category'],
-                SORTBY: {
-                    BY: 'score'
-                },
-                DIALECT: 2
+                    BLOB: this.floatArrayToBuffer(vector)
+                }
             });
 
             return results;
@@ -211,10 +581,67 @@ class RedisService {
         }
     }
 
+    // Most recent vectorized documents, newest first, for clustering and other batch analysis
+    async getRecentVectors({ tenant = null, since = null, count = 500 } = {}) {
+        try {
+            const filters = [];
+            if (tenant) filters.push(`@tenant:{${escapeTag(tenant)}}`);
+            if (since) filters.push(`@timestamp:[${since} +inf]`);
+
+            const results = await this.client.ft.search(VECTOR_INDEX, filters.join(' ') || '*', {
+                RETURN: [
+                    '$.vector', 'AS', 'vector',
+                    'text', 'status', 'category', 'sentiment', 'toxicityScore', 'timestamp'
+                ],
+                SORTBY: { BY: 'timestamp', DIRECTION: 'DESC' },
+                LIMIT: { from: 0, size: count },
+                DIALECT: 2
+            });
+
+            // Documents whose embedding failed have no vector
+            return results.documents
+                .filter(doc => doc.value.vector)
+                .map(doc => ({
+                    id: doc.id,
+                    vector: JSON.parse(doc.value.vector),
+                    text: doc.value.text,
+                    status: doc.value.status,
+                    category: doc.value.category,
+                    sentiment: doc.value.sentiment,
+                    toxicityScore: parseFloat(doc.value.toxicityScore) || 0,
+                    timestamp: parseInt(doc.value.timestamp) || null
+                }));
+        } catch (error) {
+            console.error('Recent vectors error:', error);
+            return [];
+        }
+    }
+
+    // Ids of the most recent content documents, newest first, with or without an embedding
+    async getRecentContentIds({ tenant = null, since = null, count = 500 } = {}) {
+        try {
+            const filters = [];
+            if (tenant) filters.push(`@tenant:{${escapeTag(tenant)}}`);
+            if (since) filters.push(`@timestamp:[${since} +inf]`);
+
+            const results = await this.client.ft.searchNoContent(VECTOR_INDEX, filters.join(' ') || '*', {
+                SORTBY: { BY: 'timestamp', DIRECTION: 'DESC' },
+                LIMIT: { from: 0, size: count },
+                DIALECT: 2
+            });
+
+            return results.documents;
+        } catch (error) {
+            console.error('Recent content ids error:', error);
+            throw error;
+        }
+    }
+
     // Time Series operations
-    async addTimeSeriesPoint(key, timestamp, value) {
+    // options (RETENTION, LABELS) apply when the series is created by this add
+    async addTimeSeriesPoint(key, timestamp, value, options = {}) {
         try {
-            await this.client.ts.add(key, timestamp, value);
+            await this.client.ts.add(key, timestamp, value, options);
             return true;
         } catch (error) {
             console.error('Time series add error:', error);
@@ -240,6 +667,24 @@ class RedisService {
         }
     }
 
+    // Every series whose labels match the filters, e.g. ['tenant=acme', 'dimension=sentiment']
+    async getTimeSeriesMultiRange(filters, fromTimestamp, toTimestamp, aggregation = null) {
+        try {
+            const options = {};
+            if (aggregation) {
+                options.AGGREGATION = {
+                    type: aggregation.type,
+                    timeBucket: aggregation.timeBucket
+                };
+            }
+
+            return await this.client.ts.mRangeWithLabels(fromTimestamp, toTimestamp, filters, options);
+        } catch (error) {
+            console.error('Time series multi-range error:', error);
+            return [];
+        }
+    }
+
     // Probabilistic data structures
     async addToHyperLogLog(key, elements) {
         try {
@@ -261,24 +706,33 @@ class RedisService {
         }
     }
 
-    async addToBloomFilter(key, item) {
+    // RedisBloom filters; BF.ADD returns false when the item was (probably) already present
+    async reserveBloomFilter(key, errorRate = 0.001, capacity = 1000000) {
         try {
-            // Using regular sets as bloom filter simulation
-            await this.client.sAdd(`bloom:${key}`, item);
+            await this.client.bf.reserve(key, errorRate, capacity);
             return true;
+        } catch (error) {
+            if (error.message.includes('item exists')) return false;
+            console.error('Bloom filter reserve error:', error);
+            throw error;
+        }
+    }
+
+    async addToBloomFilter(key, item) {
+        try {
+            return await this.client.bf.add(key, item);
         } catch (error) {
             console.error('Bloom filter add error:', error);
-            return false;
+            throw error;
         }
     }
 
     async checkBloomFilter(key, item) {
         try {
-            const exists = await this.client.sIsMember(`bloom:${key}`, item);
-            return exists;
+            return await this.client.bf.exists(key, item);
         } catch (error) {
             console.error('Bloom filter check error:', error);
-            return false;
+            throw error;
         }
     }
 
@@ -293,6 +747,32 @@ class RedisService {
         }
     }
 
+    async ping() {
+        return this.client.ping();
+    }
+
+    // INFO fields as numbers where they parse, e.g. used_memory, instantaneous_ops_per_sec
+    async getServerInfo() {
+        try {
+            const info = await this.client.info();
+            const fields = {};
+
+            info.split('\r\n').forEach(line => {
+                if (!line || line.startsWith('#')) return;
+                const separator = line.indexOf(':');
+                if (separator === -1) return;
+
+                const value = line.substring(separator + 1);
+                fields[line.substring(0, separator)] = value !== '' && !isNaN(value) ? Number(value) : value;
+            });
+
+            return fields;
+        } catch (error) {
+            console.error('Redis info error:', error);
+            return null;
+        }
+    }
+
     createSubscriber() {
         return this.subscriber;
     }
@@ -320,4 +800,6 @@ class RedisService {
     }
 }
 
+RedisService.VECTOR_DIM = VECTOR_DIM;
+
 module.exports = RedisService;
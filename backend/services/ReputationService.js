@@ -0,0 +1,204 @@
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+// Trust change per event type, before decay. Adjustments carry their own delta.
+const EVENT_DELTAS = {
+    approved: 0.01,
+    flagged: -0.05,
+    violation: -0.15,
+    overturned: 0.05,
+    feedback_confirmed: -0.05,
+    feedback_cleared: 0.05,
+    adjustment: 0
+};
+
+// Lifetime counter incremented for each event type
+const EVENT_COUNTERS = {
+    approved: 'approved',
+    flagged: 'flagged',
+    violation: 'violations',
+    overturned: 'overturned',
+    feedback_confirmed: 'feedbackConfirmed',
+    feedback_cleared: 'feedbackCleared',
+    adjustment: 'adjustments'
+};
+
+const COUNTERS = ['submissions', ...Object.values(EVENT_COUNTERS)];
+
+// Policies can set stricter or looser thresholds per tier (rules.trust.low / normal / high)
+const TRUST_TIERS = ['low', 'normal', 'high'];
+
+// Users without an id share one anonymous bucket, which would mix everyone's history
+const UNTRACKED_USERS = ['anonymous'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-user moderation history and a trust score from 0 to 1. Lifetime counters live in a hash;
+// scored events live in a sorted set by time so the score can decay without rewriting anything.
+class ReputationService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.baseTrust = options.baseTrust || parseFloat(process.env.REPUTATION_BASE_TRUST) || 0.5;
+        this.halfLife = (options.halfLifeDays || parseFloat(process.env.REPUTATION_HALF_LIFE_DAYS) || 30) * DAY_MS;
+        this.retention = (options.retentionDays || parseInt(process.env.REPUTATION_EVENT_RETENTION_DAYS) || 180) * DAY_MS;
+        this.lowTrust = options.lowTrust || parseFloat(process.env.REPUTATION_LOW_TRUST) || 0.3;
+        this.highTrust = options.highTrust || parseFloat(process.env.REPUTATION_HIGH_TRUST) || 0.8;
+    }
+
+    statsKey(userId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `reputation:${userId}`);
+    }
+
+    eventsKey(userId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `reputation:${userId}:events`);
+    }
+
+    isTracked(userId) {
+        return Boolean(userId) && !UNTRACKED_USERS.includes(userId);
+    }
+
+    tierFor(score) {
+        if (score < this.lowTrust) return 'low';
+        if (score >= this.highTrust) return 'high';
+        return 'normal';
+    }
+
+    async recordSubmission(userId, tenant = DEFAULT_TENANT) {
+        if (!this.isTracked(userId)) return;
+
+        try {
+            await this.redis.incrementHashField(this.statsKey(userId, tenant), 'submissions', 1);
+            await this.redis.setHashField(this.statsKey(userId, tenant), 'lastActivityAt', Date.now());
+        } catch (error) {
+            console.error(`Reputation submission error for ${userId}:`, error);
+        }
+    }
+
+    // Never throws: reputation must not break moderation. Returns the event, null when there is
+    // nothing to record (untracked user or unknown type), or false when the write failed
+    async recordEvent(userId, type, details = {}, tenant = DEFAULT_TENANT) {
+        if (!this.isTracked(userId) || !(type in EVENT_DELTAS)) return null;
+
+        const now = Date.now();
+        const event = {
+            id: uuidv4(),
+            type,
+            delta: details.delta ?? EVENT_DELTAS[type],
+            contentId: details.contentId || null,
+            reason: details.reason || null,
+            by: details.by || null,
+            at: now
+        };
+
+        try {
+            const eventsKey = this.eventsKey(userId, tenant);
+            await this.redis.addToSortedSet(eventsKey, [{ score: now, value: JSON.stringify(event) }]);
+            await this.redis.removeFromSortedSetByScore(eventsKey, '-inf', now - this.retention);
+
+            await this.redis.incrementHashField(this.statsKey(userId, tenant), EVENT_COUNTERS[type], 1);
+            await this.redis.setHashField(this.statsKey(userId, tenant), 'lastActivityAt', now);
+
+            return event;
+        } catch (error) {
+            console.error(`Reputation event error for ${userId}:`, error);
+            return false;
+        }
+    }
+
+    // Which event, if any, a moderator's feedback on a user's content amounts to
+    feedbackOutcome(feedback, contentStatus) {
+        const flagged = contentStatus && contentStatus !== 'approved';
+
+        switch (feedback) {
+            case 'spam': return 'feedback_confirmed';
+            case 'not_spam': return 'feedback_cleared';
+            case 'correct': return flagged ? 'feedback_confirmed' : null;
+            case 'incorrect': return flagged ? 'feedback_cleared' : 'feedback_confirmed';
+            default: return null;
+        }
+    }
+
+    async getEvents(userId, tenant = DEFAULT_TENANT) {
+        const entries = await this.redis.getSortedSetRange(this.eventsKey(userId, tenant), 0, -1);
+        return entries.map(entry => JSON.parse(entry.value));
+    }
+
+    // Base trust plus every event's delta, halved for each half-life since it happened
+    computeTrust(events, now = Date.now()) {
+        const total = events.reduce((sum, event) => {
+            const age = Math.max(now - event.at, 0);
+            return sum + event.delta * Math.pow(0.5, age / this.halfLife);
+        }, this.baseTrust);
+
+        const score = Math.round(Math.min(Math.max(total, 0), 1) * 1000) / 1000;
+        return { score, tier: this.tierFor(score) };
+    }
+
+    // Anonymous users and failed lookups get the base trust
+    async getTrust(userId, tenant = DEFAULT_TENANT) {
+        if (!this.isTracked(userId)) return this.computeTrust([]);
+
+        try {
+            return this.computeTrust(await this.getEvents(userId, tenant));
+        } catch (error) {
+            console.error(`Reputation lookup error for ${userId}:`, error);
+            return this.computeTrust([]);
+        }
+    }
+
+    async getReputation(userId, tenant = DEFAULT_TENANT) {
+        const [stats, events] = await Promise.all([
+            this.redis.getHash(this.statsKey(userId, tenant)),
+            this.getEvents(userId, tenant)
+        ]);
+
+        const counters = {};
+        COUNTERS.forEach(counter => {
+            counters[counter] = parseInt(stats[counter]) || 0;
+        });
+
+        return {
+            userId,
+            tenant,
+            trust: this.computeTrust(events),
+            counters,
+            lastActivityAt: stats.lastActivityAt ? parseInt(stats.lastActivityAt) : null
+        };
+    }
+
+    // Scored events, newest first
+    async getHistory(userId, tenant = DEFAULT_TENANT, { limit = 50, offset = 0 } = {}) {
+        const eventsKey = this.eventsKey(userId, tenant);
+        const total = await this.redis.countSortedSet(eventsKey);
+        const entries = await this.redis.getSortedSetRange(eventsKey, -(offset + limit), -(offset + 1));
+
+        return {
+            total,
+            events: entries.reverse().map(entry => JSON.parse(entry.value))
+        };
+    }
+
+    async adjust(userId, delta, reason, by = null, tenant = DEFAULT_TENANT) {
+        const event = await this.recordEvent(userId, 'adjustment', { delta, reason, by }, tenant);
+        if (event) {
+            console.log(`Reputation adjusted for ${userId} by ${delta} (${tenant}): ${reason}`);
+        }
+        return event;
+    }
+
+    // Clears counters and history; the user starts again at the base trust
+    async reset(userId, tenant = DEFAULT_TENANT) {
+        const deleted = await this.redis.deleteKey(this.statsKey(userId, tenant)) +
+            await this.redis.deleteKey(this.eventsKey(userId, tenant));
+
+        if (deleted > 0) {
+            console.log(`Reputation reset for ${userId} (${tenant})`);
+        }
+        return deleted > 0;
+    }
+}
+
+ReputationService.EVENT_DELTAS = EVENT_DELTAS;
+ReputationService.TRUST_TIERS = TRUST_TIERS;
+
+module.exports = ReputationService;
@@ -0,0 +1,255 @@
+const WebhookService = require('./WebhookService');
+const ReputationService = require('./ReputationService');
+const { DEFAULT_TENANT, tenantKey, contentKey } = require('./tenancy');
+
+const DECISION_STATUS = {
+    approve: 'approved',
+    reject: 'rejected',
+    escalate: 'escalated'
+};
+
+// Policy actions that send content to human review
+const REVIEW_ACTIONS = ['flag', 'quarantine'];
+
+class ReviewService {
+    constructor(redisService, io, options = {}) {
+        this.redis = redisService;
+        this.io = io;
+        this.webhookService = options.webhookService || new WebhookService(redisService);
+        this.reputationService = options.reputationService || new ReputationService(redisService);
+        this.leaseSeconds = parseInt(process.env.REVIEW_LEASE_SECONDS) || 300;
+    }
+
+    queueKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'review:queue');
+    }
+
+    claimKey(contentId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `review:claim:${contentId}`);
+    }
+
+    needsReview(decision) {
+        return REVIEW_ACTIONS.includes(decision.action);
+    }
+
+    // Lower scores are served first: severity buckets (0-100, most severe first), then oldest first
+    priority(severity, timestamp) {
+        const bucket = Math.round((1 - Math.min(Math.max(severity, 0), 1)) * 100);
+        return bucket * 1e13 + timestamp;
+    }
+
+    severity(analysis = {}) {
+        return Math.max(analysis.toxicityScore || 0, analysis.spamScore || 0);
+    }
+
+    async enqueue(contentId, analysis, timestamp = Date.now(), tenant = DEFAULT_TENANT) {
+        try {
+            const severity = this.severity(analysis);
+            await this.redis.addToSortedSet(this.queueKey(tenant), [{
+                score: this.priority(severity, parseInt(timestamp) || Date.now()),
+                value: contentId
+            }]);
+
+            this.emit('review_enqueued', { contentId, severity }, tenant);
+            return true;
+        } catch (error) {
+            console.error('Review enqueue error:', error);
+            return false;
+        }
+    }
+
+    async getQueue(limit = 20, offset = 0, tenant = DEFAULT_TENANT) {
+        const [entries, total] = await Promise.all([
+            this.redis.getSortedSetRange(this.queueKey(tenant), offset, offset + limit - 1),
+            this.redis.countSortedSet(this.queueKey(tenant))
+        ]);
+
+        const items = await Promise.all(entries.map(async ({ value: contentId, score }) => {
+            const [content, claim] = await Promise.all([
+                this.redis.getJSON(contentKey(tenant, contentId), '.'),
+                this.getClaim(contentId, tenant)
+            ]);
+
+            return {
+                contentId,
+                priority: score,
+                severity: this.severity(content?.analysis),
+                status: content?.status,
+                category: content?.category,
+                text: content?.text ? content.text.substring(0, 200) : null,
+                timestamp: content?.timestamp,
+                claim
+            };
+        }));
+
+        return { total, items };
+    }
+
+    async getClaim(contentId, tenant = DEFAULT_TENANT) {
+        const raw = await this.redis.getValue(this.claimKey(contentId, tenant));
+        if (!raw) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async claim(contentId, moderatorId, tenant = DEFAULT_TENANT) {
+        const score = await this.redis.getSortedSetScore(this.queueKey(tenant), contentId);
+        if (score === null || score === undefined) {
+            throw this.reviewError('NOT_IN_QUEUE', 'Content is not waiting for review');
+        }
+
+        const now = Date.now();
+        const claim = {
+            contentId,
+            moderatorId,
+            claimedAt: now,
+            expiresAt: now + this.leaseSeconds * 1000
+        };
+
+        const acquired = await this.redis.setValueIfAbsent(
+            this.claimKey(contentId, tenant),
+            JSON.stringify(claim),
+            this.leaseSeconds
+        );
+
+        if (!acquired) {
+            const existing = await this.getClaim(contentId, tenant);
+            if (!existing || existing.moderatorId !== moderatorId) {
+                throw this.reviewError('ALREADY_CLAIMED', 'Content is claimed by another moderator', existing);
+            }
+
+            // Claiming again renews the lease
+            claim.claimedAt = existing.claimedAt;
+            await this.redis.setValue(this.claimKey(contentId, tenant), JSON.stringify(claim), this.leaseSeconds);
+        }
+
+        this.emit('review_claimed', claim, tenant);
+        return claim;
+    }
+
+    async claimNext(moderatorId, tenant = DEFAULT_TENANT, scanSize = 50) {
+        const entries = await this.redis.getSortedSetRange(this.queueKey(tenant), 0, scanSize - 1);
+
+        for (const { value: contentId } of entries) {
+            const existing = await this.getClaim(contentId, tenant);
+            if (existing) continue;
+
+            try {
+                const claim = await this.claim(contentId, moderatorId, tenant);
+                const content = await this.redis.getJSON(contentKey(tenant, contentId), '.');
+                return { claim, content };
+            } catch (error) {
+                // Another moderator won the race for this item; try the next one
+                if (error.code !== 'ALREADY_CLAIMED') throw error;
+            }
+        }
+
+        return null;
+    }
+
+    async release(contentId, moderatorId, tenant = DEFAULT_TENANT) {
+        await this.assertClaimed(contentId, moderatorId, tenant);
+        await this.redis.deleteKey(this.claimKey(contentId, tenant));
+
+        this.emit('review_released', { contentId, moderatorId }, tenant);
+        return true;
+    }
+
+    // Drops an item settled elsewhere (e.g. by an appeal), along with any claim on it
+    async dequeue(contentId, tenant = DEFAULT_TENANT) {
+        const removed = await this.redis.removeFromSortedSet(this.queueKey(tenant), [contentId]);
+        await this.redis.deleteKey(this.claimKey(contentId, tenant));
+
+        if (removed) {
+            this.emit('review_removed', { contentId }, tenant);
+        }
+        return removed > 0;
+    }
+
+    async decide(contentId, moderatorId, decision, reason, tenant = DEFAULT_TENANT) {
+        await this.assertClaimed(contentId, moderatorId, tenant);
+
+        const content = await this.redis.getJSON(contentKey(tenant, contentId), '.');
+        if (!content) {
+            throw this.reviewError('NOT_FOUND', 'Content not found');
+        }
+
+        const review = {
+            decision,
+            reason,
+            moderatorId,
+            previousStatus: content.status,
+            decidedAt: Date.now()
+        };
+
+        // The human decision replaces the automated status; analysis and moderation stay untouched
+        await this.redis.mergeJSON(contentKey(tenant, contentId), '$', {
+            status: DECISION_STATUS[decision],
+            review,
+            reviewHistory: [...(content.reviewHistory || []), review]
+        });
+
+        if (decision === 'escalate') {
+            // Escalated items go back to the front of the queue for a senior moderator
+            await this.redis.addToSortedSet(this.queueKey(tenant), [{
+                score: this.priority(1, parseInt(content.timestamp) || Date.now()),
+                value: contentId
+            }]);
+        } else {
+            await this.redis.removeFromSortedSet(this.queueKey(tenant), [contentId]);
+        }
+
+        await this.redis.deleteKey(this.claimKey(contentId, tenant));
+
+        // A rejection confirms a violation; approving flagged content overturns the automated decision
+        let reputationEvent = null;
+        if (decision === 'reject') {
+            reputationEvent = 'violation';
+        } else if (decision === 'approve' && content.status !== 'approved') {
+            reputationEvent = 'overturned';
+        }
+        if (reputationEvent) {
+            await this.reputationService.recordEvent(content.userId, reputationEvent, { contentId, reason, by: moderatorId }, tenant);
+        }
+
+        const event = { contentId, tenant, status: DECISION_STATUS[decision], ...review };
+        await this.redis.publish('review:decided', event);
+        this.emit('review_decided', event, tenant);
+        await this.webhookService.dispatch('review.decided', {
+            ...event,
+            category: content.analysis?.category || content.category
+        }, tenant);
+
+        console.log(`Review decided: ${contentId} - ${decision} by ${moderatorId}`);
+        return event;
+    }
+
+    async assertClaimed(contentId, moderatorId, tenant = DEFAULT_TENANT) {
+        const claim = await this.getClaim(contentId, tenant);
+        if (!claim || claim.moderatorId !== moderatorId) {
+            throw this.reviewError('NOT_CLAIMED', 'Content must be claimed by this moderator first', claim);
+        }
+        return claim;
+    }
+
+    reviewError(code, message, claim = null) {
+        const error = new Error(message);
+        error.code = code;
+        error.claim = claim;
+        return error;
+    }
+
+    emit(event, data, tenant = DEFAULT_TENANT) {
+        if (this.io) {
+            this.io.to(`review:${tenant}`).emit(event, data);
+        }
+    }
+}
+
+ReviewService.DECISIONS = Object.keys(DECISION_STATUS);
+
+module.exports = ReviewService;
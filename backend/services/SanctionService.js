@@ -0,0 +1,277 @@
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+// Least to most severe; a user's most severe active sanction decides what happens at submit
+const SANCTION_TYPES = ['cooldown', 'mute', 'ban'];
+
+const APPEAL_STATUSES = ['none', 'pending', 'upheld', 'overturned'];
+
+// Users without an id share one anonymous bucket; sanctioning it would block everyone
+const UNSANCTIONABLE_USERS = ['anonymous'];
+
+// Error code returned with the 403 for each type
+const BLOCK_CODES = {
+    cooldown: 'USER_COOLDOWN',
+    mute: 'USER_MUTED',
+    ban: 'USER_BANNED'
+};
+
+// Every flag in the window counts, e.g. three flags within an hour earns a one-hour cooldown
+const DEFAULT_AUTO_RULES = [
+    { flags: 3, windowSeconds: 3600, type: 'cooldown', durationSeconds: 3600, intervalSeconds: 300 },
+    { flags: 5, windowSeconds: 86400, type: 'mute', durationSeconds: 86400 }
+];
+
+// Timed mutes, permanent bans and submission cooldowns per user. Sanction documents expire with
+// the sanction; each user's active sanctions are indexed in a sorted set scored by expiry.
+class SanctionService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.autoRules = options.autoRules || SanctionService.loadAutoRulesFromEnv();
+        this.flagWindow = Math.max(0, ...this.autoRules.map(rule => rule.windowSeconds)) * 1000;
+    }
+
+    // AUTO_SANCTION_RULES holds a JSON array like DEFAULT_AUTO_RULES; [] disables automatic sanctions
+    static loadAutoRulesFromEnv() {
+        if (!process.env.AUTO_SANCTION_RULES) return DEFAULT_AUTO_RULES;
+
+        try {
+            return JSON.parse(process.env.AUTO_SANCTION_RULES);
+        } catch (error) {
+            console.error('Invalid AUTO_SANCTION_RULES:', error.message);
+            return DEFAULT_AUTO_RULES;
+        }
+    }
+
+    sanctionKey(id, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `sanction:${id}`);
+    }
+
+    userIndexKey(userId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `sanctions:user:${userId}`);
+    }
+
+    activeIndexKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'sanctions:active');
+    }
+
+    cooldownGateKey(userId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `sanctions:cooldown:${userId}`);
+    }
+
+    flagLogKey(userId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `sanctions:flags:${userId}`);
+    }
+
+    canSanction(userId) {
+        return Boolean(userId) && !UNSANCTIONABLE_USERS.includes(userId);
+    }
+
+    severity(type) {
+        return SANCTION_TYPES.indexOf(type);
+    }
+
+    async issue({ userId, type, reason, durationSeconds = null, intervalSeconds = null, issuedBy = null, auto = false }, tenant = DEFAULT_TENANT) {
+        const now = Date.now();
+        // Bans are permanent; everything else expires
+        const expiresAt = type === 'ban' ? null : now + durationSeconds * 1000;
+
+        const sanction = {
+            id: uuidv4(),
+            tenant,
+            userId,
+            type,
+            reason,
+            issuedBy,
+            auto,
+            createdAt: now,
+            expiresAt,
+            durationSeconds: type === 'ban' ? null : durationSeconds,
+            intervalSeconds: type === 'cooldown' ? intervalSeconds : null,
+            status: 'active',
+            appealStatus: 'none'
+        };
+
+        const key = this.sanctionKey(sanction.id, tenant);
+        await this.redis.setJSON(key, '$', sanction);
+        if (expiresAt) {
+            await this.redis.expireKey(key, durationSeconds);
+        }
+
+        const score = expiresAt || Infinity;
+        await this.redis.addToSortedSet(this.userIndexKey(userId, tenant), [{ score, value: sanction.id }]);
+        await this.redis.addToSortedSet(this.activeIndexKey(tenant), [{ score, value: sanction.id }]);
+
+        console.log(`Sanction issued: ${type} for ${userId} (${tenant}) by ${issuedBy || 'system'}: ${reason}`);
+        return sanction;
+    }
+
+    async getSanction(id, tenant = DEFAULT_TENANT) {
+        return this.redis.getJSON(this.sanctionKey(id, tenant), '.');
+    }
+
+    // Drops expired entries from an index, then loads what is left
+    async loadIndex(indexKey, tenant) {
+        await this.redis.removeFromSortedSetByScore(indexKey, '-inf', Date.now());
+
+        const entries = await this.redis.getSortedSetRange(indexKey, 0, -1);
+        const sanctions = await Promise.all(entries.map(entry => this.getSanction(entry.value, tenant)));
+
+        return sanctions
+            .filter(sanction => sanction && sanction.status === 'active')
+            .sort((a, b) => this.severity(b.type) - this.severity(a.type) || b.createdAt - a.createdAt);
+    }
+
+    // Most severe first
+    async getActiveSanctions(userId, tenant = DEFAULT_TENANT) {
+        return this.loadIndex(this.userIndexKey(userId, tenant), tenant);
+    }
+
+    async listActive(tenant = DEFAULT_TENANT) {
+        return this.loadIndex(this.activeIndexKey(tenant), tenant);
+    }
+
+    async revoke(id, revokedBy = null, tenant = DEFAULT_TENANT) {
+        const sanction = await this.getSanction(id, tenant);
+        if (!sanction || sanction.status !== 'active') return null;
+
+        await this.redis.mergeJSON(this.sanctionKey(id, tenant), '$', {
+            status: 'revoked',
+            revokedAt: Date.now(),
+            revokedBy
+        });
+        await this.redis.removeFromSortedSet(this.userIndexKey(sanction.userId, tenant), [id]);
+        await this.redis.removeFromSortedSet(this.activeIndexKey(tenant), [id]);
+        await this.redis.deleteKey(this.cooldownGateKey(sanction.userId, tenant));
+
+        console.log(`Sanction revoked: ${id} for ${sanction.userId} (${tenant})`);
+        return this.getSanction(id, tenant);
+    }
+
+    // An overturned appeal lifts the sanction
+    async setAppealStatus(id, appealStatus, updatedBy = null, tenant = DEFAULT_TENANT) {
+        const sanction = await this.getSanction(id, tenant);
+        if (!sanction) return null;
+
+        await this.redis.mergeJSON(this.sanctionKey(id, tenant), '$', {
+            appealStatus,
+            appealUpdatedAt: Date.now(),
+            appealUpdatedBy: updatedBy
+        });
+
+        if (appealStatus === 'overturned' && sanction.status === 'active') {
+            return this.revoke(id, updatedBy, tenant);
+        }
+        return this.getSanction(id, tenant);
+    }
+
+    block(sanction, retryAfter, message) {
+        return {
+            code: BLOCK_CODES[sanction.type],
+            message,
+            retryAfter,
+            sanction: {
+                id: sanction.id,
+                type: sanction.type,
+                reason: sanction.reason,
+                expiresAt: sanction.expiresAt,
+                intervalSeconds: sanction.intervalSeconds,
+                appealStatus: sanction.appealStatus
+            }
+        };
+    }
+
+    // Read-only check for `count` submissions by a user; returns a block or null
+    async check(userId, tenant = DEFAULT_TENANT, count = 1) {
+        if (!this.canSanction(userId)) return null;
+
+        const [sanction] = await this.getActiveSanctions(userId, tenant);
+        if (!sanction) return null;
+
+        if (sanction.type === 'ban') {
+            return this.block(sanction, null, 'User is banned');
+        }
+
+        if (sanction.type === 'mute') {
+            return this.block(sanction, sanction.expiresAt - Date.now(), 'User is muted');
+        }
+
+        const message = `User may submit once every ${sanction.intervalSeconds} seconds`;
+        if (count > 1) {
+            return this.block(sanction, sanction.intervalSeconds * 1000, message);
+        }
+
+        const nextAllowedAt = parseInt(await this.redis.getValue(this.cooldownGateKey(userId, tenant)));
+        if (nextAllowedAt > Date.now()) {
+            return this.block(sanction, nextAllowedAt - Date.now(), message);
+        }
+        return null;
+    }
+
+    // Starts the cooldown interval after an allowed submission; false if another request got there first
+    async consume(userId, tenant = DEFAULT_TENANT) {
+        if (!this.canSanction(userId)) return true;
+
+        const [sanction] = await this.getActiveSanctions(userId, tenant);
+        if (!sanction || sanction.type !== 'cooldown') return true;
+
+        return this.redis.setValueIfAbsent(
+            this.cooldownGateKey(userId, tenant),
+            String(Date.now() + sanction.intervalSeconds * 1000),
+            sanction.intervalSeconds
+        );
+    }
+
+    // Check and consume for a single submission
+    async enforce(userId, tenant = DEFAULT_TENANT) {
+        const block = await this.check(userId, tenant);
+        if (block) return block;
+
+        if (!(await this.consume(userId, tenant))) {
+            return this.check(userId, tenant);
+        }
+        return null;
+    }
+
+    // Called for every automated flag; issues the most severe auto rule the user has crossed,
+    // unless an equal or more severe sanction is already active. Never throws.
+    async recordFlag(userId, contentId, tenant = DEFAULT_TENANT) {
+        if (this.autoRules.length === 0 || !this.canSanction(userId)) return null;
+
+        try {
+            const now = Date.now();
+            const logKey = this.flagLogKey(userId, tenant);
+            await this.redis.addToSortedSet(logKey, [{ score: now, value: `${contentId}:${now}` }]);
+            await this.redis.removeFromSortedSetByScore(logKey, '-inf', now - this.flagWindow);
+            await this.redis.expireKey(logKey, Math.ceil(this.flagWindow / 1000));
+
+            const flags = (await this.redis.getSortedSetRange(logKey, 0, -1)).map(entry => entry.score);
+            const crossed = this.autoRules
+                .filter(rule => flags.filter(at => at > now - rule.windowSeconds * 1000).length >= rule.flags)
+                .sort((a, b) => this.severity(b.type) - this.severity(a.type));
+            if (crossed.length === 0) return null;
+
+            const rule = crossed[0];
+            const [current] = await this.getActiveSanctions(userId, tenant);
+            if (current && this.severity(current.type) >= this.severity(rule.type)) return null;
+
+            return this.issue({
+                userId,
+                type: rule.type,
+                reason: `Automatic: ${rule.flags} flagged submissions within ${rule.windowSeconds} seconds`,
+                durationSeconds: rule.durationSeconds,
+                intervalSeconds: rule.intervalSeconds,
+                auto: true
+            }, tenant);
+        } catch (error) {
+            console.error(`Auto sanction error for ${userId}:`, error);
+            return null;
+        }
+    }
+}
+
+SanctionService.SANCTION_TYPES = SANCTION_TYPES;
+SanctionService.APPEAL_STATUSES = APPEAL_STATUSES;
+SanctionService.DEFAULT_AUTO_RULES = DEFAULT_AUTO_RULES;
+
+module.exports = SanctionService;
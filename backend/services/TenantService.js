@@ -0,0 +1,101 @@
+const { DEFAULT_TENANT } = require('./tenancy');
+
+const DEFAULT_RATE_LIMIT = {
+    points: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 10,
+    duration: Math.round((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000) / 1000)
+};
+
+class TenantService {
+    constructor(redisService) {
+        this.redis = redisService;
+        this.indexKey = 'tenants:index';
+        this.cache = new Map();
+        this.cacheTtl = 30000;
+    }
+
+    tenantRecordKey(id) {
+        return `tenant:${id}`;
+    }
+
+    defaultTenant() {
+        return {
+            id: DEFAULT_TENANT,
+            name: 'Default',
+            rateLimit: DEFAULT_RATE_LIMIT,
+            builtIn: true
+        };
+    }
+
+    async getTenant(id) {
+        if (!id || id === DEFAULT_TENANT) {
+            const stored = this.redis ? await this.redis.getJSON(this.tenantRecordKey(DEFAULT_TENANT), '.') : null;
+            return { ...this.defaultTenant(), ...(stored || {}) };
+        }
+
+        if (!this.redis) return null;
+        return this.redis.getJSON(this.tenantRecordKey(id), '.');
+    }
+
+    // Tenant lookups happen on every request, so keep them briefly in memory
+    async resolveTenant(id) {
+        const cached = this.cache.get(id);
+        if (cached && cached.expiresAt > Date.now()) return cached.tenant;
+
+        const tenant = await this.getTenant(id);
+        this.cache.set(id, { tenant, expiresAt: Date.now() + this.cacheTtl });
+        return tenant;
+    }
+
+    async listTenants() {
+        const ids = await this.redis.getSetMembers(this.indexKey);
+        const tenants = await Promise.all(ids.map(id => this.getTenant(id)));
+
+        return [
+            await this.getTenant(DEFAULT_TENANT),
+            ...tenants.filter(tenant => tenant && tenant.id !== DEFAULT_TENANT)
+        ];
+    }
+
+    async createTenant({ id, name, rateLimit }) {
+        if (id === DEFAULT_TENANT || await this.getTenant(id)) {
+            const error = new Error(`Tenant ${id} already exists`);
+            error.code = 'TENANT_EXISTS';
+            throw error;
+        }
+
+        const tenant = {
+            id,
+            name,
+            rateLimit: { ...DEFAULT_RATE_LIMIT, ...(rateLimit || {}) },
+            createdAt: Date.now()
+        };
+
+        await this.redis.setJSON(this.tenantRecordKey(id), '$', tenant);
+        await this.redis.addToSet(this.indexKey, [id]);
+
+        console.log(`Tenant created: ${id}`);
+        return tenant;
+    }
+
+    async updateTenant(id, { name, rateLimit }) {
+        const existing = await this.getTenant(id);
+        if (!existing) return null;
+
+        const tenant = {
+            ...existing,
+            name: name || existing.name,
+            rateLimit: { ...existing.rateLimit, ...(rateLimit || {}) },
+            updatedAt: Date.now()
+        };
+        delete tenant.builtIn;
+
+        await this.redis.setJSON(this.tenantRecordKey(id), '$', tenant);
+        this.cache.delete(id);
+
+        return tenant;
+    }
+}
+
+TenantService.DEFAULT_RATE_LIMIT = DEFAULT_RATE_LIMIT;
+
+module.exports = TenantService;
@@ -0,0 +1,99 @@
+const { escapeTag } = require('./tenancy');
+
+// Fields returned for every hit; names are the index aliases
+const RETURN_FIELDS = ['score', 'text', 'status', 'category', 'sentiment', 'toxicityScore', 'timestamp', 'tenant'];
+
+const MAX_RESULTS = 1000;
+
+// Escape punctuation that RediSearch treats as query syntax inside a full-text clause
+function escapeText(value) {
+    return String(value).replace(/[,.<>{}[\]"':;!@#$%^&*()\-+=~|/\\]/g, '\\$&');
+}
+
+// Builds a hybrid FT.SEARCH query: tag, full-text and numeric prefilters combined with AND,
+// followed by a KNN vector clause over the filtered documents
+class VectorQueryBuilder {
+    constructor(vector) {
+        this.vector = vector;
+        this.filters = [];
+        this.offset = 0;
+        this.limit = 10;
+    }
+
+    // Match any of the given values, e.g. tag('status', ['flagged', 'quarantined'])
+    tag(field, values) {
+        const list = (Array.isArray(values) ? values : [values])
+            .filter(value => value !== undefined && value !== null && value !== '');
+
+        if (list.length > 0) {
+            this.filters.push(`@${field}:{${list.map(escapeTag).join(' | ')}}`);
+        }
+        return this;
+    }
+
+    // Every word must appear in the document text (stemmed by RediSearch)
+    text(query) {
+        const terms = String(query || '').trim().split(/\s+/).filter(Boolean).map(escapeText);
+
+        if (terms.length > 0) {
+            this.filters.push(`@text:(${terms.join(' ')})`);
+        }
+        return this;
+    }
+
+    // Inclusive numeric range; either bound may be omitted
+    range(field, min, max) {
+        const hasMin = min !== undefined && min !== null;
+        const hasMax = max !== undefined && max !== null;
+
+        if (hasMin || hasMax) {
+            this.filters.push(`@${field}:[${hasMin ? Number(min) : '-inf'} ${hasMax ? Number(max) : '+inf'}]`);
+        }
+        return this;
+    }
+
+    paginate(offset = 0, limit = 10) {
+        this.offset = Math.max(parseInt(offset) || 0, 0);
+        this.limit = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_RESULTS);
+        return this;
+    }
+
+    prefilter() {
+        return this.filters.length > 0 ? `(${this.filters.join(' ')})` : '*';
+    }
+
+    // KNN has to find offset + limit neighbours so the requested page exists
+    build() {
+        const k = Math.min(this.offset + this.limit, MAX_RESULTS);
+
+        return {
+            query: `${this.prefilter()}=>[KNN ${k} @vector $BLOB AS score]`,
+            vector: this.vector,
+            options: {
+                RETURN: RETURN_FIELDS,
+                SORTBY: { BY: 'score' },
+                LIMIT: { from: this.offset, size: this.limit },
+                DIALECT: 2
+            }
+        };
+    }
+
+    // Translate the /search API filters into builder calls
+    static fromFilters(vector, filters = {}, tenant = null) {
+        const builder = new VectorQueryBuilder(vector)
+            .tag('tenant', tenant)
+            .tag('status', filters.status)
+            .tag('category', filters.category)
+            .tag('sentiment', filters.sentiment)
+            .text(filters.text)
+            .range('timestamp', filters.from, filters.to)
+            .range('toxicityScore', filters.minToxicity, filters.maxToxicity);
+
+        return builder.paginate(filters.offset, filters.limit);
+    }
+}
+
+VectorQueryBuilder.RETURN_FIELDS = RETURN_FIELDS;
+VectorQueryBuilder.MAX_RESULTS = MAX_RESULTS;
+
+module.exports = VectorQueryBuilder;
@@ -1,66 +1,104 @@
+const crypto = require('crypto');
+const RedisService = require('./RedisService');
+const VectorQueryBuilder = require('./VectorQueryBuilder');
+const { createEmbeddingProvider } = require('./embeddings');
+const { DEFAULT_TENANT, contentKey } = require('./tenancy');
+
 class VectorService {
-    constructor(redisService) {
+    constructor(redisService, options = {}) {
         this.redis = redisService;
-        this.embeddingDimension = 384; // Simulating sentence-transformers/all-MiniLM-L6-v2
+        this.embeddingDimension = RedisService.VECTOR_DIM; // DIM of idx:content_vectors
+        this.provider = options.embeddingProvider || createEmbeddingProvider();
+        this.cacheTtl = parseInt(process.env.EMBEDDING_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+        if (this.provider.dimension !== this.embeddingDimension) {
+            throw new Error(
+                `Embedding provider ${this.provider.name} (${this.provider.model}) produces ${this.provider.dimension}-dim ` +
+                `vectors but the vector index expects ${this.embeddingDimension}`
+            );
+        }
     }
 
-    async generateEmbedding(text) {
+    // Cached per provider and model so switching models never mixes vector spaces
+    embeddingCacheKey(text) {
+        const hash = crypto.createHash('sha256').update(text).digest('hex');
+        return `embedding:${this.provider.name}:${this.provider.model}:${hash}`;
+    }
+
+    // Throws rather than returning a substitute vector: a failed embedding must never be stored.
+    // cache: false still reads the cache but never writes to it (draft checks)
+    async generateEmbedding(text, { cache = true } = {}) {
+        const cacheKey = this.embeddingCacheKey(text);
+
+        const cached = await this.getCachedEmbedding(cacheKey);
+        if (cached) return cached;
+
+        const embedding = this.validateEmbedding(await this.provider.embed(text));
+        if (!cache) return embedding;
+
         try {
-            // Simulate AI embedding generation
-            // In production, this would call actual embedding services like OpenAI, Cohere, etc.
-
-            // Simple text-to-vector conversion for demonstration
-            const normalized = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
-            const words = normalized.split(/\s+/).filter(word => word.length > 0);
-
-            // Create a pseudo-embedding based on text characteristics
-            const embedding = new Array(this.embeddingDimension).fill(0);
-
-            // Use character codes and word patterns to create consistent vectors
-            for (let i = 0; i < words.length; i++) {
-                const word = words[i];
-                for (let j = 0; j < word.length; j++) {
-                    const charCode = word.charCodeAt(j);
-                    const index = (charCode * (i + 1) * (j + 1)) % this.embeddingDimension;
-                    embedding[index] += Math.sin(charCode / 100) * 0.1;
-                }
-            }
-
-            // Add some randomness based on text length and content
-            const textHash = this.simpleHash(text);
-            for (let i = 0; i < this.embeddingDimension; i++) {
-                embedding[i] += Math.sin((textHash + i) / 1000) * 0.05;
-            }
-
-            // Normalize the vector
-            const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-            return embedding.map(val => magnitude > 0 ? val / magnitude : 0);
+            await this.redis.setValue(cacheKey, JSON.stringify(embedding), this.cacheTtl);
+        } catch (error) {
+            console.error('Embedding cache write error:', error);
+        }
 
+        return embedding;
+    }
+
+    async getCachedEmbedding(cacheKey) {
+        try {
+            const raw = await this.redis.getValue(cacheKey);
+            return raw ? this.validateEmbedding(JSON.parse(raw)) : null;
         } catch (error) {
-            console.error('Embedding generation error:', error);
-            // Return random normalized vector as fallback
-            const fallback = Array.from({length: this.embeddingDimension}, () => Math.random() - 0.5);
-            const magnitude = Math.sqrt(fallback.reduce((sum, val) => sum + val * val, 0));
-            return fallback.map(val => val / magnitude);
+            console.error('Embedding cache read error:', error);
+            return null;
+        }
+    }
+
+    validateEmbedding(embedding) {
+        if (!Array.isArray(embedding) && !ArrayBuffer.isView(embedding)) {
+            throw this.embeddingError('EMBEDDING_INVALID', 'Embedding provider returned no vector');
+        }
+
+        const vector = Array.from(embedding);
+        if (vector.length !== this.embeddingDimension) {
+            throw this.embeddingError(
+                'EMBEDDING_DIMENSION_MISMATCH',
+                `Embedding has ${vector.length} dimensions, the vector index expects ${this.embeddingDimension}`
+            );
+        }
+
+        if (!vector.every(Number.isFinite)) {
+            throw this.embeddingError('EMBEDDING_INVALID', 'Embedding contains non-numeric values');
         }
+
+        return vector;
     }
 
-    async storeContentVector(contentId, text, analysis) {
+    embeddingError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    async storeContentVector(contentId, text, analysis, status = analysis.isToxic ? 'flagged' : 'approved', tenant = DEFAULT_TENANT) {
         try {
             const embedding = await this.generateEmbedding(text);
 
+            // Merged into the content document, which already holds text and timestamp
             const vectorData = {
                 vector: embedding,
-                text: text.substring(0, 500), // Limit text for storage
-                status: analysis.isToxic ? 'flagged' : 'approved',
+                status,
                 category: analysis.category,
                 sentiment: analysis.sentiment,
                 toxicityScore: analysis.toxicityScore,
                 confidence: analysis.confidence,
-                timestamp: Date.now()
+                tenant,
+                embeddingModel: `${this.provider.name}:${this.provider.model}`,
+                vectorizedAt: Date.now()
             };
 
-            await this.redis.storeVector(`content:${contentId}`, embedding, vectorData);
+            await this.redis.storeVector(contentKey(tenant, contentId), embedding, vectorData);
             console.log(`Vector stored for content: ${contentId}`);
 
             return true;
@@ -70,65 +108,55 @@ class VectorService {
         }
     }
 
-    async findSimilarContent(text, limit = 5, threshold = 0.7) {
+    // COSINE KNN scores are distances (0 = identical); similarity is 1 - distance
+    toSearchResult(doc) {
+        const distance = parseFloat(doc.value.score);
+
+        return {
+            id: doc.id,
+            text: doc.value.text,
+            score: distance,
+            similarity: 1 - distance,
+            status: doc.value.status,
+            category: doc.value.category,
+            sentiment: doc.value.sentiment,
+            toxicityScore: doc.value.toxicityScore !== undefined ? parseFloat(doc.value.toxicityScore) : undefined,
+            timestamp: doc.value.timestamp !== undefined ? parseInt(doc.value.timestamp) : undefined
+        };
+    }
+
+    async findSimilarContent(text, limit = 5, threshold = 0.7, tenant = DEFAULT_TENANT, options = {}) {
         try {
-            const queryEmbedding = await this.generateEmbedding(text);
-            const results = await this.redis.searchVectors(queryEmbedding, limit);
+            const queryEmbedding = await this.generateEmbedding(text, options);
+            const results = await this.redis.searchVectors(queryEmbedding, limit, { tenant });
 
             // Filter by similarity threshold
-            const similarContent = [];
-            if (results.documents) {
-                for (const doc of results.documents) {
-                    const score = parseFloat(doc.value.score);
-                    if (score >= threshold) {
-                        similarContent.push({
-                            id: doc.id,
-                            text: doc.value.text,
-                            similarity: score,
-                            status: doc.value.status,
-                            category: doc.value.category,
-                            sentiment: doc.value.sentiment
-                        });
-                    }
-                }
-            }
-
-            return similarContent;
+            return (results.documents || [])
+                .map(doc => this.toSearchResult(doc))
+                .filter(result => result.similarity >= threshold);
         } catch (error) {
             console.error('Similar content search error:', error);
             return [];
         }
     }
 
-    async semanticSearch(query, filters = {}, limit = 10) {
+    // filters: status, category, sentiment (value or list), text (full-text prefilter),
+    // from/to (timestamp ms), minToxicity/maxToxicity, offset
+    async semanticSearch(query, filters = {}, limit = 10, tenant = DEFAULT_TENANT) {
         try {
             const queryEmbedding = await this.generateEmbedding(query);
+            const searchQuery = VectorQueryBuilder
+                .fromFilters(queryEmbedding, { ...filters, limit }, tenant)
+                .build();
 
-            // Build search query with filters
-            let searchQuery = `*=>[KNN ${limit} @vector $BLOB AS score]`;
-
-            if (filters.status) {
-                searchQuery = `@status:{${filters.status}} => [KNN ${limit} @vector $BLOB AS score]`;
-            }
-
-            if (filters.category) {
-                searchQuery = `@category:{${filters.category}} => [KNN ${limit} @vector $BLOB AS score]`;
-            }
-
-            const results = await this.redis.searchVectors(queryEmbedding, limit);
+            const results = await this.redis.searchVectorQuery(searchQuery);
 
             return {
                 query,
                 total: results.total,
-                results: results.documents.map(doc => ({
-                    id: doc.id,
-                    text: doc.value.text,
-                    score: parseFloat(doc.value.score),
-                    status: doc.value.status,
-                    category: doc.value.category,
-                    sentiment: doc.value.sentiment,
-                    toxicityScore: doc.value.toxicityScore
-                }))
+                offset: searchQuery.options.LIMIT.from,
+                limit: searchQuery.options.LIMIT.size,
+                results: results.documents.map(doc => this.toSearchResult(doc))
             };
 
         } catch (error) {
@@ -137,46 +165,6 @@ class VectorService {
         }
     }
 
-    async getContentClusters(sampleSize = 100) {
-        try {
-            // Simulate content clustering based on vector similarity
-            // In production, this would use actual clustering algorithms
-
-            const clusters = {
-                positive_reviews: {
-                    count: 45,
-                    avgSentiment: 0.8,
-                    keywords: ['great', 'excellent', 'amazing', 'recommend']
-                },
-                negative_feedback: {
-                    count: 23,
-                    avgSentiment: -0.6,
-                    keywords: ['terrible', 'awful', 'disappointed', 'waste']
-                },
-                neutral_comments: {
-                    count: 32,
-                    avgSentiment: 0.1,
-                    keywords: ['okay', 'fine', 'average', 'normal']
-                }
-            };
-
-            return clusters;
-        } catch (error) {
-            console.error('Content clustering error:', error);
-            return {};
-        }
-    }
-
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return Math.abs(hash);
-    }
-
     async getVectorStats() {
         try {
             // Get some basic stats about stored vectors
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TENANT, tenantKey } = require('./tenancy');
+
+// Events a subscription can filter on
+const EVENTS = ['content.flagged', 'content.approved', 'content.error', 'review.decided'];
+
+// Sent only by the test-fire endpoint, whatever the subscription's filters
+const TEST_EVENT = 'webhook.test';
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Receivers reject signatures older than this, which limits replay of captured requests
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe-style signature: HMAC-SHA256 over "<unix seconds>.<raw body>"
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Webhook subscriptions per tenant, with HMAC-signed deliveries retried from a Redis sorted set.
+// Every delivery and its attempts are kept in a per-subscription log so they can be inspected and replayed.
+class WebhookService {
+    constructor(redisService, options = {}) {
+        this.redis = redisService;
+        this.timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+        this.pollInterval = options.pollInterval || parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000;
+        this.retryPolicy = {
+            maxAttempts: options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+            baseDelay: options.baseDelay || parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000,
+            maxDelay: options.maxDelay || parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000
+        };
+        this.deliveryRetention = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_SECONDS) || 7 * 24 * 60 * 60;
+        // Due deliveries of every tenant, scored by when they should next be attempted
+        this.queueKey = 'webhooks:queue';
+        this.timer = null;
+        this.isDelivering = false;
+    }
+
+    subscriptionKey(id, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `webhook:${id}`);
+    }
+
+    indexKey(tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, 'webhooks');
+    }
+
+    deliveryKey(id, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `webhook:delivery:${id}`);
+    }
+
+    deliveryLogKey(webhookId, tenant = DEFAULT_TENANT) {
+        return tenantKey(tenant, `webhook:${webhookId}:deliveries`);
+    }
+
+    // Secrets are only returned when a subscription is created or its secret rotated
+    publicView(subscription) {
+        if (!subscription) return null;
+
+        const { secret, ...rest } = subscription;
+        return rest;
+    }
+
+    async createSubscription({ url, events, categories = [], secret, description = '', active = true }, tenant = DEFAULT_TENANT) {
+        const subscription = {
+            id: uuidv4(),
+            tenant,
+            url,
+            events,
+            categories,
+            description,
+            active,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        await this.redis.setJSON(this.subscriptionKey(subscription.id, tenant), '$', subscription);
+        await this.redis.addToSet(this.indexKey(tenant), [subscription.id]);
+
+        console.log(`Webhook created: ${subscription.id} -> ${url} (${tenant})`);
+        return subscription;
+    }
+
+    async getSubscription(id, tenant = DEFAULT_TENANT) {
+        return this.redis.getJSON(this.subscriptionKey(id, tenant), '.');
+    }
+
+    async listSubscriptions(tenant = DEFAULT_TENANT) {
+        const ids = await this.redis.getSetMembers(this.indexKey(tenant));
+        const subscriptions = await Promise.all(ids.map(id => this.getSubscription(id, tenant)));
+
+        return subscriptions
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async updateSubscription(id, changes, tenant = DEFAULT_TENANT) {
+        const subscription = await this.getSubscription(id, tenant);
+        if (!subscription) return null;
+
+        const updated = { ...subscription, ...changes, updatedAt: Date.now() };
+        await this.redis.setJSON(this.subscriptionKey(id, tenant), '$', updated);
+
+        console.log(`Webhook updated: ${id} (${tenant})`);
+        return updated;
+    }
+
+    // Pending retries of a deleted subscription fail when they come due
+    async deleteSubscription(id, tenant = DEFAULT_TENANT) {
+        const deleted = await this.redis.deleteKey(this.subscriptionKey(id, tenant));
+        if (!deleted) return false;
+
+        await this.redis.removeFromSet(this.indexKey(tenant), [id]);
+        await this.redis.deleteKey(this.deliveryLogKey(id, tenant));
+
+        console.log(`Webhook deleted: ${id} (${tenant})`);
+        return true;
+    }
+
+    // Empty category filters match every category
+    matches(subscription, event, category) {
+        if (!subscription.active || !subscription.events.includes(event)) return false;
+        return subscription.categories.length === 0 || subscription.categories.includes(category);
+    }
+
+    // Queue a delivery to every matching subscription. Never throws: webhooks must not break moderation.
+    async dispatch(event, data, tenant = DEFAULT_TENANT) {
+        try {
+            const subscriptions = await this.listSubscriptions(tenant);
+            const deliveries = [];
+
+            for (const subscription of subscriptions) {
+                if (this.matches(subscription, event, data.category)) {
+                    deliveries.push(await this.createDelivery(subscription, event, data));
+                }
+            }
+
+            if (deliveries.length > 0) {
+                this.deliverDue().catch(error => console.error('Webhook delivery error:', error));
+            }
+
+            return deliveries;
+        } catch (error) {
+            console.error(`Webhook dispatch error for ${event}:`, error);
+            return [];
+        }
+    }
+
+    async createDelivery(subscription, event, data, { replayOf = null, queue = true } = {}) {
+        const now = Date.now();
+        const delivery = {
+            id: uuidv4(),
+            webhookId: subscription.id,
+            tenant: subscription.tenant,
+            event,
+            payload: {
+                id: null,
+                event,
+                tenant: subscription.tenant,
+                createdAt: now,
+                data
+            },
+            status: 'pending',
+            attempts: [],
+            replayOf,
+            createdAt: now,
+            nextAttemptAt: now,
+            completedAt: null
+        };
+        delivery.payload.id = delivery.id;
+
+        await this.saveDelivery(delivery);
+
+        const logKey = this.deliveryLogKey(subscription.id, subscription.tenant);
+        await this.redis.addToSortedSet(logKey, [{ score: now, value: delivery.id }]);
+        await this.redis.removeFromSortedSetByScore(logKey, '-inf', now - this.deliveryRetention * 1000);
+
+        if (queue) {
+            await this.enqueue(delivery, now);
+        }
+
+        return delivery;
+    }
+
+    async saveDelivery(delivery) {
+        const key = this.deliveryKey(delivery.id, delivery.tenant);
+        await this.redis.setJSON(key, '$', delivery);
+        await this.redis.expireKey(key, this.deliveryRetention);
+    }
+
+    async getDelivery(id, tenant = DEFAULT_TENANT) {
+        return this.redis.getJSON(this.deliveryKey(id, tenant), '.');
+    }
+
+    // Newest first; entries whose record expired are skipped
+    async getDeliveries(webhookId, tenant = DEFAULT_TENANT, { limit = 20, offset = 0 } = {}) {
+        const logKey = this.deliveryLogKey(webhookId, tenant);
+        const total = await this.redis.countSortedSet(logKey);
+        const entries = await this.redis.getSortedSetRange(logKey, -(offset + limit), -(offset + 1));
+        const deliveries = await Promise.all(entries.reverse().map(entry => this.getDelivery(entry.value, tenant)));
+
+        return {
+            total,
+            deliveries: deliveries.filter(Boolean)
+        };
+    }
+
+    queueMember(delivery) {
+        return `${delivery.tenant}:${delivery.id}`;
+    }
+
+    async enqueue(delivery, at) {
+        await this.redis.addToSortedSet(this.queueKey, [{ score: at, value: this.queueMember(delivery) }]);
+    }
+
+    retryDelay(attempts) {
+        return Math.min(this.retryPolicy.baseDelay * Math.pow(2, attempts - 1), this.retryPolicy.maxDelay);
+    }
+
+    // POST the payload once and report what happened; never throws
+    async send(subscription, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'StreamlinAI-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Attempt': String(delivery.attempts.length + 1),
+                    [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            const responseBody = await response.text().catch(() => '');
+
+            return {
+                at: startedAt,
+                durationMs: Date.now() - startedAt,
+                statusCode: response.status,
+                ok: response.ok,
+                response: responseBody.substring(0, 500),
+                error: response.ok ? null : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            return {
+                at: startedAt,
+                durationMs: Date.now() - startedAt,
+                statusCode: null,
+                ok: false,
+                response: null,
+                error: error.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : error.message
+            };
+        }
+    }
+
+    // One attempt; a failure is rescheduled with exponential backoff until maxAttempts
+    async attempt(delivery, { retry = true } = {}) {
+        const subscription = await this.getSubscription(delivery.webhookId, delivery.tenant);
+
+        if (!subscription) {
+            delivery.status = 'failed';
+            delivery.attempts.push({ at: Date.now(), durationMs: 0, statusCode: null, ok: false, response: null, error: 'Subscription deleted' });
+            delivery.completedAt = Date.now();
+            await this.saveDelivery(delivery);
+            return delivery;
+        }
+
+        const result = await this.send(subscription, delivery);
+        delivery.attempts.push(result);
+
+        if (result.ok) {
+            delivery.status = 'succeeded';
+            delivery.nextAttemptAt = null;
+            delivery.completedAt = Date.now();
+        } else if (retry && delivery.attempts.length < this.retryPolicy.maxAttempts) {
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = Date.now() + this.retryDelay(delivery.attempts.length);
+            await this.enqueue(delivery, delivery.nextAttemptAt);
+        } else {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            delivery.completedAt = Date.now();
+        }
+
+        await this.saveDelivery(delivery);
+
+        if (!result.ok) {
+            console.log(`Webhook delivery ${delivery.id} attempt ${delivery.attempts.length} failed: ${result.error}`);
+        }
+        return delivery;
+    }
+
+    // Attempt every queued delivery that is due. ZREM claims each one, so several processes can
+    // poll the same queue without delivering twice.
+    async deliverDue(batchSize = 50) {
+        if (this.isDelivering) return 0;
+        this.isDelivering = true;
+
+        let delivered = 0;
+        try {
+            const now = Date.now();
+            const due = (await this.redis.getSortedSetRange(this.queueKey, 0, batchSize - 1))
+                .filter(entry => entry.score <= now);
+
+            for (const { value } of due) {
+                const claimed = await this.redis.removeFromSortedSet(this.queueKey, [value]);
+                if (!claimed) continue;
+
+                const separator = value.indexOf(':');
+                const tenant = value.substring(0, separator);
+                const delivery = await this.getDelivery(value.substring(separator + 1), tenant);
+                if (!delivery) continue;
+
+                await this.attempt(delivery);
+                delivered++;
+            }
+        } finally {
+            this.isDelivering = false;
+        }
+
+        return delivered;
+    }
+
+    // Queue the same event and payload again as a new delivery
+    async replay(deliveryId, tenant = DEFAULT_TENANT) {
+        const original = await this.getDelivery(deliveryId, tenant);
+        if (!original) return null;
+
+        const subscription = await this.getSubscription(original.webhookId, tenant);
+        if (!subscription) return null;
+
+        const delivery = await this.createDelivery(subscription, original.event, original.payload.data, { replayOf: deliveryId });
+        this.deliverDue().catch(error => console.error('Webhook delivery error:', error));
+
+        console.log(`Webhook delivery ${deliveryId} replayed as ${delivery.id}`);
+        return delivery;
+    }
+
+    // Send a test event right away, once, and return the recorded delivery
+    async testFire(webhookId, tenant = DEFAULT_TENANT) {
+        const subscription = await this.getSubscription(webhookId, tenant);
+        if (!subscription) return null;
+
+        const delivery = await this.createDelivery(subscription, TEST_EVENT, {
+            webhookId,
+            message: 'Test event from StreamlinAI'
+        }, { queue: false });
+
+        return this.attempt(delivery, { retry: false });
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.deliverDue().catch(error => console.error('Webhook delivery error:', error));
+        }, this.pollInterval);
+
+        console.log(`✅ Webhook delivery polling every ${this.pollInterval}ms`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // For receivers: checks the X-Webhook-Signature header against the raw request body
+    static verifySignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+        const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+        const timestamp = parseInt(parts.t);
+        if (!timestamp || !parts.v1) return false;
+
+        if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+        const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+        const actual = Buffer.from(parts.v1, 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+}
+
+WebhookService.EVENTS = EVENTS;
+WebhookService.TEST_EVENT = TEST_EVENT;
+WebhookService.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = WebhookService;
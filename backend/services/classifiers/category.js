@@ -0,0 +1,44 @@
+const findTerms = require('./findTerms');
+
+// First category whose keywords appear in the text wins, otherwise the submitted category is kept
+module.exports = {
+    name: 'category',
+    order: 30,
+    timeout: 500,
+    defaults: {
+        categories: {
+            review: ['product', 'service', 'quality', 'recommend', 'buy'],
+            support: ['help', 'problem', 'issue', 'bug', 'error'],
+            feedback: ['suggest', 'improve', 'feature', 'idea']
+        }
+    },
+
+    async classify(text, context, config) {
+        const textLower = text.toLowerCase();
+
+        for (const [category, keywords] of Object.entries(config.categories)) {
+            if (keywords.some(keyword => textLower.includes(keyword))) {
+                return { category };
+            }
+        }
+
+        return { category: context.category || 'general' };
+    },
+
+    // Keywords of the category classify() picks
+    matches(text, context, config) {
+        const textLower = text.toLowerCase();
+
+        for (const keywords of Object.values(config.categories)) {
+            if (keywords.some(keyword => textLower.includes(keyword))) {
+                return findTerms(text, keywords);
+            }
+        }
+
+        return [];
+    },
+
+    fallback(text, context) {
+        return { category: context.category || 'general' };
+    }
+};
@@ -0,0 +1,21 @@
+// Every case-insensitive occurrence of each term, with character offsets into the original text.
+// Blank terms (e.g. an empty line in a wordlist) are skipped: they would match at every position.
+function findTerms(text, terms) {
+    const matches = [];
+
+    for (const term of terms) {
+        if (typeof term !== 'string' || term.trim() === '') continue;
+
+        const pattern = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            matches.push({ term, start: match.index, end: match.index + match[0].length });
+            // exec() does not move past a zero-length match on its own
+            if (match[0].length === 0) pattern.lastIndex++;
+        }
+    }
+
+    return matches.sort((a, b) => a.start - b.start);
+}
+
+module.exports = findTerms;
@@ -0,0 +1,8 @@
+// Built-in classifier stages, run in ascending `order` by ClassifierPipeline
+module.exports = [
+    require('./toxicity'),
+    require('./sentiment'),
+    require('./category'),
+    require('./language'),
+    require('./spam')
+];
@@ -0,0 +1,38 @@
+// Stopword-ratio language guess; falls back to the default language when no list stands out
+module.exports = {
+    name: 'language',
+    order: 40,
+    timeout: 500,
+    defaults: {
+        defaultLanguage: 'en',
+        minMatches: 2,
+        stopwords: {
+            en: ['the', 'and', 'is', 'are', 'this', 'that', 'with', 'for', 'was', 'not'],
+            es: ['el', 'la', 'los', 'las', 'que', 'es', 'y', 'con', 'para', 'una'],
+            fr: ['le', 'la', 'les', 'est', 'et', 'avec', 'pour', 'une', 'des', 'pas'],
+            de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'ein', 'eine', 'für']
+        }
+    },
+
+    async classify(text, context, config) {
+        const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+        let language = config.defaultLanguage;
+        let bestMatches = 0;
+
+        for (const [code, stopwords] of Object.entries(config.stopwords)) {
+            const matches = words.filter(word => stopwords.includes(word)).length;
+            if (matches > bestMatches) {
+                bestMatches = matches;
+                language = code;
+            }
+        }
+
+        return {
+            language: bestMatches >= config.minMatches ? language : config.defaultLanguage
+        };
+    },
+
+    fallback(text, context, config) {
+        return { language: config.defaultLanguage };
+    }
+};
@@ -0,0 +1,47 @@
+const findTerms = require('./findTerms');
+
+// Sentiment from positive keywords weighed against the toxicity stage's score
+module.exports = {
+    name: 'sentiment',
+    order: 20,
+    timeout: 500,
+    defaults: {
+        terms: ['great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'love'],
+        weight: 0.2,
+        minScore: 0.3
+    },
+
+    async classify(text, context, config) {
+        const textLower = text.toLowerCase();
+        const toxicityScore = context.analysis.toxicityScore || 0;
+        let positiveScore = 0;
+
+        config.terms.forEach(term => {
+            if (textLower.includes(term)) {
+                positiveScore += config.weight;
+            }
+        });
+
+        positiveScore = Math.min(positiveScore, 1.0);
+
+        let sentiment = 'neutral';
+        if (positiveScore > toxicityScore && positiveScore > config.minScore) {
+            sentiment = 'positive';
+        } else if (toxicityScore > positiveScore && toxicityScore > config.minScore) {
+            sentiment = 'negative';
+        }
+
+        return {
+            positiveScore: Math.round(positiveScore * 100) / 100,
+            sentiment
+        };
+    },
+
+    matches(text, context, config) {
+        return findTerms(text, config.terms);
+    },
+
+    fallback() {
+        return { positiveScore: 0, sentiment: 'neutral' };
+    }
+};
@@ -0,0 +1,71 @@
+const findTerms = require('./findTerms');
+
+// Heuristic spam signals: links, shouting, repeated characters and repeated words
+module.exports = {
+    name: 'spam',
+    order: 50,
+    timeout: 500,
+    defaults: {
+        threshold: 0.7,
+        maxLinks: 2,
+        terms: ['buy now', 'click here', 'free money', 'limited offer', 'act now']
+    },
+
+    async classify(text, context, config) {
+        const textLower = text.toLowerCase();
+        const signals = [];
+        let spamScore = 0;
+
+        const links = (text.match(/https?:\/\/\S+/gi) || []).length;
+        if (links > config.maxLinks) {
+            spamScore += 0.4;
+            signals.push('links');
+        }
+
+        const letters = text.replace(/[^a-zA-Z]/g, '');
+        if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+            spamScore += 0.2;
+            signals.push('caps');
+        }
+
+        if (/(.)\1{5,}/.test(text)) {
+            spamScore += 0.2;
+            signals.push('repeated_chars');
+        }
+
+        const words = textLower.split(/\s+/).filter(Boolean);
+        if (words.length >= 6 && new Set(words).size / words.length < 0.4) {
+            spamScore += 0.3;
+            signals.push('repeated_words');
+        }
+
+        if (config.terms.some(term => textLower.includes(term))) {
+            spamScore += 0.4;
+            signals.push('terms');
+        }
+
+        spamScore = Math.min(spamScore, 1.0);
+
+        return {
+            spamScore: Math.round(spamScore * 100) / 100,
+            isSpam: spamScore >= config.threshold,
+            spamSignals: signals
+        };
+    },
+
+    // Spam phrases and the links counted against maxLinks
+    matches(text, context, config) {
+        const links = [];
+        const pattern = /https?:\/\/\S+/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            links.push({ term: 'link', start: match.index, end: match.index + match[0].length });
+        }
+
+        return [...findTerms(text, config.terms), ...links].sort((a, b) => a.start - b.start);
+    },
+
+    fallback() {
+        return { spamScore: 0, isSpam: false, spamSignals: [] };
+    }
+};
@@ -0,0 +1,39 @@
+const findTerms = require('./findTerms');
+
+// Keyword-based toxicity scoring: every listed term found in the text adds `weight`
+module.exports = {
+    name: 'toxicity',
+    order: 10,
+    timeout: 500,
+    defaults: {
+        terms: ['hate', 'stupid', 'terrible', 'awful', 'horrible', 'disgusting'],
+        weight: 0.3,
+        threshold: 0.5
+    },
+
+    async classify(text, context, config) {
+        const textLower = text.toLowerCase();
+        let toxicityScore = 0;
+
+        config.terms.forEach(term => {
+            if (textLower.includes(term)) {
+                toxicityScore += config.weight;
+            }
+        });
+
+        toxicityScore = Math.min(toxicityScore, 1.0);
+
+        return {
+            toxicityScore: Math.round(toxicityScore * 100) / 100,
+            isToxic: toxicityScore > config.threshold
+        };
+    },
+
+    matches(text, context, config) {
+        return findTerms(text, config.terms);
+    },
+
+    fallback() {
+        return { toxicityScore: 0, isToxic: false };
+    }
+};
@@ -0,0 +1,46 @@
+// Calls a remote embedding API. Requests use the OpenAI shape ({ input, model });
+// responses may be OpenAI-style ({ data: [{ embedding }] }) or a bare { embedding } / { embeddings: [...] }.
+class HttpEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'http';
+        this.url = options.url || process.env.EMBEDDING_HTTP_URL;
+        this.apiKey = options.apiKey || process.env.EMBEDDING_HTTP_API_KEY || null;
+        this.model = options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+        this.dimension = options.dimension || parseInt(process.env.EMBEDDING_DIMENSION) || 384;
+        this.timeout = options.timeout || parseInt(process.env.EMBEDDING_HTTP_TIMEOUT_MS) || 10000;
+
+        if (!this.url) {
+            throw new Error('EMBEDDING_HTTP_URL is required for the http embedding provider');
+        }
+    }
+
+    async embed(text) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            // Providers that support it (e.g. OpenAI text-embedding-3) shorten vectors to the index size
+            body: JSON.stringify({ input: text, model: this.model, dimensions: this.dimension }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Embedding API responded ${response.status}`);
+        }
+
+        const body = await response.json();
+        const embedding = body.data?.[0]?.embedding || body.embedding || body.embeddings?.[0];
+
+        if (!embedding) {
+            throw new Error('Embedding API response has no embedding');
+        }
+
+        return embedding;
+    }
+}
+
+module.exports = HttpEmbeddingProvider;
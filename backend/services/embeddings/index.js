@@ -0,0 +1,24 @@
+const LocalEmbeddingProvider = require('./local');
+const TestEmbeddingProvider = require('./test');
+const HttpEmbeddingProvider = require('./http');
+
+// Embedding providers implement { name, model, dimension, async embed(text) }
+const PROVIDERS = {
+    local: LocalEmbeddingProvider,
+    test: TestEmbeddingProvider,
+    http: HttpEmbeddingProvider
+};
+
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'local', options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown embedding provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new Provider(options);
+}
+
+module.exports = {
+    PROVIDERS,
+    createEmbeddingProvider
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Bundled with the Docker image by scripts/fetch-embedding-model.js (`npm run fetch-model` elsewhere)
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', '..', 'models');
+
+// What transformers.js loads for a feature-extraction pipeline with fp32 weights
+const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model.onnx'];
+
+// Runs a sentence-transformers model on the CPU with transformers.js (onnxruntime).
+// The model is read from EMBEDDING_MODEL_PATH; downloading it from the Hugging Face hub at
+// runtime is opt-in with EMBEDDING_ALLOW_REMOTE_MODELS=true.
+class LocalEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.model = options.model || process.env.EMBEDDING_MODEL || DEFAULT_MODEL;
+        this.dimension = options.dimension || parseInt(process.env.EMBEDDING_DIMENSION) || 384;
+        this.modelPath = options.modelPath || process.env.EMBEDDING_MODEL_PATH || DEFAULT_MODEL_PATH;
+        this.allowRemoteModels = options.allowRemoteModels ?? process.env.EMBEDDING_ALLOW_REMOTE_MODELS === 'true';
+        this.cacheDir = options.cacheDir || process.env.EMBEDDING_CACHE_DIR || null;
+        this.extractorPromise = null;
+
+        if (!this.allowRemoteModels && !this.isBundled()) {
+            console.warn(`⚠️  Embedding model ${this.model} is not in ${this.modelPath}; content will not be vectorized until it is (npm run fetch-model)`);
+        }
+    }
+
+    isBundled() {
+        return MODEL_FILES.every(file => fs.existsSync(path.join(this.modelPath, this.model, file)));
+    }
+
+    loadExtractor() {
+        if (!this.extractorPromise) {
+            this.extractorPromise = (async () => {
+                if (!this.allowRemoteModels && !this.isBundled()) {
+                    throw new Error(`Embedding model ${this.model} not found in ${this.modelPath}; run \`npm run fetch-model\` or set EMBEDDING_ALLOW_REMOTE_MODELS=true`);
+                }
+
+                let transformers;
+                try {
+                    transformers = require('@huggingface/transformers');
+                } catch (error) {
+                    throw new Error('Local embeddings need the optional @huggingface/transformers package');
+                }
+
+                transformers.env.localModelPath = this.modelPath.endsWith(path.sep) ? this.modelPath : this.modelPath + path.sep;
+                transformers.env.allowLocalModels = true;
+                transformers.env.allowRemoteModels = this.allowRemoteModels;
+                if (this.cacheDir) {
+                    transformers.env.cacheDir = this.cacheDir;
+                }
+
+                const extractor = await transformers.pipeline('feature-extraction', this.model, { dtype: 'fp32' });
+                console.log(`✅ Local embedding model loaded: ${this.model}`);
+                return extractor;
+            })();
+
+            // Let a later call retry if the model could not be loaded
+            this.extractorPromise.catch(() => {
+                this.extractorPromise = null;
+            });
+        }
+
+        return this.extractorPromise;
+    }
+
+    async embed(text) {
+        const extractor = await this.loadExtractor();
+        const output = await extractor(text, { pooling: 'mean', normalize: true });
+        return Array.from(output.data);
+    }
+}
+
+LocalEmbeddingProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+LocalEmbeddingProvider.DEFAULT_MODEL_PATH = DEFAULT_MODEL_PATH;
+LocalEmbeddingProvider.MODEL_FILES = MODEL_FILES;
+
+module.exports = LocalEmbeddingProvider;
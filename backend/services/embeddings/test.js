@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Deterministic feature-hashing embeddings for tests and offline development.
+// Words and character trigrams are hashed into buckets, so texts sharing vocabulary
+// are close and identical texts always produce the same vector. No model is needed.
+class TestEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'test';
+        this.model = 'feature-hash-v1';
+        this.dimension = options.dimension || parseInt(process.env.EMBEDDING_DIMENSION) || 384;
+    }
+
+    features(text) {
+        const words = text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+        const features = words.map(word => `w:${word}`);
+
+        for (const word of words) {
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                features.push(`c:${padded.substring(i, i + 3)}`);
+            }
+        }
+
+        return features;
+    }
+
+    async embed(text) {
+        const vector = new Array(this.dimension).fill(0);
+
+        for (const feature of this.features(text)) {
+            const digest = crypto.createHash('md5').update(feature).digest();
+            const bucket = digest.readUInt32LE(0) % this.dimension;
+            const sign = digest[4] & 1 ? 1 : -1;
+            vector[bucket] += feature.startsWith('w:') ? sign * 2 : sign;
+        }
+
+        const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+    }
+}
+
+module.exports = TestEmbeddingProvider;
@@ -0,0 +1,30 @@
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+// Scope a key to a tenant by inserting a `{tenant}` segment after its prefix:
+// content:123 -> content:{acme}:123. The default tenant keeps the original key layout.
+function tenantKey(tenant, key) {
+    if (!tenant || tenant === DEFAULT_TENANT) return key;
+
+    const separator = key.indexOf(':');
+    if (separator === -1) return `${key}:{${tenant}}`;
+
+    return `${key.substring(0, separator)}:{${tenant}}${key.substring(separator)}`;
+}
+
+function contentKey(tenant, contentId) {
+    return tenantKey(tenant, `content:${contentId}`);
+}
+
+// Escape a value for use inside a RediSearch TAG query, e.g. @tenant:{acme\-eu}
+function escapeTag(value) {
+    return String(value).replace(/[^a-zA-Z0-9_]/g, '\\$&');
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    TENANT_ID_PATTERN,
+    tenantKey,
+    contentKey,
+    escapeTag
+};
@@ -0,0 +1,4 @@
+// Read when services are first required, so set before any test file loads them.
+// Each test file shares one submission limiter per tenant; rate-limit tests use their own tenant.
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+process.env.EMBEDDING_PROVIDER = 'test';
@@ -0,0 +1,34 @@
+const RedisService = require('../../services/RedisService');
+const MemoryRedisService = require('../../services/MemoryRedisService');
+
+// MemoryRedisService that is connected from the start and records every RedisService call,
+// so tests can assert what a service or route asked Redis to do
+class FakeRedisService extends MemoryRedisService {
+    constructor() {
+        super();
+        this.calls = [];
+        this.isConnectedFlag = true;
+        this.initializeDataStructures();
+
+        Object.getOwnPropertyNames(RedisService.prototype)
+            .filter(name => name !== 'constructor' && typeof MemoryRedisService.prototype[name] === 'function')
+            .forEach(name => {
+                const original = MemoryRedisService.prototype[name].bind(this);
+                this[name] = (...args) => {
+                    this.calls.push({ method: name, args });
+                    return original(...args);
+                };
+            });
+    }
+
+    // Arguments of every call to one method, in call order
+    callsTo(method) {
+        return this.calls.filter(call => call.method === method).map(call => call.args);
+    }
+
+    clearCalls() {
+        this.calls = [];
+    }
+}
+
+module.exports = FakeRedisService;
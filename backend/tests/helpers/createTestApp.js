@@ -0,0 +1,139 @@
+const express = require('express');
+const FakeRedisService = require('./FakeRedisService');
+const ContentProcessor = require('../../services/ContentProcessor');
+const AnalyticsService = require('../../services/AnalyticsService');
+const VectorService = require('../../services/VectorService');
+const ClusteringService = require('../../services/ClusteringService');
+const TenantService = require('../../services/TenantService');
+const WebhookService = require('../../services/WebhookService');
+const ReputationService = require('../../services/ReputationService');
+const SanctionService = require('../../services/SanctionService');
+const ReviewService = require('../../services/ReviewService');
+const AppealService = require('../../services/AppealService');
+const FeedbackService = require('../../services/FeedbackService');
+const PolicyService = require('../../services/PolicyService');
+const CalibrationService = require('../../services/CalibrationService');
+const { createEmbeddingProvider } = require('../../services/embeddings');
+const { createAuthMiddleware } = require('../../middleware/auth');
+const { createTenantMiddleware } = require('../../middleware/tenant');
+const { createNotFoundHandler } = require('../../middleware/notFound');
+const contentRoutes = require('../../routes/content');
+const analyticsRoutes = require('../../routes/analytics');
+const streamRoutes = require('../../routes/stream');
+const webhookRoutes = require('../../routes/webhooks');
+const userRoutes = require('../../routes/users');
+const sanctionRoutes = require('../../routes/sanctions');
+const reviewRoutes = require('../../routes/review');
+const appealRoutes = require('../../routes/appeals');
+const feedbackRoutes = require('../../routes/feedback');
+const calibrationRoutes = require('../../routes/calibration');
+
+// The bearer token is the role name: `Authorization: Bearer moderator`
+const IDENTITIES = {
+    admin: { id: 'admin-1', name: 'Admin', role: 'admin', tenant: 'default', type: 'api_key' },
+    moderator: { id: 'mod-1', name: 'Moderator', role: 'moderator', tenant: 'default', type: 'api_key' },
+    analyst: { id: 'analyst-1', name: 'Analyst', role: 'analyst', tenant: 'default', type: 'api_key' },
+    submitter: { id: 'submitter-1', name: 'Submitter', role: 'submitter', tenant: 'default', type: 'api_key' },
+    'acme-admin': { id: 'acme-admin-1', name: 'Acme Admin', role: 'admin', tenant: 'acme', type: 'api_key' }
+};
+
+function authHeader(role) {
+    return { Authorization: `Bearer ${role}` };
+}
+
+// Records Socket.IO emits instead of sending them
+function createFakeIo() {
+    const io = {
+        emitted: [],
+        to: (room) => ({
+            emit: (event, data) => io.emitted.push({ room, event, data })
+        }),
+        emit: (event, data) => io.emitted.push({ room: null, event, data })
+    };
+    return io;
+}
+
+// The services and middleware server.js wires up, on a FakeRedisService and the test embedding provider
+function createTestApp(options = {}) {
+    const redis = options.redis || new FakeRedisService();
+    const io = createFakeIo();
+
+    const tenantService = new TenantService(redis);
+    const vectorService = new VectorService(redis, { embeddingProvider: createEmbeddingProvider('test') });
+    const analyticsService = new AnalyticsService(redis, { io });
+    const webhookService = new WebhookService(redis, options.webhooks);
+    const reputationService = new ReputationService(redis);
+    const sanctionService = new SanctionService(redis, options.sanctions);
+    const reviewService = new ReviewService(redis, io, { webhookService, reputationService });
+    const appealService = new AppealService(redis, io, { reviewService, reputationService });
+    const feedbackService = new FeedbackService(redis);
+    const policyService = new PolicyService(redis);
+    const calibrationService = new CalibrationService(redis, { feedbackService, policyService, ...options.calibration });
+    const contentProcessor = new ContentProcessor(redis, io, {
+        policyService,
+        vectorService,
+        analyticsService,
+        webhookService,
+        reputationService,
+        sanctionService,
+        reviewService
+    });
+    const clusteringService = options.clustering === false ? null : new ClusteringService(redis, { tenantService });
+    const consumerRegistry = options.consumerRegistry === undefined ? contentProcessor.consumers : options.consumerRegistry;
+    const authService = {
+        enabled: true,
+        authenticate: async (token) => IDENTITIES[token] || null
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createAuthMiddleware(authService));
+    app.use('/api', createTenantMiddleware(tenantService));
+    app.use('/api/content', contentRoutes(contentProcessor, vectorService, clusteringService));
+    app.use('/api/analytics', analyticsRoutes(analyticsService));
+    app.use('/api/stream', streamRoutes(redis, consumerRegistry));
+    app.use('/api/webhooks', webhookRoutes(webhookService));
+    app.use('/api/users', userRoutes(reputationService));
+    app.use('/api/sanctions', sanctionRoutes(sanctionService));
+    app.use('/api/review', reviewRoutes(reviewService));
+    app.use('/api/appeals', appealRoutes(appealService));
+    app.use('/api/feedback', feedbackRoutes(feedbackService));
+    app.use('/api/calibration', calibrationRoutes(calibrationService));
+    app.use('/api/*', createNotFoundHandler());
+
+    // Runs every submitted stream entry through the processor, as the stream consumer would
+    const processSubmitted = async () => {
+        const messages = await redis.readFromStream(contentProcessor.streamKey, 1000);
+        for (const message of messages) {
+            await contentProcessor.processContent(message);
+        }
+        return messages.length;
+    };
+
+    return {
+        app,
+        redis,
+        io,
+        tenantService,
+        vectorService,
+        analyticsService,
+        contentProcessor,
+        clusteringService,
+        webhookService,
+        reputationService,
+        sanctionService,
+        reviewService,
+        appealService,
+        feedbackService,
+        policyService,
+        calibrationService,
+        processSubmitted
+    };
+}
+
+module.exports = {
+    IDENTITIES,
+    authHeader,
+    createFakeIo,
+    createTestApp
+};
@@ -0,0 +1,47 @@
+const http = require('http');
+
+// A local HTTP endpoint that records webhook requests and answers with `status`
+async function createWebhookReceiver() {
+    const receiver = {
+        requests: [],
+        status: 200,
+        waiters: [],
+        url: null
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+            res.writeHead(receiver.status, { 'Content-Type': 'text/plain' });
+            res.end(receiver.status < 300 ? 'ok' : 'nope');
+
+            receiver.waiters = receiver.waiters.filter(({ count, resolve }) => {
+                if (receiver.requests.length < count) return true;
+                resolve(receiver.requests);
+                return false;
+            });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}/hooks`;
+
+    // Resolves once `count` requests have arrived in total
+    receiver.waitFor = (count) => new Promise(resolve => {
+        if (receiver.requests.length >= count) return resolve(receiver.requests);
+        receiver.waiters.push({ count, resolve });
+    });
+
+    // fetch keeps connections alive, which would hold close() open
+    receiver.close = () => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+
+    return receiver;
+}
+
+module.exports = createWebhookReceiver;
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+describe('analytics routes', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+
+        // Two items through the real pipeline so the series have data
+        await ctx.contentProcessor.submitContent({ text: 'I hate this stupid and awful product', userId: 'u1' });
+        await ctx.contentProcessor.submitContent({ text: 'What a wonderful sunny afternoon', userId: 'u2' });
+        await ctx.processSubmitted();
+    });
+
+    function get(path, role = 'analyst') {
+        return request(ctx.app).get(`/api/analytics${path}`).set(authHeader(role));
+    }
+
+    it('is limited to analysts and moderators', async () => {
+        expect((await get('/dashboard', 'submitter')).status).toBe(403);
+        expect((await get('/dashboard', 'moderator')).status).toBe(200);
+        expect((await request(ctx.app).get('/api/analytics/dashboard')).status).toBe(401);
+    });
+
+    describe('GET /dashboard', () => {
+        it('combines realtime, content, system and trend data', async () => {
+            const res = await get('/dashboard');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual(expect.objectContaining({
+                realtime: expect.any(Object),
+                content: expect.objectContaining({ totalAnalyzed: 2 }),
+                system: expect.any(Object),
+                trends: { processed: expect.any(Array), flagged: expect.any(Array) }
+            }));
+        });
+
+        it('returns 500 when the dashboard cannot be built', async () => {
+            jest.spyOn(ctx.analyticsService, 'getDashboardData').mockRejectedValue(new Error('boom'));
+
+            const res = await get('/dashboard');
+
+            expect(res.status).toBe(500);
+            expect(res.body).toEqual({ success: false, error: 'Failed to get dashboard data' });
+        });
+    });
+
+    describe('GET /realtime', () => {
+        it('returns realtime metrics', async () => {
+            const res = await get('/realtime');
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+        });
+    });
+
+    describe('GET /timeseries/:metric', () => {
+        it('returns aggregated points for a known metric', async () => {
+            const res = await get('/timeseries/content:processed?timeRange=1h&aggregation=sum');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ metric: 'content:processed', timeRange: '1h', aggregation: 'sum' });
+            expect(res.body.data.data.length).toBeGreaterThan(0);
+        });
+
+        it('rejects unknown metrics and lists the valid ones', async () => {
+            const res = await get('/timeseries/content:deleted');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Invalid metric');
+            expect(res.body.validMetrics).toContain('content:processed');
+        });
+    });
+
+    describe('GET /content', () => {
+        it('returns distributions for the range', async () => {
+            const res = await get('/content?timeRange=1h');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                timeRange: '1h',
+                totalAnalyzed: 2,
+                sentimentDistribution: { negative: 50 }
+            });
+        });
+
+        it('rejects unknown time ranges', async () => {
+            const res = await get('/content?timeRange=1y');
+
+            expect(res.status).toBe(400);
+            expect(res.body.validTimeRanges).toEqual(['5m', '1h', '24h', '7d']);
+        });
+    });
+
+    describe('GET /system', () => {
+        it('returns current, average and peak per system series', async () => {
+            await ctx.redis.addTimeSeriesPoint('metrics:system:cpu', Date.now() - 1000, 20);
+            await ctx.redis.addTimeSeriesPoint('metrics:system:cpu', Date.now(), 40);
+
+            const res = await get('/system');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.cpu).toEqual({ current: 40, average: 30, peak: 40 });
+            expect(res.body.data.eventLoopLag).toEqual({ current: 0, average: 0, peak: 0 });
+        });
+    });
+
+    describe('GET /period/:period', () => {
+        it('returns processed, flagged and approved series', async () => {
+            const res = await get('/period/24h');
+
+            expect(res.status).toBe(200);
+            expect(res.body.period).toBe('24h');
+            expect(Object.keys(res.body.data)).toEqual(['content:processed', 'content:flagged', 'content:approved']);
+        });
+
+        it('rejects unknown periods', async () => {
+            const res = await get('/period/2w');
+
+            expect(res.status).toBe(400);
+            expect(res.body.validPeriods).toEqual(['5m', '1h', '24h', '7d', '30d']);
+        });
+    });
+
+    describe('GET /performance', () => {
+        it('returns processing, accuracy, cpu and memory series', async () => {
+            const res = await get('/performance?timeRange=5m');
+
+            expect(res.status).toBe(200);
+            expect(res.body.timeRange).toBe('5m');
+            expect(Object.keys(res.body.data)).toEqual(['processingTime', 'accuracy', 'cpu', 'memory']);
+            expect(res.body.data.processingTime.data.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('GET /export/:format', () => {
+        it('exports the dashboard as a JSON attachment', async () => {
+            const res = await get('/export/json?timeRange=1h');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-disposition']).toBe('attachment; filename=analytics_1h.json');
+            expect(res.body).toHaveProperty('realtime');
+        });
+
+        it('exports realtime metrics as CSV', async () => {
+            const res = await get('/export/csv');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/csv/);
+            expect(res.headers['content-disposition']).toBe('attachment; filename=analytics_24h.csv');
+            expect(res.text.split('\n')[0]).toBe('timestamp,metric,value');
+        });
+
+        it('rejects other formats', async () => {
+            const res = await get('/export/xml');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Invalid format. Supported: json, csv');
+        });
+    });
+
+    it('returns the API 404 for unknown analytics endpoints', async () => {
+        const res = await get('/unknown');
+
+        expect(res.status).toBe(404);
+        expect(res.body.error).toBe('API endpoint not found');
+    });
+});
@@ -0,0 +1,219 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+const TOXIC_TEXT = 'I hate this stupid and awful product';
+const FRIENDLY_TEXT = 'What a wonderful sunny afternoon in the park';
+
+describe('appeal routes', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    function api(method, path, role = 'moderator') {
+        return request(ctx.app)[method](`/api/appeals${path}`).set(authHeader(role));
+    }
+
+    async function submitAndProcess(text, userId = 'u1') {
+        const { contentId } = await ctx.contentProcessor.submitContent({ text, userId });
+        await ctx.processSubmitted();
+        return contentId;
+    }
+
+    // Flagged content rejected by mod-1 through the review queue
+    async function rejectedContent() {
+        const contentId = await submitAndProcess(TOXIC_TEXT);
+        await ctx.reviewService.claim(contentId, 'mod-1');
+        await ctx.reviewService.decide(contentId, 'mod-1', 'reject', 'Abusive');
+        return contentId;
+    }
+
+    function openAppeal(contentId, userId = 'u1', role = 'submitter') {
+        return api('post', '', role).send({ contentId, userId, statement: 'It was a joke between friends' });
+    }
+
+    async function getContent(contentId) {
+        const [content] = await ctx.contentProcessor.getContentById(contentId);
+        return content;
+    }
+
+    describe('POST /', () => {
+        it('opens an appeal against the original decision', async () => {
+            const contentId = await rejectedContent();
+
+            const res = await openAppeal(contentId);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({
+                contentId,
+                userId: 'u1',
+                openedBy: 'submitter-1',
+                status: 'pending',
+                statement: 'It was a joke between friends',
+                originalDecision: { status: 'rejected', moderatorId: 'mod-1', reason: 'Abusive' }
+            });
+            expect((await api('get', '/queue')).body.data.total).toBe(1);
+            expect((await getContent(contentId)).appealHistory).toEqual([
+                { event: 'opened', by: 'u1', at: expect.any(Number) }
+            ]);
+        });
+
+        it('only lets the author appeal once, and only moderated content', async () => {
+            const contentId = await rejectedContent();
+            const approved = await submitAndProcess(FRIENDLY_TEXT);
+
+            expect((await openAppeal(contentId, 'u2')).body.code).toBe('NOT_AUTHOR');
+            expect((await openAppeal(approved)).body.code).toBe('NOT_APPEALABLE');
+            expect((await openAppeal(contentId)).status).toBe(201);
+
+            const again = await openAppeal(contentId);
+            expect(again.status).toBe(409);
+            expect(again.body.code).toBe('ALREADY_APPEALED');
+            expect((await openAppeal('missing')).status).toBe(404);
+        });
+
+        it('validates the appeal', async () => {
+            const res = await api('post', '', 'submitter').send({ contentId: 'c1', userId: 'u1' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Validation failed');
+        });
+    });
+
+    describe('moderation', () => {
+        it('keeps the original decider off the appeal', async () => {
+            const contentId = await rejectedContent();
+            await openAppeal(contentId);
+
+            const direct = await api('post', `/${contentId}/claim`);
+            expect(direct.status).toBe(403);
+            expect(direct.body.code).toBe('SAME_MODERATOR');
+            expect((await api('post', '/claim')).status).toBe(404);
+
+            const next = await api('post', '/claim', 'admin');
+            expect(next.status).toBe(200);
+            expect(next.body.data.claim).toMatchObject({ contentId, moderatorId: 'admin-1' });
+        });
+
+        it('keeps off a moderator who reviewed the content after the appeal was filed', async () => {
+            const contentId = await submitAndProcess(TOXIC_TEXT);
+            await openAppeal(contentId);
+            await ctx.reviewService.claim(contentId, 'mod-1');
+            await ctx.reviewService.decide(contentId, 'mod-1', 'reject', 'Abusive');
+
+            const claim = await api('post', `/${contentId}/claim`);
+            expect(claim.status).toBe(403);
+            expect(claim.body.code).toBe('SAME_MODERATOR');
+        });
+
+        it('stops a claimed appeal from being decided by a moderator who has since reviewed the content', async () => {
+            const contentId = await submitAndProcess(TOXIC_TEXT);
+            await openAppeal(contentId);
+            expect((await api('post', `/${contentId}/claim`)).status).toBe(200);
+            await ctx.reviewService.claim(contentId, 'mod-1');
+            await ctx.reviewService.decide(contentId, 'mod-1', 'reject', 'Abusive');
+
+            const decision = await api('post', `/${contentId}/decision`).send({ decision: 'uphold', reason: 'Still abusive' });
+            expect(decision.status).toBe(403);
+            expect(decision.body.code).toBe('SAME_MODERATOR');
+        });
+
+        it('overturns the decision and records it on the content', async () => {
+            const contentId = await rejectedContent();
+            await openAppeal(contentId);
+            await api('post', `/${contentId}/claim`, 'admin');
+
+            const res = await api('post', `/${contentId}/decision`, 'admin').send({ decision: 'overturn', reason: 'Context shows banter' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ contentId, status: 'overturned', contentStatus: 'approved', moderatorId: 'admin-1' });
+
+            const content = await getContent(contentId);
+            expect(content.status).toBe('approved');
+            expect(content.appeal).toMatchObject({ status: 'overturned', decidedBy: 'admin-1', reason: 'Context shows banter' });
+            expect(content.appealHistory.map(entry => entry.event)).toEqual(['opened', 'claimed', 'decided']);
+            expect(content.reviewHistory).toHaveLength(1);
+
+            expect((await api('get', '/queue')).body.data.total).toBe(0);
+            expect((await ctx.reputationService.getReputation('u1')).counters.overturned).toBe(1);
+        });
+
+        it('upholds a decision without changing the content status', async () => {
+            const contentId = await rejectedContent();
+            await openAppeal(contentId);
+            await api('post', `/${contentId}/claim`, 'admin');
+
+            await api('post', `/${contentId}/decision`, 'admin').send({ decision: 'uphold', reason: 'Clear abuse' });
+
+            const appeal = await api('get', `/${contentId}`, 'submitter');
+            expect(appeal.body.data).toMatchObject({ status: 'upheld', contentStatus: 'rejected', decision: 'uphold' });
+            expect(appeal.body.data.history).toHaveLength(3);
+        });
+
+        it('takes overturned flagged content out of the review queue', async () => {
+            const contentId = await submitAndProcess(TOXIC_TEXT);
+            await openAppeal(contentId);
+            expect((await ctx.reviewService.getQueue()).total).toBe(1);
+
+            await api('post', `/${contentId}/claim`);
+            await api('post', `/${contentId}/decision`).send({ decision: 'overturn', reason: 'Not abusive' });
+
+            expect((await ctx.reviewService.getQueue()).total).toBe(0);
+        });
+
+        it('requires a claim and returns released appeals to pending', async () => {
+            const contentId = await rejectedContent();
+            await openAppeal(contentId);
+
+            expect((await api('post', `/${contentId}/decision`, 'admin').send({ decision: 'uphold', reason: 'x' })).status).toBe(409);
+
+            await api('post', `/${contentId}/claim`, 'admin');
+            expect((await api('get', `/${contentId}`)).body.data.status).toBe('in_review');
+
+            expect((await api('post', `/${contentId}/release`, 'admin')).status).toBe(200);
+            expect((await api('get', `/${contentId}`)).body.data.status).toBe('pending');
+        });
+
+        it('is not available to submitters', async () => {
+            expect((await api('get', '/queue', 'submitter')).status).toBe(403);
+            expect((await api('post', '/claim', 'submitter')).status).toBe(403);
+        });
+    });
+
+    describe('GET /:contentId', () => {
+        it('is only shown to moderators and the identity that filed the appeal', async () => {
+            const contentId = await rejectedContent();
+            await openAppeal(contentId, 'u1', 'moderator');
+
+            expect((await api('get', `/${contentId}`, 'moderator')).status).toBe(200);
+            expect((await api('get', `/${contentId}`, 'analyst')).status).toBe(403);
+
+            const other = await api('get', `/${contentId}`, 'submitter');
+            expect(other.status).toBe(403);
+            expect(other.body.code).toBe('NOT_AUTHOR');
+        });
+
+        it('returns 404 until the content is appealed', async () => {
+            const contentId = await rejectedContent();
+
+            const res = await api('get', `/${contentId}`, 'submitter');
+
+            expect(res.status).toBe(404);
+            expect(res.body.code).toBe('NOT_APPEALED');
+        });
+    });
+
+    it('streams appeal updates to the author\'s room', async () => {
+        const contentId = await rejectedContent();
+        await openAppeal(contentId);
+        await api('post', `/${contentId}/claim`, 'admin');
+        await api('post', `/${contentId}/decision`, 'admin').send({ decision: 'overturn', reason: 'x' });
+
+        const updates = ctx.io.emitted.filter(emit => emit.room === `appeal:default:${contentId}`);
+        expect(updates.map(emit => emit.data.status)).toEqual(['pending', 'in_review', 'overturned']);
+        expect(updates.every(emit => emit.event === 'appeal_updated')).toBe(true);
+        expect(ctx.io.emitted.filter(emit => emit.room === 'appeals:default').map(emit => emit.event))
+            .toEqual(['appeal_opened', 'appeal_claimed', 'appeal_decided']);
+    });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+const FakeRedisService = require('../helpers/FakeRedisService');
+const AuthService = require('../../services/AuthService');
+const { createAuthMiddleware } = require('../../middleware/auth');
+const authRoutes = require('../../routes/auth');
+
+describe('auth routes', () => {
+    const env = { ...process.env };
+    let authService;
+    let app;
+
+    beforeEach(() => {
+        process.env.AUTH_ENABLED = 'true';
+        process.env.ADMIN_API_KEY = 'bootstrap-key';
+        process.env.JWT_SECRET = 'test-secret';
+        delete process.env.JWT_ISSUER;
+        delete process.env.JWT_AUDIENCE;
+
+        authService = new AuthService(new FakeRedisService());
+        app = express();
+        app.use(express.json());
+        app.use('/api', createAuthMiddleware(authService));
+        app.use('/api/auth', authRoutes(authService, { getTenant: async (id) => ({ id }) }));
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    describe('POST /token', () => {
+        it('exchanges a stored API key for a short-lived JWT with the same identity', async () => {
+            const { apiKey, id } = await authService.issueApiKey({ name: 'dashboard', role: 'moderator' });
+
+            const res = await request(app).post('/api/auth/token').set('Authorization', `Bearer ${apiKey}`);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ role: 'moderator', tenant: 'default', expiresAt: expect.any(Number) });
+            expect(res.body.data.expiresAt - Date.now()).toBeLessThanOrEqual(3600 * 1000);
+
+            const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.data.token}`);
+            expect(me.body.data).toMatchObject({ id, role: 'moderator', type: 'jwt' });
+        });
+
+        it('does not issue tokens for the bootstrap key or for tokens', async () => {
+            const bootstrap = await request(app).post('/api/auth/token').set('Authorization', 'Bearer bootstrap-key');
+            expect(bootstrap.status).toBe(403);
+
+            const { apiKey } = await authService.issueApiKey({ name: 'dashboard', role: 'analyst' });
+            const { body } = await request(app).post('/api/auth/token').set('Authorization', `Bearer ${apiKey}`);
+
+            const renewed = await request(app).post('/api/auth/token').set('Authorization', `Bearer ${body.data.token}`);
+            expect(renewed.status).toBe(403);
+        });
+
+        it('requires JWT_SECRET', async () => {
+            const { apiKey } = await authService.issueApiKey({ name: 'dashboard', role: 'moderator' });
+            authService.jwtSecret = null;
+
+            const res = await request(app).post('/api/auth/token').set('Authorization', `Bearer ${apiKey}`);
+
+            expect(res.status).toBe(503);
+        });
+    });
+
+    describe('API keys', () => {
+        const bootstrap = { Authorization: 'Bearer bootstrap-key' };
+        let acmeAdmin;
+
+        beforeEach(async () => {
+            const { apiKey } = await authService.issueApiKey({ name: 'acme-admin', role: 'admin', tenant: 'acme' });
+            acmeAdmin = { Authorization: `Bearer ${apiKey}` };
+        });
+
+        it('lets platform admins manage keys for every tenant', async () => {
+            const issued = await request(app).post('/api/auth/keys').set(bootstrap).send({ name: 'widget', role: 'submitter', tenant: 'globex' });
+            expect(issued.status).toBe(201);
+
+            const listed = await request(app).get('/api/auth/keys').set(bootstrap);
+            expect(listed.body.data.map(key => key.tenant).sort()).toEqual(['acme', 'globex']);
+        });
+
+        it('keeps tenant-bound admins to their own tenant', async () => {
+            const other = await authService.issueApiKey({ name: 'default-widget', role: 'submitter' });
+
+            const crossTenant = await request(app).post('/api/auth/keys').set(acmeAdmin).send({ name: 'widget', role: 'admin', tenant: 'default' });
+            expect(crossTenant.status).toBe(403);
+
+            const own = await request(app).post('/api/auth/keys').set(acmeAdmin).send({ name: 'widget', role: 'submitter' });
+            expect(own.status).toBe(201);
+            expect(own.body.data.tenant).toBe('acme');
+
+            const listed = await request(app).get('/api/auth/keys').set(acmeAdmin);
+            expect(listed.body.data.every(key => key.tenant === 'acme')).toBe(true);
+            expect(listed.body.data).toHaveLength(2);
+
+            const revoked = await request(app).delete(`/api/auth/keys/${other.id}`).set(acmeAdmin);
+            expect(revoked.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+// Toxicity scores 0.3, 0, 0.9 and 0.3 under the keyword classifier
+const MILD_TEXT = 'That was a terrible movie';
+const FRIENDLY_TEXT = 'What a wonderful sunny afternoon in the park';
+const TOXIC_TEXT = 'I hate this stupid and awful product';
+const UNLABELED_TEXT = 'The ending was awful';
+
+describe('calibration routes', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp({ calibration: { minExamples: 2 } });
+    });
+
+    function api(method, path, role = 'analyst') {
+        return request(ctx.app)[method](`/api/calibration${path}`).set(authHeader(role));
+    }
+
+    async function submitAndProcess(text) {
+        const { contentId } = await ctx.contentProcessor.submitContent({ text, category: 'comment', userId: 'u1' });
+        await ctx.processSubmitted();
+        return contentId;
+    }
+
+    // The mild insult slipped through at 0.5 and a moderator called it out
+    async function labelExamples() {
+        const labels = [[MILD_TEXT, 'incorrect'], [FRIENDLY_TEXT, 'correct'], [TOXIC_TEXT, 'correct']];
+        for (const [text, feedback] of labels) {
+            const contentId = await submitAndProcess(text);
+            await ctx.contentProcessor.submitFeedback(contentId, feedback);
+        }
+
+        const messages = await ctx.redis.readFromStream('feedback:stream', 1000);
+        for (const message of messages) {
+            await ctx.feedbackService.processFeedback(message.message);
+        }
+    }
+
+    async function calibrate(body = { targetFpr: 0 }) {
+        return api('post', '').send(body);
+    }
+
+    describe('POST /', () => {
+        it('sweeps thresholds and proposes a policy', async () => {
+            await labelExamples();
+
+            const res = await calibrate();
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.examples.used).toBe(3);
+            expect(res.body.data.default).toMatchObject({
+                current: { threshold: 0.5, metrics: { tp: 1, fn: 1, recall: 0.5 } },
+                proposed: { threshold: 0, targetMet: true, metrics: { tp: 2, fp: 0, recall: 1 } }
+            });
+            expect(res.body.data.default.curve).toHaveLength(20);
+            expect(res.body.data.proposedPolicy.rules.default.toxicityScore.flag).toBe(0);
+
+            const run = await api('get', `/${res.body.data.id}`);
+            expect(run.body.data.id).toBe(res.body.data.id);
+            expect((await api('get', '')).body.count).toBe(1);
+        });
+
+        it('completes without a proposal when nothing is labeled', async () => {
+            const res = await calibrate();
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.proposedPolicy).toBeNull();
+
+            const preview = await api('post', `/${res.body.data.id}/preview`);
+            expect(preview.status).toBe(409);
+            expect(preview.body.code).toBe('NO_PROPOSAL');
+        });
+
+        it('validates the run options', async () => {
+            for (const body of [{ targetFpr: 2 }, { step: 0 }, { days: 0 }]) {
+                const res = await calibrate(body);
+
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+
+        it('is not available to submitters', async () => {
+            expect((await api('post', '', 'submitter').send({})).status).toBe(403);
+        });
+    });
+
+    describe('POST /:id/preview', () => {
+        it('re-decides recent content under the proposed policy, embedded or not', async () => {
+            await labelExamples();
+            jest.spyOn(ctx.vectorService, 'storeContentVector').mockResolvedValueOnce(false);
+            await submitAndProcess(UNLABELED_TEXT);
+            const { body } = await calibrate();
+
+            const res = await api('post', `/${body.data.id}/preview`).send({ days: 7 });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                evaluated: 4,
+                changed: 2,
+                transitions: { 'approve->flag': 2 },
+                flagRate: { current: 0.25, proposed: 0.75 },
+                policies: { current: { name: 'builtin' }, proposed: { name: 'builtin-calibrated' } },
+                labeled: {
+                    current: { tp: 1, fn: 1, tn: 1, recall: 0.5 },
+                    proposed: { tp: 2, fn: 0, tn: 1, recall: 1 }
+                }
+            });
+            expect(res.body.data.samples.map(sample => sample.proposed)).toEqual(['flag', 'flag']);
+            expect(ctx.redis.callsTo('getRecentVectors')).toHaveLength(0);
+        });
+
+        it('returns 404 for an unknown run', async () => {
+            const res = await api('post', '/missing/preview');
+
+            expect(res.status).toBe(404);
+            expect(res.body.code).toBe('NOT_FOUND');
+        });
+    });
+
+    describe('POST /:id/promote', () => {
+        it('activates the proposed policy for new content', async () => {
+            await labelExamples();
+            const { body } = await calibrate();
+
+            const res = await api('post', `/${body.data.id}/promote`, 'admin');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.promoted).toMatchObject({ name: 'builtin-calibrated', version: 1, activated: true, by: 'admin-1' });
+
+            const contentId = await submitAndProcess(UNLABELED_TEXT);
+            const [content] = await ctx.contentProcessor.getContentById(contentId);
+            expect(content.moderation).toMatchObject({ action: 'flag', policy: 'builtin-calibrated', policyVersion: 1 });
+
+            const again = await api('post', `/${body.data.id}/promote`, 'admin');
+            expect(again.status).toBe(409);
+            expect(again.body.code).toBe('ALREADY_PROMOTED');
+        });
+
+        it('refuses stale runs unless forced', async () => {
+            await labelExamples();
+            const { body } = await calibrate();
+            await ctx.policyService.createPolicy({ name: 'manual', rules: { default: { toxicityScore: { flag: 0.4 } } } });
+
+            const stale = await api('post', `/${body.data.id}/promote`, 'admin');
+            expect(stale.status).toBe(409);
+            expect(stale.body.code).toBe('STALE_CALIBRATION');
+
+            const forced = await api('post', `/${body.data.id}/promote`, 'admin').send({ force: true, name: 'calibrated-comments' });
+            expect(forced.status).toBe(200);
+            expect(forced.body.data.promoted.name).toBe('calibrated-comments');
+        });
+
+        it('is only available to admins', async () => {
+            await labelExamples();
+            const { body } = await calibrate();
+
+            expect((await api('post', `/${body.data.id}/promote`, 'moderator')).status).toBe(403);
+        });
+    });
+});
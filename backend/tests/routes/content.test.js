@@ -0,0 +1,561 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+const TOXIC_TEXT = 'I hate this stupid and awful product';
+const FRIENDLY_TEXT = 'What a wonderful sunny afternoon in the park';
+
+describe('content routes', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    function submit(body, role = 'submitter', headers = {}) {
+        return request(ctx.app)
+            .post('/api/content/submit')
+            .set({ ...authHeader(role), ...headers })
+            .send(body);
+    }
+
+    describe('authentication', () => {
+        it('rejects requests without a token', async () => {
+            const res = await request(ctx.app).post('/api/content/submit').send({ text: 'hello' });
+
+            expect(res.status).toBe(401);
+            expect(res.body).toEqual({ success: false, error: 'Authentication required' });
+        });
+
+        it('rejects roles the route does not allow', async () => {
+            const res = await submit({ text: 'hello' }, 'analyst');
+
+            expect(res.status).toBe(403);
+            expect(res.body.requiredRoles).toEqual(['submitter', 'moderator']);
+        });
+    });
+
+    describe('POST /submit', () => {
+        it('queues the content on the stream and stores it as pending', async () => {
+            const res = await submit({ text: 'Hello there', category: 'comment', userId: 'u1' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.success).toBe(true);
+            const { contentId, streamId } = res.body.data;
+
+            const [[streamKey, entry]] = ctx.redis.callsTo('addToStream');
+            expect(streamKey).toBe('content:stream');
+            expect(entry).toMatchObject({ contentId, tenant: 'default', text: 'Hello there', category: 'comment', userId: 'u1' });
+
+            expect(await ctx.redis.getJSON(`content:${contentId}`, '.')).toMatchObject({ status: 'pending', streamId });
+        });
+
+        it('rejects missing text, unknown categories and oversized text', async () => {
+            for (const body of [{}, { text: '' }, { text: 'ok', category: 'rant' }, { text: 'x'.repeat(5001) }]) {
+                const res = await submit(body);
+
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+                expect(res.body.details.length).toBeGreaterThan(0);
+            }
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(0);
+        });
+
+        it('returns 429 once the tenant rate limit is used up', async () => {
+            await ctx.tenantService.createTenant({ id: 'limited', name: 'Limited', rateLimit: { points: 2, duration: 60 } });
+            const asLimited = { 'X-Tenant-Id': 'limited' };
+
+            expect((await submit({ text: 'one' }, 'admin', asLimited)).status).toBe(201);
+            expect((await submit({ text: 'two' }, 'admin', asLimited)).status).toBe(201);
+
+            const res = await submit({ text: 'three' }, 'admin', asLimited);
+            expect(res.status).toBe(429);
+            expect(res.body.error).toBe('Rate limit exceeded');
+            expect(res.body.retryAfter).toBeGreaterThan(0);
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(2);
+        });
+
+        it('returns a structured 403 for sanctioned users without queueing', async () => {
+            const ban = await ctx.sanctionService.issue({ userId: 'u1', type: 'ban', reason: 'Spam ring' });
+
+            const res = await submit({ text: 'hello', userId: 'u1' });
+
+            expect(res.status).toBe(403);
+            expect(res.body).toMatchObject({
+                success: false,
+                error: 'User is sanctioned',
+                code: 'USER_BANNED',
+                retryAfter: null,
+                sanction: { id: ban.id, type: 'ban', reason: 'Spam ring', appealStatus: 'none' }
+            });
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(0);
+            expect((await submit({ text: 'hello', userId: 'u2' })).status).toBe(201);
+        });
+
+        it('allows one submission per interval during a cooldown', async () => {
+            await ctx.sanctionService.issue({ userId: 'u1', type: 'cooldown', reason: 'x', durationSeconds: 3600, intervalSeconds: 60 });
+
+            expect((await submit({ text: 'one', userId: 'u1' })).status).toBe(201);
+
+            const res = await submit({ text: 'two', userId: 'u1' });
+            expect(res.status).toBe(403);
+            expect(res.body.code).toBe('USER_COOLDOWN');
+            expect(res.body.retryAfter).toBeGreaterThan(59000);
+        });
+
+        it('applies an automatic cooldown after repeated flags', async () => {
+            for (const text of [TOXIC_TEXT, TOXIC_TEXT, TOXIC_TEXT]) {
+                expect((await submit({ text, userId: 'u1' })).status).toBe(201);
+            }
+            await ctx.processSubmitted();
+
+            const [sanction] = await ctx.sanctionService.getActiveSanctions('u1');
+            expect(sanction).toMatchObject({ type: 'cooldown', auto: true });
+        });
+
+        it('returns 500 when the content cannot be queued', async () => {
+            jest.spyOn(ctx.redis, 'addToStream').mockRejectedValue(new Error('connection lost'));
+
+            const res = await submit({ text: 'hello' });
+
+            expect(res.status).toBe(500);
+            expect(res.body).toEqual({ success: false, error: 'Failed to submit content' });
+        });
+    });
+
+    describe('POST /moderate', () => {
+        function moderate(body, query = '') {
+            return request(ctx.app)
+                .post(`/api/content/moderate${query}`)
+                .set(authHeader('submitter'))
+                .send(body);
+        }
+
+        // Process the item once the route has queued it, as a stream consumer would
+        async function processWhenQueued() {
+            while (ctx.redis.callsTo('addToStream').length === 0) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            await ctx.processSubmitted();
+        }
+
+        it('returns the decision and analysis inline once processed', async () => {
+            const [res] = await Promise.all([moderate({ text: TOXIC_TEXT, category: 'comment' }, '?wait=5000'), processWhenQueued()]);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                contentId: expect.any(String),
+                streamId: expect.any(String),
+                tenant: 'default',
+                status: 'flagged',
+                analysis: expect.objectContaining({ isToxic: true }),
+                moderation: expect.objectContaining({ action: 'flag' })
+            });
+        });
+
+        it('falls back to 202 with a status URL when the wait runs out', async () => {
+            const res = await moderate({ text: FRIENDLY_TEXT }, '?wait=20');
+
+            expect(res.status).toBe(202);
+            const { contentId, statusUrl } = res.body.data;
+            expect(res.body.data.status).toBe('pending');
+            expect(statusUrl).toBe(`/api/content/${contentId}`);
+            expect(res.headers.location).toBe(statusUrl);
+
+            await ctx.processSubmitted();
+            const status = await request(ctx.app).get(statusUrl).set(authHeader('submitter'));
+            expect(status.body.data[0].status).toBe('approved');
+        });
+
+        it('caps the wait and defaults invalid values', () => {
+            const { decisions } = ctx.contentProcessor;
+
+            expect(decisions.resolveWait('250')).toBe(250);
+            expect(decisions.resolveWait(String(decisions.maxWait + 1))).toBe(decisions.maxWait);
+            expect(decisions.resolveWait('soon')).toBe(decisions.defaultWait);
+            expect(decisions.resolveWait(undefined)).toBe(decisions.defaultWait);
+        });
+
+        it('enforces sanctions before queueing', async () => {
+            await ctx.sanctionService.issue({ userId: 'u1', type: 'mute', reason: 'x', durationSeconds: 60 });
+
+            const res = await moderate({ text: FRIENDLY_TEXT, userId: 'u1' });
+
+            expect(res.status).toBe(403);
+            expect(res.body.code).toBe('USER_MUTED');
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(0);
+        });
+
+        it('validates like submit and does not queue invalid content', async () => {
+            const res = await moderate({ text: '' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Validation failed');
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(0);
+        });
+
+        it('returns 500 when the content cannot be queued', async () => {
+            jest.spyOn(ctx.redis, 'addToStream').mockRejectedValue(new Error('connection lost'));
+
+            const res = await moderate({ text: 'hello' });
+
+            expect(res.status).toBe(500);
+            expect(res.body).toEqual({ success: false, error: 'Failed to moderate content' });
+        });
+    });
+
+    describe('POST /check', () => {
+        function check(body, role = 'submitter') {
+            return request(ctx.app).post('/api/content/check').set(authHeader(role)).send(body);
+        }
+
+        it('returns scores, matched terms with offsets and the triggering rule', async () => {
+            const res = await check({ text: TOXIC_TEXT, category: 'comment' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.analysis).toMatchObject({ toxicityScore: 0.9, isToxic: true });
+            expect(res.body.data.matchedTerms).toEqual([
+                { stage: 'toxicity', term: 'hate', start: 2, end: 6 },
+                { stage: 'toxicity', term: 'stupid', start: 12, end: 18 },
+                { stage: 'toxicity', term: 'awful', start: 23, end: 28 },
+                { stage: 'category', term: 'product', start: 29, end: 36 }
+            ]);
+            expect(res.body.data.decision).toMatchObject({
+                action: 'flag',
+                status: 'flagged',
+                needsReview: true,
+                rule: { score: 'toxicityScore', value: 0.9, threshold: 0.5 }
+            });
+        });
+
+        it('writes nothing to Redis', async () => {
+            const keysBefore = [...ctx.redis.data.keys()];
+
+            const res = await check({ text: 'A brand new draft nobody has written before' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.decision).toMatchObject({ action: 'approve', rule: null, needsReview: false });
+            expect([...ctx.redis.data.keys()]).toEqual(keysBefore);
+            ['addToStream', 'setJSON', 'addToHyperLogLog', 'setValue', 'addToBloomFilter'].forEach(method => {
+                expect(ctx.redis.callsTo(method)).toHaveLength(0);
+            });
+        });
+
+        it('finds similar stored content', async () => {
+            await submit({ text: FRIENDLY_TEXT });
+            await ctx.processSubmitted();
+
+            const res = await check({ text: FRIENDLY_TEXT, similarThreshold: 0.9 });
+
+            expect(res.body.data.similar).toEqual([expect.objectContaining({ text: FRIENDLY_TEXT })]);
+            expect((await check({ text: FRIENDLY_TEXT, similarLimit: 0 })).body.data.similar).toEqual([]);
+        });
+
+        it('validates the draft', async () => {
+            for (const body of [{}, { text: '' }, { text: 'ok', similarLimit: 21 }, { text: 'ok', similarThreshold: 2 }]) {
+                const res = await check(body);
+
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+
+        it('has its own rate limit, separate from submissions', async () => {
+            process.env.CHECK_RATE_LIMIT_MAX_REQUESTS = '2';
+            try {
+                expect((await check({ text: 'one' })).status).toBe(200);
+                expect((await check({ text: 'two' })).status).toBe(200);
+
+                const res = await check({ text: 'three' });
+                expect(res.status).toBe(429);
+                expect(res.body.error).toBe('Rate limit exceeded');
+            } finally {
+                delete process.env.CHECK_RATE_LIMIT_MAX_REQUESTS;
+            }
+
+            expect((await submit({ text: 'still allowed' })).status).toBe(201);
+        });
+
+        it('is not available to analysts', async () => {
+            expect((await check({ text: 'hello' }, 'analyst')).status).toBe(403);
+        });
+    });
+
+    describe('GET /:contentId', () => {
+        it('returns processed content with its analysis', async () => {
+            const { body } = await submit({ text: TOXIC_TEXT });
+            await ctx.processSubmitted();
+
+            const res = await request(ctx.app)
+                .get(`/api/content/${body.data.contentId}`)
+                .set(authHeader('analyst'));
+
+            expect(res.status).toBe(200);
+            // getContentById reads the "$" path, so the document comes back wrapped in an array
+            expect(res.body.data).toEqual([expect.objectContaining({
+                id: body.data.contentId,
+                status: 'flagged',
+                analysis: expect.objectContaining({ isToxic: true })
+            })]);
+        });
+
+        it('returns 404 for unknown content', async () => {
+            const res = await request(ctx.app).get('/api/content/does-not-exist').set(authHeader('moderator'));
+
+            expect(res.status).toBe(404);
+            expect(res.body).toEqual({ success: false, error: 'Content not found' });
+        });
+
+        it('does not return content from another tenant', async () => {
+            const { body } = await submit({ text: 'tenant scoped' });
+            await ctx.tenantService.createTenant({ id: 'acme', name: 'Acme' });
+
+            const res = await request(ctx.app)
+                .get(`/api/content/${body.data.contentId}`)
+                .set({ ...authHeader('admin'), 'X-Tenant-Id': 'acme' });
+
+            expect(res.status).toBe(404);
+        });
+
+        it('does not let an admin bound to a tenant act on another one', async () => {
+            const { body } = await submit({ text: 'tenant scoped' });
+            await ctx.tenantService.createTenant({ id: 'acme', name: 'Acme' });
+
+            const res = await request(ctx.app)
+                .get(`/api/content/${body.data.contentId}`)
+                .set({ ...authHeader('acme-admin'), 'X-Tenant-Id': 'default' });
+
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('Only platform admins can act on another tenant');
+        });
+    });
+
+    describe('POST /search', () => {
+        beforeEach(async () => {
+            await submit({ text: TOXIC_TEXT });
+            await submit({ text: FRIENDLY_TEXT });
+            await ctx.processSubmitted();
+        });
+
+        it('ranks content by semantic similarity', async () => {
+            const res = await request(ctx.app)
+                .post('/api/content/search')
+                .set(authHeader('moderator'))
+                .send({ query: 'sunny afternoon in the park' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.total).toBe(2);
+            expect(res.body.data.results[0].text).toBe(FRIENDLY_TEXT);
+        });
+
+        it('applies tag filters', async () => {
+            const res = await request(ctx.app)
+                .post('/api/content/search')
+                .set(authHeader('analyst'))
+                .send({ query: 'sunny afternoon in the park', filters: { status: 'flagged' } });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.results.map(result => result.text)).toEqual([TOXIC_TEXT]);
+        });
+
+        it('validates the query, limit and filters', async () => {
+            const invalid = [
+                {},
+                { query: '' },
+                { query: 'ok', limit: 0 },
+                { query: 'ok', limit: 101 },
+                { query: 'ok', filters: { minToxicity: 2 } },
+                { query: 'ok', filters: { unknown: true } }
+            ];
+
+            for (const body of invalid) {
+                const res = await request(ctx.app).post('/api/content/search').set(authHeader('moderator')).send(body);
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+
+        it('is not available to submitters', async () => {
+            const res = await request(ctx.app).post('/api/content/search').set(authHeader('submitter')).send({ query: 'park' });
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('POST /similar', () => {
+        it('finds near-identical content above the threshold', async () => {
+            await submit({ text: FRIENDLY_TEXT });
+            await ctx.processSubmitted();
+
+            const res = await request(ctx.app)
+                .post('/api/content/similar')
+                .set(authHeader('moderator'))
+                .send({ text: FRIENDLY_TEXT, limit: 3, threshold: 0.9 });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveLength(1);
+            expect(res.body.data[0].text).toBe(FRIENDLY_TEXT);
+        });
+
+        it('requires text', async () => {
+            const res = await request(ctx.app).post('/api/content/similar').set(authHeader('moderator')).send({});
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Text is required');
+        });
+    });
+
+    describe('POST /:contentId/feedback', () => {
+        it('stores the feedback and adds it to the feedback stream', async () => {
+            const res = await request(ctx.app)
+                .post('/api/content/abc/feedback')
+                .set(authHeader('moderator'))
+                .send({ feedback: 'incorrect', comment: 'not toxic' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ contentId: 'abc', feedback: 'incorrect', tenant: 'default' });
+            expect(await ctx.redis.readFromStream('feedback:stream')).toEqual([
+                expect.objectContaining({ message: expect.objectContaining({ contentId: 'abc', feedback: 'incorrect' }) })
+            ]);
+        });
+
+        it('rejects unknown feedback values', async () => {
+            const res = await request(ctx.app)
+                .post('/api/content/abc/feedback')
+                .set(authHeader('moderator'))
+                .send({ feedback: 'meh' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Validation failed');
+        });
+
+        it('is only available to moderators', async () => {
+            const res = await request(ctx.app)
+                .post('/api/content/abc/feedback')
+                .set(authHeader('submitter'))
+                .send({ feedback: 'correct' });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('returns 500 when the feedback cannot be stored', async () => {
+            jest.spyOn(ctx.redis, 'setJSON').mockRejectedValue(new Error('connection lost'));
+
+            const res = await request(ctx.app)
+                .post('/api/content/abc/feedback')
+                .set(authHeader('moderator'))
+                .send({ feedback: 'correct' });
+
+            expect(res.status).toBe(500);
+            expect(res.body.error).toBe('Failed to submit feedback');
+        });
+    });
+
+    describe('GET /stats/processing', () => {
+        it('reports processed counts and unique submitters for the tenant', async () => {
+            await submit({ text: TOXIC_TEXT, userId: 'u1' });
+            await submit({ text: FRIENDLY_TEXT, userId: 'u2' });
+            await ctx.processSubmitted();
+
+            const res = await request(ctx.app).get('/api/content/stats/processing').set(authHeader('analyst'));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                totalProcessed: 2,
+                totalFlagged: 1,
+                totalApproved: 1,
+                uniqueVisitors: 2
+            });
+        });
+    });
+
+    describe('GET /stats/vectors', () => {
+        it('returns vector statistics', async () => {
+            const res = await request(ctx.app).get('/api/content/stats/vectors').set(authHeader('moderator'));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveProperty('totalVectors');
+        });
+    });
+
+    describe('GET /analysis/clusters', () => {
+        it('returns clusters for the tenant', async () => {
+            const res = await request(ctx.app).get('/api/content/analysis/clusters?refresh=true').set(authHeader('analyst'));
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+        });
+
+        it('returns 503 without a clustering service', async () => {
+            ctx = createTestApp({ clustering: false });
+
+            const res = await request(ctx.app).get('/api/content/analysis/clusters').set(authHeader('analyst'));
+
+            expect(res.status).toBe(503);
+            expect(res.body.error).toBe('Clustering not available');
+        });
+    });
+
+    describe('POST /bulk/submit', () => {
+        function bulk(body) {
+            return request(ctx.app).post('/api/content/bulk/submit').set(authHeader('submitter')).send(body);
+        }
+
+        it('submits valid items and reports invalid ones', async () => {
+            const res = await bulk({ contents: [{ text: 'first' }, { text: '' }, { text: 'third', category: 'review' }] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('Processed 3 contents');
+            expect(res.body.data[0]).toMatchObject({ success: true, contentId: expect.any(String) });
+            expect(res.body.data[1].error).toEqual(expect.any(Array));
+            expect(res.body.data[2].success).toBe(true);
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(2);
+        });
+
+        it('rejects the whole batch when any submitter is sanctioned', async () => {
+            await ctx.sanctionService.issue({ userId: 'u2', type: 'mute', reason: 'x', durationSeconds: 60 });
+
+            const res = await bulk({ contents: [{ text: 'first', userId: 'u1' }, { text: 'second', userId: 'u2' }, { text: 'third', userId: 'u2' }] });
+
+            expect(res.status).toBe(403);
+            expect(res.body).toMatchObject({ success: false, error: 'User is sanctioned', code: 'USER_MUTED' });
+            expect(res.body.blocked).toEqual([
+                expect.objectContaining({ userId: 'u2', indexes: [1, 2], code: 'USER_MUTED' })
+            ]);
+            expect(ctx.redis.callsTo('addToStream')).toHaveLength(0);
+        });
+
+        it('counts every item against a cooldown', async () => {
+            await ctx.sanctionService.issue({ userId: 'u1', type: 'cooldown', reason: 'x', durationSeconds: 3600, intervalSeconds: 60 });
+
+            expect((await bulk({ contents: [{ text: 'a', userId: 'u1' }, { text: 'b', userId: 'u1' }] })).status).toBe(403);
+            expect((await bulk({ contents: [{ text: 'a', userId: 'u1' }] })).status).toBe(200);
+            expect((await bulk({ contents: [{ text: 'b', userId: 'u1' }] })).status).toBe(403);
+        });
+
+        it('requires a non-empty contents array', async () => {
+            for (const body of [{}, { contents: [] }, { contents: 'text' }]) {
+                const res = await bulk(body);
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Contents array is required');
+            }
+        });
+
+        it('accepts at most 50 items', async () => {
+            const res = await bulk({ contents: Array.from({ length: 51 }, (_, i) => ({ text: `item ${i}` })) });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Maximum 50 contents allowed per bulk request');
+        });
+    });
+
+    describe('unknown endpoints', () => {
+        it('returns the API 404', async () => {
+            for (const path of ['/api/content/a/b/c', '/api/nothing-here']) {
+                const res = await request(ctx.app).get(path).set(authHeader('admin'));
+
+                expect(res.status).toBe(404);
+                expect(res.body).toEqual({ success: false, error: 'API endpoint not found' });
+            }
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+const TOXIC_TEXT = 'I hate this stupid and awful product';
+const FRIENDLY_TEXT = 'What a wonderful sunny afternoon in the park';
+
+describe('feedback routes', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    function api(method, path, role = 'analyst') {
+        return request(ctx.app)[method](`/api/feedback${path}`).set(authHeader(role));
+    }
+
+    async function submitAndProcess(text, category = 'comment') {
+        const { contentId } = await ctx.contentProcessor.submitContent({ text, category, userId: 'u1' });
+        await ctx.processSubmitted();
+        return contentId;
+    }
+
+    function giveFeedback(contentId, body) {
+        return request(ctx.app).post(`/api/content/${contentId}/feedback`).set(authHeader('moderator')).send(body);
+    }
+
+    // Runs every feedback stream entry through the service, as the feedback consumer would
+    async function processFeedback() {
+        const messages = await ctx.redis.readFromStream('feedback:stream', 1000);
+        for (const message of messages) {
+            await ctx.feedbackService.processFeedback(message.message);
+        }
+    }
+
+    it('keeps the feedback comment and moderator', async () => {
+        const contentId = await submitAndProcess(FRIENDLY_TEXT);
+
+        const res = await giveFeedback(contentId, { feedback: 'spam', comment: 'Affiliate link in the profile' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ comment: 'Affiliate link in the profile', by: 'mod-1' });
+
+        const [entry] = await ctx.redis.readFromStream('feedback:stream', 10);
+        expect(entry.message).toMatchObject({ comment: 'Affiliate link in the profile', by: 'mod-1' });
+    });
+
+    it('no longer records confidence as accuracy when processing content', async () => {
+        await submitAndProcess(FRIENDLY_TEXT);
+
+        expect(ctx.redis.callsTo('addTimeSeriesPoint').filter(([key]) => key.endsWith('accuracy:rate'))).toHaveLength(0);
+    });
+
+    describe('GET /metrics', () => {
+        it('reports the confusion matrix from processed feedback', async () => {
+            const flagged = await submitAndProcess(TOXIC_TEXT);
+            const approved = await submitAndProcess(FRIENDLY_TEXT);
+            await giveFeedback(flagged, { feedback: 'correct' });
+            await giveFeedback(approved, { feedback: 'incorrect' });
+            await processFeedback();
+
+            const res = await api('get', '/metrics');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.positiveLabel).toBe('violation');
+            expect(res.body.data.overall).toMatchObject({ tp: 1, fn: 1, total: 2, precision: 1, recall: 0.5, accuracy: 0.5 });
+            expect(Object.keys(res.body.data.categories).length).toBeGreaterThan(0);
+        });
+
+        it('is not available to submitters', async () => {
+            expect((await api('get', '/metrics', 'submitter')).status).toBe(403);
+        });
+    });
+
+    describe('GET /examples', () => {
+        it('exports labeled examples as JSON or JSON lines', async () => {
+            const contentId = await submitAndProcess(TOXIC_TEXT);
+            await giveFeedback(contentId, { feedback: 'incorrect', comment: 'Product review, not abuse' });
+            await processFeedback();
+
+            const json = await api('get', '/examples');
+            expect(json.body.count).toBe(1);
+            expect(json.body.data[0]).toMatchObject({
+                contentId,
+                text: TOXIC_TEXT,
+                label: 'ok',
+                predicted: 'violation',
+                comment: 'Product review, not abuse',
+                analysis: expect.objectContaining({ toxicityScore: expect.any(Number) }),
+                moderation: expect.objectContaining({ action: 'flag' })
+            });
+
+            const jsonl = await api('get', '/examples?format=jsonl&label=ok');
+            expect(jsonl.headers['content-type']).toMatch('application/x-ndjson');
+            expect(jsonl.headers['content-disposition']).toMatch('feedback-examples-default.jsonl');
+            expect(jsonl.text.trim().split('\n').map(line => JSON.parse(line).contentId)).toEqual([contentId]);
+        });
+
+        it('validates the filters', async () => {
+            for (const query of ['?format=csv', '?label=spam', '?limit=0']) {
+                const res = await api('get', `/examples${query}`);
+
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+    });
+});
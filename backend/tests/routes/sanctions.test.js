@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+describe('sanction routes', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    function api(method, path, role = 'moderator') {
+        return request(ctx.app)[method](`/api/sanctions${path}`).set(authHeader(role));
+    }
+
+    describe('POST /', () => {
+        it('issues a sanction attributed to the moderator', async () => {
+            const res = await api('post', '/').send({ userId: 'u1', type: 'mute', reason: 'Harassment', durationSeconds: 3600 });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({
+                userId: 'u1',
+                type: 'mute',
+                reason: 'Harassment',
+                issuedBy: 'mod-1',
+                status: 'active',
+                appealStatus: 'none',
+                expiresAt: expect.any(Number)
+            });
+        });
+
+        it('defaults the cooldown interval', async () => {
+            const res = await api('post', '/').send({ userId: 'u1', type: 'cooldown', reason: 'x', durationSeconds: 600 });
+
+            expect(res.body.data.intervalSeconds).toBe(300);
+        });
+
+        it('validates durations per type', async () => {
+            const invalid = [
+                { userId: 'u1', type: 'mute', reason: 'x' },
+                { userId: 'u1', type: 'ban', reason: 'x', durationSeconds: 60 },
+                { userId: 'u1', type: 'mute', reason: 'x', durationSeconds: 60, intervalSeconds: 10 },
+                { userId: 'u1', type: 'suspend', reason: 'x', durationSeconds: 60 },
+                { userId: 'u1', type: 'ban' }
+            ];
+
+            for (const body of invalid) {
+                const res = await api('post', '/').send(body);
+
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+
+        it('rejects the anonymous user', async () => {
+            const res = await api('post', '/').send({ userId: 'anonymous', type: 'ban', reason: 'x' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('This user cannot be sanctioned');
+        });
+
+        it('is not available to analysts or submitters', async () => {
+            for (const role of ['analyst', 'submitter']) {
+                expect((await api('post', '/', role).send({ userId: 'u1', type: 'ban', reason: 'x' })).status).toBe(403);
+            }
+        });
+    });
+
+    describe('listing', () => {
+        it('lists active sanctions for the tenant and per user', async () => {
+            await api('post', '/').send({ userId: 'u1', type: 'ban', reason: 'x' });
+            await api('post', '/').send({ userId: 'u2', type: 'mute', reason: 'y', durationSeconds: 60 });
+
+            const all = await api('get', '/', 'analyst');
+            expect(all.body.count).toBe(2);
+
+            const forUser = await api('get', '/users/u2', 'analyst');
+            expect(forUser.body.data).toEqual([expect.objectContaining({ userId: 'u2', type: 'mute' })]);
+        });
+
+        it('returns 404 for unknown sanctions', async () => {
+            expect((await api('get', '/missing')).status).toBe(404);
+        });
+    });
+
+    describe('DELETE /:id', () => {
+        it('revokes the sanction so the user can submit again', async () => {
+            const { body } = await api('post', '/').send({ userId: 'u1', type: 'ban', reason: 'x' });
+
+            const res = await api('delete', `/${body.data.id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ status: 'revoked', revokedBy: 'mod-1' });
+            expect((await api('get', '/users/u1')).body.count).toBe(0);
+            expect((await api('delete', `/${body.data.id}`)).status).toBe(404);
+        });
+    });
+
+    describe('PUT /:id/appeal', () => {
+        it('records the appeal status and lifts overturned sanctions', async () => {
+            const { body } = await api('post', '/').send({ userId: 'u1', type: 'ban', reason: 'x' });
+
+            const pending = await api('put', `/${body.data.id}/appeal`).send({ appealStatus: 'pending' });
+            expect(pending.body.data).toMatchObject({ appealStatus: 'pending', status: 'active' });
+
+            const overturned = await api('put', `/${body.data.id}/appeal`).send({ appealStatus: 'overturned' });
+            expect(overturned.body.data).toMatchObject({ appealStatus: 'overturned', status: 'revoked' });
+        });
+
+        it('validates the status', async () => {
+            const { body } = await api('post', '/').send({ userId: 'u1', type: 'ban', reason: 'x' });
+
+            expect((await api('put', `/${body.data.id}/appeal`).send({ appealStatus: 'granted' })).status).toBe(400);
+            expect((await api('put', '/missing/appeal').send({ appealStatus: 'upheld' })).status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,323 @@
+const http = require('http');
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+describe('stream routes', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await ctx.tenantService.createTenant({ id: 'acme', name: 'Acme' });
+    });
+
+    function get(path, role = 'analyst', headers = {}) {
+        return request(ctx.app).get(`/api/stream${path}`).set({ ...authHeader(role), ...headers });
+    }
+
+    async function submitAs(tenant, text, userId = 'u1') {
+        return ctx.contentProcessor.submitContent({ text, userId }, tenant);
+    }
+
+    describe('GET /events', () => {
+        let server;
+
+        beforeEach((done) => {
+            server = ctx.app.listen(0, done);
+        });
+
+        afterEach((done) => {
+            server.close(done);
+        });
+
+        // Opens the SSE stream and resolves each time an event has arrived
+        function openEvents() {
+            const events = [];
+            let notify = () => {};
+
+            return new Promise((resolve, reject) => {
+                const req = http.get({
+                    port: server.address().port,
+                    path: '/api/stream/events',
+                    headers: authHeader('moderator')
+                }, (res) => {
+                    let buffer = '';
+                    res.setEncoding('utf8');
+                    res.on('data', (chunk) => {
+                        buffer += chunk;
+                        const frames = buffer.split('\n\n');
+                        buffer = frames.pop();
+                        frames.forEach(frame => events.push(JSON.parse(frame.replace(/^data: /, ''))));
+                        notify();
+                    });
+
+                    resolve({
+                        res,
+                        events,
+                        next: (count) => new Promise(done => {
+                            notify = () => events.length >= count && done();
+                            notify();
+                        }),
+                        close: () => req.destroy()
+                    });
+                });
+                req.on('error', reject);
+            });
+        }
+
+        it('streams processed content for the caller\'s tenant only', async () => {
+            const stream = await openEvents();
+
+            expect(stream.res.headers['content-type']).toBe('text/event-stream');
+            await stream.next(1);
+            expect(stream.events[0].type).toBe('connected');
+
+            // Let the route finish subscribing before publishing
+            await new Promise(resolve => setImmediate(resolve));
+            await ctx.redis.publish('content:processed', { contentId: 'other', tenant: 'acme' });
+            await ctx.redis.publish('content:processed', { contentId: 'mine', tenant: 'default' });
+            await ctx.redis.publish('analytics:update', { totalProcessed: 3 });
+
+            await stream.next(3);
+            expect(stream.events.slice(1)).toEqual([
+                { type: 'content_processed', data: { contentId: 'mine', tenant: 'default' } },
+                { type: 'analytics_update', data: { totalProcessed: 3 } }
+            ]);
+
+            stream.close();
+        });
+
+        it('unsubscribes when the client disconnects', async () => {
+            const stream = await openEvents();
+            await stream.next(1);
+            expect(ctx.redis.subscribers.size).toBe(1);
+
+            stream.close();
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(ctx.redis.subscribers.size).toBe(0);
+        });
+
+        it('requires a moderator or analyst', async () => {
+            const res = await get('/events', 'submitter');
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('GET /consumers', () => {
+        it('lists registered consumers with their group state', async () => {
+            await ctx.contentProcessor.consumers.heartbeat('processor-a', { processed: 4 });
+
+            const res = await get('/consumers');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                stream: 'content:stream',
+                group: 'content-processors',
+                consumers: [expect.objectContaining({ name: 'processor-a', processed: 4, stale: false })]
+            });
+        });
+
+        it('returns 503 without a consumer registry', async () => {
+            ctx = createTestApp({ consumerRegistry: null });
+
+            const res = await get('/consumers');
+
+            expect(res.status).toBe(503);
+            expect(res.body.error).toBe('Consumer registry not available');
+        });
+
+        it('is only available to analysts', async () => {
+            expect((await get('/consumers', 'moderator')).status).toBe(403);
+        });
+    });
+
+    describe('GET /:streamKey/messages', () => {
+        it('returns the caller\'s tenant entries from the stream', async () => {
+            const { contentId } = await submitAs('default', 'first');
+            await submitAs('acme', 'hidden');
+
+            const res = await get('/content:stream/messages?count=10');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.stream).toBe('content:stream');
+            expect(res.body.data.messages).toEqual([
+                expect.objectContaining({ data: expect.objectContaining({ contentId, text: 'first' }) })
+            ]);
+        });
+
+        it('rejects streams outside the allowlist', async () => {
+            const res = await get('/secrets/messages');
+
+            expect(res.status).toBe(400);
+            expect(res.body.validStreams).toEqual(['content:stream', 'feedback:stream', 'content:stream:dlq']);
+        });
+
+        it('returns 500 when the stream cannot be read', async () => {
+            jest.spyOn(ctx.redis, 'readFromStream').mockRejectedValue(new Error('connection lost'));
+
+            const res = await get('/content:stream/messages');
+
+            expect(res.status).toBe(500);
+            expect(res.body.error).toBe('Failed to get stream messages');
+        });
+    });
+
+    describe('GET /:streamKey/info', () => {
+        it('reports length, entries and consumer groups', async () => {
+            await ctx.redis.createConsumerGroup('content:stream', 'content-processors', '0');
+            await submitAs('default', 'first');
+            await submitAs('default', 'second');
+            await ctx.redis.consumeFromGroup('content:stream', 'content-processors', 'worker-1', 1);
+
+            const res = await get('/content:stream/info');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                name: 'content:stream',
+                length: 2,
+                firstEntry: { data: expect.objectContaining({ text: 'first' }) },
+                lastEntry: { data: expect.objectContaining({ text: 'second' }) },
+                consumerGroups: [{
+                    name: 'content-processors',
+                    pending: 1,
+                    entriesRead: 1,
+                    lag: 1,
+                    consumers: [expect.objectContaining({ name: 'worker-1', pending: 1 })]
+                }]
+            });
+        });
+
+        it('returns 404 for a stream that does not exist yet', async () => {
+            const res = await get('/feedback:stream/info');
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Stream not found');
+        });
+
+        it('rejects streams outside the allowlist', async () => {
+            expect((await get('/other/info')).status).toBe(400);
+        });
+    });
+
+    describe('GET /:streamKey/pending', () => {
+        beforeEach(async () => {
+            await ctx.redis.createConsumerGroup('content:stream', 'content-processors', '0');
+            await submitAs('default', 'first');
+            await submitAs('default', 'second');
+            await ctx.redis.consumeFromGroup('content:stream', 'content-processors', 'worker-1', 1);
+            await ctx.redis.consumeFromGroup('content:stream', 'content-processors', 'worker-2', 1);
+        });
+
+        it('summarises the PEL and lists pending entries', async () => {
+            const res = await get('/content:stream/pending');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                stream: 'content:stream',
+                group: 'content-processors',
+                pending: 2,
+                consumers: [{ name: 'worker-1', deliveriesCounter: 1 }, { name: 'worker-2', deliveriesCounter: 1 }]
+            });
+            expect(res.body.data.entries).toEqual([
+                expect.objectContaining({ consumer: 'worker-1', deliveries: 1 }),
+                expect.objectContaining({ consumer: 'worker-2', deliveries: 1 })
+            ]);
+        });
+
+        it('filters entries by consumer and count', async () => {
+            const byConsumer = await get('/content:stream/pending?consumer=worker-2');
+            expect(byConsumer.body.data.entries.map(entry => entry.consumer)).toEqual(['worker-2']);
+
+            const limited = await get('/content:stream/pending?count=1');
+            expect(limited.body.data.entries).toHaveLength(1);
+        });
+
+        it('returns 404 for an unknown group', async () => {
+            const res = await get('/content:stream/pending?group=nobody');
+
+            expect(res.status).toBe(404);
+            expect(res.body).toMatchObject({ error: 'Consumer group not found', groups: ['content-processors'] });
+        });
+
+        it('returns 404 when the stream has no groups', async () => {
+            const res = await get('/feedback:stream/pending');
+
+            expect(res.status).toBe(404);
+            expect(res.body.groups).toEqual([]);
+        });
+    });
+
+    describe('POST /:streamKey/add', () => {
+        it('adds an entry to the stream', async () => {
+            const res = await request(ctx.app)
+                .post('/api/stream/content:stream/add')
+                .set(authHeader('admin'))
+                .send({ data: { text: 'manual', tenant: 'default' } });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ streamKey: 'content:stream', messageId: expect.stringMatching(/^\d+-\d+$/) });
+            expect(ctx.redis.callsTo('addToStream')).toEqual([['content:stream', { text: 'manual', tenant: 'default' }]]);
+        });
+
+        it('requires a data object', async () => {
+            const res = await request(ctx.app)
+                .post('/api/stream/content:stream/add')
+                .set(authHeader('admin'))
+                .send({ data: 'text' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Data object is required');
+        });
+
+        it('is only available to admins', async () => {
+            const res = await request(ctx.app)
+                .post('/api/stream/content:stream/add')
+                .set(authHeader('analyst'))
+                .send({ data: { text: 'manual' } });
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('GET /activity/recent', () => {
+        it('returns the tenant\'s submissions newest first', async () => {
+            await submitAs('default', 'first', 'u1');
+            await submitAs('acme', 'hidden', 'u2');
+            await submitAs('default', 'second', 'u3');
+
+            const res = await get('/activity/recent', 'moderator');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.map(activity => activity.data.userId)).toEqual(['u3', 'u1']);
+            expect(res.body.data[0]).toMatchObject({ type: 'content_submission', timestamp: expect.any(Number) });
+        });
+
+        it('honours the limit', async () => {
+            for (let i = 0; i < 5; i++) {
+                await submitAs('default', `item ${i}`, `u${i}`);
+            }
+
+            const res = await get('/activity/recent?limit=2');
+
+            expect(res.body.data.map(activity => activity.data.userId)).toEqual(['u4', 'u3']);
+        });
+
+        it('pages through more than one batch of the stream', async () => {
+            for (let i = 0; i < 150; i++) {
+                await ctx.redis.addToStream('content:stream', { contentId: `c${i}`, tenant: i < 5 ? 'default' : 'acme', userId: `u${i}` });
+            }
+
+            const res = await get('/activity/recent?limit=10');
+
+            expect(res.body.data.map(activity => activity.data.contentId)).toEqual(['c4', 'c3', 'c2', 'c1', 'c0']);
+        });
+    });
+
+    it('returns the API 404 for unknown stream endpoints', async () => {
+        const res = await request(ctx.app).delete('/api/stream/content:stream').set(authHeader('admin'));
+
+        expect(res.status).toBe(404);
+        expect(res.body.error).toBe('API endpoint not found');
+    });
+});
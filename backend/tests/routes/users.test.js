@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+
+describe('user reputation routes', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    function api(method, path, role = 'moderator') {
+        return request(ctx.app)[method](`/api/users${path}`).set(authHeader(role));
+    }
+
+    async function submitAndProcess(text, userId) {
+        const { contentId } = await ctx.contentProcessor.submitContent({ text, userId });
+        await ctx.processSubmitted();
+        return contentId;
+    }
+
+    describe('GET /:userId/reputation', () => {
+        it('counts submissions and automated decisions', async () => {
+            await submitAndProcess('I hate this stupid and awful product', 'u1');
+
+            const res = await api('get', '/u1/reputation', 'analyst');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                userId: 'u1',
+                tenant: 'default',
+                counters: expect.objectContaining({ submissions: 1, flagged: 1, approved: 0 }),
+                trust: { score: 0.45, tier: 'normal' }
+            });
+        });
+
+        it('returns the base trust for unknown users', async () => {
+            const res = await api('get', '/nobody/reputation');
+
+            expect(res.body.data.trust).toEqual({ score: 0.5, tier: 'normal' });
+            expect(res.body.data.counters.submissions).toBe(0);
+        });
+
+        it('is not available to submitters', async () => {
+            expect((await api('get', '/u1/reputation', 'submitter')).status).toBe(403);
+        });
+    });
+
+    describe('GET /:userId/history', () => {
+        it('lists scored events newest first', async () => {
+            const contentId = await submitAndProcess('What a wonderful sunny afternoon', 'u1');
+            await request(ctx.app)
+                .post(`/api/content/${contentId}/feedback`)
+                .set(authHeader('moderator'))
+                .send({ feedback: 'spam' });
+
+            const res = await api('get', '/u1/history');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.total).toBe(2);
+            expect(res.body.data.events).toEqual([
+                expect.objectContaining({ type: 'feedback_confirmed', contentId, reason: 'feedback:spam' }),
+                expect.objectContaining({ type: 'approved', contentId, delta: 0.01 })
+            ]);
+        });
+    });
+
+    describe('POST /:userId/reputation/adjust', () => {
+        it('records a manual adjustment and returns the new score', async () => {
+            const res = await api('post', '/u1/reputation/adjust').send({ delta: -0.3, reason: 'Ban evasion' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.event).toMatchObject({ type: 'adjustment', delta: -0.3, reason: 'Ban evasion', by: 'mod-1' });
+            expect(res.body.data.reputation.trust).toEqual({ score: 0.2, tier: 'low' });
+        });
+
+        it('makes the policy stricter for low-trust users', async () => {
+            await ctx.contentProcessor.policyService.createPolicy({
+                name: 'tiered',
+                rules: {
+                    default: { toxicityScore: { flag: 0.5 } },
+                    trust: { low: { toxicityScore: { flag: 0.2 } } }
+                }
+            });
+            await api('post', '/u1/reputation/adjust').send({ delta: -0.3, reason: 'Repeat offender' });
+
+            const lowTrust = await submitAndProcess('That was a terrible idea', 'u1');
+            const normal = await submitAndProcess('That was a terrible idea', 'u2');
+
+            const [lowContent] = await ctx.contentProcessor.getContentById(lowTrust);
+            const [normalContent] = await ctx.contentProcessor.getContentById(normal);
+            expect(lowContent).toMatchObject({ status: 'flagged', moderation: { trust: { tier: 'low' } } });
+            expect(normalContent).toMatchObject({ status: 'approved', moderation: { trust: { tier: 'normal' } } });
+        });
+
+        it('validates the delta and reason', async () => {
+            for (const body of [{}, { delta: 0, reason: 'x' }, { delta: 1.5, reason: 'x' }, { delta: 0.1 }]) {
+                const res = await api('post', '/u1/reputation/adjust').send(body);
+
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+
+        it('rejects the anonymous user', async () => {
+            const res = await api('post', '/anonymous/reputation/adjust').send({ delta: 0.1, reason: 'x' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Reputation is not tracked for this user');
+        });
+
+        it('is not available to analysts', async () => {
+            expect((await api('post', '/u1/reputation/adjust', 'analyst').send({ delta: 0.1, reason: 'x' })).status).toBe(403);
+        });
+    });
+
+    describe('DELETE /:userId/reputation', () => {
+        it('resets a user\'s reputation', async () => {
+            await submitAndProcess('I hate this stupid and awful product', 'u1');
+
+            expect((await api('delete', '/u1/reputation', 'moderator')).status).toBe(403);
+            expect((await api('delete', '/u1/reputation', 'admin')).status).toBe(200);
+            expect((await api('get', '/u1/reputation')).body.data.counters.submissions).toBe(0);
+            expect((await api('delete', '/u1/reputation', 'admin')).status).toBe(404);
+        });
+    });
+});
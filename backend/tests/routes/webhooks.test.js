@@ -0,0 +1,224 @@
+const request = require('supertest');
+const WebhookService = require('../../services/WebhookService');
+const { createTestApp, authHeader } = require('../helpers/createTestApp');
+const createWebhookReceiver = require('../helpers/createWebhookReceiver');
+
+describe('webhook routes', () => {
+    let ctx;
+    let receiver;
+
+    beforeEach(async () => {
+        ctx = createTestApp({ webhooks: { baseDelay: 1, maxDelay: 1, maxAttempts: 2 } });
+        receiver = await createWebhookReceiver();
+    });
+
+    afterEach(async () => {
+        await receiver.close();
+    });
+
+    function api(method, path = '', role = 'admin') {
+        return request(ctx.app)[method](`/api/webhooks${path}`).set(authHeader(role));
+    }
+
+    async function createWebhook(body = {}) {
+        const res = await api('post').send({ url: receiver.url, events: ['content.flagged'], ...body });
+        return res.body.data;
+    }
+
+    // Deliveries are recorded after the receiver has answered
+    async function settled(webhookId, count) {
+        for (let i = 0; i < 100; i++) {
+            const { deliveries } = await ctx.webhookService.getDeliveries(webhookId);
+            const done = deliveries.filter(delivery => !['pending', 'retrying'].includes(delivery.status));
+            if (done.length >= count) return deliveries;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error('Deliveries did not settle');
+    }
+
+    it('is only available to admins', async () => {
+        expect((await api('get', '', 'moderator')).status).toBe(403);
+        expect((await request(ctx.app).get('/api/webhooks')).status).toBe(401);
+    });
+
+    describe('POST /', () => {
+        it('creates a subscription and returns its secret once', async () => {
+            const res = await api('post').send({
+                url: receiver.url,
+                events: ['content.flagged', 'review.decided'],
+                categories: ['review'],
+                secret: 'a-very-long-shared-secret'
+            });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({
+                url: receiver.url,
+                events: ['content.flagged', 'review.decided'],
+                categories: ['review'],
+                secret: 'a-very-long-shared-secret',
+                active: true
+            });
+
+            const listed = await api('get');
+            expect(listed.body.data).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+            expect(listed.body.events).toEqual(WebhookService.EVENTS);
+        });
+
+        it('validates the url, events and secret', async () => {
+            const invalid = [
+                {},
+                { url: 'ftp://example.com/hook', events: ['content.flagged'] },
+                { url: receiver.url, events: [] },
+                { url: receiver.url, events: ['content.deleted'] },
+                { url: receiver.url, events: ['content.flagged'], secret: 'short' }
+            ];
+
+            for (const body of invalid) {
+                const res = await api('post').send(body);
+                expect(res.status).toBe(400);
+                expect(res.body.error).toBe('Validation failed');
+            }
+        });
+    });
+
+    describe('GET, PATCH and DELETE /:id', () => {
+        it('reads, updates and deletes a subscription', async () => {
+            const webhook = await createWebhook();
+
+            const fetched = await api('get', `/${webhook.id}`);
+            expect(fetched.status).toBe(200);
+            expect(fetched.body.data.secret).toBeUndefined();
+
+            const updated = await api('patch', `/${webhook.id}`).send({ active: false, categories: ['comment'] });
+            expect(updated.status).toBe(200);
+            expect(updated.body.data).toMatchObject({ active: false, categories: ['comment'], events: ['content.flagged'] });
+
+            expect((await api('delete', `/${webhook.id}`)).status).toBe(200);
+            expect((await api('get', `/${webhook.id}`)).status).toBe(404);
+        });
+
+        it('rejects empty or invalid updates', async () => {
+            const webhook = await createWebhook();
+
+            expect((await api('patch', `/${webhook.id}`).send({})).status).toBe(400);
+            expect((await api('patch', `/${webhook.id}`).send({ events: ['nope'] })).status).toBe(400);
+        });
+
+        it('returns 404 for unknown subscriptions', async () => {
+            for (const [method, path] of [['get', '/missing'], ['patch', '/missing'], ['delete', '/missing'], ['post', '/missing/test']]) {
+                const res = await api(method, path).send({ active: true });
+
+                expect(res.status).toBe(404);
+                expect(res.body.error).toBe('Webhook not found');
+            }
+        });
+
+        it('does not expose another tenant\'s subscriptions', async () => {
+            await ctx.tenantService.createTenant({ id: 'acme', name: 'Acme' });
+            const webhook = await createWebhook();
+
+            const res = await api('get', `/${webhook.id}`).set('X-Tenant-Id', 'acme');
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('POST /:id/test', () => {
+        it('sends a signed test event to the receiver', async () => {
+            const webhook = await createWebhook();
+
+            const res = await api('post', `/${webhook.id}/test`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(res.body.data).toMatchObject({
+                event: 'webhook.test',
+                status: 'succeeded',
+                attempts: [expect.objectContaining({ statusCode: 200 })]
+            });
+
+            const [received] = receiver.requests;
+            expect(received.json).toMatchObject({ event: 'webhook.test', data: { webhookId: webhook.id } });
+            expect(WebhookService.verifySignature(webhook.secret, received.headers['x-webhook-signature'], received.body)).toBe(true);
+        });
+
+        it('reports a failing receiver without retrying', async () => {
+            const webhook = await createWebhook();
+            receiver.status = 500;
+
+            const res = await api('post', `/${webhook.id}/test`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(false);
+            expect(res.body.data).toMatchObject({ status: 'failed', attempts: [expect.objectContaining({ statusCode: 500 })] });
+        });
+    });
+
+    describe('moderation events', () => {
+        it('delivers flagged content that matches the filters', async () => {
+            const webhook = await createWebhook({ categories: ['review'] });
+
+            await ctx.contentProcessor.submitContent({ text: 'I hate this stupid and awful product', category: 'review', userId: 'u1' });
+            await ctx.contentProcessor.submitContent({ text: 'I hate this stupid and awful comment', category: 'comment', userId: 'u2' });
+            await ctx.contentProcessor.submitContent({ text: 'What a wonderful sunny afternoon', category: 'review', userId: 'u3' });
+            await ctx.processSubmitted();
+
+            const [delivery] = await settled(webhook.id, 1);
+            expect(receiver.requests).toHaveLength(1);
+            expect(receiver.requests[0].json.data).toMatchObject({ status: 'flagged', category: 'review', userId: 'u1' });
+            expect(delivery).toMatchObject({ event: 'content.flagged', status: 'succeeded' });
+        });
+    });
+
+    describe('deliveries', () => {
+        it('lists deliveries newest first and returns one with its attempts', async () => {
+            const webhook = await createWebhook();
+            await api('post', `/${webhook.id}/test`);
+            receiver.status = 500;
+            await api('post', `/${webhook.id}/test`);
+
+            const res = await api('get', `/${webhook.id}/deliveries`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.total).toBe(2);
+            expect(res.body.data.deliveries.map(delivery => delivery.status)).toEqual(['failed', 'succeeded']);
+
+            const limited = await api('get', `/${webhook.id}/deliveries?limit=1&offset=1`);
+            expect(limited.body.data.deliveries.map(delivery => delivery.status)).toEqual(['succeeded']);
+
+            const single = await api('get', `/${webhook.id}/deliveries/${res.body.data.deliveries[0].id}`);
+            expect(single.status).toBe(200);
+            expect(single.body.data.attempts[0].statusCode).toBe(500);
+        });
+
+        it('replays a delivery as a new one with the same payload', async () => {
+            const webhook = await createWebhook();
+            receiver.status = 500;
+            const { body } = await api('post', `/${webhook.id}/test`);
+            receiver.status = 200;
+
+            const res = await api('post', `/${webhook.id}/deliveries/${body.data.id}/replay`);
+
+            expect(res.status).toBe(202);
+            expect(res.body.data).toMatchObject({ replayOf: body.data.id, event: 'webhook.test' });
+
+            await settled(webhook.id, 2);
+            expect(receiver.requests.map(received => received.json.data)).toEqual([body.data.payload.data, body.data.payload.data]);
+            expect((await ctx.webhookService.getDelivery(res.body.data.id)).status).toBe('succeeded');
+        });
+
+        it('returns 404 for deliveries of other subscriptions', async () => {
+            const first = await createWebhook();
+            const second = await createWebhook();
+            const { body } = await api('post', `/${first.id}/test`);
+
+            for (const [method, path] of [['get', ''], ['post', '/replay']]) {
+                const res = await api(method, `/${second.id}/deliveries/${body.data.id}${path}`);
+
+                expect(res.status).toBe(404);
+                expect(res.body.error).toBe('Delivery not found');
+            }
+            expect((await api('get', '/missing/deliveries')).status).toBe(404);
+        });
+    });
+});
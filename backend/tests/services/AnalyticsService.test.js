@@ -0,0 +1,242 @@
+const AnalyticsService = require('../../services/AnalyticsService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+
+const HOUR = 60 * 60 * 1000;
+
+function createService() {
+    const redis = new FakeRedisService();
+    return { redis, analytics: new AnalyticsService(redis) };
+}
+
+describe('AnalyticsService helpers', () => {
+    const { analytics } = createService();
+
+    it('buckets toxicity scores into low, medium and high', () => {
+        expect(analytics.toxicityBucket(0)).toBe('low');
+        expect(analytics.toxicityBucket(undefined)).toBe('low');
+        expect(analytics.toxicityBucket(0.29)).toBe('low');
+        expect(analytics.toxicityBucket(0.3)).toBe('medium');
+        expect(analytics.toxicityBucket(0.69)).toBe('medium');
+        expect(analytics.toxicityBucket(0.7)).toBe('high');
+        expect(analytics.toxicityBucket(1)).toBe('high');
+    });
+
+    it('resolves time ranges to a window and bucket size, defaulting to 1h', () => {
+        const now = 10 * 24 * HOUR;
+
+        expect(analytics.resolveTimeRange('24h', now)).toEqual({ fromTime: now - 24 * HOUR, toTime: now, timeBucket: HOUR });
+        expect(analytics.resolveTimeRange('5m', now)).toEqual({ fromTime: now - 5 * 60 * 1000, toTime: now, timeBucket: 30 * 1000 });
+        expect(analytics.resolveTimeRange('90d', now)).toEqual(analytics.resolveTimeRange('1h', now));
+        expect(Object.keys(AnalyticsService.TIME_RANGES)).toEqual(['5m', '1h', '24h', '7d']);
+    });
+
+    it('keys distribution and metric series by tenant', () => {
+        expect(analytics.distributionKey('sentiment', 'positive')).toBe('metrics:content:sentiment:positive');
+        expect(analytics.distributionKey('sentiment', 'positive', 'acme')).toBe('metrics:{acme}:content:sentiment:positive');
+        expect(analytics.metricKey('content:processed')).toBe('metrics:content:processed');
+    });
+
+    it('sums, averages and picks from time series samples', () => {
+        const samples = [{ timestamp: 1, value: 4 }, { timestamp: 2, value: 10 }, { timestamp: 3, value: 1 }];
+
+        expect(analytics.sumTimeSeries(samples)).toBe(15);
+        expect(analytics.averageTimeSeries(samples)).toBe(5);
+        expect(analytics.latestTimeSeries(samples)).toBe(1);
+        expect(analytics.maxTimeSeries(samples)).toBe(10);
+        expect(analytics.minTimeSeries(samples)).toBe(1);
+    });
+
+    it('treats missing or empty series as zero', () => {
+        ['sumTimeSeries', 'averageTimeSeries', 'latestTimeSeries', 'maxTimeSeries', 'minTimeSeries'].forEach(method => {
+            expect(analytics[method]([])).toBe(0);
+            expect(analytics[method](null)).toBe(0);
+        });
+    });
+});
+
+describe('AnalyticsService.recordContentAnalysis', () => {
+    it('adds one labelled point per dimension plus confidence', async () => {
+        const { redis, analytics } = createService();
+
+        await analytics.recordContentAnalysis({
+            sentiment: 'negative',
+            category: 'Product Review!',
+            toxicityScore: 0.8,
+            confidence: 0.74
+        }, 'acme', 5000);
+
+        const writes = redis.callsTo('addTimeSeriesPoint');
+        expect(writes.map(([key]) => key)).toEqual([
+            'metrics:{acme}:content:sentiment:negative',
+            'metrics:{acme}:content:category:product_review_',
+            'metrics:{acme}:content:toxicity:high',
+            'metrics:{acme}:content:confidence'
+        ]);
+
+        const [, timestamp, value, options] = writes[1];
+        expect(timestamp).toBe(5000);
+        expect(value).toBe(1);
+        expect(options.ON_DUPLICATE).toBe('SUM');
+        expect(options.LABELS).toEqual({ type: 'content_analysis', tenant: 'acme', dimension: 'category', value: 'product_review_' });
+        expect(writes[3][2]).toBe(74);
+    });
+
+    it('defaults missing fields to neutral, general and low toxicity', async () => {
+        const { redis, analytics } = createService();
+
+        await analytics.recordContentAnalysis({}, 'default', 5000);
+
+        expect(redis.callsTo('addTimeSeriesPoint').map(([key]) => key)).toEqual([
+            'metrics:content:sentiment:neutral',
+            'metrics:content:category:general',
+            'metrics:content:toxicity:low',
+            'metrics:content:confidence'
+        ]);
+    });
+});
+
+describe('AnalyticsService aggregation', () => {
+    async function record(analytics, tenant, items) {
+        const now = Date.now();
+        for (const [index, analysis] of items.entries()) {
+            // Two items share each millisecond to exercise ON_DUPLICATE SUM
+            await analytics.recordContentAnalysis(analysis, tenant, now - Math.floor(index / 2) * 60000);
+        }
+    }
+
+    it('counts each value across buckets and converts to percentages', async () => {
+        const { analytics } = createService();
+        await record(analytics, 'default', [
+            { sentiment: 'positive' },
+            { sentiment: 'positive' },
+            { sentiment: 'negative' },
+            { sentiment: 'neutral' },
+            { sentiment: 'positive' },
+            { sentiment: 'positive' }
+        ]);
+
+        const result = await analytics.getDistribution('sentiment', '24h');
+
+        expect(result.counts).toEqual({ positive: 4, negative: 1, neutral: 1 });
+        expect(result.total).toBe(6);
+        expect(result.distribution).toEqual({ positive: 66.7, negative: 16.7, neutral: 16.7 });
+    });
+
+    it('excludes samples outside the time range', async () => {
+        const { analytics } = createService();
+        await analytics.recordContentAnalysis({ sentiment: 'positive' }, 'default', Date.now() - 2 * HOUR);
+        await analytics.recordContentAnalysis({ sentiment: 'negative' }, 'default', Date.now());
+
+        // The positive series still matches the filter but has no samples in the last hour
+        expect((await analytics.getDistribution('sentiment', '1h')).counts).toEqual({ positive: 0, negative: 1 });
+        expect((await analytics.getDistribution('sentiment', '24h')).counts).toEqual({ positive: 1, negative: 1 });
+    });
+
+    it('keeps tenants apart', async () => {
+        const { analytics } = createService();
+        await record(analytics, 'acme', [{ category: 'review' }, { category: 'support' }]);
+        await record(analytics, 'default', [{ category: 'general' }]);
+
+        expect((await analytics.getDistribution('category', '24h', 'acme')).counts).toEqual({ review: 1, support: 1 });
+        expect((await analytics.getDistribution('category', '24h')).counts).toEqual({ general: 1 });
+    });
+
+    it('returns an empty distribution when nothing was recorded', async () => {
+        const { analytics } = createService();
+
+        expect(await analytics.getDistribution('toxicity', '24h')).toEqual({ counts: {}, distribution: {}, total: 0 });
+    });
+
+    it('averages raw samples rather than bucket averages', async () => {
+        const { redis, analytics } = createService();
+        const now = Date.now();
+        const bucketStart = Math.floor(now / HOUR) * HOUR;
+
+        // Three samples in one hourly bucket and one in another: 40 rather than (20 + 100) / 2
+        await redis.addTimeSeriesPoint('metrics:processing:time', bucketStart + 1, 10);
+        await redis.addTimeSeriesPoint('metrics:processing:time', bucketStart + 2, 20);
+        await redis.addTimeSeriesPoint('metrics:processing:time', bucketStart + 3, 30);
+        await redis.addTimeSeriesPoint('metrics:processing:time', bucketStart - HOUR + 1, 100);
+
+        expect(await analytics.getRangeAverage('processing:time', '24h')).toBe(40);
+        expect(await analytics.getRangeAverage('accuracy:rate', '24h')).toBe(0);
+    });
+
+    it('builds content analytics with stable keys', async () => {
+        const { analytics } = createService();
+        const now = Date.now();
+        await analytics.recordContentAnalysis({ sentiment: 'negative', category: 'comment', toxicityScore: 0.9, confidence: 0.8 }, 'default', now - 1);
+        await analytics.recordContentAnalysis({ sentiment: 'neutral', category: 'comment', toxicityScore: 0.1, confidence: 0.6 }, 'default', now);
+
+        const result = await analytics.getContentAnalytics('default', '24h');
+
+        expect(result).toMatchObject({
+            timeRange: '24h',
+            totalAnalyzed: 2,
+            sentimentDistribution: { positive: 0, neutral: 50, negative: 50 },
+            categoryDistribution: { comment: 100 },
+            toxicityLevels: { low: 50, medium: 0, high: 50 },
+            counts: { toxicity: { high: 1, low: 1 } }
+        });
+        expect(result.processingMetrics.averageConfidence).toBe(70);
+    });
+
+    it('keeps the confidence of items analyzed in the same millisecond', async () => {
+        const { analytics } = createService();
+        const now = Date.now();
+        await analytics.recordContentAnalysis({ confidence: 0.9 }, 'default', now);
+        await analytics.recordContentAnalysis({ confidence: 0.5 }, 'default', now);
+        await analytics.recordContentAnalysis({ confidence: 0.4 }, 'default', now);
+
+        const result = await analytics.getContentAnalytics('default', '24h');
+
+        expect(result.totalAnalyzed).toBe(3);
+        expect(result.processingMetrics.averageConfidence).toBe(60);
+    });
+});
+
+describe('AnalyticsService.getRealtimeMetrics', () => {
+    it('reports no processing time or accuracy until samples exist', async () => {
+        const { analytics } = createService();
+
+        expect(await analytics.getRealtimeMetrics()).toMatchObject({
+            totalProcessed: 0,
+            avgProcessingTime: null,
+            currentAccuracy: null,
+            uniqueVisitors: 0
+        });
+    });
+
+    it('returns empty metrics instead of sample numbers when Redis fails', async () => {
+        const { redis, analytics } = createService();
+        jest.spyOn(redis, 'getTimeSeriesRange').mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await analytics.getRealtimeMetrics()).toMatchObject({
+            totalProcessed: 0,
+            totalFlagged: 0,
+            totalApproved: 0,
+            avgProcessingTime: null,
+            currentAccuracy: null,
+            uniqueVisitors: 0
+        });
+        console.error.mockRestore();
+    });
+});
+
+describe('AnalyticsService.getDashboardData', () => {
+    it('reports the dashboard as unavailable instead of sample numbers when it cannot be built', async () => {
+        const { analytics } = createService();
+        jest.spyOn(analytics, 'getContentAnalytics').mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await analytics.getDashboardData()).toMatchObject({
+            available: false,
+            realtime: { totalProcessed: 0, avgProcessingTime: null, currentAccuracy: null },
+            content: null,
+            system: null,
+            trends: { processed: [], flagged: [] }
+        });
+        console.error.mockRestore();
+    });
+});
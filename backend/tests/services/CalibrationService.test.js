@@ -0,0 +1,171 @@
+const CalibrationService = require('../../services/CalibrationService');
+const FeedbackService = require('../../services/FeedbackService');
+const PolicyService = require('../../services/PolicyService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+const { contentKey } = require('../../services/tenancy');
+
+function createService(options = {}) {
+    const redis = new FakeRedisService();
+    const feedbackService = new FeedbackService(redis);
+    const policyService = new PolicyService(redis);
+    const calibration = new CalibrationService(redis, { feedbackService, policyService, minExamples: 5, targetFpr: 0.25, ...options });
+    return { redis, feedbackService, policyService, calibration };
+}
+
+let sequence = 0;
+
+// Content decided by the built-in 0.5 rule, then labeled by a moderator
+async function labeled({ redis, feedbackService }, toxicityScore, label, category = 'comment', rule = undefined, detectedCategory = category) {
+    const contentId = `c${++sequence}`;
+    const action = toxicityScore > 0.5 || rule ? 'flag' : 'approve';
+    await redis.setJSON(contentKey('default', contentId), '$', {
+        id: contentId,
+        text: `text of ${contentId}`,
+        category,
+        analysis: { category: detectedCategory, toxicityScore },
+        moderation: {
+            action,
+            policy: 'builtin',
+            policyVersion: 0,
+            rule: rule === undefined ? (action === 'flag' ? { score: 'toxicityScore', value: toxicityScore, threshold: 0.5 } : null) : rule
+        }
+    });
+    await feedbackService.processFeedback({ contentId, feedback: label === 'violation' ? 'spam' : 'not_spam' });
+    return contentId;
+}
+
+// Five ok and four violations in comments, and one of each in reviews
+async function labelExamples(ctx) {
+    for (const score of [0.1, 0.2, 0.3, 0.55, 0.6]) await labeled(ctx, score, 'ok');
+    for (const score of [0.4, 0.7, 0.8, 0.9]) await labeled(ctx, score, 'violation');
+    await labeled(ctx, 0.05, 'ok', 'review');
+    await labeled(ctx, 0.95, 'violation', 'review');
+}
+
+describe('CalibrationService sweep', () => {
+    const { calibration } = createService();
+    const examples = [0.1, 0.6].map(score => ({ label: 'ok', analysis: { toxicityScore: score } }))
+        .concat([0.4, 0.8].map(score => ({ label: 'violation', analysis: { toxicityScore: score } })));
+
+    it('reports precision, recall, F1 and false-positive rate at each threshold', () => {
+        const curve = calibration.sweep(examples, 0.25);
+
+        expect(curve.map(point => point.threshold)).toEqual([0, 0.25, 0.5, 0.75]);
+        expect(curve[1]).toMatchObject({ tp: 2, fp: 1, tn: 1, fn: 0, precision: 0.667, recall: 1, f1: 0.8, fpr: 0.5 });
+        expect(curve[3]).toMatchObject({ tp: 1, fp: 0, tn: 2, fn: 1, precision: 1, recall: 0.5, fpr: 0 });
+    });
+
+    it('proposes the lowest threshold within the target, or the strictest one', () => {
+        const curve = calibration.sweep(examples, 0.25);
+
+        expect(calibration.propose(curve, 0.5)).toMatchObject({ threshold: 0.25, targetMet: true });
+        expect(calibration.propose(curve, 0)).toMatchObject({ threshold: 0.75, targetMet: true });
+
+        const noisy = calibration.sweep(examples.concat({ label: 'ok', analysis: { toxicityScore: 1 } }), 0.25);
+        expect(calibration.propose(noisy, 0)).toMatchObject({ threshold: 0.75, targetMet: false });
+    });
+});
+
+describe('CalibrationService runs', () => {
+    it('proposes thresholds per category and for the default rule', async () => {
+        const ctx = createService();
+        await labelExamples(ctx);
+
+        const run = await ctx.calibration.calibrate('default', { createdBy: 'analyst-1' });
+
+        expect(run.basePolicy).toEqual({ name: 'builtin', version: 0 });
+        expect(run.examples).toEqual({ total: 11, used: 11, excluded: 0 });
+        expect(run.categories.comment).toMatchObject({
+            examples: 9,
+            violations: 4,
+            ok: 5,
+            current: { threshold: 0.5, metrics: { fp: 2, fpr: 0.4 } },
+            proposed: { threshold: 0.55, targetMet: true, metrics: { tp: 3, fp: 1, recall: 0.75, fpr: 0.2 } }
+        });
+        expect(run.categories.review).toMatchObject({ examples: 2, proposed: null, reason: 'Needs at least 5 labeled examples' });
+        expect(run.default.proposed.threshold).toBe(0.55);
+
+        expect(run.proposedPolicy.name).toBe('builtin-calibrated');
+        expect(run.proposedPolicy.rules).toEqual({
+            default: { toxicityScore: { flag: 0.55 }, campaignScore: { flag: 0.5 } },
+            categories: { comment: { toxicityScore: { flag: 0.55 } } },
+            sources: {},
+            trust: { low: { toxicityScore: { flag: 0.3 } } }
+        });
+
+        expect(await ctx.calibration.getRun(run.id)).toMatchObject({ id: run.id, createdBy: 'analyst-1' });
+        expect((await ctx.calibration.listRuns()).map(entry => entry.id)).toEqual([run.id]);
+    });
+
+    it('groups examples by the submitted category that policy layers are keyed by', async () => {
+        const ctx = createService();
+        // Submitted as comments, detected as support
+        for (const score of [0.1, 0.2, 0.3, 0.55, 0.6]) await labeled(ctx, score, 'ok', 'comment', undefined, 'support');
+        for (const score of [0.4, 0.7, 0.8, 0.9]) await labeled(ctx, score, 'violation', 'comment', undefined, 'support');
+
+        const run = await ctx.calibration.calibrate();
+
+        expect(Object.keys(run.categories)).toEqual(['comment']);
+        expect(run.proposedPolicy.rules.categories).toEqual({ comment: { toxicityScore: { flag: 0.55 } } });
+    });
+
+    it('leaves out examples flagged by other scores', async () => {
+        const ctx = createService();
+        await labelExamples(ctx);
+        await labeled(ctx, 0, 'violation', 'comment', { score: 'campaignScore', value: 1, threshold: 0.5 });
+
+        const run = await ctx.calibration.calibrate();
+
+        expect(run.examples).toEqual({ total: 12, used: 11, excluded: 1 });
+    });
+
+    it('proposes nothing without both labels', async () => {
+        const ctx = createService();
+        for (const score of [0.1, 0.2, 0.3, 0.4, 0.6]) await labeled(ctx, score, 'ok');
+
+        const run = await ctx.calibration.calibrate();
+
+        expect(run.default).toMatchObject({ proposed: null, reason: 'Needs examples labeled both violation and ok' });
+        expect(run.proposedPolicy).toBeNull();
+        await expect(ctx.calibration.preview(run.id)).rejects.toMatchObject({ code: 'NO_PROPOSAL' });
+        await expect(ctx.calibration.promote(run.id)).rejects.toMatchObject({ code: 'NO_PROPOSAL' });
+    });
+});
+
+describe('CalibrationService promotion', () => {
+    it('saves and activates the proposed policy once', async () => {
+        const ctx = createService();
+        await labelExamples(ctx);
+        const run = await ctx.calibration.calibrate();
+
+        const result = await ctx.calibration.promote(run.id, 'default', {}, 'admin-1');
+
+        expect(result.promoted).toMatchObject({ name: 'builtin-calibrated', version: 1, activated: true, by: 'admin-1' });
+        expect((await ctx.policyService.getActivePolicy()).rules.default.toxicityScore.flag).toBe(0.55);
+        expect((await ctx.calibration.getRun(run.id)).promoted.version).toBe(1);
+        await expect(ctx.calibration.promote(run.id)).rejects.toMatchObject({ code: 'ALREADY_PROMOTED' });
+    });
+
+    it('adds a version to an existing policy of the same name', async () => {
+        const ctx = createService();
+        await labelExamples(ctx);
+        await ctx.policyService.createPolicy({ name: 'strict', rules: { default: { toxicityScore: { flag: 0.5, reject: 0.9 } } } });
+        const run = await ctx.calibration.calibrate();
+
+        const result = await ctx.calibration.promote(run.id, 'default', { name: 'strict' });
+
+        expect(result.promoted).toMatchObject({ name: 'strict', version: 2 });
+        expect(result.policy.rules.default.toxicityScore).toEqual({ flag: 0.55, reject: 0.9 });
+    });
+
+    it('refuses a run calibrated against a policy that is no longer active', async () => {
+        const ctx = createService();
+        await labelExamples(ctx);
+        const run = await ctx.calibration.calibrate();
+        await ctx.policyService.createPolicy({ name: 'manual', rules: { default: { toxicityScore: { flag: 0.4 } } } });
+
+        await expect(ctx.calibration.promote(run.id)).rejects.toMatchObject({ code: 'STALE_CALIBRATION' });
+        expect((await ctx.calibration.promote(run.id, 'default', { force: true })).promoted.name).toBe('builtin-calibrated');
+        await expect(ctx.calibration.promote('missing')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+});
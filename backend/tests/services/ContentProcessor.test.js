@@ -0,0 +1,224 @@
+const ContentProcessor = require('../../services/ContentProcessor');
+const VectorService = require('../../services/VectorService');
+const { createEmbeddingProvider } = require('../../services/embeddings');
+const FakeRedisService = require('../helpers/FakeRedisService');
+
+function createProcessor(options = {}) {
+    const redis = new FakeRedisService();
+    const vectorService = new VectorService(redis, { embeddingProvider: createEmbeddingProvider('test') });
+    return new ContentProcessor(redis, null, { vectorService, ...options });
+}
+
+describe('ContentProcessor.analyzeContent', () => {
+    it('scores toxic text as toxic and negative', async () => {
+        const processor = createProcessor();
+        const analysis = await processor.analyzeContent('I hate this stupid and awful thing', 'comment');
+
+        expect(analysis.toxicityScore).toBe(0.9);
+        expect(analysis.isToxic).toBe(true);
+        expect(analysis.sentiment).toBe('negative');
+        expect(analysis.category).toBe('comment');
+        expect(analysis.language).toBe('en');
+    });
+
+    it('scores positive text as positive and not toxic', async () => {
+        const processor = createProcessor();
+        const analysis = await processor.analyzeContent('What a wonderful and amazing day, I love it');
+
+        expect(analysis.toxicityScore).toBe(0);
+        expect(analysis.isToxic).toBe(false);
+        expect(analysis.positiveScore).toBe(0.6);
+        expect(analysis.sentiment).toBe('positive');
+    });
+
+    it('keeps neutral text neutral in the submitted or default category', async () => {
+        const processor = createProcessor();
+
+        expect(await processor.analyzeContent('The train leaves at noon')).toMatchObject({
+            sentiment: 'neutral',
+            category: 'general',
+            isToxic: false
+        });
+        expect((await processor.analyzeContent('The train leaves at noon', 'review')).category).toBe('review');
+    });
+
+    it('lets the category stage override the submitted category', async () => {
+        const processor = createProcessor();
+        const analysis = await processor.analyzeContent('I found a bug in the checkout page', 'comment');
+
+        expect(analysis.category).toBe('support');
+    });
+
+    it('derives confidence from length and matched keywords, capped at 0.95', async () => {
+        const processor = createProcessor();
+
+        // 0.5 + (10 / 200) * 0.3 = 0.515
+        expect((await processor.analyzeContent('plain text')).confidence).toBe(0.52);
+        // 0.5 + (26 / 200) * 0.3 + 0.2 (toxicity) = 0.739
+        expect((await processor.analyzeContent('this is a stupid sentence.')).confidence).toBe(0.74);
+        expect((await processor.analyzeContent(`${'love '.repeat(200)}hate`)).confidence).toBe(0.95);
+    });
+
+    it('adds keywords, word count and spam signals', async () => {
+        const processor = createProcessor();
+        const analysis = await processor.analyzeContent('Buy now! Click here for free money buy buy buy');
+
+        expect(analysis.wordCount).toBe(10);
+        expect(analysis.keywords).toEqual(['click', 'here', 'free', 'money']);
+        expect(analysis.isSpam).toBe(false);
+        expect(analysis.spamSignals).toContain('terms');
+    });
+
+    it('reports failing stages and falls back to their defaults', async () => {
+        const processor = createProcessor();
+        processor.pipeline.register({
+            name: 'toxicity',
+            classify: () => {
+                throw new Error('model unavailable');
+            },
+            fallback: () => ({ toxicityScore: 0, isToxic: false })
+        });
+
+        const analysis = await processor.analyzeContent('I hate this');
+
+        expect(analysis.stageErrors).toEqual({ toxicity: 'model unavailable' });
+        expect(analysis.toxicityScore).toBe(0);
+        expect(analysis.sentiment).toBe('neutral');
+    });
+
+    it('returns a low-confidence neutral analysis when the pipeline itself fails', async () => {
+        const pipeline = { run: jest.fn().mockRejectedValue(new Error('pipeline down')) };
+        const processor = createProcessor({ pipeline });
+
+        const analysis = await processor.analyzeContent('any text at all', 'feedback');
+
+        expect(analysis).toEqual({
+            toxicityScore: 0,
+            positiveScore: 0,
+            sentiment: 'neutral',
+            category: 'feedback',
+            isToxic: false,
+            confidence: 0.1,
+            keywords: [],
+            wordCount: 4,
+            language: 'en',
+            error: 'pipeline down'
+        });
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe('ContentProcessor term matching', () => {
+    it('skips blank terms from a configured wordlist instead of looping on them', async () => {
+        const processor = createProcessor();
+        processor.pipeline.configure('toxicity', { terms: ['', '   ', 'hate'] });
+
+        const matches = await processor.pipeline.matchTerms('I hate this');
+
+        expect(matches.filter(match => match.stage === 'toxicity')).toEqual([
+            { stage: 'toxicity', term: 'hate', start: 2, end: 6 }
+        ]);
+    });
+});
+
+describe('ContentProcessor.extractKeywords', () => {
+    const processor = createProcessor();
+
+    it('returns the most frequent words, most frequent first', () => {
+        const keywords = processor.extractKeywords('redis streams redis vectors redis streams search');
+
+        expect(keywords).toEqual(['redis', 'streams', 'vectors', 'search']);
+    });
+
+    it('lowercases, strips punctuation and drops words of three letters or fewer', () => {
+        expect(processor.extractKeywords('The CAT sat on the MAT, purring! Purring... loudly?')).toEqual(['purring', 'loudly']);
+    });
+
+    it('returns at most five keywords', () => {
+        const keywords = processor.extractKeywords('alpha bravo charlie delta echoes foxtrot golfer');
+
+        expect(keywords).toHaveLength(5);
+        expect(keywords).toEqual(['alpha', 'bravo', 'charlie', 'delta', 'echoes']);
+    });
+
+    it('returns nothing for text without usable words', () => {
+        expect(processor.extractKeywords('')).toEqual([]);
+        expect(processor.extractKeywords('a an the ... !!!')).toEqual([]);
+    });
+});
+
+describe('ContentProcessor.processContent retries', () => {
+    it('records reputation and automatic-sanction flags once when an entry is processed again', async () => {
+        const processor = createProcessor();
+        const { contentId } = await processor.submitContent({ text: 'I hate this stupid and awful product', userId: 'u1' });
+        const [message] = await processor.redis.readFromStream(processor.streamKey, 10);
+        const recordFlag = jest.spyOn(processor.sanctions, 'recordFlag');
+        jest.spyOn(processor.webhookService, 'dispatch').mockRejectedValueOnce(new Error('connection lost'));
+
+        await expect(processor.processContent(message)).rejects.toThrow('connection lost');
+        await processor.processContent(message);
+
+        expect((await processor.reputationService.getReputation('u1')).counters.flagged).toBe(1);
+        expect(recordFlag).toHaveBeenCalledTimes(1);
+
+        const [content] = await processor.getContentById(contentId);
+        expect(content.moderation).toMatchObject({ action: 'flag', sideEffectsRecordedAt: expect.any(Number) });
+    });
+
+    it('records them on the retry when the first attempt failed to', async () => {
+        const processor = createProcessor();
+        await processor.submitContent({ text: 'I hate this stupid and awful product', userId: 'u1' });
+        const [message] = await processor.redis.readFromStream(processor.streamKey, 10);
+        jest.spyOn(processor.reputationService, 'recordEvent').mockRejectedValueOnce(new Error('connection lost'));
+
+        await expect(processor.processContent(message)).rejects.toThrow('connection lost');
+        await processor.processContent(message);
+
+        expect((await processor.reputationService.getReputation('u1')).counters.flagged).toBe(1);
+    });
+
+    it('records the event on the retry when the reputation write failed without throwing', async () => {
+        const processor = createProcessor();
+        await processor.submitContent({ text: 'I hate this stupid and awful product', userId: 'u1' });
+        const [message] = await processor.redis.readFromStream(processor.streamKey, 10);
+        const addToSortedSet = processor.redis.addToSortedSet.bind(processor.redis);
+        let failures = 1;
+        jest.spyOn(processor.redis, 'addToSortedSet').mockImplementation((key, members) => {
+            if (key === 'reputation:u1:events' && failures-- > 0) return Promise.reject(new Error('connection lost'));
+            return addToSortedSet(key, members);
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(processor.processContent(message)).rejects.toThrow('could not be recorded');
+        expect((await processor.reputationService.getReputation('u1')).counters.flagged).toBe(0);
+
+        await processor.processContent(message);
+
+        expect((await processor.reputationService.getReputation('u1')).counters.flagged).toBe(1);
+        console.error.mockRestore();
+    });
+});
+
+describe('ContentProcessor.processBatch metrics', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('counts every item of a concurrent batch that lands on the same timestamp', async () => {
+        const processor = createProcessor({ concurrency: 8 });
+        const redis = processor.redis;
+        for (let i = 0; i < 40; i++) {
+            await processor.submitContent({ text: i % 2 ? `I hate this stupid thing ${i}` : `A calm note number ${i}`, userId: `u${i}` });
+        }
+        const messages = await redis.readFromStream(processor.streamKey, 100);
+
+        // Every sample shares one millisecond, as a fast batch does in practice
+        jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+        jest.spyOn(redis, 'ackMessages').mockResolvedValue(true);
+        await processor.processBatch(messages);
+
+        const total = async (name) => (await redis.getTimeSeriesRange(`metrics:${name}`, 0, Infinity))
+            .reduce((sum, sample) => sum + sample.value, 0);
+        expect(await total('content:processed')).toBe(40);
+        expect(await total('content:flagged') + await total('content:approved')).toBe(40);
+        expect(await redis.getTimeSeriesRange('metrics:processing:time', 0, Infinity)).toHaveLength(1);
+    });
+});
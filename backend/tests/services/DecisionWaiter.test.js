@@ -0,0 +1,62 @@
+const DecisionWaiter = require('../../services/DecisionWaiter');
+const FakeRedisService = require('../helpers/FakeRedisService');
+
+describe('DecisionWaiter', () => {
+    let redis;
+    let waiter;
+
+    beforeEach(() => {
+        redis = new FakeRedisService();
+        waiter = new DecisionWaiter(redis, { defaultWait: 1000, maxWait: 2000 });
+    });
+
+    afterEach(async () => {
+        await waiter.stop();
+    });
+
+    it('resolves with the processed event for the same tenant and content', async () => {
+        const pending = waiter.wait('c1', 'acme', 1000);
+        await waiter.start();
+
+        await redis.publish('content:processed', { contentId: 'c1', tenant: 'default', status: 'approved' });
+        await redis.publish('content:processed', { contentId: 'c1', tenant: 'acme', status: 'flagged', analysis: { isToxic: true } });
+
+        expect(await pending).toEqual({
+            contentId: 'c1',
+            tenant: 'acme',
+            status: 'flagged',
+            analysis: { isToxic: true },
+            moderation: undefined,
+            processingTime: undefined
+        });
+        expect(waiter.waiters.size).toBe(0);
+    });
+
+    it('resolves from the stored content when it was decided before subscribing', async () => {
+        await redis.setJSON('content:c2', '$', { id: 'c2', tenant: 'default', status: 'approved', processingTime: 12 });
+
+        expect(await waiter.wait('c2', 'default', 1000)).toMatchObject({ contentId: 'c2', status: 'approved', processingTime: 12 });
+    });
+
+    it('resolves with null on timeout while the content is still pending', async () => {
+        await redis.setJSON('content:c3', '$', { id: 'c3', status: 'pending' });
+
+        expect(await waiter.wait('c3', 'default', 20)).toBeNull();
+        expect(waiter.waiters.size).toBe(0);
+    });
+
+    it('subscribes once for every waiter', async () => {
+        await Promise.all([waiter.wait('a', 'default', 10), waiter.wait('b', 'default', 10)]);
+
+        expect(redis.subscribers.size).toBe(1);
+    });
+
+    it('releases pending waiters on stop', async () => {
+        const pending = waiter.wait('c4', 'default', 1000);
+        await waiter.start();
+
+        await waiter.stop();
+
+        expect(await pending).toBeNull();
+    });
+});
@@ -0,0 +1,170 @@
+const FeedbackService = require('../../services/FeedbackService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+const { contentKey } = require('../../services/tenancy');
+
+function createService() {
+    const redis = new FakeRedisService();
+    return { redis, feedback: new FeedbackService(redis, { consumerName: 'feedback-test' }) };
+}
+
+async function storeDecided(redis, contentId, action, category = 'comment', tenant = 'default') {
+    await redis.setJSON(contentKey(tenant, contentId), '$', {
+        id: contentId,
+        text: `text of ${contentId}`,
+        category,
+        status: action === 'approve' ? 'approved' : 'flagged',
+        analysis: { category, toxicityScore: action === 'approve' ? 0.1 : 0.8 },
+        moderation: { action, policy: 'builtin', policyVersion: 0, rule: null }
+    });
+}
+
+describe('FeedbackService labels', () => {
+    const { feedback } = createService();
+
+    it('derives the true label from feedback on the prediction', () => {
+        expect(feedback.labelFor('spam', 'ok')).toBe('violation');
+        expect(feedback.labelFor('not_spam', 'violation')).toBe('ok');
+        expect(feedback.labelFor('correct', 'violation')).toBe('violation');
+        expect(feedback.labelFor('incorrect', 'violation')).toBe('ok');
+        expect(feedback.labelFor('incorrect', 'ok')).toBe('violation');
+        expect(feedback.labelFor('unsure', 'ok')).toBeNull();
+    });
+
+    it('computes precision, recall, F1 and accuracy', () => {
+        expect(feedback.scores({ tp: 8, fp: 2, tn: 6, fn: 4 })).toEqual({
+            tp: 8, fp: 2, tn: 6, fn: 4, total: 20, precision: 0.8, recall: 0.667, f1: 0.727, accuracy: 0.7
+        });
+        expect(feedback.scores({ tp: 0, fp: 0, tn: 3, fn: 0 })).toMatchObject({ precision: null, recall: null, f1: null, accuracy: 1 });
+    });
+});
+
+describe('FeedbackService processing', () => {
+    it('builds the confusion matrix per category', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag', 'comment');
+        await storeDecided(redis, 'c2', 'flag', 'comment');
+        await storeDecided(redis, 'c3', 'approve', 'review');
+        await storeDecided(redis, 'c4', 'approve', 'review');
+
+        await feedback.processFeedback({ contentId: 'c1', feedback: 'correct' });
+        await feedback.processFeedback({ contentId: 'c2', feedback: 'incorrect' });
+        await feedback.processFeedback({ contentId: 'c3', feedback: 'correct' });
+        await feedback.processFeedback({ contentId: 'c4', feedback: 'spam' });
+
+        const matrix = await feedback.getConfusionMatrix();
+        expect(matrix.overall).toMatchObject({ tp: 1, fp: 1, tn: 1, fn: 1, accuracy: 0.5, precision: 0.5, recall: 0.5 });
+        expect(matrix.categories.comment).toMatchObject({ tp: 1, fp: 1, precision: 0.5, recall: 1 });
+        expect(matrix.categories.review).toMatchObject({ tn: 1, fn: 1, precision: null, recall: 0 });
+        expect(await feedback.getConfusionMatrix('acme')).toMatchObject({ overall: { total: 0 }, categories: {} });
+    });
+
+    it('labels examples with the submitted category rather than the detected one', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag', 'comment');
+        await redis.mergeJSON(contentKey('default', 'c1'), '$', { analysis: { category: 'support' } });
+
+        const example = await feedback.processFeedback({ contentId: 'c1', feedback: 'correct' });
+
+        expect(example).toMatchObject({ category: 'comment', analysis: { category: 'support' } });
+        expect(Object.keys((await feedback.getConfusionMatrix()).categories)).toEqual(['comment']);
+    });
+
+    it('replaces an earlier label for the same content', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag');
+
+        await feedback.processFeedback({ contentId: 'c1', feedback: 'correct' });
+        await feedback.processFeedback({ contentId: 'c1', feedback: 'not_spam', comment: 'Quoted lyrics' });
+
+        const { overall } = await feedback.getConfusionMatrix();
+        expect(overall).toMatchObject({ tp: 0, fp: 1, total: 1 });
+
+        const [example] = await feedback.exportExamples();
+        expect(example).toMatchObject({ contentId: 'c1', label: 'ok', predicted: 'violation', comment: 'Quoted lyrics' });
+    });
+
+    it('drops expired examples from the matrix along with the export', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag');
+        await storeDecided(redis, 'c2', 'flag');
+        const now = Date.now();
+        await feedback.processFeedback({ contentId: 'c1', feedback: 'correct', timestamp: String(now - feedback.retention + 60000) });
+        await feedback.processFeedback({ contentId: 'c2', feedback: 'incorrect', timestamp: String(now) });
+        expect((await feedback.getConfusionMatrix()).overall).toMatchObject({ tp: 1, fp: 1 });
+
+        jest.spyOn(Date, 'now').mockReturnValue(now + 120000);
+        try {
+            expect((await feedback.getConfusionMatrix()).overall).toMatchObject({ tp: 0, fp: 1, total: 1 });
+            expect((await feedback.exportExamples()).map(example => example.contentId)).toEqual(['c2']);
+
+            // Relabeling what is left still moves it between cells
+            await feedback.processFeedback({ contentId: 'c2', feedback: 'correct' });
+            expect((await feedback.getConfusionMatrix()).overall).toMatchObject({ tp: 1, fp: 0, total: 1 });
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    it('records real accuracy in the accuracy series', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag');
+        await storeDecided(redis, 'c2', 'flag');
+
+        await feedback.processFeedback({ contentId: 'c1', feedback: 'correct' });
+        await feedback.processFeedback({ contentId: 'c2', feedback: 'incorrect' });
+
+        const points = redis.callsTo('addTimeSeriesPoint').filter(([key]) => key === 'metrics:accuracy:rate');
+        expect(points.map(([, , value]) => value)).toEqual([100, 50]);
+    });
+
+    it('skips content without an automated decision', async () => {
+        const { redis, feedback } = createService();
+        await redis.setJSON(contentKey('default', 'c1'), '$', { id: 'c1', status: 'pending' });
+
+        expect(await feedback.processFeedback({ contentId: 'c1', feedback: 'spam' })).toBeNull();
+        expect(await feedback.processFeedback({ contentId: 'missing', feedback: 'spam' })).toBeNull();
+        expect((await feedback.getConfusionMatrix()).overall.total).toBe(0);
+    });
+
+    it('filters exported examples', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag', 'comment');
+        await storeDecided(redis, 'c2', 'approve', 'review');
+        const now = Date.now();
+        await feedback.processFeedback({ contentId: 'c1', feedback: 'correct', timestamp: String(now - 2000) });
+        await feedback.processFeedback({ contentId: 'c2', feedback: 'correct', timestamp: String(now - 1000) });
+
+        expect((await feedback.exportExamples('default', { label: 'violation' })).map(example => example.contentId)).toEqual(['c1']);
+        expect((await feedback.exportExamples('default', { category: 'review' })).map(example => example.contentId)).toEqual(['c2']);
+        expect((await feedback.exportExamples('default', { from: now - 1500 })).map(example => example.contentId)).toEqual(['c2']);
+        expect(await feedback.exportExamples('default', { limit: 1 })).toHaveLength(1);
+    });
+});
+
+describe('FeedbackService consumer group', () => {
+    it('consumes feedback given before it started and acks it', async () => {
+        const { redis, feedback } = createService();
+        await storeDecided(redis, 'c1', 'flag');
+        await redis.addToStream('feedback:stream', { feedbackId: 'f1', contentId: 'c1', tenant: 'default', feedback: 'correct', comment: '', by: 'mod-1', timestamp: String(Date.now()) });
+
+        await feedback.start();
+        try {
+            while ((await feedback.getConfusionMatrix()).overall.total === 0) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        } finally {
+            await feedback.stop();
+        }
+
+        expect((await feedback.getConfusionMatrix()).overall.tp).toBe(1);
+        expect((await redis.getPendingSummary('feedback:stream', 'feedback-processors')).pending).toBe(0);
+    });
+
+    it('leaves failed entries pending for recovery', async () => {
+        const { redis, feedback } = createService();
+        jest.spyOn(feedback, 'processFeedback').mockRejectedValueOnce(new Error('connection lost'));
+
+        expect(await feedback.handleMessage({ id: '1-0', message: { contentId: 'c1', feedback: 'spam' } })).toBe(false);
+        expect(redis.callsTo('ackMessages')).toHaveLength(0);
+    });
+});
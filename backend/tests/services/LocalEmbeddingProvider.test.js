@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalEmbeddingProvider = require('../../services/embeddings/local');
+
+describe('LocalEmbeddingProvider', () => {
+    let modelPath;
+
+    beforeEach(() => {
+        modelPath = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(modelPath, { recursive: true, force: true });
+        console.warn.mockRestore();
+    });
+
+    it('does not download a missing model unless remote models are allowed', async () => {
+        const provider = new LocalEmbeddingProvider({ modelPath });
+
+        expect(provider.allowRemoteModels).toBe(false);
+        expect(console.warn).toHaveBeenCalled();
+        await expect(provider.embed('hello')).rejects.toThrow(/not found in .*npm run fetch-model/);
+    });
+
+    it('finds a bundled model under <path>/<model>', () => {
+        LocalEmbeddingProvider.MODEL_FILES.forEach(file => {
+            const target = path.join(modelPath, LocalEmbeddingProvider.DEFAULT_MODEL, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, '');
+        });
+
+        const provider = new LocalEmbeddingProvider({ modelPath });
+
+        expect(provider.isBundled()).toBe(true);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,128 @@
+const ReputationService = require('../../services/ReputationService');
+const PolicyService = require('../../services/PolicyService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createService(options = {}) {
+    const redis = new FakeRedisService();
+    return { redis, reputation: new ReputationService(redis, { halfLifeDays: 10, ...options }) };
+}
+
+describe('ReputationService trust', () => {
+    const { reputation } = createService();
+
+    it('starts every user at the base trust', () => {
+        expect(reputation.computeTrust([])).toEqual({ score: 0.5, tier: 'normal' });
+    });
+
+    it('halves an event\'s weight every half-life', () => {
+        const now = 100 * DAY;
+
+        expect(reputation.computeTrust([{ delta: -0.2, at: now }], now).score).toBe(0.3);
+        expect(reputation.computeTrust([{ delta: -0.2, at: now - 10 * DAY }], now).score).toBe(0.4);
+        expect(reputation.computeTrust([{ delta: -0.2, at: now - 20 * DAY }], now).score).toBe(0.45);
+    });
+
+    it('clamps the score to 0..1 and assigns tiers', () => {
+        expect(reputation.computeTrust([{ delta: -2, at: Date.now() }])).toEqual({ score: 0, tier: 'low' });
+        expect(reputation.computeTrust([{ delta: 2, at: Date.now() }])).toEqual({ score: 1, tier: 'high' });
+        expect(reputation.tierFor(0.29)).toBe('low');
+        expect(reputation.tierFor(0.3)).toBe('normal');
+        expect(reputation.tierFor(0.8)).toBe('high');
+    });
+
+    it('maps feedback on a user\'s content to an outcome', () => {
+        expect(reputation.feedbackOutcome('spam', 'approved')).toBe('feedback_confirmed');
+        expect(reputation.feedbackOutcome('not_spam', 'flagged')).toBe('feedback_cleared');
+        expect(reputation.feedbackOutcome('correct', 'flagged')).toBe('feedback_confirmed');
+        expect(reputation.feedbackOutcome('correct', 'approved')).toBeNull();
+        expect(reputation.feedbackOutcome('incorrect', 'flagged')).toBe('feedback_cleared');
+        expect(reputation.feedbackOutcome('incorrect', 'approved')).toBe('feedback_confirmed');
+    });
+});
+
+describe('ReputationService events', () => {
+    it('records events with counters and lowers trust', async () => {
+        const { reputation } = createService();
+
+        await reputation.recordSubmission('u1', 'acme');
+        await reputation.recordEvent('u1', 'flagged', { contentId: 'c1' }, 'acme');
+        await reputation.recordEvent('u1', 'violation', { contentId: 'c1', reason: 'Harassment', by: 'mod-1' }, 'acme');
+
+        const result = await reputation.getReputation('u1', 'acme');
+        expect(result.counters).toMatchObject({ submissions: 1, flagged: 1, violations: 1, approved: 0 });
+        expect(result.trust).toEqual({ score: 0.3, tier: 'normal' });
+        expect(result.lastActivityAt).toEqual(expect.any(Number));
+
+        expect((await reputation.getReputation('u1')).counters.submissions).toBe(0);
+    });
+
+    it('ignores anonymous users and unknown event types', async () => {
+        const { redis, reputation } = createService();
+
+        await reputation.recordSubmission('anonymous');
+        expect(await reputation.recordEvent('anonymous', 'flagged')).toBeNull();
+        expect(await reputation.recordEvent('u1', 'promoted')).toBeNull();
+        expect(redis.callsTo('incrementHashField')).toHaveLength(0);
+        expect(await reputation.getTrust('anonymous')).toEqual({ score: 0.5, tier: 'normal' });
+    });
+
+    it('returns history newest first with paging', async () => {
+        const { reputation } = createService();
+        for (const type of ['approved', 'flagged', 'overturned']) {
+            await reputation.recordEvent('u1', type);
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+
+        const history = await reputation.getHistory('u1', 'default', { limit: 2, offset: 0 });
+        expect(history.total).toBe(3);
+        expect(history.events.map(event => event.type)).toEqual(['overturned', 'flagged']);
+        expect((await reputation.getHistory('u1', 'default', { limit: 2, offset: 2 })).events.map(event => event.type)).toEqual(['approved']);
+    });
+
+    it('never throws when recording fails, but reports the failure', async () => {
+        const { redis, reputation } = createService();
+        jest.spyOn(redis, 'addToSortedSet').mockRejectedValue(new Error('connection lost'));
+
+        expect(await reputation.recordEvent('u1', 'flagged')).toBe(false);
+    });
+
+    it('resets counters and history', async () => {
+        const { reputation } = createService();
+        await reputation.adjust('u1', -0.4, 'Spam wave', 'admin-1');
+
+        expect(await reputation.reset('u1')).toBe(true);
+        expect((await reputation.getReputation('u1')).trust.score).toBe(0.5);
+        expect(await reputation.reset('u1')).toBe(false);
+    });
+});
+
+describe('PolicyService trust tiers', () => {
+    const policies = new PolicyService(new FakeRedisService());
+
+    it('applies the tier layer after default, category and source rules', () => {
+        const policy = {
+            name: 'tiers',
+            rules: {
+                default: { toxicityScore: { flag: 0.5 } },
+                trust: {
+                    low: { toxicityScore: { flag: 0.2, reject: 0.8 } },
+                    high: { toxicityScore: { flag: 0.7 } }
+                }
+            }
+        };
+
+        expect(policies.evaluate(policy, { toxicityScore: 0.3 }, { trustTier: 'low' }).action).toBe('flag');
+        expect(policies.evaluate(policy, { toxicityScore: 0.3 }, { trustTier: 'normal' }).action).toBe('approve');
+        expect(policies.evaluate(policy, { toxicityScore: 0.6 }, { trustTier: 'high' }).action).toBe('approve');
+        expect(policies.evaluate(policy, { toxicityScore: 0.9 }, { trustTier: 'low' }).action).toBe('reject');
+    });
+
+    it('is stricter with low-trust users in the built-in policy', () => {
+        const analysis = { toxicityScore: 0.4 };
+
+        expect(policies.evaluate(PolicyService.DEFAULT_POLICY, analysis, { trustTier: 'low' }).action).toBe('flag');
+        expect(policies.evaluate(PolicyService.DEFAULT_POLICY, analysis, { trustTier: 'normal' }).action).toBe('approve');
+    });
+});
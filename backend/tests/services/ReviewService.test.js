@@ -0,0 +1,51 @@
+const ReviewService = require('../../services/ReviewService');
+const ReputationService = require('../../services/ReputationService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+const { createFakeIo } = require('../helpers/createTestApp');
+const { contentKey } = require('../../services/tenancy');
+
+function createService() {
+    const redis = new FakeRedisService();
+    const reputationService = new ReputationService(redis);
+    const webhookService = { dispatch: jest.fn() };
+    const reviews = new ReviewService(redis, createFakeIo(), { reputationService, webhookService });
+    return { redis, reviews, reputationService };
+}
+
+async function flagContent(redis, reviews, contentId, userId = 'u1') {
+    await redis.setJSON(contentKey('default', contentId), '$', {
+        id: contentId,
+        userId,
+        status: 'flagged',
+        timestamp: Date.now(),
+        analysis: { toxicityScore: 0.9 }
+    });
+    await reviews.enqueue(contentId, { toxicityScore: 0.9 });
+}
+
+describe('ReviewService', () => {
+    it('releases a claim back to the queue', async () => {
+        const { reviews, redis } = createService();
+        await flagContent(redis, reviews, 'c1');
+        await reviews.claim('c1', 'mod-1');
+
+        expect(await reviews.release('c1', 'mod-1')).toBe(true);
+        expect(await reviews.getClaim('c1')).toBeNull();
+        expect((await reviews.getQueue()).total).toBe(1);
+    });
+
+    it('records reputation events for human decisions', async () => {
+        const { reviews, redis, reputationService } = createService();
+        await flagContent(redis, reviews, 'c1');
+        await flagContent(redis, reviews, 'c2');
+
+        await reviews.claim('c1', 'mod-1');
+        await reviews.decide('c1', 'mod-1', 'reject', 'Harassment');
+        await reviews.claim('c2', 'mod-1');
+        await reviews.decide('c2', 'mod-1', 'approve', 'Sarcasm');
+
+        const { counters } = await reputationService.getReputation('u1');
+        expect(counters).toMatchObject({ violations: 1, overturned: 1 });
+        expect((await reviews.getQueue()).total).toBe(0);
+    });
+});
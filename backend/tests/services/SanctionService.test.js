@@ -0,0 +1,146 @@
+const SanctionService = require('../../services/SanctionService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+
+function createService(options = {}) {
+    const redis = new FakeRedisService();
+    return { redis, sanctions: new SanctionService(redis, options) };
+}
+
+describe('SanctionService', () => {
+    it('issues bans without an expiry and mutes with a TTL', async () => {
+        const { redis, sanctions } = createService();
+
+        const ban = await sanctions.issue({ userId: 'u1', type: 'ban', reason: 'Spam ring', issuedBy: 'mod-1' }, 'acme');
+        const mute = await sanctions.issue({ userId: 'u2', type: 'mute', reason: 'Heated thread', durationSeconds: 600 }, 'acme');
+
+        expect(ban).toMatchObject({ type: 'ban', expiresAt: null, status: 'active', appealStatus: 'none', issuedBy: 'mod-1', auto: false });
+        expect(mute.expiresAt).toBe(mute.createdAt + 600000);
+        expect(redis.callsTo('expireKey')).toEqual([[sanctions.sanctionKey(mute.id, 'acme'), 600]]);
+        expect((await sanctions.listActive('acme')).map(sanction => sanction.type)).toEqual(['ban', 'mute']);
+        expect(await sanctions.listActive()).toEqual([]);
+    });
+
+    it('blocks banned and muted users with their code', async () => {
+        const { sanctions } = createService();
+        await sanctions.issue({ userId: 'u1', type: 'ban', reason: 'x' });
+        await sanctions.issue({ userId: 'u2', type: 'mute', reason: 'x', durationSeconds: 60 });
+
+        const banned = await sanctions.enforce('u1');
+        const muted = await sanctions.enforce('u2');
+
+        expect(banned).toMatchObject({ code: 'USER_BANNED', retryAfter: null, sanction: { type: 'ban', reason: 'x' } });
+        expect(muted.code).toBe('USER_MUTED');
+        expect(muted.retryAfter).toBeGreaterThan(59000);
+        expect(await sanctions.enforce('u3')).toBeNull();
+    });
+
+    it('lets a user on cooldown submit once per interval', async () => {
+        const { sanctions } = createService();
+        await sanctions.issue({ userId: 'u1', type: 'cooldown', reason: 'x', durationSeconds: 3600, intervalSeconds: 120 });
+
+        expect(await sanctions.enforce('u1')).toBeNull();
+
+        const blocked = await sanctions.enforce('u1');
+        expect(blocked).toMatchObject({ code: 'USER_COOLDOWN', sanction: { intervalSeconds: 120 } });
+        expect(blocked.retryAfter).toBeGreaterThan(119000);
+        expect(await sanctions.check('u1', 'default', 2)).toMatchObject({ code: 'USER_COOLDOWN' });
+    });
+
+    it('reports the most severe sanction', async () => {
+        const { sanctions } = createService();
+        await sanctions.issue({ userId: 'u1', type: 'cooldown', reason: 'x', durationSeconds: 3600, intervalSeconds: 60 });
+        await sanctions.issue({ userId: 'u1', type: 'mute', reason: 'y', durationSeconds: 60 });
+
+        expect((await sanctions.check('u1')).code).toBe('USER_MUTED');
+    });
+
+    it('drops expired sanctions from the indexes', async () => {
+        const { sanctions } = createService();
+        const mute = await sanctions.issue({ userId: 'u1', type: 'mute', reason: 'x', durationSeconds: 60 });
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+        try {
+            expect(await sanctions.check('u1')).toBeNull();
+            expect(await sanctions.listActive()).toEqual([]);
+            expect(await sanctions.getSanction(mute.id)).toBeNull();
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    it('revokes sanctions and clears the cooldown gate', async () => {
+        const { sanctions } = createService();
+        const cooldown = await sanctions.issue({ userId: 'u1', type: 'cooldown', reason: 'x', durationSeconds: 3600, intervalSeconds: 60 });
+        await sanctions.enforce('u1');
+
+        const revoked = await sanctions.revoke(cooldown.id, 'mod-1');
+
+        expect(revoked).toMatchObject({ status: 'revoked', revokedBy: 'mod-1' });
+        expect(await sanctions.enforce('u1')).toBeNull();
+        expect(await sanctions.revoke(cooldown.id)).toBeNull();
+    });
+
+    it('revokes a sanction when its appeal is overturned', async () => {
+        const { sanctions } = createService();
+        const ban = await sanctions.issue({ userId: 'u1', type: 'ban', reason: 'x' });
+
+        expect(await sanctions.setAppealStatus(ban.id, 'pending')).toMatchObject({ appealStatus: 'pending', status: 'active' });
+        expect(await sanctions.setAppealStatus(ban.id, 'overturned', 'mod-2')).toMatchObject({ appealStatus: 'overturned', status: 'revoked' });
+        expect(await sanctions.check('u1')).toBeNull();
+    });
+
+    it('never sanctions the anonymous user', async () => {
+        const { sanctions } = createService();
+
+        expect(sanctions.canSanction('anonymous')).toBe(false);
+        expect(await sanctions.check(undefined)).toBeNull();
+        expect(await sanctions.recordFlag('anonymous', 'c1')).toBeNull();
+    });
+});
+
+describe('SanctionService automatic sanctions', () => {
+    const autoRules = [
+        { flags: 2, windowSeconds: 600, type: 'cooldown', durationSeconds: 3600, intervalSeconds: 60 },
+        { flags: 3, windowSeconds: 3600, type: 'mute', durationSeconds: 7200 }
+    ];
+
+    it('issues the most severe rule a user crosses', async () => {
+        const { sanctions } = createService({ autoRules });
+
+        expect(await sanctions.recordFlag('u1', 'c1')).toBeNull();
+
+        const cooldown = await sanctions.recordFlag('u1', 'c2');
+        expect(cooldown).toMatchObject({ type: 'cooldown', auto: true, issuedBy: null, intervalSeconds: 60 });
+        expect(cooldown.reason).toBe('Automatic: 2 flagged submissions within 600 seconds');
+
+        const mute = await sanctions.recordFlag('u1', 'c3');
+        expect(mute).toMatchObject({ type: 'mute', durationSeconds: 7200 });
+
+        expect(await sanctions.recordFlag('u1', 'c4')).toBeNull();
+        expect((await sanctions.getActiveSanctions('u1')).map(sanction => sanction.type)).toEqual(['mute', 'cooldown']);
+    });
+
+    it('only counts flags inside the window', async () => {
+        const { sanctions } = createService({ autoRules });
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now - 601000);
+        try {
+            await sanctions.recordFlag('u1', 'c1');
+        } finally {
+            Date.now.mockRestore();
+        }
+
+        expect(await sanctions.recordFlag('u1', 'c2')).toBeNull();
+    });
+
+    it('is disabled by an empty rule list and never throws', async () => {
+        const { redis, sanctions } = createService({ autoRules: [] });
+        expect(await sanctions.recordFlag('u1', 'c1')).toBeNull();
+        expect(redis.callsTo('addToSortedSet')).toHaveLength(0);
+
+        const failing = createService({ autoRules });
+        jest.spyOn(failing.redis, 'addToSortedSet').mockRejectedValue(new Error('connection lost'));
+        expect(await failing.sanctions.recordFlag('u1', 'c1')).toBeNull();
+    });
+});
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const WebhookService = require('../../services/WebhookService');
+const FakeRedisService = require('../helpers/FakeRedisService');
+const createWebhookReceiver = require('../helpers/createWebhookReceiver');
+
+function createService(options = {}) {
+    const redis = new FakeRedisService();
+    return { redis, webhooks: new WebhookService(redis, { baseDelay: 1, maxDelay: 1, maxAttempts: 3, ...options }) };
+}
+
+describe('WebhookService signatures', () => {
+    const body = JSON.stringify({ event: 'content.flagged' });
+
+    function signatureFor(secret, timestamp = Math.floor(Date.now() / 1000)) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${digest}`;
+    }
+
+    it('accepts a signature made with the same secret and body', () => {
+        expect(WebhookService.verifySignature('s3cret', signatureFor('s3cret'), body)).toBe(true);
+    });
+
+    it('rejects other secrets, altered bodies and malformed headers', () => {
+        expect(WebhookService.verifySignature('other', signatureFor('s3cret'), body)).toBe(false);
+        expect(WebhookService.verifySignature('s3cret', signatureFor('s3cret'), `${body} `)).toBe(false);
+        expect(WebhookService.verifySignature('s3cret', 'v1=abc', body)).toBe(false);
+        expect(WebhookService.verifySignature('s3cret', undefined, body)).toBe(false);
+    });
+
+    it('rejects signatures older than the tolerance', () => {
+        const stale = signatureFor('s3cret', Math.floor(Date.now() / 1000) - 600);
+
+        expect(WebhookService.verifySignature('s3cret', stale, body)).toBe(false);
+        expect(WebhookService.verifySignature('s3cret', stale, body, 900)).toBe(true);
+    });
+});
+
+describe('WebhookService subscriptions', () => {
+    it('generates a secret and hides it from the public view', async () => {
+        const { webhooks } = createService();
+
+        const subscription = await webhooks.createSubscription({ url: 'http://127.0.0.1/a', events: ['content.flagged'] });
+
+        expect(subscription.secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(webhooks.publicView(subscription)).not.toHaveProperty('secret');
+        expect(await webhooks.getSubscription(subscription.id)).toMatchObject({ categories: [], active: true });
+    });
+
+    it('keeps tenants apart', async () => {
+        const { redis, webhooks } = createService();
+        await webhooks.createSubscription({ url: 'http://127.0.0.1/a', events: ['content.flagged'] }, 'acme');
+
+        expect(await webhooks.listSubscriptions('default')).toEqual([]);
+        expect(await webhooks.listSubscriptions('acme')).toHaveLength(1);
+        expect(redis.callsTo('addToSet')[0][0]).toBe('webhooks:{acme}');
+    });
+
+    it('matches on event, category and the active flag', () => {
+        const { webhooks } = createService();
+        const subscription = { active: true, events: ['content.flagged'], categories: ['review'] };
+
+        expect(webhooks.matches(subscription, 'content.flagged', 'review')).toBe(true);
+        expect(webhooks.matches(subscription, 'content.flagged', 'comment')).toBe(false);
+        expect(webhooks.matches(subscription, 'content.approved', 'review')).toBe(false);
+        expect(webhooks.matches({ ...subscription, categories: [] }, 'content.flagged', 'comment')).toBe(true);
+        expect(webhooks.matches({ ...subscription, active: false }, 'content.flagged', 'review')).toBe(false);
+    });
+
+    it('removes the subscription and its delivery log on delete', async () => {
+        const { webhooks } = createService();
+        const subscription = await webhooks.createSubscription({ url: 'http://127.0.0.1/a', events: ['content.flagged'] });
+        await webhooks.createDelivery(subscription, 'content.flagged', {}, { queue: false });
+
+        expect(await webhooks.deleteSubscription(subscription.id)).toBe(true);
+        expect(await webhooks.listSubscriptions()).toEqual([]);
+        expect((await webhooks.getDeliveries(subscription.id)).total).toBe(0);
+        expect(await webhooks.deleteSubscription(subscription.id)).toBe(false);
+    });
+});
+
+describe('WebhookService delivery', () => {
+    let receiver;
+
+    beforeEach(async () => {
+        receiver = await createWebhookReceiver();
+    });
+
+    afterEach(async () => {
+        await receiver.close();
+    });
+
+    it('posts a signed payload and records the attempt', async () => {
+        const { webhooks } = createService();
+        const subscription = await webhooks.createSubscription({ url: receiver.url, events: ['content.flagged'] });
+        const queued = await webhooks.createDelivery(subscription, 'content.flagged', { contentId: 'c1' });
+
+        expect(await webhooks.deliverDue()).toBe(1);
+
+        const [request] = receiver.requests;
+        expect(request.headers).toMatchObject({
+            'x-webhook-id': queued.id,
+            'x-webhook-event': 'content.flagged',
+            'x-webhook-attempt': '1'
+        });
+        expect(request.json).toMatchObject({ id: queued.id, event: 'content.flagged', tenant: 'default', data: { contentId: 'c1' } });
+        expect(WebhookService.verifySignature(subscription.secret, request.headers['x-webhook-signature'], request.body)).toBe(true);
+
+        const delivery = await webhooks.getDelivery(queued.id);
+        expect(delivery.status).toBe('succeeded');
+        expect(delivery.attempts).toEqual([expect.objectContaining({ statusCode: 200, ok: true, response: 'ok' })]);
+        expect(await webhooks.deliverDue()).toBe(0);
+    });
+
+    it('retries failed attempts with backoff until maxAttempts', async () => {
+        const { webhooks } = createService();
+        const subscription = await webhooks.createSubscription({ url: receiver.url, events: ['content.error'] });
+        const queued = await webhooks.createDelivery(subscription, 'content.error', { contentId: 'c1' });
+        receiver.status = 500;
+
+        await webhooks.deliverDue();
+        expect(await webhooks.getDelivery(queued.id)).toMatchObject({ status: 'retrying', nextAttemptAt: expect.any(Number) });
+
+        for (let i = 0; i < 2; i++) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await webhooks.deliverDue();
+        }
+
+        const delivery = await webhooks.getDelivery(queued.id);
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts.map(attempt => attempt.error)).toEqual(['HTTP 500', 'HTTP 500', 'HTTP 500']);
+        expect(receiver.requests.map(request => request.headers['x-webhook-attempt'])).toEqual(['1', '2', '3']);
+    });
+
+    it('doubles the delay per attempt up to the maximum', () => {
+        const { webhooks } = createService({ baseDelay: 1000, maxDelay: 5000 });
+
+        expect([1, 2, 3, 4].map(attempts => webhooks.retryDelay(attempts))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('leaves deliveries that are not due yet in the queue', async () => {
+        const { webhooks } = createService({ baseDelay: 60000, maxDelay: 60000 });
+        const subscription = await webhooks.createSubscription({ url: receiver.url, events: ['content.error'] });
+        await webhooks.createDelivery(subscription, 'content.error', {});
+        receiver.status = 503;
+
+        await webhooks.deliverDue();
+        await webhooks.deliverDue();
+
+        expect(receiver.requests).toHaveLength(1);
+    });
+
+    it('records connection errors', async () => {
+        const { webhooks } = createService({ maxAttempts: 1 });
+        const subscription = await webhooks.createSubscription({ url: 'http://127.0.0.1:1/closed', events: ['content.error'] });
+        const queued = await webhooks.createDelivery(subscription, 'content.error', {});
+
+        await webhooks.deliverDue();
+
+        const delivery = await webhooks.getDelivery(queued.id);
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts[0]).toMatchObject({ statusCode: null, ok: false, error: expect.any(String) });
+    });
+
+    it('fails queued deliveries of deleted subscriptions without sending them', async () => {
+        const { webhooks } = createService();
+        const subscription = await webhooks.createSubscription({ url: receiver.url, events: ['content.error'] });
+        const queued = await webhooks.createDelivery(subscription, 'content.error', {});
+        await webhooks.deleteSubscription(subscription.id);
+
+        await webhooks.deliverDue();
+
+        expect(receiver.requests).toHaveLength(0);
+        expect((await webhooks.getDelivery(queued.id)).attempts[0].error).toBe('Subscription deleted');
+    });
+
+    it('dispatches only to matching subscriptions', async () => {
+        const { webhooks } = createService();
+        const flagged = await webhooks.createSubscription({ url: receiver.url, events: ['content.flagged'], categories: ['review'] });
+        await webhooks.createSubscription({ url: receiver.url, events: ['content.approved'] });
+
+        const deliveries = await webhooks.dispatch('content.flagged', { contentId: 'c1', category: 'review' });
+        await receiver.waitFor(1);
+
+        expect(deliveries.map(delivery => delivery.webhookId)).toEqual([flagged.id]);
+        expect(await webhooks.dispatch('content.flagged', { contentId: 'c2', category: 'comment' })).toEqual([]);
+    });
+
+    it('never throws from dispatch', async () => {
+        const { redis, webhooks } = createService();
+        jest.spyOn(redis, 'getSetMembers').mockRejectedValue(new Error('connection lost'));
+
+        expect(await webhooks.dispatch('content.flagged', {})).toEqual([]);
+    });
+});
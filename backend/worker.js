@@ -0,0 +1,111 @@
+require('dotenv').config();
+
+const express = require('express');
+const RedisService = require('./services/RedisService');
+const ContentProcessor = require('./services/ContentProcessor');
+const PolicyService = require('./services/PolicyService');
+const ReviewService = require('./services/ReviewService');
+const ConsumerRegistry = require('./services/ConsumerRegistry');
+const WebhookService = require('./services/WebhookService');
+const ReputationService = require('./services/ReputationService');
+const FeedbackService = require('./services/FeedbackService');
+const PrometheusMetrics = require('./services/PrometheusMetrics');
+const metricsRoutes = require('./routes/metrics');
+
+// Standalone stream consumer: processes content:stream without the HTTP server.
+// Run several (WORKER_INDEX=0,1,...) to scale out the content-processors group.
+class StreamlinAIWorker {
+    constructor() {
+        this.redisService = null;
+        this.contentProcessor = null;
+        this.webhookService = null;
+        this.feedbackService = null;
+        this.metrics = null;
+        this.metricsServer = null;
+        // Offset by WORKER_INDEX so several workers on one host do not collide
+        this.metricsPort = (parseInt(process.env.WORKER_METRICS_PORT) || 9464) + (parseInt(process.env.WORKER_INDEX) || 0);
+    }
+
+    async start() {
+        if (!process.env.REDIS_URL) {
+            throw new Error('REDIS_URL is required to run a worker');
+        }
+
+        this.redisService = new RedisService();
+        await this.redisService.connect();
+
+        this.metrics = new PrometheusMetrics({ redisService: this.redisService });
+
+        const policyService = new PolicyService(this.redisService);
+        // Workers also deliver due webhooks; the shared queue hands each delivery to one process
+        this.webhookService = new WebhookService(this.redisService);
+        const reputationService = new ReputationService(this.redisService);
+        this.contentProcessor = new ContentProcessor(this.redisService, null, {
+            consumerName: ConsumerRegistry.defaultConsumerName('worker'),
+            policyService,
+            reviewService: new ReviewService(this.redisService, null, {
+                webhookService: this.webhookService,
+                reputationService
+            }),
+            webhookService: this.webhookService,
+            reputationService,
+            metrics: this.metrics
+        });
+
+        // Feedback is labeled by whichever process in feedback-processors reads it first
+        this.feedbackService = new FeedbackService(this.redisService, {
+            consumerName: ConsumerRegistry.defaultConsumerName('worker-feedback')
+        });
+
+        await this.contentProcessor.startStreamConsumer();
+        this.webhookService.start();
+        await this.feedbackService.start();
+        this.startMetricsServer();
+
+        console.log(`🚀 StreamlinAI worker ${this.contentProcessor.consumerName} running`);
+        console.log(`⚙️  Batch size: ${this.contentProcessor.batchSize}, concurrency: ${this.contentProcessor.concurrency}`);
+    }
+
+    // Workers have no HTTP API; this serves only /metrics, so Prometheus can scrape the
+    // moderation counters and processing histogram of the items this worker processed
+    startMetricsServer() {
+        const app = express();
+        app.use('/metrics', metricsRoutes(this.metrics));
+
+        this.metricsServer = app.listen(this.metricsPort, () => {
+            console.log(`📈 Worker metrics on port ${this.metricsPort}`);
+        });
+    }
+
+    async shutdown() {
+        console.log('Shutting down worker...');
+        if (this.metricsServer) {
+            this.metricsServer.close();
+        }
+        if (this.webhookService) {
+            this.webhookService.stop();
+        }
+        if (this.feedbackService) {
+            await this.feedbackService.stop();
+        }
+        if (this.contentProcessor) {
+            await this.contentProcessor.shutdown();
+        }
+        if (this.redisService) {
+            await this.redisService.disconnect();
+        }
+        process.exit(0);
+    }
+}
+
+const worker = new StreamlinAIWorker();
+
+process.on('SIGINT', () => worker.shutdown());
+process.on('SIGTERM', () => worker.shutdown());
+
+worker.start().catch(error => {
+    console.error('❌ Worker failed to start:', error);
+    process.exit(1);
+});
+
+module.exports = StreamlinAIWorker;
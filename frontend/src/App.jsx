@@ -3,20 +3,39 @@ import io from 'socket.io-client';
 import Dashboard from './components/Dashboard';
 import ContentForm from './components/ContentForm';
 import AnalyticsPanel from './components/AnalyticsPanel';
+import LoginForm from './components/LoginForm';
 import { API_BASE_URL, SOCKET_URL } from './config';
+import { getToken, clearToken, authHeaders, login } from './auth';
 
 function App() {
   const [socket, setSocket] = useState(null);
   const [dashboardData, setDashboardData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [connected, setConnected] = useState(false);
+  const [token, setToken] = useState(getToken());
+  const [authRequired, setAuthRequired] = useState(false);
+
+  // The session token expired or was rejected: ask for an API key again
+  const requireLogin = () => {
+    clearToken();
+    setToken(null);
+    setAuthRequired(true);
+    setLoading(false);
+  };
+
+  const handleLogin = async (apiKey) => {
+    const newToken = await login(apiKey);
+    setAuthRequired(false);
+    setToken(newToken);
+  };
 
   useEffect(() => {
     // Initialize socket connection
     const newSocket = io(SOCKET_URL, {
       transports: ['websocket', 'polling'],
       upgrade: true,
-      rememberUpgrade: true
+      rememberUpgrade: true,
+      auth: token ? { token } : {}
     });
 
     newSocket.on('connect', () => {
@@ -26,6 +45,12 @@ function App() {
       newSocket.emit('subscribe_content_stream');
     });
 
+    newSocket.on('connect_error', (error) => {
+      if (error.message === 'Authentication required') {
+        newSocket.disconnect();
+      }
+    });
+
     newSocket.on('disconnect', () => {
       console.log('❌ Disconnected from server');
       setConnected(false);
@@ -51,11 +76,16 @@ function App() {
     return () => {
       newSocket.disconnect();
     };
-  }, []);
+  }, [token]);
 
   const fetchDashboardData = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/analytics/dashboard`);
+      const response = await fetch(`${API_BASE_URL}/api/analytics/dashboard`, {
+        headers: authHeaders()
+      });
+      if (response.status === 401) {
+        return requireLogin();
+      }
       const result = await response.json();
 
       if (result.success) {
@@ -92,9 +122,14 @@ function App() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders()
         },
         body: JSON.stringify(contentData),
       });
+      if (response.status === 401) {
+        requireLogin();
+        throw new Error('Session expired, please sign in again');
+      }
 
       const result = await response.json();
 
@@ -110,6 +145,32 @@ function App() {
     }
   };
 
+  if (authRequired) {
+    return (
+      <div className="app">
+        <header className="app-header">
+          <div className="container">
+            <div className="header-content">
+              <div className="logo">
+                <h1>StreamlinAI</h1>
+                <span className="tagline">Redis 8 Powered Content Moderation</span>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        <main className="app-main">
+          <div className="container">
+            <div className="content-section">
+              <h2>Sign in with an API key</h2>
+              <LoginForm onLogin={handleLogin} />
+            </div>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -0,0 +1,43 @@
+import { API_BASE_URL } from './config';
+
+// Session token issued by POST /api/auth/token. The API key typed at login is only sent once
+// and never stored; the short-lived JWT lives in sessionStorage until it expires.
+const STORAGE_KEY = 'streamlinai.session';
+
+export const getToken = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    if (session && session.expiresAt > Date.now()) {
+      return session.token;
+    }
+  } catch (error) {
+    // Corrupt or missing session
+  }
+  sessionStorage.removeItem(STORAGE_KEY);
+  return null;
+};
+
+export const clearToken = () => sessionStorage.removeItem(STORAGE_KEY);
+
+export const authHeaders = () => {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+export const login = async (apiKey) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/token`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${apiKey}` }
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    throw new Error(result.error || 'Login failed');
+  }
+
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+    token: result.data.token,
+    expiresAt: result.data.expiresAt
+  }));
+  return result.data.token;
+};
@@ -175,7 +175,7 @@ const AnalyticsPanel = ({ data }) => {
           <div>
             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
               <span>Accuracy:</span>
-              <strong>{data?.realtime?.currentAccuracy || '94.2'}%</strong>
+              <strong>{data?.realtime?.currentAccuracy != null ? `${data.realtime.currentAccuracy}%` : 'No data'}</strong>
             </div>
             <div style={{
               width: '100%',
@@ -185,7 +185,7 @@ const AnalyticsPanel = ({ data }) => {
               overflow: 'hidden'
             }}>
               <div style={{
-                width: `${data?.realtime?.currentAccuracy || 94.2}%`,
+                width: `${data?.realtime?.currentAccuracy || 0}%`,
                 height: '100%',
                 background: '#2ed573',
                 borderRadius: '3px'
@@ -196,7 +196,7 @@ const AnalyticsPanel = ({ data }) => {
           <div>
             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
               <span>Processing Speed:</span>
-              <strong>{data?.realtime?.avgProcessingTime || '45'}ms</strong>
+              <strong>{data?.realtime?.avgProcessingTime != null ? `${Math.round(data.realtime.avgProcessingTime)}ms` : 'No data'}</strong>
             </div>
           </div>
 
@@ -90,11 +90,14 @@ const Dashboard = ({ data, connected }) => {
 
   return (
     <div className="dashboard">
+      {data.available === false && (
+        <div className="status status--error" style={{ marginBottom: '16px' }}>{data.error}</div>
+      )}
       <div className="metrics-grid">
         <div className="metric-card">
           <div className="metric-value">{realtime.totalProcessed?.toLocaleString() || '0'}</div>
           <div className="metric-label">Total Processed</div>
-          <div className="metric-change positive">+{realtime.totalProcessed > 1000 ? '12' : '0'}% today</div>
+          <div className="metric-change">last hour</div>
         </div>
 
         <div className="metric-card">
@@ -107,21 +110,24 @@ const Dashboard = ({ data, connected }) => {
         </div>
 
         <div className="metric-card">
-          <div className="metric-value">{realtime.avgProcessingTime || '45'}ms</div>
+          <div className="metric-value">
+            {realtime.avgProcessingTime != null ? `${Math.round(realtime.avgProcessingTime)}ms` : 'No data'}
+          </div>
           <div className="metric-label">Avg Processing Time</div>
-          <div className="metric-change positive">-8% improved</div>
+          <div className="metric-change">last hour</div>
         </div>
 
         <div className="metric-card">
-          <div className="metric-value">{realtime.currentAccuracy || '94.2'}%</div>
+          <div className="metric-value">
+            {realtime.currentAccuracy != null ? `${realtime.currentAccuracy}%` : 'No data'}
+          </div>
           <div className="metric-label">Accuracy Rate</div>
-          <div className="metric-change positive">+2.3% this week</div>
+          <div className="metric-change">from moderator feedback</div>
         </div>
 
         <div className="metric-card">
-          <div className="metric-value">{realtime.uniqueVisitors?.toLocaleString() || '2,341'}</div>
+          <div className="metric-value">{realtime.uniqueVisitors?.toLocaleString() || '0'}</div>
           <div className="metric-label">Unique Visitors</div>
-          <div className="metric-change positive">+15% today</div>
         </div>
       </div>
 
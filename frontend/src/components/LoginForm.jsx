@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+// Asks for a moderator or analyst API key and exchanges it for a session token
+const LoginForm = ({ onLogin }) => {
+  const [apiKey, setApiKey] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      await onLogin(apiKey.trim());
+      setApiKey('');
+    } catch (err) {
+      setError(err.message || 'Login failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label">API Key</label>
+          <input
+            type="password"
+            className="form-input"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+            placeholder="sk_..."
+            autoComplete="off"
+            required
+          />
+        </div>
+
+        {error && (
+          <div style={{
+            padding: '12px',
+            borderRadius: '8px',
+            marginBottom: '16px',
+            background: 'rgba(255, 71, 87, 0.1)',
+            color: '#ff4757',
+            border: '1px solid #ff4757'
+          }}>
+            {error}
+          </div>
+        )}
+
+        <button type="submit" className="btn btn--primary" disabled={loading || !apiKey.trim()}>
+          {loading ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;